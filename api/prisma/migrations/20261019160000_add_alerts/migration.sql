@@ -0,0 +1,90 @@
+-- CreateEnum
+CREATE TYPE "AlertChannel" AS ENUM ('WEBHOOK', 'EMAIL', 'IN_APP');
+
+-- CreateEnum
+CREATE TYPE "AlertDeliveryStatus" AS ENUM ('PENDING', 'SENT', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "alert_rules" (
+    "id" TEXT NOT NULL,
+    "ownerUserId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "conditions" JSONB NOT NULL,
+    "channels" "AlertChannel"[],
+    "webhookUrl" TEXT,
+    "webhookSecret" TEXT,
+    "emailTo" TEXT,
+    "lastTriggeredAt" TIMESTAMP(3),
+    "triggerCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "alert_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "alert_deliveries" (
+    "id" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "channel" "AlertChannel" NOT NULL,
+    "tweetId" TEXT NOT NULL,
+    "status" "AlertDeliveryStatus" NOT NULL DEFAULT 'PENDING',
+    "payload" JSONB NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "alert_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "notifications" (
+    "id" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "ruleId" TEXT,
+    "tweetId" TEXT,
+    "title" TEXT NOT NULL,
+    "body" TEXT,
+    "payload" JSONB,
+    "readAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "alert_rules_ownerUserId_idx" ON "alert_rules"("ownerUserId");
+
+-- CreateIndex
+CREATE INDEX "alert_rules_enabled_idx" ON "alert_rules"("enabled");
+
+-- CreateIndex
+CREATE INDEX "alert_deliveries_status_nextAttemptAt_idx" ON "alert_deliveries"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "alert_deliveries_createdAt_idx" ON "alert_deliveries"("createdAt" DESC);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "alert_deliveries_ruleId_channel_tweetId_key" ON "alert_deliveries"("ruleId", "channel", "tweetId");
+
+-- CreateIndex
+CREATE INDEX "notifications_userId_createdAt_idx" ON "notifications"("userId", "createdAt" DESC);
+
+-- CreateIndex
+CREATE INDEX "notifications_userId_readAt_idx" ON "notifications"("userId", "readAt");
+
+-- AddForeignKey
+ALTER TABLE "alert_rules" ADD CONSTRAINT "alert_rules_ownerUserId_fkey" FOREIGN KEY ("ownerUserId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alert_deliveries" ADD CONSTRAINT "alert_deliveries_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "alert_rules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "notifications" ADD CONSTRAINT "notifications_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "notifications" ADD CONSTRAINT "notifications_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "alert_rules"("id") ON DELETE SET NULL ON UPDATE CASCADE;
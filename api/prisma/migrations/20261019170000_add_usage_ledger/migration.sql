@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "organizations" ADD COLUMN     "monthlyBudgetUsd" DECIMAL(12,2);
+
+-- CreateTable
+CREATE TABLE "usage_records" (
+    "id" TEXT NOT NULL,
+    "userId" INTEGER,
+    "organizationId" INTEGER,
+    "documentId" TEXT,
+    "videoId" TEXT,
+    "task" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL DEFAULT 0,
+    "completionTokens" INTEGER NOT NULL DEFAULT 0,
+    "totalTokens" INTEGER NOT NULL DEFAULT 0,
+    "characters" INTEGER NOT NULL DEFAULT 0,
+    "images" INTEGER NOT NULL DEFAULT 0,
+    "latencyMs" INTEGER NOT NULL,
+    "costUsd" DECIMAL(12,6) NOT NULL DEFAULT 0,
+    "priced" BOOLEAN NOT NULL DEFAULT true,
+    "success" BOOLEAN NOT NULL DEFAULT true,
+    "errorCode" TEXT,
+    "requestId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "usage_records_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "usage_records_organizationId_createdAt_idx" ON "usage_records"("organizationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "usage_records_userId_createdAt_idx" ON "usage_records"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "usage_records_createdAt_idx" ON "usage_records"("createdAt");
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "AlertDeliveryStatus" ADD VALUE 'SENDING';
+
+-- AlterTable
+ALTER TABLE "alert_deliveries" ADD COLUMN     "claimedBy" TEXT,
+ADD COLUMN     "claimedUntil" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "alert_deliveries_status_claimedUntil_idx" ON "alert_deliveries"("status", "claimedUntil");
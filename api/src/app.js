@@ -24,6 +24,16 @@ app.use('/api/rss', require('./routes/rssFeedRoutes'));
 app.use('/api/jobs', require('./routes/jobsRoutes'));
 app.use('/api/documents', require('./routes/documentRoutes'));
 app.use('/api/videos', require('./routes/videoRoutes'));
+app.use('/api/stories', require('./routes/storyRoutes'));
+app.use('/api/geo', require('./routes/geoRoutes'));
+app.use('/api/duplicates', require('./routes/duplicateRoutes'));
+app.use('/api/entities', require('./routes/entityRoutes'));
+app.use('/api/trends', require('./routes/trendRoutes'));
+app.use('/api/alerts', require('./routes/alertRoutes'));
+app.use('/api/usage', require('./routes/usageRoutes'));
+app.use('/api/sources', require('./routes/sourceCredibilityRoutes'));
+app.use('/api/schedules', require('./routes/scheduleRoutes'));
+app.use('/api/pipelines', require('./routes/pipelineRoutes'));
 
 // Error handler (last)
 app.use(errorHandler);
@@ -0,0 +1,130 @@
+// src/controllers/alertController.js
+const alertRuleService = require('../services/alertRuleService');
+const alertService = require('../services/alertService');
+const { ALERT_FIELDS, OPERATORS } = require('../services/alertConditionService');
+const { ALERT_CHANNELS } = require('../services/alertChannels');
+const { parseBoolean } = require('../services/breakingNewsSearchService');
+
+// GET /api/alerts/fields - condition fields, operators and channels for rule editors
+function getFields(req, res) {
+  res.json({
+    fields: Object.entries(ALERT_FIELDS).map(([field, type]) => ({
+      field,
+      type,
+      operators: OPERATORS[type],
+    })),
+    channels: ALERT_CHANNELS,
+  });
+}
+
+// GET /api/alerts - the current user's rules
+async function listRules(req, res, next) {
+  try {
+    res.json(await alertRuleService.listRules(req.user.userId));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/alerts
+async function createRule(req, res, next) {
+  try {
+    const rule = await alertRuleService.createRule(req.user.userId, req.body);
+    res.status(201).json(rule);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/alerts/:id
+async function getRule(req, res, next) {
+  try {
+    res.json(await alertRuleService.getRule(req.params.id, req.user.userId));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/alerts/:id - fields left out are kept
+async function updateRule(req, res, next) {
+  try {
+    res.json(await alertRuleService.updateRule(req.params.id, req.user.userId, req.body));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/alerts/:id
+async function deleteRule(req, res, next) {
+  try {
+    await alertRuleService.deleteRule(req.params.id, req.user.userId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/alerts/:id/test - send a sample alert through the rule's channels
+async function testRule(req, res, next) {
+  try {
+    const rule = await alertRuleService.getRuleRecord(req.params.id, req.user.userId);
+    res.json({ results: await alertService.sendTest(rule) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/alerts/:id/deliveries?limit=
+async function listDeliveries(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.json(await alertRuleService.listDeliveries(req.params.id, req.user.userId, { limit }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/alerts/notifications?unread=&limit= - in-app inbox
+async function listNotifications(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const unreadOnly = parseBoolean(req.query.unread) === true;
+    res.json(await alertRuleService.listNotifications(req.user.userId, { unreadOnly, limit }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/alerts/notifications/:id/read
+async function markNotificationRead(req, res, next) {
+  try {
+    await alertRuleService.markNotificationRead(req.params.id, req.user.userId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/alerts/notifications/read-all
+async function markAllNotificationsRead(req, res, next) {
+  try {
+    const updated = await alertRuleService.markAllNotificationsRead(req.user.userId);
+    res.json({ updated });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getFields,
+  listRules,
+  createRule,
+  getRule,
+  updateRule,
+  deleteRule,
+  testRule,
+  listDeliveries,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
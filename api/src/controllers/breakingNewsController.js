@@ -1,12 +1,40 @@
 // src/controllers/breakingNewsController.js
 const breakingNewsRepo = require('../mongo/breakingNews');
+const {
+  buildSearchQuery,
+  parseDate,
+  parseBoolean,
+} = require('../services/breakingNewsSearchService');
+const streamService = require('../services/breakingNewsStreamService');
+const { diffEnrichments } = require('../services/enrichmentDiffService');
+const sourceCredibilityService = require('../services/sourceCredibilityService');
+const claimService = require('../services/claimService');
+
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_BACKFILL_MAX = 1000;
+const STREAM_BACKFILL_BATCH = 200;
+
+// GET /api/breaking-news?q=&source=&tag=&since=&until=&isActive=&lang=&limit=&cursor=&facets=&collapse=
 async function listBreakingNews(req, res, next) {
   try {
-    const limit = parseInt(req.query.limit, 10) || 50;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
     const offset = parseInt(req.query.offset, 10) || 0;
+    const cursor = req.query.cursor || null;
+    const facets = req.query.facets !== 'none' && req.query.facets !== 'false';
+    const collapse = parseBoolean(req.query.collapse) === true;
 
-    const items = await breakingNewsRepo.getAll({ limit, offset });
-    res.json(items);
+    const query = buildSearchQuery(req.query);
+    const result = await breakingNewsRepo.search({
+      query,
+      limit,
+      offset,
+      cursor,
+      facets,
+      collapse,
+    });
+    result.items = await sourceCredibilityService.attach(result.items, 'tweet');
+
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -21,7 +49,7 @@ async function getBreakingNewsById(req, res, next) {
       return res.status(404).json({ error: 'Breaking news not found' });
     }
 
-    res.json(item);
+    res.json(await sourceCredibilityService.attachOne(item, 'tweet'));
   } catch (err) {
     next(err);
   }
@@ -36,7 +64,87 @@ async function getBreakingNewsEnrichmentById(req, res, next) {
       return res.status(404).json({ error: 'Breaking news enrichment not found' });
     }
 
-    res.json(item);
+    res.json(await sourceCredibilityService.attachOne(item, 'tweet'));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/breaking-news/:id/enrichment/revisions - revision history, newest first
+async function listEnrichmentRevisions(req, res, next) {
+  try {
+    const items = await breakingNewsRepo.listEnrichmentRevisions(req.params.id);
+    if (!items.length) {
+      return res.status(404).json({ error: 'Breaking news enrichment revisions not found' });
+    }
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+}
+
+function parseRevision(value, label) {
+  if (value === undefined || value === '') return undefined;
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 1) {
+    const err = new Error(`${label} must be a positive revision number`);
+    err.status = 400;
+    throw err;
+  }
+  return n;
+}
+
+// GET /api/breaking-news/:id/enrichment/diff?from=&to= - field-level changes
+// between two revisions (default: the latest against the one before it)
+async function diffEnrichmentRevisions(req, res, next) {
+  try {
+    const { id } = req.params;
+    const toRevision = parseRevision(req.query.to, 'to');
+    let fromRevision = parseRevision(req.query.from, 'from');
+
+    const to = await breakingNewsRepo.getEnrichmentRevision(id, toRevision);
+    if (!to) return res.status(404).json({ error: 'Breaking news enrichment revision not found' });
+
+    if (fromRevision === undefined) fromRevision = to.revision - 1;
+    if (fromRevision < 1) {
+      return res
+        .status(400)
+        .json({ error: 'Enrichment has a single revision; nothing to compare' });
+    }
+    const from = await breakingNewsRepo.getEnrichmentRevision(id, fromRevision);
+    if (!from)
+      return res.status(404).json({ error: 'Breaking news enrichment revision not found' });
+
+    const meta = ({ revision, schema_version, prompt_hash, model_used, enriched_at }) => ({
+      revision,
+      schema_version,
+      prompt_hash,
+      model_used,
+      enriched_at,
+    });
+    res.json({
+      tweetId: id,
+      from: meta(from),
+      to: meta(to),
+      changes: diffEnrichments(from.data, to.data),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/breaking-news/:id/claims - extracted claims with the sources that
+// support or contradict each of them
+async function getBreakingNewsClaims(req, res, next) {
+  try {
+    const { id } = req.params;
+    const item = await breakingNewsRepo.getById(id);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Breaking news not found' });
+    }
+
+    res.json(await claimService.getItemClaims('breaking_news', id));
   } catch (err) {
     next(err);
   }
@@ -57,19 +165,38 @@ async function getBreakingNewsMediaById(req, res, next) {
   }
 }
 
+/**
+ * Filters shared by the live list and live stats endpoints.
+ * ?since=&until= (ISO), ?author=a,b, ?hasMedia=true|false
+ */
+function parseLiveFilters(req) {
+  return {
+    jobId: req.params.id,
+    since: req.query.since ? parseDate(req.query.since, 'since') : undefined,
+    until: req.query.until ? parseDate(req.query.until, 'until') : undefined,
+    authors: req.query.author
+      ? String(req.query.author)
+          .split(',')
+          .map((a) => a.trim().replace(/^@/, ''))
+          .filter(Boolean)
+      : [],
+    hasMedia: parseBoolean(req.query.hasMedia),
+  };
+}
+
+// GET /api/breaking-news/:id/live - live captures for job :id, one per tweet
+// (?collapse=true: one per duplicate group)
 async function listBreakingNewsLive(req, res, next) {
   try {
-    const { id } = req.params;
-    console.log('jobId:', id);
-    const limit = parseInt(req.query.limit, 10) || 50;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
     const offset = parseInt(req.query.offset, 10) || 0;
-    const since = req.query.since; // ISO string (optional)
+    const collapse = parseBoolean(req.query.collapse) === true;
 
     const items = await breakingNewsRepo.getLiveByJobId({
-      id,
+      ...parseLiveFilters(req),
       limit,
       offset,
-      since,
+      collapse,
     });
 
     res.json(items);
@@ -78,11 +205,181 @@ async function listBreakingNewsLive(req, res, next) {
   }
 }
 
+// GET /api/breaking-news/:id/live/stats - per-minute counts, top authors, media totals
+async function getBreakingNewsLiveStats(req, res, next) {
+  try {
+    const topAuthors = Math.min(parseInt(req.query.topAuthors, 10) || 10, 100);
+    const stats = await breakingNewsRepo.getLiveStatsByJobId({
+      ...parseLiveFilters(req),
+      topAuthors,
+    });
+
+    res.json({ jobId: req.params.id, ...stats });
+  } catch (err) {
+    next(err);
+  }
+}
+
+function toLowerList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Build a predicate for the stream filters (jobId, source, tag).
+ * jobId only matches live captures; tag only matches breaking news.
+ */
+function buildStreamMatcher({ jobId, sources, tags }) {
+  return (type, doc) => {
+    if (type === 'breaking_news_live') {
+      if (jobId && doc.jobId !== jobId) return false;
+      if (tags.length) return false;
+      if (sources.length && !sources.includes(String(doc.author || '').toLowerCase())) {
+        return false;
+      }
+      return true;
+    }
+
+    if (jobId) return false;
+    if (sources.length) {
+      const src = String(doc.source || doc.account || '').toLowerCase();
+      if (!sources.includes(src)) return false;
+    }
+    if (tags.length) {
+      const docTags = (doc.tags || []).map((t) => String(t).toLowerCase());
+      if (!tags.every((t) => docTags.includes(t))) return false;
+    }
+    return true;
+  };
+}
+
+// GET /api/breaking-news/stream?jobId=&source=&tag=&types=&since=
+// Server-Sent Events. Resumes from the Last-Event-ID header (or ?lastEventId=).
+// A backlog longer than STREAM_BACKFILL_MAX ends the replay with `event: reset`.
+async function streamBreakingNews(req, res, next) {
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  try {
+    const jobId = req.query.jobId ? String(req.query.jobId) : null;
+    const sources = toLowerList(req.query.source);
+    const tags = toLowerList(req.query.tag);
+
+    let types = toLowerList(req.query.types).filter((t) => streamService.types.includes(t));
+    if (!types.length) types = jobId ? ['breaking_news_live'] : [...streamService.types];
+
+    const since = req.query.since ? parseDate(req.query.since, 'since') : new Date();
+
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    const positions = {
+      ...streamService.positionsFrom(since),
+      ...(streamService.decodeEventId(lastEventId) || {}),
+    };
+
+    const matches = buildStreamMatcher({ jobId, sources, tags });
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const send = ({ type, doc, position }) => {
+      if (!types.includes(type)) return;
+      if (streamService.comparePositions(position, positions[type]) <= 0) return;
+
+      // Advance even when filtered out so a resume does not re-scan it
+      positions[type] = position;
+      if (!matches(type, doc)) return;
+
+      res.write(
+        `id: ${streamService.encodeEventId(positions)}\n` +
+          `event: ${type}\n` +
+          `data: ${JSON.stringify(doc)}\n\n`
+      );
+    };
+
+    // Subscribe first and queue live events while catching up, so nothing
+    // inserted during the backfill is missed.
+    let queue = [];
+    unsubscribe = streamService.subscribe((event) => {
+      if (queue) queue.push(event);
+      else send(event);
+    });
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+    };
+    req.on('close', cleanup);
+
+    const truncated = [];
+    for (const type of types) {
+      let sent = 0;
+      while (unsubscribe) {
+        const docs = await streamService.fetchAfter(type, positions[type], STREAM_BACKFILL_BATCH);
+        for (const doc of docs) {
+          send({ type, doc, position: streamService.keyOf(type, doc) });
+        }
+        sent += docs.length;
+        if (docs.length < STREAM_BACKFILL_BATCH) break;
+        if (sent >= STREAM_BACKFILL_MAX) {
+          truncated.push(type);
+          break;
+        }
+      }
+    }
+
+    const pending = queue;
+    queue = null;
+    // The client left during the backfill and cleanup has already run
+    if (!unsubscribe) return;
+
+    // Too far behind to replay: jump to now and tell the client to reload
+    // instead of leaving a silent gap.
+    if (truncated.length) {
+      const now = streamService.positionsFrom(new Date());
+      for (const type of truncated) {
+        if (streamService.comparePositions(now[type], positions[type]) > 0) {
+          positions[type] = now[type];
+        }
+      }
+      res.write(
+        `id: ${streamService.encodeEventId(positions)}\n` +
+          'event: reset\n' +
+          `data: ${JSON.stringify({ types: truncated })}\n\n`
+      );
+    }
+    pending.forEach(send);
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  } catch (err) {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    if (res.headersSent) {
+      console.error('Breaking news stream error:', err);
+      return res.end();
+    }
+    next(err);
+  }
+}
 
 module.exports = {
   listBreakingNews,
+  streamBreakingNews,
   getBreakingNewsById,
   getBreakingNewsEnrichmentById,
+  listEnrichmentRevisions,
+  diffEnrichmentRevisions,
+  getBreakingNewsClaims,
   getBreakingNewsMediaById,
-  listBreakingNewsLive
+  listBreakingNewsLive,
+  getBreakingNewsLiveStats,
 };
@@ -0,0 +1,59 @@
+// src/controllers/duplicateController.js
+const dedupRepo = require('../mongo/dedup');
+const dedupService = require('../services/dedupService');
+const { DEDUP_KINDS } = require('../models/DuplicateGroup');
+const { parseDate } = require('../services/breakingNewsSearchService');
+
+// GET /api/duplicates?since=&kind=&minMembers=&limit=&offset=
+async function listGroups(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const minMembers = Math.max(parseInt(req.query.minMembers, 10) || 2, 2);
+    const since = req.query.since ? parseDate(req.query.since, 'since') : null;
+
+    const kind = req.query.kind ? String(req.query.kind) : null;
+    if (kind && !DEDUP_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${DEDUP_KINDS.join(', ')}` });
+    }
+
+    const items = await dedupRepo.listGroups({ limit, offset, since, kind, minMembers });
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/duplicates/:id - group with its members, primary first
+async function getGroupById(req, res, next) {
+  try {
+    const { id } = req.params;
+    const group = await dedupRepo.getGroupById(id);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Duplicate group not found' });
+    }
+
+    const members = await dedupRepo.getGroupMembers(group._id);
+    res.json({ ...group, members });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/duplicates/run  body: { limit? } - fingerprint pending tweets and live captures now
+async function runDedup(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.body?.limit, 10) || 200, 2000);
+    const result = await dedupService.processPending({ limit });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listGroups,
+  getGroupById,
+  runDedup,
+};
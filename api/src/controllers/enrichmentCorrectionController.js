@@ -0,0 +1,71 @@
+// src/controllers/enrichmentCorrectionController.js
+const { once } = require('events');
+const correctionService = require('../services/enrichmentCorrectionService');
+const { parseDate } = require('../services/breakingNewsSearchService');
+
+// PATCH /api/breaking-news/:id/enrichment  body: { category?, event_type?, entities?, confidence?, ..., note? }
+async function correctEnrichment(req, res, next) {
+  try {
+    const enrichment = await correctionService.correct(req.params.id, req.body, req.user);
+    res.json(enrichment);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/breaking-news/:id/enrichment/corrections/:field - restore the model's value
+async function revertCorrection(req, res, next) {
+  try {
+    const enrichment = await correctionService.revert(
+      req.params.id,
+      req.params.field,
+      req.user,
+      req.body?.note
+    );
+    res.json(enrichment);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/breaking-news/:id/enrichment/corrections - audit trail, newest first
+async function listCorrections(req, res, next) {
+  try {
+    const items = await correctionService.listCorrections(req.params.id);
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/breaking-news/corrections/export?since=&field= - labeled dataset as JSONL
+async function exportCorrections(req, res, next) {
+  try {
+    const since = req.query.since ? parseDate(req.query.since, 'since') : null;
+    const field = req.query.field ? String(req.query.field) : null;
+    const rows = correctionService.datasetRows({ since, field });
+
+    // Pull the first row before sending headers so argument errors are still JSON
+    let row = await rows.next();
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="enrichment-corrections-${stamp}.jsonl"`
+    );
+    while (!row.done) {
+      if (!res.write(`${JSON.stringify(row.value)}\n`)) await once(res, 'drain');
+      row = await rows.next();
+    }
+    res.end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  correctEnrichment,
+  revertCorrection,
+  listCorrections,
+  exportCorrections,
+};
@@ -0,0 +1,65 @@
+// src/controllers/enrichmentDeadLetterController.js
+const deadLetterRepo = require('../mongo/enrichmentDeadLetter');
+const { DEAD_LETTER_REASONS, DEAD_LETTER_STATUSES } = require('../models/EnrichmentDeadLetter');
+
+// GET /api/breaking-news/dead-letters?status=&reason=&limit=&offset=
+async function listDeadLetters(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const status = req.query.status ? String(req.query.status) : 'open';
+    if (status !== 'all' && !DEAD_LETTER_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: all, ${DEAD_LETTER_STATUSES.join(', ')}` });
+    }
+    const reason = req.query.reason ? String(req.query.reason) : null;
+    if (reason && !DEAD_LETTER_REASONS.includes(reason)) {
+      return res
+        .status(400)
+        .json({ error: `reason must be one of: ${DEAD_LETTER_REASONS.join(', ')}` });
+    }
+
+    const { items, total } = await deadLetterRepo.list({
+      limit,
+      offset,
+      status: status === 'all' ? null : status,
+      reason,
+    });
+    res.json({ items, total, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function getDeadLetterById(req, res, next) {
+  try {
+    const item = await deadLetterRepo.getById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Enrichment dead letter not found' });
+    }
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/breaking-news/dead-letters/:id/dismiss - drop from the open queue
+async function dismissDeadLetter(req, res, next) {
+  try {
+    const item = await deadLetterRepo.dismiss(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Enrichment dead letter not found' });
+    }
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listDeadLetters,
+  getDeadLetterById,
+  dismissDeadLetter,
+};
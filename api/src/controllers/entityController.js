@@ -0,0 +1,133 @@
+// src/controllers/entityController.js
+const entityRepo = require('../mongo/entity');
+const entityIndexService = require('../services/entityIndexService');
+const { foldName, normalizeEntity } = require('../services/entityNameService');
+const { ENTITY_TYPES } = require('../models/Entity');
+const { parseDate } = require('../services/breakingNewsSearchService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function parseType(req, res) {
+  const type = req.query.type ? String(req.query.type).toLowerCase() : null;
+  if (type && !ENTITY_TYPES.includes(type)) {
+    res.status(400).json({ error: `type must be one of: ${ENTITY_TYPES.join(', ')}` });
+    return undefined;
+  }
+  return type;
+}
+
+/**
+ * Contiguous buckets from `since` to now, zero-filled, for a sparkline.
+ */
+function fillSeries(rows, { since, unit }) {
+  const step = unit === 'hour' ? HOUR_MS : DAY_MS;
+  const counts = new Map(rows.map((r) => [new Date(r.at).getTime(), r.count]));
+
+  const start = new Date(since);
+  if (unit === 'hour') start.setUTCMinutes(0, 0, 0);
+  else start.setUTCHours(0, 0, 0, 0);
+
+  const points = [];
+  for (let t = start.getTime(); t <= Date.now(); t += step) {
+    points.push({ at: new Date(t), count: counts.get(t) || 0 });
+  }
+  return points;
+}
+
+// GET /api/entities?type=&q=&since=&limit=&offset=
+async function listEntities(req, res, next) {
+  try {
+    const type = parseType(req, res);
+    if (type === undefined) return;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const since = req.query.since ? parseDate(req.query.since, 'since') : null;
+    // Fold ?q= with each type's rules so "F-16" finds "f16" and "Putin" finds
+    // "Vladimir Putin" through the alias table
+    const prefixes = new Set();
+    const keys = new Set();
+    if (req.query.q) {
+      for (const t of type ? [type] : ENTITY_TYPES) {
+        const folded = foldName(t, String(req.query.q));
+        if (folded) prefixes.add(folded);
+        const e = normalizeEntity(t, String(req.query.q));
+        if (e) keys.add(e.key);
+      }
+      if (!prefixes.size) return res.json([]);
+    }
+
+    const items = await entityRepo.list({
+      type,
+      prefixes: [...prefixes],
+      keys: [...keys],
+      since,
+      limit,
+      offset,
+    });
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/entities/:id?days=&tweets=&related=
+// :id is an entity _id or a name ("wagner", "F-16"); ?type= narrows a name lookup
+async function getEntityById(req, res, next) {
+  try {
+    const type = parseType(req, res);
+    if (type === undefined) return;
+
+    const { id } = req.params;
+    let entity = await entityRepo.getById(id);
+    if (!entity) {
+      const keys = (type ? [type] : ENTITY_TYPES)
+        .map((t) => normalizeEntity(t, id))
+        .filter(Boolean)
+        .flatMap((e) => [e.key, e.aliasKey]);
+      if (keys.length) entity = await entityRepo.findByAliasKeys([...new Set(keys)], type);
+    }
+
+    if (!entity) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const tweetLimit = Math.min(parseInt(req.query.tweets, 10) || 20, 100);
+    const relatedLimit = Math.min(parseInt(req.query.related, 10) || 10, 50);
+    const unit = days <= 2 ? 'hour' : 'day';
+    const since = new Date(Date.now() - days * DAY_MS);
+
+    const [tweets, series, related] = await Promise.all([
+      entityRepo.getRecentMentions(entity._id, { limit: tweetLimit }),
+      entityRepo.getMentionSeries(entity._id, { since, unit }),
+      entityRepo.getRelated(entity._id, { limit: relatedLimit }),
+    ]);
+
+    res.json({
+      ...entity,
+      tweets,
+      sparkline: { unit, since, points: fillSeries(series, { since, unit }) },
+      related,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/entities/reindex - index new and edited enrichments now
+async function reindexEntities(req, res, next) {
+  try {
+    const result = await entityIndexService.syncPending();
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listEntities,
+  getEntityById,
+  reindexEntities,
+};
@@ -0,0 +1,214 @@
+// src/controllers/geoController.js
+const locationRepo = require('../mongo/breakingNewsLocation');
+const geocoderService = require('../services/geocoderService');
+const { parseDate } = require('../services/breakingNewsSearchService');
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 5000;
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 20000;
+
+// Polygons on a 2dsphere index have geodesic edges and must be smaller than a
+// hemisphere, so a bbox is sent as strips at most this wide, with the
+// constant-latitude edges densified every EDGE_STEP_DEG.
+const MAX_STRIP_DEG = 90;
+const EDGE_STEP_DEG = 5;
+const MAX_LAT = 89.999;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseNumber(value, label, { min = -Infinity, max = Infinity } = {}) {
+  const n = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(n) || n < min || n > max) {
+    throw badRequest(`Invalid ${label}: ${value}`);
+  }
+  return n;
+}
+
+/**
+ * Filters shared by every geo endpoint:
+ *   hours=24 | since=&until=   time range on tweet_datetime
+ *   category=a,b               one or more categories
+ *   minConfidence=0.5
+ *   limit=1000
+ */
+function parseGeoFilters(req) {
+  const { hours, since, until, category, minConfidence, limit } = req.query;
+  const filters = {
+    limit: Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT),
+  };
+
+  if (hours !== undefined) {
+    const h = parseNumber(hours, 'hours', { min: 0 });
+    filters.since = new Date(Date.now() - h * 60 * 60 * 1000);
+  }
+  if (since) filters.since = parseDate(since, 'since');
+  if (until) filters.until = parseDate(until, 'until');
+
+  if (category) {
+    filters.categories = String(category)
+      .split(',')
+      .map((c) => c.trim())
+      .filter(Boolean);
+  }
+  if (minConfidence !== undefined) {
+    filters.minConfidence = parseNumber(minConfidence, 'minConfidence', { min: 0, max: 1 });
+  }
+
+  return filters;
+}
+
+function stripPolygon(west, south, east, north) {
+  const ring = [];
+  const steps = Math.max(1, Math.ceil((east - west) / EDGE_STEP_DEG));
+  for (let i = 0; i <= steps; i++) ring.push([west + ((east - west) * i) / steps, south]);
+  for (let i = 0; i <= steps; i++) ring.push([east - ((east - west) * i) / steps, north]);
+  ring.push([west, south]);
+  return [ring];
+}
+
+/**
+ * GeoJSON MultiPolygon for "minLon,minLat,maxLon,maxLat". A box whose minLon
+ * is greater than maxLon crosses the antimeridian. Returns null for the whole
+ * world so the query can skip the geo filter.
+ */
+function bboxToGeometry(bbox) {
+  const parts = String(bbox || '').split(',');
+  if (parts.length !== 4) {
+    throw badRequest('bbox must be minLon,minLat,maxLon,maxLat');
+  }
+  const [minLon, minLat, maxLon, maxLat] = [
+    parseNumber(parts[0], 'bbox minLon', { min: -180, max: 180 }),
+    parseNumber(parts[1], 'bbox minLat', { min: -90, max: 90 }),
+    parseNumber(parts[2], 'bbox maxLon', { min: -180, max: 180 }),
+    parseNumber(parts[3], 'bbox maxLat', { min: -90, max: 90 }),
+  ];
+  if (minLat >= maxLat) throw badRequest('bbox minLat must be less than maxLat');
+  if (minLon === maxLon) throw badRequest('bbox minLon must differ from maxLon');
+
+  if (minLon === -180 && maxLon === 180 && minLat === -90 && maxLat === 90) return null;
+
+  const south = Math.max(minLat, -MAX_LAT);
+  const north = Math.min(maxLat, MAX_LAT);
+  const ranges =
+    minLon < maxLon
+      ? [[minLon, maxLon]]
+      : [
+          [minLon, 180],
+          [-180, maxLon],
+        ];
+
+  const polygons = [];
+  for (const [from, to] of ranges) {
+    for (let west = from; west < to; west += MAX_STRIP_DEG) {
+      polygons.push(stripPolygon(west, south, Math.min(west + MAX_STRIP_DEG, to), north));
+    }
+  }
+  return { type: 'MultiPolygon', coordinates: polygons };
+}
+
+function toFeature(loc) {
+  const properties = {
+    tweetId: loc.tweetId,
+    enrichmentId: String(loc.enrichment),
+    account: loc.account || null,
+    place: loc.place || null,
+    country: loc.country || null,
+    country_code: loc.country_code || null,
+    precision: loc.precision || null,
+    geo_source: loc.geo_source || null,
+    category: loc.category,
+    event_type: loc.event_type,
+    time_window: loc.time_window,
+    confidence: loc.confidence,
+    tweet_datetime: loc.tweet_datetime || null,
+  };
+  if (loc.distance !== undefined) properties.distanceKm = Math.round(loc.distance) / 1000;
+
+  return { type: 'Feature', id: String(loc._id), geometry: loc.geometry, properties };
+}
+
+function toFeatureCollection(items) {
+  return { type: 'FeatureCollection', features: items.map(toFeature) };
+}
+
+// GET /api/geo/bbox?bbox=minLon,minLat,maxLon,maxLat&hours=&category=&minConfidence=&limit=
+async function getByBoundingBox(req, res, next) {
+  try {
+    const geometry = bboxToGeometry(req.query.bbox);
+    const items = await locationRepo.findWithin({ geometry, ...parseGeoFilters(req) });
+    res.json(toFeatureCollection(items));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/geo/near?lat=&lon=&radiusKm=50&hours=&category=&minConfidence=&limit=
+async function getNearPoint(req, res, next) {
+  try {
+    const lat = parseNumber(req.query.lat, 'lat', { min: -90, max: 90 });
+    const lon = parseNumber(req.query.lon, 'lon', { min: -180, max: 180 });
+    const radiusKm =
+      req.query.radiusKm === undefined
+        ? DEFAULT_RADIUS_KM
+        : parseNumber(req.query.radiusKm, 'radiusKm', { min: 0, max: MAX_RADIUS_KM });
+
+    const items = await locationRepo.findNear({
+      lat,
+      lon,
+      radiusM: radiusKm * 1000,
+      ...parseGeoFilters(req),
+    });
+    res.json(toFeatureCollection(items));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/geo/countries/:country?hours=&category=&minConfidence=&limit=
+async function getByCountry(req, res, next) {
+  try {
+    const country = String(req.params.country || '').trim();
+    if (!country) return res.status(400).json({ error: 'country is required' });
+
+    // Matches the name as written or, when it resolves, its ISO code
+    const countryCode = geocoderService.countryCode(country);
+    const items = await locationRepo.findWithin({
+      country,
+      countryCode,
+      ...parseGeoFilters(req),
+    });
+    res.json(toFeatureCollection(items));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/geo/geocode?place=&country=  - try the offline gazetteer
+async function geocode(req, res, next) {
+  try {
+    const place = String(req.query.place || '').trim();
+    const country = String(req.query.country || '').trim();
+    if (!place && !country) {
+      return res.status(400).json({ error: 'place or country is required' });
+    }
+
+    const match = geocoderService.geocode({ place, country });
+    if (!match) return res.status(404).json({ error: 'No match in gazetteer' });
+
+    res.json(match);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getByBoundingBox,
+  getNearPoint,
+  getByCountry,
+  geocode,
+};
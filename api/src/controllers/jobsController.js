@@ -1,34 +1,66 @@
 const jobsRepo = require('./../mongo/jobEntry');
-const { runTwitterLiveScraperJob } = require('../services/jobRunner');
+const breakingNewsRepo = require('../mongo/breakingNews');
+const jobQueue = require('../services/jobQueueService');
+const jobTypeRegistry = require('../services/jobTypeRegistry');
+const { loadEscalationPolicy } = require('../services/escalationPolicyService');
+const { parseDate } = require('../services/breakingNewsSearchService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 async function createTwitterLiveJob(req, res, next) {
   try {
     const tweetId = String(req.body?.tweetId || '').trim();
     if (!tweetId) return res.status(400).json({ error: 'tweetId is required' });
 
-    const job = await jobsRepo.createJob({
-      type: 'twitterlivescraper',
-      payload: { tweetId },
-    });
+    // Runs on the queue's worker (jobQueueService), not in this request
+    const job = await jobQueue.enqueue('twitterlivescraper', { tweetId });
 
-    // Fire-and-forget (runs in same API process)
-    // IMPORTANT: ensure we pass a STRING jobId down to the runner so it can forward it to the script argv/env
-    runTwitterLiveScraperJob({ jobId: String(job._id), tweetId }).catch(async (err) => {
-      await jobsRepo.appendLog(job._id, 'system', `Runner error: ${err.message}`);
-      await jobsRepo.markFinished({
-        id: job._id,
-        status: 'failed',
-        exitCode: null,
-        error: { message: err.message, stack: err.stack },
-      });
-    });
+    return res.status(202).json({ jobId: String(job._id) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// 403 body when the job type takes a role the user does not have
+function roleError(type, user) {
+  const definition = jobTypeRegistry.getJobType(type);
+  if (!definition?.requiredRole || user.role === definition.requiredRole) return null;
+  return {
+    error: 'Insufficient permissions',
+    required: [definition.requiredRole],
+    current: user.role,
+  };
+}
+
+// POST /api/jobs  body: { type, payload } - any registered job type; the
+// payload is checked against the type's schema (400 lists every violation)
+async function createJob(req, res, next) {
+  try {
+    const { type, payload = {} } = req.body || {};
+    if (!type || typeof type !== 'string') {
+      return res.status(400).json({ error: 'type is required' });
+    }
 
+    const forbidden = roleError(type, req.user);
+    if (forbidden) return res.status(403).json(forbidden);
+
+    const job = await jobQueue.enqueue(type, payload, { requestedBy: req.user.userId });
     return res.status(202).json({ jobId: String(job._id) });
   } catch (err) {
     next(err);
   }
 }
 
+// GET /api/jobs/types - registered job types with their payload schemas and
+// the queue limits in effect
+async function listJobTypes(req, res, next) {
+  try {
+    res.json(jobTypeRegistry.describeJobTypes(jobQueue.getTypes()));
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function getJobById(req, res, next) {
   try {
     const { id } = req.params;
@@ -43,6 +75,32 @@ async function getJobById(req, res, next) {
   }
 }
 
+// POST /api/jobs/:id/cancel - queued jobs are cancelled at once, running ones
+// once their process group has been stopped
+async function cancelJob(req, res, next) {
+  try {
+    const job = await jobQueue.cancel(req.params.id);
+    res.status(job.status === 'cancelled' ? 200 : 202).json({ ...job, id: String(job._id) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/jobs/:id/rerun - new job with the same type and payload, for
+// the roles that may create it
+async function rerunJob(req, res, next) {
+  try {
+    const original = await jobsRepo.getById(req.params.id);
+    const forbidden = original && roleError(original.type, req.user);
+    if (forbidden) return res.status(403).json(forbidden);
+
+    const job = await jobQueue.rerun(req.params.id, { requestedBy: req.user.userId });
+    res.status(202).json({ jobId: String(job._id) });
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function listJobs(req, res, next) {
   try {
     const limit = parseInt(req.query.limit, 10) || 50;
@@ -55,8 +113,57 @@ async function listJobs(req, res, next) {
   }
 }
 
+// GET /api/jobs/queue - concurrency limits and queued/running jobs per type
+async function getQueueStats(req, res, next) {
+  try {
+    res.json(await jobQueue.stats());
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/jobs/enrichment/escalations?since=&until= - escalation decisions of
+// the enrichment job (default: last 24 hours), by rule, category and hour
+async function getEscalationStats(req, res, next) {
+  try {
+    const until = req.query.until ? parseDate(req.query.until, 'until') : new Date();
+    const since = req.query.since
+      ? parseDate(req.query.since, 'since')
+      : new Date(until.getTime() - DAY_MS);
+
+    const stats = await breakingNewsRepo.getEscalationStats({ since, until });
+    // Policy as configured for this process; decisions carry the hash of the one applied
+    const policy = loadEscalationPolicy();
+    const { decisions, escalated } = stats.totals;
+
+    res.json({
+      since,
+      until,
+      policy,
+      totals: { decisions, escalated, rate: decisions ? escalated / decisions : null },
+      budget: {
+        maxPerHour: policy.maxPerHour,
+        usedLastHour: stats.lastHour,
+        remaining:
+          policy.maxPerHour === null ? null : Math.max(0, policy.maxPerHour - stats.lastHour),
+      },
+      byRule: stats.byRule,
+      byCategory: stats.byCategory,
+      perHour: stats.perHour,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
 module.exports = {
   createTwitterLiveJob,
+  createJob,
+  listJobTypes,
   getJobById,
+  cancelJob,
+  rerunJob,
   listJobs,
+  getQueueStats,
+  getEscalationStats,
 };
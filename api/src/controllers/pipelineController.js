@@ -0,0 +1,67 @@
+// src/controllers/pipelineController.js
+const pipelineService = require('../services/pipelineService');
+
+// GET /api/pipelines - pipeline definitions with their steps
+async function listPipelines(req, res, next) {
+  try {
+    res.json(pipelineService.list());
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/pipelines/runs?pipeline=&status=&limit=&offset=
+async function listRuns(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    res.json(
+      await pipelineService.listRuns({
+        pipeline: req.query.pipeline || undefined,
+        status: req.query.status || undefined,
+        limit,
+        offset,
+      })
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/pipelines/runs/:id - per-step status, timings, output and logs
+async function getRun(req, res, next) {
+  try {
+    res.json(await pipelineService.getRun(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/pipelines/:name/runs
+async function startRun(req, res, next) {
+  try {
+    const run = await pipelineService.startRun(req.params.name, {
+      requestedBy: req.user.userId,
+    });
+    res.status(202).json({ runId: String(run._id) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/pipelines/runs/:id/cancel
+async function cancelRun(req, res, next) {
+  try {
+    res.status(202).json(await pipelineService.cancelRun(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listPipelines,
+  listRuns,
+  getRun,
+  startRun,
+  cancelRun,
+};
@@ -1,5 +1,9 @@
 // src/controllers/rssFeedController.js
 const googleNewsService = require('../services/googleNewsService');
+const dedupService = require('../services/dedupService');
+const sourceCredibilityService = require('../services/sourceCredibilityService');
+const claimService = require('../services/claimService');
+const { parseBoolean } = require('../services/breakingNewsSearchService');
 
 async function getGoogleNewsFeed(req, res, next) {
   try {
@@ -10,13 +14,29 @@ async function getGoogleNewsFeed(req, res, next) {
 
     // NEW: enrichment level
     const enrich = (req.query.enrich || 'light').toLowerCase(); // none|light|full
+    const collapse = parseBoolean(req.query.collapse) === true;
 
-    const { feed, items } = await googleNewsService.fetchNews({
+    const fetched = await googleNewsService.fetchNews({
       region: country,
       category,
       topic,
       enrich,
     });
+    const { feed } = fetched;
+
+    // Fingerprint items for cross-source dedup; only wait for it when collapsing
+    let items = fetched.items;
+    if (collapse) {
+      items = await dedupService.collapseRssItems(items);
+    } else {
+      dedupService
+        .recordRssItems(items)
+        .catch((err) => console.error('RSS dedup failed:', err.message));
+    }
+    // Claims are extracted later by claimService's background loop
+    claimService
+      .recordRssItems(items)
+      .catch((err) => console.error('RSS claim queueing failed:', err.message));
 
     let limit = items.length;
     if (limitParam !== undefined) {
@@ -30,7 +50,7 @@ async function getGoogleNewsFeed(req, res, next) {
       feed,
       total: items.length,
       count: limit,
-      items: items.slice(0, limit),
+      items: await sourceCredibilityService.attach(items.slice(0, limit), 'rss'),
     });
   } catch (err) {
     next(err);
@@ -57,7 +77,7 @@ async function getRssFeedItemById(req, res, next) {
       return res.status(404).json({ error: 'RSS feed item not found' });
     }
 
-    res.json(item);
+    res.json(await sourceCredibilityService.attachOne(item, 'rss'));
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,57 @@
+// src/controllers/scheduleController.js
+const schedulerService = require('../services/schedulerService');
+const { parseBoolean } = require('../services/breakingNewsSearchService');
+
+// GET /api/schedules?enabled=
+async function listSchedules(req, res, next) {
+  try {
+    res.json(await schedulerService.list({ enabled: parseBoolean(req.query.enabled) }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/schedules/:id - with its next fire times (upcoming)
+async function getSchedule(req, res, next) {
+  try {
+    res.json(await schedulerService.get(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/schedules - { name, cron, jobType, payload?, enabled?, overlap?, misfire?, jitterMs?, description? }
+async function createSchedule(req, res, next) {
+  try {
+    res.status(201).json(await schedulerService.create(req.body, req.user));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /api/schedules/:id - fields left out are kept
+async function updateSchedule(req, res, next) {
+  try {
+    res.json(await schedulerService.update(req.params.id, req.body, req.user));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/schedules/:id
+async function deleteSchedule(req, res, next) {
+  try {
+    await schedulerService.delete(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+};
@@ -0,0 +1,114 @@
+// src/controllers/sourceCredibilityController.js
+const sourceCredibilityService = require('../services/sourceCredibilityService');
+const { SOURCE_KINDS, SOURCE_TIERS } = require('../models/SourceCredibility');
+const { parseBoolean } = require('../services/breakingNewsSearchService');
+
+// GET /api/sources?kind=&tier=&verified=&q=&limit=&offset=
+async function listSources(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const kind = req.query.kind ? String(req.query.kind) : null;
+    if (kind && !SOURCE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${SOURCE_KINDS.join(', ')}` });
+    }
+    const tier = req.query.tier ? String(req.query.tier) : null;
+    if (tier && !SOURCE_TIERS.includes(tier)) {
+      return res.status(400).json({ error: `tier must be one of: ${SOURCE_TIERS.join(', ')}` });
+    }
+
+    const { items, total } = await sourceCredibilityService.list({
+      limit,
+      offset,
+      kind,
+      tier,
+      verified: parseBoolean(req.query.verified),
+      q: req.query.q ? String(req.query.q).trim() : null,
+    });
+    res.json({ items, total, limit, offset });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/sources/tiers - tiers and their default priors, best first
+function getTiers(req, res) {
+  res.json(
+    SOURCE_TIERS.map((tier) => ({ tier, prior: sourceCredibilityService.TIER_PRIORS[tier] }))
+  );
+}
+
+// GET /api/sources/lookup?account=|domain=|url=
+async function lookupSource(req, res, next) {
+  try {
+    const entry = await sourceCredibilityService.lookup({
+      account: req.query.account ? String(req.query.account) : null,
+      domain: req.query.domain ? String(req.query.domain) : null,
+      url: req.query.url ? String(req.query.url) : null,
+    });
+    if (!entry) return res.status(404).json({ error: 'Source not found' });
+    res.json(entry);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/sources/:id - with the correction history
+async function getSource(req, res, next) {
+  try {
+    res.json(await sourceCredibilityService.get(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/sources
+async function createSource(req, res, next) {
+  try {
+    const entry = await sourceCredibilityService.create(req.body, req.user);
+    res.status(201).json(entry);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PATCH /api/sources/:id - fields left out are kept
+async function updateSource(req, res, next) {
+  try {
+    res.json(await sourceCredibilityService.update(req.params.id, req.body, req.user));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// DELETE /api/sources/:id
+async function deleteSource(req, res, next) {
+  try {
+    await sourceCredibilityService.delete(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/sources/:id/corrections - { date?, description, url? }
+async function addSourceCorrection(req, res, next) {
+  try {
+    const entry = await sourceCredibilityService.addCorrection(req.params.id, req.body, req.user);
+    res.status(201).json(entry);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listSources,
+  getTiers,
+  lookupSource,
+  getSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  addSourceCorrection,
+};
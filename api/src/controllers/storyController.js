@@ -0,0 +1,59 @@
+// src/controllers/storyController.js
+const storyRepo = require('../mongo/story');
+const storyClusteringService = require('../services/storyClusteringService');
+const { parseDate } = require('../services/breakingNewsSearchService');
+
+const STORY_STATUSES = ['developing', 'stale'];
+
+// GET /api/stories?since=&category=&status=&minMembers=&limit=&offset=
+async function listStories(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const minMembers = parseInt(req.query.minMembers, 10) || 1;
+    const since = req.query.since ? parseDate(req.query.since, 'since') : null;
+    const category = req.query.category ? String(req.query.category).toLowerCase() : null;
+
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !STORY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STORY_STATUSES.join(', ')}` });
+    }
+
+    const items = await storyRepo.list({ limit, offset, since, category, status, minMembers });
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function getStoryById(req, res, next) {
+  try {
+    const { id } = req.params;
+    const story = await storyRepo.getById(id);
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    res.json(story);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/stories/cluster  body: { limit? } - run a clustering pass now
+async function clusterStories(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.body?.limit, 10) || 200, 2000);
+    const result = await storyClusteringService.clusterPending({ limit });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listStories,
+  getStoryById,
+  clusterStories,
+};
@@ -0,0 +1,81 @@
+// src/controllers/trendController.js
+const trendRepo = require('../mongo/trend');
+const trendDetectionService = require('../services/trendDetectionService');
+const { TREND_KINDS } = require('../models/TrendBucket');
+const { parseDate, parseBoolean } = require('../services/breakingNewsSearchService');
+
+const SPIKE_STATUSES = ['active', 'ended'];
+
+function parseKind(req, res) {
+  const kind = req.query.kind ? String(req.query.kind).toLowerCase() : null;
+  if (kind && !TREND_KINDS.includes(kind)) {
+    res.status(400).json({ error: `kind must be one of: ${TREND_KINDS.join(', ')}` });
+    return undefined;
+  }
+  return kind;
+}
+
+// GET /api/trends?window=1h&kind=&spikes=&limit= - terms ranked against their baseline
+async function getTrends(req, res, next) {
+  try {
+    const kind = parseKind(req, res);
+    if (kind === undefined) return;
+
+    const window = req.query.window ? String(req.query.window) : '1h';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const spikesOnly = parseBoolean(req.query.spikes) === true;
+
+    const result = await trendDetectionService.getTrends({ window, kind, spikesOnly, limit });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/trends/spikes?window=&kind=&status=active&since=&limit= - persisted spikes
+async function listSpikes(req, res, next) {
+  try {
+    const kind = parseKind(req, res);
+    if (kind === undefined) return;
+
+    const status = req.query.status ? String(req.query.status) : 'active';
+    if (status !== 'all' && !SPIKE_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${[...SPIKE_STATUSES, 'all'].join(', ')}` });
+    }
+
+    const window = req.query.window ? String(req.query.window) : null;
+    if (window) trendDetectionService.parseWindow(window);
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    const since = req.query.since ? parseDate(req.query.since, 'since') : null;
+
+    const items = await trendRepo.listSpikes({
+      window,
+      kind,
+      status: status === 'all' ? null : status,
+      since,
+      limit,
+    });
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// POST /api/trends/run - count pending mentions and detect spikes now
+async function runTrends(req, res, next) {
+  try {
+    const result = await trendDetectionService.runOnce();
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getTrends,
+  listSpikes,
+  runTrends,
+};
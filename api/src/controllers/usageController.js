@@ -0,0 +1,72 @@
+// src/controllers/usageController.js
+const usageService = require('../services/usageService');
+const { parseDate } = require('../services/breakingNewsSearchService');
+
+function parseId(value, label) {
+  if (value === undefined || value === '') return undefined;
+  const id = parseInt(value, 10);
+  if (!Number.isInteger(id)) {
+    const err = new Error(`${label} must be an integer`);
+    err.status = 400;
+    throw err;
+  }
+  return id;
+}
+
+// GET /api/usage?groupBy=day|user|org|task|model&from=&to=&userId=&organizationId=&task=
+// Editors see the whole ledger; everyone else only their own calls.
+async function getReport(req, res, next) {
+  try {
+    const now = new Date();
+    const from = req.query.from
+      ? parseDate(req.query.from, 'from')
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to ? parseDate(req.query.to, 'to') : now;
+    if (from >= to) return res.status(400).json({ error: 'from must be before to' });
+
+    const isEditor = req.user.role === 'EDITOR';
+    const report = await usageService.report({
+      groupBy: req.query.groupBy ? String(req.query.groupBy) : 'day',
+      from,
+      to,
+      userId: isEditor ? parseId(req.query.userId, 'userId') : req.user.userId,
+      organizationId: isEditor ? parseId(req.query.organizationId, 'organizationId') : undefined,
+      task: req.query.task ? String(req.query.task) : undefined,
+    });
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/usage/budgets - every organization for editors, otherwise the user's own
+async function listBudgets(req, res, next) {
+  try {
+    if (req.user.role === 'EDITOR') return res.json(await usageService.listBudgets());
+    if (!req.user.organizationId) return res.json([]);
+    res.json(await usageService.listBudgets([req.user.organizationId]));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// PUT /api/usage/budgets/:organizationId { monthlyBudgetUsd: number | null }
+async function setBudget(req, res, next) {
+  try {
+    const organizationId = parseId(req.params.organizationId, 'organizationId');
+    if (!req.body || !('monthlyBudgetUsd' in req.body)) {
+      return res.status(400).json({ error: 'monthlyBudgetUsd is required (null removes the cap)' });
+    }
+
+    const budget = await usageService.setBudget(organizationId, req.body.monthlyBudgetUsd);
+    res.json(budget);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getReport,
+  listBudgets,
+  setBudget,
+};
@@ -5,7 +5,19 @@ const authService = require('../services/authService');
  * API Key authentication middleware (existing)
  */
 function apiKeyAuth(req, res, next) {
-  const clientKey = req.header('x-api-key');
+  checkApiKey(req.header('x-api-key'), res, next);
+}
+
+/**
+ * API Key authentication for Server-Sent Events routes only: also accepts
+ * ?apiKey= because EventSource cannot send custom headers. Kept off other
+ * routes so the key stays out of URLs, access logs and Referer headers.
+ */
+function streamApiKeyAuth(req, res, next) {
+  checkApiKey(req.header('x-api-key') || req.query?.apiKey, res, next);
+}
+
+function checkApiKey(clientKey, res, next) {
   const serverKey = process.env.API_KEY;
 
   if (!serverKey) {
@@ -73,4 +85,4 @@ function requireRole(...allowedRoles) {
 // Alias for convenience
 const requireAuth = jwtAuth;
 
-module.exports = { apiKeyAuth, jwtAuth, requireAuth, requireRole };
+module.exports = { apiKeyAuth, streamApiKeyAuth, jwtAuth, requireAuth, requireRole };
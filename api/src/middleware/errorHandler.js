@@ -8,6 +8,8 @@ function errorHandler(err, req, res, next) {
 
   res.status(status).json({
     error: message,
+    // Validation details the thrower attached, if any
+    ...(err.details && { errors: err.details }),
   });
 }
 
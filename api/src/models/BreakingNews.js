@@ -28,6 +28,78 @@ const breakingNewsSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+
+    // Fields written by jobs/twitterscraper.mjs
+    tweetId: {
+      type: String,
+      index: true,
+    },
+    text: {
+      type: String,
+    },
+    account: {
+      type: String,
+    },
+    datetime: {
+      type: Date,
+    },
+    url: {
+      type: String,
+    },
+    // Two-letter code (languageService), "und" when it cannot be told
+    lang: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // English translation of a non-English text, set by jobs/enrichbreakingnews.mjs
+    translation: {
+      type: new mongoose.Schema(
+        {
+          text: { type: String },
+          lang: { type: String, default: 'en' },
+          source_lang: { type: String, default: null },
+          model: { type: String, default: null },
+          translated_at: { type: Date },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    // Set by dedupService. dupPrimary is false for tweets that repeat an
+    // earlier tweet of the same duplicate group.
+    dupGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DuplicateGroup',
+      default: null,
+    },
+    dupPrimary: {
+      type: Boolean,
+    },
+    dedupAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Set by trendDetectionService once hashtags are counted
+    trendedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Set by alertService once alert rules have been evaluated
+    alertedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Set by claimService once queued for claim extraction
+    claimsAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
   },
   {
     collection: 'breaking_news', // explicit collection name
@@ -35,4 +107,13 @@ const breakingNewsSchema = new mongoose.Schema(
   }
 );
 
+// Full-text search over headline and tweet body (one text index per collection)
+breakingNewsSchema.index(
+  { title: 'text', content: 'text', text: 'text' },
+  { name: 'breaking_news_text', weights: { title: 5, content: 1, text: 1 } }
+);
+breakingNewsSchema.index({ publishedAt: -1, _id: -1 });
+breakingNewsSchema.index({ source: 1, publishedAt: -1 });
+breakingNewsSchema.index({ tags: 1, publishedAt: -1 });
+
 module.exports = mongoose.model('BreakingNews', breakingNewsSchema);
@@ -74,6 +74,99 @@ const locationSchema = new Schema(
       type: Number,
       default: null,
     },
+
+    // Filled in by geoProjectionService. geo_source tells coordinates stated
+    // by the model apart from ones inferred from the GeoNames gazetteer
+    // ('unresolved' when the gazetteer had no match).
+    country_code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    precision: {
+      type: String,
+      enum: ['city', 'admin', 'country', null],
+      default: null,
+    },
+    geo_source: {
+      type: String,
+      enum: ['stated', 'geonames', 'unresolved', null],
+      default: null,
+    },
+    // 1 for an exact gazetteer match, lower for fuzzy matches
+    geo_match_score: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    geoname_id: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Escalation decision of the enrichment job, see escalationPolicyService
+const escalationSchema = new Schema(
+  {
+    escalated: {
+      type: Boolean,
+      default: false,
+    },
+    // account_deny | account_allow | keyword | category_confidence |
+    // confidence | none | budget_exhausted
+    rule: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    policy_hash: {
+      type: String,
+      default: null,
+    },
+    at: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Source credibility prior blended into confidence by the enrichment job,
+// see sourceCredibilityService
+const sourcePriorSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['account', 'domain'],
+    },
+    key: {
+      type: String,
+    },
+    tier: {
+      type: String,
+    },
+    prior: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    weight: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    model_confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
   },
   { _id: false }
 );
@@ -128,16 +221,40 @@ const breakingNewsEnrichmentSchema = new Schema(
       type: String,
       trim: true,
     },
+
+    // Versioning, see BreakingNewsEnrichmentRevision. Records written before
+    // versioning have no schema_version / prompt_hash / revision.
+    schema_version: {
+      type: Number,
+      default: null,
+      index: true,
+    },
+    prompt_hash: {
+      type: String,
+      default: null,
+    },
+    revision: {
+      type: Number,
+      default: null,
+    },
     needs_higher_model: {
       type: Boolean,
       default: false,
     },
+    escalation: {
+      type: escalationSchema,
+      default: null,
+    },
     confidence: {
       type: Number,
       min: 0,
       max: 1,
       default: 0,
     },
+    source_prior: {
+      type: sourcePriorSchema,
+      default: null,
+    },
     credibility: {
       type: Number,
       min: 0,
@@ -192,6 +309,63 @@ const breakingNewsEnrichmentSchema = new Schema(
       type: String,
       default: null,
     },
+
+    // Set by storyClusteringService once the tweet is assigned to a story
+    story: {
+      type: Schema.Types.ObjectId,
+      ref: 'Story',
+      default: null,
+      index: true,
+    },
+    // Set when clustering this enrichment threw, so later batches move past it;
+    // clear it to cluster the enrichment again
+    story_error: {
+      type: new Schema({ message: String, at: Date }, { _id: false }),
+      default: null,
+    },
+
+    // updatedAt of the version last projected into breaking_news_locations
+    geo_synced_at: {
+      type: Date,
+      default: null,
+    },
+
+    // updatedAt of the version last indexed into entities / entity_mentions
+    entities_synced_at: {
+      type: Date,
+      default: null,
+    },
+
+    // Set by trendDetectionService once entities, locations and category are counted
+    trends_counted_at: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    // Set by alertService once alert rules have been evaluated
+    alerts_evaluated_at: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    // Analyst corrections, see EnrichmentCorrection. Corrected fields hold the
+    // analyst's value; machine_values keeps the model's value of each of them
+    // in the same shape as the enrichment (e.g. machine_values.entities.people).
+    machine_values: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    corrected_fields: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    corrected_at: {
+      type: Date,
+      default: null,
+    },
   },
   {
     collection: 'breaking_news_enrichments',
@@ -199,10 +373,9 @@ const breakingNewsEnrichmentSchema = new Schema(
   }
 );
 
+breakingNewsEnrichmentSchema.index({ 'escalation.at': -1 });
+
 // Example compound index if you want to ensure uniqueness per tweet
 // breakingNewsEnrichmentSchema.index({ tweetId: 1 }, { unique: true });
 
-module.exports = mongoose.model(
-  'BreakingNewsEnrichment',
-  breakingNewsEnrichmentSchema
-);
+module.exports = mongoose.model('BreakingNewsEnrichment', breakingNewsEnrichmentSchema);
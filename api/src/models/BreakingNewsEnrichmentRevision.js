@@ -0,0 +1,56 @@
+// src/models/BreakingNewsEnrichmentRevision.js
+//
+// Every enrichment written by jobs/enrichbreakingnews.mjs, oldest first. The
+// breaking_news_enrichments document holds the latest revision; this history
+// lets prompt and schema changes be compared field by field.
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const breakingNewsEnrichmentRevisionSchema = new Schema(
+  {
+    tweetId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // 1-based, per tweet
+    revision: {
+      type: Number,
+      required: true,
+    },
+    schema_version: {
+      type: Number,
+      default: 1,
+    },
+    // Hash of the system prompt the revision was produced with (null before versioning)
+    prompt_hash: {
+      type: String,
+      default: null,
+    },
+    model_used: {
+      type: String,
+      default: null,
+    },
+    // Enrichment fields as written (category, locations, entities, ...)
+    data: {
+      type: Schema.Types.Mixed,
+      default: () => ({}),
+    },
+    enriched_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    collection: 'breaking_news_enrichment_revisions',
+    timestamps: true,
+  }
+);
+
+breakingNewsEnrichmentRevisionSchema.index({ tweetId: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model(
+  'BreakingNewsEnrichmentRevision',
+  breakingNewsEnrichmentRevisionSchema
+);
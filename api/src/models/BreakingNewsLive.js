@@ -20,11 +20,22 @@ const BreakingNewsLiveSchema = new mongoose.Schema(
     searchUrl: { type: String },
     source: { type: String },
     text: { type: String },
+    lang: { type: String, default: null },
 
     tweetCreatedAt: { type: Date },
     url: { type: String, default: null },
+
+    // Set by dedupService
+    dupGroup: { type: mongoose.Schema.Types.ObjectId, ref: "DuplicateGroup", default: null },
+    dedupAt: { type: Date, default: null, index: true },
+    // Set by trendDetectionService
+    trendedAt: { type: Date, default: null, index: true },
+    // Set by claimService
+    claimsAt: { type: Date, default: null, index: true },
   },
   { collection: "breaking_news_live" }
 );
 
+BreakingNewsLiveSchema.index({ jobId: 1, lastSeenAt: -1 });
+
 module.exports = mongoose.model("BreakingNewsLive", BreakingNewsLiveSchema);
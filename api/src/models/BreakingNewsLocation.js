@@ -0,0 +1,108 @@
+// src/models/BreakingNewsLocation.js
+//
+// Geospatial projection of BreakingNewsEnrichment.locations[]: one document per
+// geocoded location, kept in sync by geoProjectionService.
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const pointSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
+    // [lon, lat]
+    coordinates: {
+      type: [Number],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const breakingNewsLocationSchema = new Schema(
+  {
+    enrichment: {
+      type: Schema.Types.ObjectId,
+      ref: 'BreakingNewsEnrichment',
+      required: true,
+      index: true,
+    },
+    tweetId: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    account: {
+      type: String,
+      trim: true,
+    },
+
+    place: {
+      type: String,
+      trim: true,
+    },
+    country: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    country_code: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    geometry: {
+      type: pointSchema,
+      required: true,
+    },
+    precision: {
+      type: String,
+      default: null,
+    },
+    geo_source: {
+      type: String,
+      default: null,
+    },
+
+    // Copied from the enrichment so map queries need no join
+    category: {
+      type: String,
+      trim: true,
+      default: 'unknown',
+    },
+    event_type: {
+      type: String,
+      trim: true,
+      default: 'unknown',
+    },
+    time_window: {
+      type: String,
+      default: 'unknown',
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0,
+    },
+    // Falls back to the enrichment's createdAt when the tweet has no datetime
+    tweet_datetime: {
+      type: Date,
+      index: true,
+    },
+  },
+  {
+    collection: 'breaking_news_locations',
+    timestamps: true, // createdAt / updatedAt
+  }
+);
+
+breakingNewsLocationSchema.index({ geometry: '2dsphere', tweet_datetime: -1 });
+breakingNewsLocationSchema.index({ country: 1, tweet_datetime: -1 });
+breakingNewsLocationSchema.index({ country_code: 1, tweet_datetime: -1 });
+
+module.exports = mongoose.model('BreakingNewsLocation', breakingNewsLocationSchema);
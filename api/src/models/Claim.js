@@ -0,0 +1,147 @@
+// src/models/Claim.js
+//
+// An atomic claim extracted from a tweet, live capture or RSS item by
+// claimService. Claims stating the same thing share a `cluster` (the _id of
+// the cluster's first claim); corroboration is read from the cluster.
+const mongoose = require('mongoose');
+const { DEDUP_KINDS } = require('./DuplicateGroup');
+
+const { Schema } = mongoose;
+
+const CLAIM_POLARITIES = ['affirm', 'deny'];
+
+const claimNumberSchema = new Schema(
+  {
+    value: {
+      type: Number,
+      required: true,
+    },
+    // What is counted, e.g. "killed", "injured", "km"
+    unit: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Who said it; one vote per source when corroborating
+const claimSourceSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['account', 'domain', 'name'],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const claimSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: DEDUP_KINDS,
+      required: true,
+    },
+    // tweetId for breaking_news, _id for breaking_news_live, canonical link for rss
+    itemId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      default: null,
+    },
+    url: {
+      type: String,
+      default: null,
+    },
+    source: {
+      type: claimSourceSchema,
+      required: true,
+    },
+    publishedAt: {
+      type: Date,
+      index: true,
+    },
+
+    // The claim as one sentence, and its parts
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    who: {
+      type: [String],
+      default: [],
+    },
+    what: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    where: {
+      type: [String],
+      default: [],
+    },
+    // As stated ("Tuesday night", "2026-03-02"), not parsed
+    when: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    numbers: {
+      type: [claimNumberSchema],
+      default: [],
+    },
+    // deny: the source says it did not happen / is false
+    polarity: {
+      type: String,
+      enum: CLAIM_POLARITIES,
+      default: 'affirm',
+    },
+
+    // Normalized who:/where: keys, used to find matching claims
+    keys: {
+      type: [String],
+      default: [],
+    },
+    cluster: {
+      type: Schema.Types.ObjectId,
+      index: true,
+    },
+    // Match score against the claim it joined (1 for a cluster's first claim)
+    similarity: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 1,
+    },
+    model_used: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    collection: 'claims',
+    timestamps: true,
+  }
+);
+
+claimSchema.index({ kind: 1, itemId: 1 });
+claimSchema.index({ keys: 1, publishedAt: -1 });
+
+module.exports = mongoose.model('Claim', claimSchema);
+module.exports.CLAIM_POLARITIES = CLAIM_POLARITIES;
@@ -0,0 +1,78 @@
+// src/models/ClaimExtraction.js
+//
+// Queue of items waiting for claim extraction (claimService). Tweets and live
+// captures are queued by the background loop, RSS items when a feed is served.
+const mongoose = require('mongoose');
+const { DEDUP_KINDS } = require('./DuplicateGroup');
+
+const { Schema } = mongoose;
+
+const EXTRACTION_STATUSES = ['pending', 'done', 'failed'];
+
+const claimExtractionSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: DEDUP_KINDS,
+      required: true,
+    },
+    itemId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      default: null,
+    },
+    text: {
+      type: String,
+      default: '',
+    },
+    url: {
+      type: String,
+      default: null,
+    },
+    source: {
+      kind: { type: String, default: null },
+      key: { type: String, default: null },
+      name: { type: String, default: null },
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: EXTRACTION_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    claimCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    extractedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    collection: 'claim_extractions',
+    timestamps: true,
+  }
+);
+
+claimExtractionSchema.index({ kind: 1, itemId: 1 }, { unique: true });
+claimExtractionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ClaimExtraction', claimExtractionSchema);
+module.exports.EXTRACTION_STATUSES = EXTRACTION_STATUSES;
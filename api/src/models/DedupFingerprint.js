@@ -0,0 +1,88 @@
+// src/models/DedupFingerprint.js
+//
+// URL and text fingerprints of one item, written by dedupService.
+const mongoose = require('mongoose');
+const { DEDUP_KINDS } = require('./DuplicateGroup');
+
+const { Schema } = mongoose;
+
+const dedupFingerprintSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: DEDUP_KINDS,
+      required: true,
+    },
+    // tweetId for breaking_news, _id for breaking_news_live, canonical link for rss
+    itemId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      default: null,
+    },
+    source: {
+      type: String,
+      default: null,
+    },
+    publishedAt: {
+      type: Date,
+      index: true,
+    },
+
+    canonicalUrls: {
+      type: [String],
+      default: [],
+    },
+    simhash: {
+      type: String,
+      default: null,
+    },
+    simhashChunks: {
+      type: [String],
+      default: [],
+    },
+    minhash: {
+      type: [Number],
+      default: [],
+    },
+    minhashBands: {
+      type: [String],
+      default: [],
+    },
+    tokenCount: {
+      type: Number,
+      default: 0,
+    },
+
+    group: {
+      type: Schema.Types.ObjectId,
+      ref: 'DuplicateGroup',
+      default: null,
+      index: true,
+    },
+    // How this item joined its group
+    match: {
+      type: String,
+      enum: ['url', 'simhash', 'minhash', null],
+      default: null,
+    },
+    similarity: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    collection: 'dedup_fingerprints',
+    timestamps: true, // createdAt / updatedAt
+  }
+);
+
+dedupFingerprintSchema.index({ kind: 1, itemId: 1 }, { unique: true });
+dedupFingerprintSchema.index({ canonicalUrls: 1 });
+dedupFingerprintSchema.index({ simhashChunks: 1, publishedAt: -1 });
+dedupFingerprintSchema.index({ minhashBands: 1, publishedAt: -1 });
+
+module.exports = mongoose.model('DedupFingerprint', dedupFingerprintSchema);
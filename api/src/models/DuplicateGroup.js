@@ -0,0 +1,64 @@
+// src/models/DuplicateGroup.js
+//
+// A set of items (tweets, live captures, RSS items) that carry the same story.
+// Members live in dedup_fingerprints and point back here via `group`.
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const DEDUP_KINDS = ['breaking_news', 'breaking_news_live', 'rss'];
+
+const groupMemberRefSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: DEDUP_KINDS,
+      required: true,
+    },
+    itemId: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const duplicateGroupSchema = new Schema(
+  {
+    // Earliest published member; what a collapsed list shows
+    primary: {
+      type: groupMemberRefSchema,
+      required: true,
+    },
+    title: {
+      type: String,
+      default: null,
+    },
+    memberCount: {
+      type: Number,
+      default: 0,
+    },
+    kinds: {
+      type: [String],
+      default: [],
+    },
+    canonicalUrls: {
+      type: [String],
+      default: [],
+    },
+    firstSeenAt: {
+      type: Date,
+    },
+    lastSeenAt: {
+      type: Date,
+      index: true,
+    },
+  },
+  {
+    collection: 'duplicate_groups',
+    timestamps: true, // createdAt / updatedAt
+  }
+);
+
+module.exports = mongoose.model('DuplicateGroup', duplicateGroupSchema);
+module.exports.DEDUP_KINDS = DEDUP_KINDS;
@@ -0,0 +1,66 @@
+// src/models/EnrichmentCorrection.js
+//
+// Audit trail of analyst corrections to breaking_news_enrichments: one entry
+// per field changed or reverted, with who did it.
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const CORRECTION_ACTIONS = ['correct', 'revert'];
+
+const enrichmentCorrectionSchema = new Schema(
+  {
+    tweetId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Dotted path, e.g. "category" or "entities.people"
+    field: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: CORRECTION_ACTIONS,
+      default: 'correct',
+    },
+    // Model output for the field at the time of the change
+    machine_value: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    previous_value: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    value: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Postgres user (JWT claims at the time of the change)
+    user_id: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    user_email: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    collection: 'breaking_news_enrichment_corrections',
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+enrichmentCorrectionSchema.index({ tweetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EnrichmentCorrection', enrichmentCorrectionSchema);
+module.exports.CORRECTION_ACTIONS = CORRECTION_ACTIONS;
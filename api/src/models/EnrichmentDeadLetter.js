@@ -0,0 +1,76 @@
+// src/models/EnrichmentDeadLetter.js
+//
+// Tweets whose enrichment could not be produced: the model kept returning
+// output that fails validation after the repair loop, or every call failed.
+// Written by jobs/enrichbreakingnews.mjs; resolved when a later run succeeds.
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const DEAD_LETTER_REASONS = ['validation', 'model_error'];
+const DEAD_LETTER_STATUSES = ['open', 'resolved', 'dismissed'];
+
+const enrichmentDeadLetterSchema = new Schema(
+  {
+    tweetId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    tweet_text: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: DEAD_LETTER_REASONS,
+      required: true,
+    },
+    // Remaining validation errors: [{ path, message }]
+    errors: {
+      type: [{ _id: false, path: String, message: String }],
+      default: [],
+    },
+    error_message: {
+      type: String,
+      default: null,
+    },
+    // Last model output, as returned
+    last_output: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    model_used: {
+      type: String,
+      default: null,
+    },
+    // Job runs that dead-lettered this tweet
+    failures: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: DEAD_LETTER_STATUSES,
+      default: 'open',
+      index: true,
+    },
+    resolved_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    collection: 'breaking_news_enrichment_dead_letters',
+    timestamps: true,
+    // `errors` is a document property in Mongoose; the field name is kept for the API
+    suppressReservedKeysWarning: true,
+  }
+);
+
+enrichmentDeadLetterSchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('EnrichmentDeadLetter', enrichmentDeadLetterSchema);
+module.exports.DEAD_LETTER_REASONS = DEAD_LETTER_REASONS;
+module.exports.DEAD_LETTER_STATUSES = DEAD_LETTER_STATUSES;
@@ -0,0 +1,65 @@
+// src/models/Entity.js
+//
+// A person, organization or piece of equipment named in enrichment
+// `entities`, keyed by its normalized name. Built by entityIndexService.
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const ENTITY_TYPES = ['person', 'organization', 'equipment'];
+
+const entitySchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ENTITY_TYPES,
+      required: true,
+    },
+    // Normalized name (lowercase ASCII, aliases resolved), unique per type
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Display name: the alias table's name, else the first spelling seen
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Raw spellings seen in enrichments and their normalized keys
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    aliasKeys: {
+      type: [String],
+      default: [],
+    },
+    // Tweets mentioning the entity (one per enrichment)
+    mentionCount: {
+      type: Number,
+      default: 0,
+    },
+    firstSeenAt: {
+      type: Date,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    collection: 'entities',
+    timestamps: true, // createdAt / updatedAt
+  }
+);
+
+entitySchema.index({ type: 1, key: 1 }, { unique: true });
+entitySchema.index({ aliasKeys: 1 });
+entitySchema.index({ type: 1, mentionCount: -1 });
+entitySchema.index({ lastSeenAt: -1 });
+
+module.exports = mongoose.model('Entity', entitySchema);
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
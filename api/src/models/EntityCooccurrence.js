@@ -0,0 +1,40 @@
+// src/models/EntityCooccurrence.js
+//
+// How many enrichments name both entities. Each pair is stored once with
+// a < b (ObjectId order).
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const entityCooccurrenceSchema = new Schema(
+  {
+    a: {
+      type: Schema.Types.ObjectId,
+      ref: 'Entity',
+      required: true,
+    },
+    b: {
+      type: Schema.Types.ObjectId,
+      ref: 'Entity',
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    collection: 'entity_cooccurrences',
+    timestamps: true, // createdAt / updatedAt
+  }
+);
+
+entityCooccurrenceSchema.index({ a: 1, b: 1 }, { unique: true });
+entityCooccurrenceSchema.index({ a: 1, count: -1 });
+entityCooccurrenceSchema.index({ b: 1, count: -1 });
+
+module.exports = mongoose.model('EntityCooccurrence', entityCooccurrenceSchema);
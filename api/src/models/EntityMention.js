@@ -0,0 +1,63 @@
+// src/models/EntityMention.js
+//
+// One entity named in one enrichment. Drives an entity's recent tweets and
+// mention counts over time.
+const mongoose = require('mongoose');
+const { ENTITY_TYPES } = require('./Entity');
+
+const { Schema } = mongoose;
+
+const entityMentionSchema = new Schema(
+  {
+    entity: {
+      type: Schema.Types.ObjectId,
+      ref: 'Entity',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ENTITY_TYPES,
+      required: true,
+    },
+    enrichment: {
+      type: Schema.Types.ObjectId,
+      ref: 'BreakingNewsEnrichment',
+      required: true,
+    },
+    tweetId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    account: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    category: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Spelling used in this enrichment
+    text: {
+      type: String,
+      trim: true,
+    },
+    // tweet_datetime, falling back to the enrichment's createdAt
+    at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    collection: 'entity_mentions',
+    timestamps: true, // createdAt / updatedAt
+  }
+);
+
+entityMentionSchema.index({ entity: 1, enrichment: 1 }, { unique: true });
+entityMentionSchema.index({ entity: 1, at: -1 });
+entityMentionSchema.index({ enrichment: 1 });
+
+module.exports = mongoose.model('EntityMention', entityMentionSchema);
@@ -9,6 +9,21 @@ const JobLogSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Held by the worker running the job (jobQueueService). slot numbers the
+// job's place within its type's concurrency limit.
+// cancelled: POST /api/jobs/:id/cancel; timed_out: ran past its type's timeout
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled', 'timed_out'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled', 'timed_out'];
+
+const JobLeaseSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true },
+    slot: { type: Number, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
 const JobSchema = new mongoose.Schema(
   {
     type: { type: String, required: true }, // e.g. "twitterlivescraper"
@@ -16,7 +31,7 @@ const JobSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ['queued', 'running', 'succeeded', 'failed'],
+      enum: JOB_STATUSES,
       default: 'queued',
       index: true,
     },
@@ -25,7 +40,30 @@ const JobSchema = new mongoose.Schema(
     startedAt: { type: Date, default: null },
     finishedAt: { type: Date, default: null },
 
+    // Queue state: a queued job runs once runAt has passed; failed attempts
+    // are queued again with a later runAt until maxAttempts is reached
+    runAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 1 },
+    lease: { type: JobLeaseSchema, default: null },
+    heartbeatAt: { type: Date, default: null },
+    // Set on a running job; its worker stops the process on the next heartbeat
+    cancelRequestedAt: { type: Date, default: null },
+    // Job this one re-runs (POST /api/jobs/:id/rerun)
+    rerunOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+    // User id of whoever queued it through POST /api/jobs
+    requestedBy: { type: String, default: null },
+    // Schedule that queued it (schedulerService)
+    scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule', default: null },
+    // Pipeline run and step it belongs to (pipelineService)
+    pipelineRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'PipelineRun', default: null },
+    pipelineStep: { type: String, default: null },
+    // First retry delay, doubling per attempt; null for the queue's JOB_RETRY_BASE_MS
+    retryDelayMs: { type: Number, default: null },
+
     exitCode: { type: Number, default: null },
+    // What the script wrote to JOB_OUTPUT_PATH (jobs/lib/jobOutput.js)
+    output: { type: Object, default: null },
     error: {
       message: { type: String, default: null },
       stack: { type: String, default: null },
@@ -37,4 +75,21 @@ const JobSchema = new mongoose.Schema(
   { collection: 'jobs' }
 );
 
+JobSchema.index({ status: 1, type: 1, runAt: 1 });
+JobSchema.index({ status: 1, 'lease.expiresAt': 1 });
+JobSchema.index(
+  { scheduleId: 1, status: 1 },
+  { partialFilterExpression: { scheduleId: { $type: 'objectId' } } }
+);
+// One running job per (type, slot): the concurrency limit holds across API instances
+JobSchema.index(
+  { type: 1, 'lease.slot': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'running', 'lease.slot': { $exists: true } },
+  }
+);
+
 module.exports = mongoose.model('Job', JobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.FINISHED_STATUSES = FINISHED_STATUSES;
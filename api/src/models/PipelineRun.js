@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One run of a pipeline (pipelineRegistry) and the state of each step. Steps
+// run as jobs; a step's logs are its job's.
+const RUN_STATUSES = ['running', 'succeeded', 'failed', 'cancelled'];
+const STEP_STATUSES = [
+  'pending',
+  'queued',
+  'running',
+  'succeeded',
+  'failed',
+  'skipped',
+  'cancelled',
+];
+
+const PipelineStepSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    jobType: { type: String, required: true },
+    needs: { type: [String], default: [] },
+    status: { type: String, enum: STEP_STATUSES, default: 'pending' },
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+    payload: { type: Object, default: null },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: null },
+    queuedAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    output: { type: Object, default: null },
+    // Steps with a chunk input: the chunk whose job is (or was last) queued, of how many
+    chunkIndex: { type: Number, default: null },
+    chunkCount: { type: Number, default: null },
+    // Why it was skipped or failed
+    message: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Held by the API process advancing the run (pipelineService)
+const PipelineLockSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+const PipelineRunSchema = new mongoose.Schema(
+  {
+    pipeline: { type: String, required: true },
+    // The pipeline's steps as they were when the run started
+    definition: { type: Object, required: true },
+    status: { type: String, enum: RUN_STATUSES, default: 'running', index: true },
+    trigger: { type: String, enum: ['manual', 'schedule'], default: 'manual' },
+    scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule', default: null },
+    requestedBy: { type: String, default: null },
+
+    steps: { type: [PipelineStepSchema], default: [] },
+
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    cancelRequestedAt: { type: Date, default: null },
+    lock: { type: PipelineLockSchema, default: null },
+  },
+  { collection: 'pipeline_runs' }
+);
+
+PipelineRunSchema.index({ pipeline: 1, startedAt: -1 });
+PipelineRunSchema.index({ startedAt: -1 });
+PipelineRunSchema.index(
+  { scheduleId: 1, status: 1 },
+  { partialFilterExpression: { scheduleId: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('PipelineRun', PipelineRunSchema);
+module.exports.RUN_STATUSES = RUN_STATUSES;
+module.exports.STEP_STATUSES = STEP_STATUSES;
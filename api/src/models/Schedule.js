@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// What a fire does when the schedule's previous job is still queued or running:
+//   skip             nothing
+//   queue            queue another one; at most one waits, later fires fold into it
+//   cancel-previous  cancel the previous job(s), then queue
+// For a pipeline, "previous job" is the previous run; with queue the new run
+// starts at once and its jobs wait for free slots.
+const OVERLAP_POLICIES = ['skip', 'queue', 'cancel-previous'];
+
+// What the first fire after downtime does when fires were missed:
+//   run-once  run once now for all of them
+//   skip      nothing; the schedule resumes at its next regular time
+const MISFIRE_POLICIES = ['run-once', 'skip'];
+
+// queued: a job was queued or a pipeline run started; skipped: overlap
+// policy; missed: misfire policy; failed: the job could not be queued (e.g.
+// its payload no longer validates)
+const FIRE_ACTIONS = ['queued', 'skipped', 'missed', 'failed'];
+
+const ScheduleFireSchema = new mongoose.Schema(
+  {
+    scheduledFor: { type: Date, required: true },
+    firedAt: { type: Date, default: Date.now },
+    action: { type: String, enum: FIRE_ACTIONS, required: true },
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+    runId: { type: mongoose.Schema.Types.ObjectId, ref: 'PipelineRun', default: null },
+    // Fires missed before this one (downtime)
+    missed: { type: Number, default: 0 },
+    message: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const ScheduleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: null },
+
+    // Five-field cron expression in UTC (see cronService)
+    cron: { type: String, required: true },
+    enabled: { type: Boolean, default: true },
+
+    // What it runs: a job type of jobTypeRegistry and its payload, or a
+    // pipeline of pipelineRegistry
+    jobType: { type: String, default: null },
+    payload: { type: Object, default: {} },
+    pipeline: { type: String, default: null },
+
+    overlap: { type: String, enum: OVERLAP_POLICIES, default: 'skip' },
+    misfire: { type: String, enum: MISFIRE_POLICIES, default: 'run-once' },
+    // Each job starts up to this much later than its fire time, at random
+    // (pipeline runs start at once)
+    jitterMs: { type: Number, min: 0, default: 0 },
+
+    // Next fire time; null while disabled. The worker that moves it on fires.
+    nextRunAt: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+    // Keep last N fires
+    fires: { type: [ScheduleFireSchema], default: [] },
+
+    // Postgres user who last changed it
+    updatedBy: { type: Number, default: null },
+  },
+  { collection: 'schedules', timestamps: true }
+);
+
+ScheduleSchema.index({ name: 1 }, { unique: true });
+ScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('Schedule', ScheduleSchema);
+module.exports.OVERLAP_POLICIES = OVERLAP_POLICIES;
+module.exports.MISFIRE_POLICIES = MISFIRE_POLICIES;
+module.exports.FIRE_ACTIONS = FIRE_ACTIONS;
@@ -0,0 +1,119 @@
+// src/models/SourceCredibility.js
+//
+// Credibility registry of tweet accounts and news domains, maintained by the
+// desk. Joined into breaking-news, enrichment and RSS responses and used by
+// the enrichment job as a prior on `confidence` (see sourceCredibilityService).
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const SOURCE_KINDS = ['account', 'domain'];
+
+// Best to worst; each tier has a default prior in sourceCredibilityService
+const SOURCE_TIERS = [
+  'wire',
+  'official',
+  'established',
+  'specialist',
+  'unknown',
+  'aggregator',
+  'state_media',
+  'fabricator',
+];
+
+// A correction, retraction or debunk published by or about the source
+const sourceCorrectionSchema = new Schema(
+  {
+    date: {
+      type: Date,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Postgres user who recorded it
+    recorded_by: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const sourceCredibilitySchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: SOURCE_KINDS,
+      required: true,
+    },
+    // Account handle without @, or host name without www., lower case
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    tier: {
+      type: String,
+      enum: SOURCE_TIERS,
+      default: 'unknown',
+      index: true,
+    },
+    // Overrides the tier's prior when set
+    credibility: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    verified_at: {
+      type: Date,
+      default: null,
+    },
+    bias_notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    corrections: {
+      type: [sourceCorrectionSchema],
+      default: [],
+    },
+    updated_by: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    collection: 'source_credibility',
+    timestamps: true,
+  }
+);
+
+sourceCredibilitySchema.index({ kind: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('SourceCredibility', sourceCredibilitySchema);
+module.exports.SOURCE_KINDS = SOURCE_KINDS;
+module.exports.SOURCE_TIERS = SOURCE_TIERS;
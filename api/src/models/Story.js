@@ -0,0 +1,149 @@
+// src/models/Story.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const storyMemberSchema = new Schema(
+  {
+    tweetId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    enrichment: {
+      type: Schema.Types.ObjectId,
+      ref: 'BreakingNewsEnrichment',
+    },
+    account: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    text: {
+      type: String,
+      default: null,
+    },
+    context: {
+      type: String,
+      default: null,
+    },
+    tweet_datetime: {
+      type: Date,
+      default: null,
+    },
+    // Score that attached this tweet to the story (1 for the seed tweet)
+    similarity: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 1,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const storyLocationSchema = new Schema(
+  {
+    place: {
+      type: String,
+      trim: true,
+    },
+    country: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    count: {
+      type: Number,
+      default: 1,
+    },
+  },
+  { _id: false }
+);
+
+const storySchema = new Schema(
+  {
+    title: {
+      type: String,
+      trim: true,
+    },
+    // Rolling extractive summary, rebuilt whenever a member is added
+    summary: {
+      type: String,
+      default: '',
+    },
+
+    category: {
+      type: String,
+      trim: true,
+      default: 'unknown',
+    },
+    event_type: {
+      type: String,
+      trim: true,
+      default: 'unknown',
+    },
+
+    // Aggregated features used for matching new tweets
+    entities: {
+      type: [String],
+      default: [],
+    },
+    locations: {
+      type: [storyLocationSchema],
+      default: [],
+    },
+    // term -> weight, top terms only
+    centroid: {
+      type: Map,
+      of: Number,
+      default: () => new Map(),
+    },
+    keywords: {
+      type: [String],
+      default: [],
+    },
+
+    members: {
+      type: [storyMemberSchema],
+      default: [],
+    },
+    memberCount: {
+      type: Number,
+      default: 0,
+    },
+    accounts: {
+      type: [String],
+      default: [],
+    },
+
+    firstSeenAt: {
+      type: Date,
+      index: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['developing', 'stale'],
+      default: 'developing',
+      index: true,
+    },
+  },
+  {
+    collection: 'stories',
+    timestamps: true, // createdAt / updatedAt
+  }
+);
+
+storySchema.index({ 'members.tweetId': 1 });
+storySchema.index({ category: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model('Story', storySchema);
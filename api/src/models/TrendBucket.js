@@ -0,0 +1,51 @@
+// src/models/TrendBucket.js
+//
+// Mentions of one term (entity, hashtag, location or category) in one
+// fixed-size time bucket. Written by trendDetectionService; old buckets
+// expire after TREND_RETENTION_DAYS.
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const TREND_KINDS = ['entity', 'hashtag', 'location', 'category'];
+const RETENTION_DAYS = parseFloat(process.env.TREND_RETENTION_DAYS || '14');
+
+const trendBucketSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: TREND_KINDS,
+      required: true,
+    },
+    // Normalized term, e.g. "organization:wagner group", "#kharkiv", "kyiv"
+    term: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    bucketStart: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    collection: 'trend_buckets',
+  }
+);
+
+trendBucketSchema.index({ kind: 1, term: 1, bucketStart: 1 }, { unique: true });
+trendBucketSchema.index(
+  { bucketStart: 1 },
+  { expireAfterSeconds: Math.round(RETENTION_DAYS * 24 * 60 * 60) }
+);
+
+module.exports = mongoose.model('TrendBucket', trendBucketSchema);
+module.exports.TREND_KINDS = TREND_KINDS;
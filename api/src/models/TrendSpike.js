@@ -0,0 +1,92 @@
+// src/models/TrendSpike.js
+//
+// A term whose mentions in a window rose significantly above its rolling
+// baseline. Stays `active` while each detection pass still flags it.
+const mongoose = require('mongoose');
+const { TREND_KINDS } = require('./TrendBucket');
+
+const { Schema } = mongoose;
+
+const trendSpikeSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: TREND_KINDS,
+      required: true,
+    },
+    term: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    // Window size the spike was detected in, e.g. "1h"
+    window: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'ended'],
+      default: 'active',
+    },
+
+    // Latest detection
+    count: {
+      type: Number,
+      default: 0,
+    },
+    baselineMean: {
+      type: Number,
+      default: 0,
+    },
+    baselineStd: {
+      type: Number,
+      default: 0,
+    },
+    zScore: {
+      type: Number,
+      default: 0,
+    },
+    ratio: {
+      type: Number,
+      default: null,
+    },
+
+    // Highest values while active
+    peakCount: {
+      type: Number,
+      default: 0,
+    },
+    peakZScore: {
+      type: Number,
+      default: 0,
+    },
+
+    firstDetectedAt: {
+      type: Date,
+      required: true,
+    },
+    lastDetectedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    collection: 'trend_spikes',
+    timestamps: true, // createdAt / updatedAt
+  }
+);
+
+trendSpikeSchema.index({ window: 1, status: 1, zScore: -1 });
+trendSpikeSchema.index({ kind: 1, term: 1, window: 1, status: 1 });
+trendSpikeSchema.index({ lastDetectedAt: -1 });
+
+module.exports = mongoose.model('TrendSpike', trendSpikeSchema);
@@ -0,0 +1,87 @@
+// src/mongo/alert.js
+const BreakingNews = require('../models/BreakingNews');
+const BreakingNewsEnrichment = require('../models/BreakingNewsEnrichment');
+
+const TWEET_FIELDS = {
+  tweetId: 1,
+  title: 1,
+  content: 1,
+  text: 1,
+  account: 1,
+  source: 1,
+  tags: 1,
+  url: 1,
+  datetime: 1,
+  publishedAt: 1,
+};
+const ENRICHMENT_FIELDS = {
+  tweetId: 1,
+  tweet_url: 1,
+  account: 1,
+  category: 1,
+  event_type: 1,
+  time_window: 1,
+  confidence: 1,
+  credibility: 1,
+  risk_score: 1,
+  sentiment: 1,
+  entities: 1,
+  locations: 1,
+};
+
+class AlertRepo {
+  /**
+   * Tweets created since `since` that alert rules have not seen yet.
+   */
+  async getPendingTweets({ since, limit = 200 }) {
+    return BreakingNews.find({ alertedAt: null, createdAt: { $gte: since } }, TWEET_FIELDS)
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getPendingEnrichments({ since, limit = 200 }) {
+    return BreakingNewsEnrichment.find(
+      { alerts_evaluated_at: null, createdAt: { $gte: since } },
+      ENRICHMENT_FIELDS
+    )
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getTweetsByTweetIds(tweetIds) {
+    if (!tweetIds.length) return [];
+    return BreakingNews.find({ tweetId: { $in: tweetIds } }, TWEET_FIELDS)
+      .lean()
+      .exec();
+  }
+
+  async getEnrichmentsByTweetIds(tweetIds) {
+    if (!tweetIds.length) return [];
+    return BreakingNewsEnrichment.find({ tweetId: { $in: tweetIds } }, ENRICHMENT_FIELDS)
+      .lean()
+      .exec();
+  }
+
+  // timestamps: false so the markers do not bump updatedAt
+  async markTweetsEvaluated(ids) {
+    return BreakingNews.updateMany(
+      { _id: { $in: ids } },
+      { $set: { alertedAt: new Date() } },
+      { timestamps: false }
+    ).exec();
+  }
+
+  async markEnrichmentsEvaluated(ids) {
+    return BreakingNewsEnrichment.updateMany(
+      { _id: { $in: ids } },
+      { $set: { alerts_evaluated_at: new Date() } },
+      { timestamps: false }
+    ).exec();
+  }
+}
+
+module.exports = new AlertRepo();
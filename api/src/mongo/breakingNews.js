@@ -1,8 +1,18 @@
 // src/repositories/breakingNewsMongoRepository.js
 const BreakingNews = require('../models/BreakingNews');
 const BreakingNewsEnrichment = require('../models/BreakingNewsEnrichment');
+const BreakingNewsEnrichmentRevision = require('../models/BreakingNewsEnrichmentRevision');
 const BreakingNewsMedia = require('../models/BreakingNewsMedia');
 const BreakingNewsLive = require('../models/BreakingNewsLive'); 
+const mongoose = require('mongoose');
+const {
+  toMongoFilter,
+  encodeCursor,
+  decodeCursor,
+  escapeRegex,
+} = require('../services/breakingNewsSearchService');
+
+const FACET_LIMIT = 20;
 
 class BreakingNewsRepo {
   async getAll({ limit = 50, offset = 0 } = {}) {
@@ -14,6 +24,133 @@ class BreakingNewsRepo {
       .exec();
   }
 
+  /**
+   * Search breaking news with filters, facets and keyset pagination.
+   * Items are ordered newest first by publishedAt (falling back to the tweet
+   * datetime, then createdAt) with _id as a tie-breaker, so a cursor never
+   * skips or repeats items while new ones are inserted.
+   * @param {Object} params
+   * @param {Object} params.query - structured query from buildSearchQuery()
+   * @param {number} [params.limit=50]
+   * @param {number} [params.offset=0] - only used when no cursor is given
+   * @param {string} [params.cursor]
+   * @param {boolean} [params.facets=true]
+   * @param {boolean} [params.collapse=false] - hide tweets that repeat an earlier
+   *   tweet of the same duplicate group; kept items get `duplicateCount`
+   * @returns {Promise<{ items: Array, total: number, nextCursor: string|null, facets?: Object }>}
+   */
+  async search({ query, limit = 50, offset = 0, cursor, facets = true, collapse = false }) {
+    const dateRange = {};
+    if (query.since) dateRange.$gte = query.since;
+    if (query.until) dateRange.$lte = query.until;
+
+    const pipeline = [
+      { $match: toMongoFilter(query) },
+      { $addFields: { sortAt: { $ifNull: ['$publishedAt', '$datetime', '$createdAt'] } } },
+    ];
+    if (Object.keys(dateRange).length) {
+      pipeline.push({ $match: { sortAt: dateRange } });
+    }
+    if (collapse) {
+      pipeline.push({ $match: { dupPrimary: { $ne: false } } });
+    }
+
+    const page = [];
+    if (cursor) {
+      const { sortAt, id } = decodeCursor(cursor);
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        const err = new Error('Invalid cursor');
+        err.status = 400;
+        throw err;
+      }
+      const lastId = new mongoose.Types.ObjectId(id);
+      page.push({
+        $match: sortAt
+          ? {
+              $or: [
+                { sortAt: { $lt: sortAt } },
+                { sortAt, _id: { $lt: lastId } },
+                { sortAt: null },
+              ],
+            }
+          : { sortAt: null, _id: { $lt: lastId } },
+      });
+    }
+    page.push({ $sort: { sortAt: -1, _id: -1 } });
+    if (!cursor && offset > 0) page.push({ $skip: offset });
+    page.push({ $limit: limit + 1 });
+    if (collapse) {
+      page.push(
+        {
+          $lookup: {
+            from: 'duplicate_groups',
+            localField: 'dupGroup',
+            foreignField: '_id',
+            pipeline: [{ $project: { memberCount: 1 } }],
+            as: 'dupGroupDoc',
+          },
+        },
+        {
+          $addFields: {
+            duplicateCount: {
+              $max: [{ $subtract: [{ $ifNull: [{ $first: '$dupGroupDoc.memberCount' }, 1] }, 1] }, 0],
+            },
+          },
+        },
+        { $project: { dupGroupDoc: 0 } }
+      );
+    }
+
+    const facetStages = { items: page, total: [{ $count: 'count' }] };
+    if (facets) {
+      facetStages.bySource = [
+        { $group: { _id: { $ifNull: ['$source', '$account'] }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT },
+      ];
+      facetStages.byTag = [
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT },
+      ];
+      facetStages.byLang = [
+        { $group: { _id: { $ifNull: ['$lang', 'und'] }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT },
+      ];
+      facetStages.perHour = [
+        { $match: { sortAt: { $ne: null } } },
+        { $group: { _id: { $dateTrunc: { date: '$sortAt', unit: 'hour' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ];
+    }
+    pipeline.push({ $facet: facetStages });
+
+    const [result] = await BreakingNews.aggregate(pipeline).exec();
+
+    const hasMore = result.items.length > limit;
+    const items = hasMore ? result.items.slice(0, limit) : result.items;
+
+    const response = {
+      items,
+      total: result.total[0]?.count ?? 0,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+    };
+
+    if (facets) {
+      const toBuckets = (rows, key) => rows.map((r) => ({ [key]: r._id, count: r.count }));
+      response.facets = {
+        bySource: toBuckets(result.bySource, 'source'),
+        byTag: toBuckets(result.byTag, 'tag'),
+        byLang: toBuckets(result.byLang, 'lang'),
+        perHour: toBuckets(result.perHour, 'hour'),
+      };
+    }
+
+    return response;
+  }
+
   async getById(id) {
     return BreakingNews.findOne({ tweetId: id }).lean().exec();
   }
@@ -22,19 +159,268 @@ class BreakingNewsRepo {
     return BreakingNewsEnrichment.findOne({ tweetId: id }).lean().exec();
   }
 
+  /**
+   * Revision history of a tweet's enrichment, newest first, without the data.
+   */
+  async listEnrichmentRevisions(tweetId) {
+    return BreakingNewsEnrichmentRevision.find({ tweetId })
+      .select('-data')
+      .sort({ revision: -1 })
+      .lean()
+      .exec();
+  }
+
+  /**
+   * @param {string} tweetId
+   * @param {number} [revision] - latest when omitted
+   */
+  async getEnrichmentRevision(tweetId, revision) {
+    const filter = revision ? { tweetId, revision } : { tweetId };
+    return BreakingNewsEnrichmentRevision.findOne(filter).sort({ revision: -1 }).lean().exec();
+  }
+
+  /**
+   * Escalation decisions recorded by the enrichment job.
+   * @param {Object} params
+   * @param {Date} params.since
+   * @param {Date} params.until
+   * @returns {Promise<{ totals: Object, byRule: Array, byCategory: Array, perHour: Array,
+   *   lastHour: number }>}
+   */
+  async getEscalationStats({ since, until }) {
+    const escalated = { $sum: { $cond: ['$escalation.escalated', 1, 0] } };
+    const [[result], lastHour] = await Promise.all([
+      BreakingNewsEnrichment.aggregate([
+        { $match: { 'escalation.at': { $gte: since, $lt: until } } },
+        {
+          $facet: {
+            totals: [{ $group: { _id: null, decisions: { $sum: 1 }, escalated } }],
+            byRule: [
+              { $group: { _id: '$escalation.rule', decisions: { $sum: 1 }, escalated } },
+              { $sort: { decisions: -1 } },
+            ],
+            byCategory: [
+              { $group: { _id: '$category', decisions: { $sum: 1 }, escalated } },
+              { $sort: { escalated: -1, decisions: -1 } },
+            ],
+            perHour: [
+              {
+                $group: {
+                  _id: { $dateTrunc: { date: '$escalation.at', unit: 'hour' } },
+                  decisions: { $sum: 1 },
+                  escalated,
+                },
+              },
+              { $sort: { _id: 1 } },
+            ],
+          },
+        },
+      ]).exec(),
+      BreakingNewsEnrichment.countDocuments({
+        'escalation.escalated': true,
+        'escalation.at': { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+      }).exec(),
+    ]);
+
+    const rows = (items, key) =>
+      items.map(({ _id, decisions, escalated: n }) => ({ [key]: _id, decisions, escalated: n }));
+    return {
+      totals: result.totals[0]
+        ? { decisions: result.totals[0].decisions, escalated: result.totals[0].escalated }
+        : { decisions: 0, escalated: 0 },
+      byRule: rows(result.byRule, 'rule'),
+      byCategory: rows(result.byCategory, 'category'),
+      perHour: rows(result.perHour, 'hour'),
+      lastHour,
+    };
+  }
+
   async getMediaById(id) {
 
     return BreakingNewsMedia.findOne({ source_tweet_id: id }).lean().exec();
   }
 
-  async getLiveByJobId({ jobId, limit = 50, offset = 0, since } = {}) {
-  const q = { jobId };
-  return BreakingNewsLive.find(q)
-    .sort({ createdAt: -1 })
-    .skip(offset)
-    .limit(limit)
-    .lean()
-    .exec();
+  /**
+   * Match stage shared by the live list and stats views.
+   * The time window applies to lastSeenAt so re-captured tweets count as recent.
+   */
+  buildLiveMatch({ jobId, since, until, authors = [], hasMedia } = {}) {
+    const match = { jobId };
+
+    if (since || until) {
+      match.lastSeenAt = {};
+      if (since) match.lastSeenAt.$gte = since;
+      if (until) match.lastSeenAt.$lte = until;
+    }
+
+    if (authors.length) {
+      match.author = { $in: authors.map((a) => new RegExp(`^${escapeRegex(a)}$`, 'i')) };
+    }
+
+    if (hasMedia === true) {
+      match.$or = [{ 'images.0': { $exists: true } }, { 'videos.0': { $exists: true } }];
+    } else if (hasMedia === false) {
+      match['images.0'] = { $exists: false };
+      match['videos.0'] = { $exists: false };
+    }
+
+    return match;
+  }
+
+  /**
+   * Live captures for a job, one row per tweet (the most recently seen copy).
+   * @param {Object} params
+   * @param {string} params.jobId
+   * @param {Date} [params.since]
+   * @param {Date} [params.until]
+   * @param {string[]} [params.authors]
+   * @param {boolean} [params.hasMedia]
+   * @param {number} [params.limit=50]
+   * @param {number} [params.offset=0]
+   * @param {boolean} [params.collapse=false] - one row per duplicate group (its
+   *   earliest tweet, ordered by the group's latest capture) with `duplicateCount`
+   * @returns {Promise<Array>}
+   */
+  async getLiveByJobId({ limit = 50, offset = 0, collapse = false, ...filters } = {}) {
+    const pipeline = [
+      { $match: this.buildLiveMatch(filters) },
+      { $sort: { lastSeenAt: -1, _id: -1 } },
+      {
+        $group: {
+          _id: { $ifNull: ['$tweetId', { $toString: '$_id' }] },
+          doc: { $first: '$$ROOT' },
+        },
+      },
+      { $replaceRoot: { newRoot: '$doc' } },
+    ];
+
+    if (collapse) {
+      pipeline.push(
+        { $sort: { tweetCreatedAt: 1, _id: 1 } },
+        {
+          $group: {
+            _id: { $ifNull: ['$dupGroup', '$_id'] },
+            doc: { $first: '$$ROOT' },
+            groupSeenAt: { $max: '$lastSeenAt' },
+            captures: { $sum: 1 },
+          },
+        },
+        { $sort: { groupSeenAt: -1, _id: -1 } },
+        { $skip: offset },
+        { $limit: limit },
+        {
+          $replaceRoot: {
+            newRoot: { $mergeObjects: ['$doc', { duplicateCount: { $subtract: ['$captures', 1] } }] },
+          },
+        }
+      );
+    } else {
+      pipeline.push(
+        { $sort: { lastSeenAt: -1, _id: -1 } },
+        { $skip: offset },
+        { $limit: limit }
+      );
+    }
+
+    return BreakingNewsLive.aggregate(pipeline).exec();
+  }
+
+  /**
+   * Aggregate view of what a live job has collected.
+   * @param {Object} params - same filters as getLiveByJobId
+   * @param {number} [params.topAuthors=10]
+   * @returns {Promise<{ totals: Object, perMinute: Array, topAuthors: Array }>}
+   */
+  async getLiveStatsByJobId({ topAuthors = 10, ...filters } = {}) {
+    const [result] = await BreakingNewsLive.aggregate([
+      { $match: this.buildLiveMatch(filters) },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                captures: { $sum: 1 },
+                tweetIds: { $addToSet: '$tweetId' },
+                images: { $sum: { $size: { $ifNull: ['$images', []] } } },
+                videos: { $sum: { $size: { $ifNull: ['$videos', []] } } },
+                withMedia: {
+                  $sum: {
+                    $cond: [
+                      {
+                        $gt: [
+                          {
+                            $add: [
+                              { $size: { $ifNull: ['$images', []] } },
+                              { $size: { $ifNull: ['$videos', []] } },
+                            ],
+                          },
+                          0,
+                        ],
+                      },
+                      1,
+                      0,
+                    ],
+                  },
+                },
+                firstCapturedAt: { $min: '$capturedAt' },
+                lastSeenAt: { $max: '$lastSeenAt' },
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                captures: 1,
+                uniqueTweets: { $size: { $setDifference: ['$tweetIds', [null]] } },
+                images: 1,
+                videos: 1,
+                withMedia: 1,
+                firstCapturedAt: 1,
+                lastSeenAt: 1,
+              },
+            },
+          ],
+          perMinute: [
+            { $match: { capturedAt: { $ne: null } } },
+            {
+              $group: {
+                _id: { $dateTrunc: { date: '$capturedAt', unit: 'minute' } },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, minute: '$_id', count: 1 } },
+          ],
+          topAuthors: [
+            { $match: { author: { $ne: null } } },
+            {
+              $group: {
+                _id: '$author',
+                authorName: { $last: '$authorName' },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: topAuthors },
+            { $project: { _id: 0, author: '$_id', authorName: 1, count: 1 } },
+          ],
+        },
+      },
+    ]).exec();
+
+    return {
+      totals: result.totals[0] || {
+        captures: 0,
+        uniqueTweets: 0,
+        images: 0,
+        videos: 0,
+        withMedia: 0,
+        firstCapturedAt: null,
+        lastSeenAt: null,
+      },
+      perMinute: result.perMinute,
+      topAuthors: result.topAuthors,
+    };
   }
 }
 
@@ -0,0 +1,117 @@
+// src/mongo/breakingNewsLocation.js
+const BreakingNewsLocation = require('../models/BreakingNewsLocation');
+const BreakingNewsEnrichment = require('../models/BreakingNewsEnrichment');
+const { escapeRegex } = require('../services/breakingNewsSearchService');
+
+/**
+ * Attribute filters shared by every geo query.
+ * @param {Object} params
+ * @param {Date} [params.since]
+ * @param {Date} [params.until]
+ * @param {string[]} [params.categories]
+ * @param {number} [params.minConfidence]
+ * @param {string} [params.country] - country name as written by the model
+ * @param {string} [params.countryCode] - ISO 3166-1 alpha-2 code
+ */
+function buildFilter({ since, until, categories, minConfidence, country, countryCode } = {}) {
+  const q = {};
+  if (since || until) {
+    q.tweet_datetime = {};
+    if (since) q.tweet_datetime.$gte = since;
+    if (until) q.tweet_datetime.$lte = until;
+  }
+  if (categories?.length) {
+    q.category = { $in: categories.map((c) => new RegExp(`^${escapeRegex(c)}$`, 'i')) };
+  }
+  if (minConfidence !== undefined) q.confidence = { $gte: minConfidence };
+  if (country) {
+    q.$or = [{ country: new RegExp(`^${escapeRegex(country)}$`, 'i') }];
+    if (countryCode) q.$or.push({ country_code: countryCode });
+  }
+  return q;
+}
+
+class BreakingNewsLocationRepo {
+  /**
+   * Locations inside a GeoJSON (Multi)Polygon, newest first.
+   */
+  async findWithin({ geometry, limit = 1000, ...filters }) {
+    const q = buildFilter(filters);
+    if (geometry) q.geometry = { $geoWithin: { $geometry: geometry } };
+
+    return BreakingNewsLocation.find(q).sort({ tweet_datetime: -1 }).limit(limit).lean().exec();
+  }
+
+  /**
+   * Locations within `radiusM` metres of a point, nearest first. Each result
+   * carries a `distance` in metres.
+   */
+  async findNear({ lon, lat, radiusM, limit = 1000, ...filters }) {
+    return BreakingNewsLocation.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lon, lat] },
+          distanceField: 'distance',
+          maxDistance: radiusM,
+          spherical: true,
+          query: buildFilter(filters),
+        },
+      },
+      { $limit: limit },
+    ]).exec();
+  }
+
+  async replaceForEnrichment(enrichmentId, docs) {
+    await BreakingNewsLocation.deleteMany({ enrichment: enrichmentId }).exec();
+    if (docs.length) await BreakingNewsLocation.insertMany(docs);
+  }
+
+  /**
+   * Enrichments never projected, changed since their last projection, or with
+   * locations not yet through the geocoder.
+   */
+  async getUnsyncedEnrichments({ limit = 500 } = {}) {
+    return BreakingNewsEnrichment.find(
+      {
+        $or: [
+          { geo_synced_at: null },
+          { $expr: { $gt: ['$updatedAt', '$geo_synced_at'] } },
+          { locations: { $elemMatch: { geo_source: null } } },
+        ],
+      },
+      {
+        tweetId: 1,
+        account: 1,
+        category: 1,
+        event_type: 1,
+        time_window: 1,
+        confidence: 1,
+        locations: 1,
+        tweet_datetime: 1,
+        createdAt: 1,
+        updatedAt: 1,
+      }
+    )
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  /**
+   * Record that an enrichment has been projected, saving geocoded locations
+   * when given. timestamps: false so this write does not bump updatedAt.
+   */
+  async markSynced(enrichmentId, syncedAt, locations) {
+    const $set = { geo_synced_at: syncedAt };
+    if (locations) $set.locations = locations;
+
+    return BreakingNewsEnrichment.updateOne(
+      { _id: enrichmentId },
+      { $set },
+      { timestamps: false }
+    ).exec();
+  }
+}
+
+module.exports = new BreakingNewsLocationRepo();
@@ -0,0 +1,143 @@
+// src/mongo/claim.js
+const Claim = require('../models/Claim');
+const ClaimExtraction = require('../models/ClaimExtraction');
+const BreakingNews = require('../models/BreakingNews');
+const BreakingNewsLive = require('../models/BreakingNewsLive');
+
+const CANDIDATE_LIMIT = 200;
+const MAX_ATTEMPTS = 3;
+
+class ClaimRepo {
+  async getPendingTweets({ limit = 200 } = {}) {
+    return BreakingNews.find(
+      { claimsAt: null },
+      {
+        tweetId: 1,
+        title: 1,
+        content: 1,
+        text: 1,
+        url: 1,
+        account: 1,
+        source: 1,
+        datetime: 1,
+        publishedAt: 1,
+        createdAt: 1,
+      }
+    )
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getPendingLive({ limit = 200 } = {}) {
+    return BreakingNewsLive.find(
+      { claimsAt: null },
+      { tweetId: 1, text: 1, url: 1, author: 1, tweetCreatedAt: 1, capturedAt: 1, createdAt: 1 }
+    )
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  // timestamps: false so the marker does not bump updatedAt
+  async markTweetsQueued(ids) {
+    return BreakingNews.updateMany(
+      { _id: { $in: ids } },
+      { $set: { claimsAt: new Date() } },
+      { timestamps: false }
+    ).exec();
+  }
+
+  async markLiveQueued(ids) {
+    return BreakingNewsLive.updateMany(
+      { _id: { $in: ids } },
+      { $set: { claimsAt: new Date() } }
+    ).exec();
+  }
+
+  /**
+   * Queue items for extraction; items already queued are left alone.
+   * @returns {Promise<number>} newly queued
+   */
+  async enqueue(items) {
+    if (!items.length) return 0;
+    const result = await ClaimExtraction.bulkWrite(
+      items.map((item) => ({
+        updateOne: {
+          filter: { kind: item.kind, itemId: item.itemId },
+          update: { $setOnInsert: { ...item, status: 'pending' } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    return result.upsertedCount;
+  }
+
+  // Oldest first; failed items are retried up to MAX_ATTEMPTS
+  async nextPending({ limit = 20 } = {}) {
+    return ClaimExtraction.find({
+      $or: [{ status: 'pending' }, { status: 'failed', attempts: { $lt: MAX_ATTEMPTS } }],
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getExtraction(kind, itemId) {
+    return ClaimExtraction.findOne({ kind, itemId }).lean().exec();
+  }
+
+  async markExtraction(id, set, { attempted = true } = {}) {
+    return ClaimExtraction.updateOne(
+      { _id: id },
+      { $set: set, ...(attempted ? { $inc: { attempts: 1 } } : {}) }
+    ).exec();
+  }
+
+  async deleteClaimsOf(kind, itemId) {
+    return Claim.deleteMany({ kind, itemId }).exec();
+  }
+
+  async insertClaim(claim) {
+    const doc = await Claim.create(claim);
+    return doc.toObject();
+  }
+
+  async setCluster(id, cluster, similarity) {
+    return Claim.updateOne({ _id: id }, { $set: { cluster, similarity } }).exec();
+  }
+
+  /**
+   * Claims of other items sharing a who/where key, published within the window.
+   */
+  async findCandidates({ keys, kind, itemId, from, to }) {
+    if (!keys.length) return [];
+    return Claim.find({
+      keys: { $in: keys },
+      publishedAt: { $gte: from, $lte: to },
+      $nor: [{ kind, itemId }],
+    })
+      .sort({ publishedAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean()
+      .exec();
+  }
+
+  async getClaimsOf(kind, itemId) {
+    return Claim.find({ kind, itemId }).sort({ _id: 1 }).lean().exec();
+  }
+
+  async getClusterMembers(clusterIds) {
+    if (!clusterIds.length) return [];
+    return Claim.find({ cluster: { $in: clusterIds } })
+      .sort({ publishedAt: 1 })
+      .lean()
+      .exec();
+  }
+}
+
+module.exports = new ClaimRepo();
@@ -0,0 +1,196 @@
+// src/mongo/dedup.js
+const mongoose = require('mongoose');
+const DedupFingerprint = require('../models/DedupFingerprint');
+const DuplicateGroup = require('../models/DuplicateGroup');
+const BreakingNews = require('../models/BreakingNews');
+const BreakingNewsLive = require('../models/BreakingNewsLive');
+
+const CANDIDATE_LIMIT = 200;
+
+class DedupRepo {
+  async getPendingTweets({ limit = 200 } = {}) {
+    return BreakingNews.find(
+      { dedupAt: null },
+      {
+        tweetId: 1,
+        title: 1,
+        content: 1,
+        text: 1,
+        url: 1,
+        account: 1,
+        source: 1,
+        datetime: 1,
+        publishedAt: 1,
+        createdAt: 1,
+      }
+    )
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getPendingLive({ limit = 200 } = {}) {
+    return BreakingNewsLive.find(
+      { dedupAt: null },
+      { tweetId: 1, text: 1, url: 1, author: 1, tweetCreatedAt: 1, capturedAt: 1, createdAt: 1 }
+    )
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  // timestamps: false so the marker does not bump updatedAt
+  async markTweetsChecked(ids) {
+    return BreakingNews.updateMany(
+      { _id: { $in: ids } },
+      { $set: { dedupAt: new Date() } },
+      { timestamps: false }
+    ).exec();
+  }
+
+  async markLiveChecked(ids) {
+    return BreakingNewsLive.updateMany(
+      { _id: { $in: ids } },
+      { $set: { dedupAt: new Date() } }
+    ).exec();
+  }
+
+  async getFingerprint(kind, itemId) {
+    return DedupFingerprint.findOne({ kind, itemId }).lean().exec();
+  }
+
+  async getFingerprints(kind, itemIds) {
+    return DedupFingerprint.find({ kind, itemId: { $in: itemIds } })
+      .lean()
+      .exec();
+  }
+
+  async upsertFingerprint(fp) {
+    return DedupFingerprint.findOneAndUpdate(
+      { kind: fp.kind, itemId: fp.itemId },
+      { $set: fp },
+      { upsert: true, new: true, lean: true }
+    ).exec();
+  }
+
+  /**
+   * Fingerprints that share a canonical URL, SimHash chunk or MinHash band
+   * with `fp` and were published within the window.
+   */
+  async findCandidates(fp, { from, to }) {
+    const or = [];
+    if (fp.canonicalUrls.length) or.push({ canonicalUrls: { $in: fp.canonicalUrls } });
+    if (fp.simhashChunks.length) or.push({ simhashChunks: { $in: fp.simhashChunks } });
+    if (fp.minhashBands.length) or.push({ minhashBands: { $in: fp.minhashBands } });
+    if (!or.length) return [];
+
+    const q = {
+      $or: or,
+      $nor: [{ kind: fp.kind, itemId: fp.itemId }],
+    };
+    if (from || to) {
+      q.publishedAt = {};
+      if (from) q.publishedAt.$gte = from;
+      if (to) q.publishedAt.$lte = to;
+    }
+
+    return DedupFingerprint.find(q).limit(CANDIDATE_LIMIT).lean().exec();
+  }
+
+  async createGroup(primary) {
+    return DuplicateGroup.create({ primary });
+  }
+
+  async assignToGroup(fingerprintIds, groupId) {
+    return DedupFingerprint.updateMany(
+      { _id: { $in: fingerprintIds } },
+      { $set: { group: groupId } }
+    ).exec();
+  }
+
+  // Move every member of `fromGroupIds` into `toGroupId` and drop the old groups
+  async mergeGroups(fromGroupIds, toGroupId) {
+    if (!fromGroupIds.length) return;
+    await DedupFingerprint.updateMany(
+      { group: { $in: fromGroupIds } },
+      { $set: { group: toGroupId } }
+    ).exec();
+    await DuplicateGroup.deleteMany({ _id: { $in: fromGroupIds } }).exec();
+  }
+
+  async getGroupMembers(groupId) {
+    return DedupFingerprint.find(
+      { group: groupId },
+      { minhash: 0, minhashBands: 0, simhashChunks: 0 }
+    )
+      .sort({ publishedAt: 1, _id: 1 })
+      .lean()
+      .exec();
+  }
+
+  async updateGroup(groupId, data) {
+    return DuplicateGroup.updateOne({ _id: groupId }, { $set: data }).exec();
+  }
+
+  /**
+   * Write group membership back onto the source documents so list queries can
+   * collapse duplicates without a join.
+   * @param {mongoose.Types.ObjectId} groupId
+   * @param {Object} members
+   * @param {string[]} members.tweetIds - breaking_news members
+   * @param {string|null} members.primaryTweetId - earliest breaking_news member
+   * @param {string[]} members.liveIds - breaking_news_live members (_id strings)
+   */
+  async syncSourceDocs(groupId, { tweetIds, primaryTweetId, liveIds }) {
+    if (tweetIds.length) {
+      await BreakingNews.updateMany(
+        { tweetId: { $in: tweetIds } },
+        { $set: { dupGroup: groupId, dupPrimary: false } },
+        { timestamps: false }
+      ).exec();
+      if (primaryTweetId) {
+        await BreakingNews.updateMany(
+          { tweetId: primaryTweetId },
+          { $set: { dupPrimary: true } },
+          { timestamps: false }
+        ).exec();
+      }
+    }
+
+    const liveObjectIds = liveIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (liveObjectIds.length) {
+      await BreakingNewsLive.updateMany(
+        { _id: { $in: liveObjectIds } },
+        { $set: { dupGroup: groupId } }
+      ).exec();
+    }
+  }
+
+  async listGroups({ limit = 50, offset = 0, since, kind, minMembers = 2 } = {}) {
+    const q = { memberCount: { $gte: minMembers } };
+    if (since) q.lastSeenAt = { $gte: since };
+    if (kind) q.kinds = kind;
+
+    return DuplicateGroup.find(q)
+      .sort({ lastSeenAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getGroupById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return DuplicateGroup.findById(id).lean().exec();
+  }
+
+  async getGroupsByIds(ids) {
+    return DuplicateGroup.find({ _id: { $in: ids } })
+      .lean()
+      .exec();
+  }
+}
+
+module.exports = new DedupRepo();
@@ -0,0 +1,68 @@
+// src/mongo/enrichmentCorrection.js
+const BreakingNews = require('../models/BreakingNews');
+const BreakingNewsEnrichment = require('../models/BreakingNewsEnrichment');
+const EnrichmentCorrection = require('../models/EnrichmentCorrection');
+
+class EnrichmentCorrectionRepo {
+  /**
+   * Apply a correction unless the enrichment changed since it was read.
+   * @returns {Promise<boolean>} false when the enrichment was updated in between
+   */
+  async updateEnrichment(enrichment, set) {
+    const result = await BreakingNewsEnrichment.updateOne(
+      { _id: enrichment._id, updatedAt: enrichment.updatedAt ?? null },
+      { $set: set }
+    ).exec();
+    return result.matchedCount > 0;
+  }
+
+  async insertEntries(entries) {
+    if (!entries.length) return [];
+    return EnrichmentCorrection.insertMany(entries);
+  }
+
+  async listForTweet(tweetId) {
+    return EnrichmentCorrection.find({ tweetId }).sort({ createdAt: -1, _id: -1 }).lean().exec();
+  }
+
+  // Latest 'correct' entry per tweet and field
+  async getLatestEntries(tweetIds) {
+    return EnrichmentCorrection.aggregate([
+      { $match: { tweetId: { $in: tweetIds }, action: 'correct' } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $group: {
+          _id: { tweetId: '$tweetId', field: '$field' },
+          user_id: { $first: '$user_id' },
+          user_email: { $first: '$user_email' },
+          note: { $first: '$note' },
+          createdAt: { $first: '$createdAt' },
+        },
+      },
+    ]).exec();
+  }
+
+  /**
+   * Corrected enrichments, oldest correction first.
+   * @param {Object} params
+   * @param {Date} [params.since] - corrected at or after
+   * @param {string} [params.field] - only enrichments with this field corrected
+   */
+  cursorCorrected({ since, field } = {}) {
+    const q = { corrected_fields: field || { $exists: true, $ne: [] } };
+    if (since) q.corrected_at = { $gte: since };
+    return BreakingNewsEnrichment.find(q).sort({ corrected_at: 1, _id: 1 }).lean().cursor();
+  }
+
+  async getTweetTexts(tweetIds) {
+    const tweets = await BreakingNews.find(
+      { tweetId: { $in: tweetIds } },
+      { tweetId: 1, text: 1, content: 1, title: 1 }
+    )
+      .lean()
+      .exec();
+    return new Map(tweets.map((t) => [t.tweetId, t.text || t.content || t.title || null]));
+  }
+}
+
+module.exports = new EnrichmentCorrectionRepo();
@@ -0,0 +1,41 @@
+// src/mongo/enrichmentDeadLetter.js
+const mongoose = require('mongoose');
+const EnrichmentDeadLetter = require('../models/EnrichmentDeadLetter');
+
+class EnrichmentDeadLetterRepo {
+  async list({ limit = 50, offset = 0, status, reason } = {}) {
+    const q = {};
+    if (status) q.status = status;
+    if (reason) q.reason = reason;
+
+    const [items, total] = await Promise.all([
+      EnrichmentDeadLetter.find(q)
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean()
+        .exec(),
+      EnrichmentDeadLetter.countDocuments(q).exec(),
+    ]);
+    return { items, total };
+  }
+
+  async getById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return EnrichmentDeadLetter.findById(id).lean().exec();
+  }
+
+  // Dismissed entries stay out of the open queue until the tweet fails again
+  async dismiss(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return EnrichmentDeadLetter.findByIdAndUpdate(
+      id,
+      { $set: { status: 'dismissed', resolved_at: new Date() } },
+      { new: true }
+    )
+      .lean()
+      .exec();
+  }
+}
+
+module.exports = new EnrichmentDeadLetterRepo();
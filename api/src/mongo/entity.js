@@ -0,0 +1,259 @@
+// src/mongo/entity.js
+const mongoose = require('mongoose');
+const Entity = require('../models/Entity');
+const EntityMention = require('../models/EntityMention');
+const EntityCooccurrence = require('../models/EntityCooccurrence');
+const BreakingNewsEnrichment = require('../models/BreakingNewsEnrichment');
+const { escapeRegex } = require('../services/breakingNewsSearchService');
+
+const LIST_PROJECTION = { aliasKeys: 0 };
+
+class EntityRepo {
+  /**
+   * @param {Object} [params]
+   * @param {string} [params.type]
+   * @param {string[]} [params.prefixes] - folded names matching the start of any alias
+   * @param {string[]} [params.keys] - entity keys matched exactly (resolved aliases)
+   * @param {Date} [params.since] - only entities mentioned since
+   */
+  async list({ type, prefixes = [], keys = [], since, limit = 50, offset = 0 } = {}) {
+    const query = {};
+    if (type) query.type = type;
+    if (prefixes.length || keys.length) {
+      query.$or = [
+        ...prefixes.map((p) => ({ aliasKeys: { $regex: `^${escapeRegex(p)}` } })),
+        ...(keys.length ? [{ key: { $in: keys } }] : []),
+      ];
+    }
+    if (since) query.lastSeenAt = { $gte: since };
+
+    return Entity.find(query, LIST_PROJECTION)
+      .sort({ mentionCount: -1, lastSeenAt: -1, _id: 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Entity.findById(id, LIST_PROJECTION).lean().exec();
+  }
+
+  /**
+   * Most mentioned entity with one of `keys` as an alias, optionally of one type.
+   */
+  async findByAliasKeys(keys, type) {
+    const query = { aliasKeys: { $in: keys } };
+    if (type) query.type = type;
+    return Entity.findOne(query, LIST_PROJECTION).sort({ mentionCount: -1 }).lean().exec();
+  }
+
+  /**
+   * Create the entity if needed and record the spelling.
+   * @returns {Promise<Object>} the entity
+   */
+  async upsert({ type, key, name, alias, aliasKey }) {
+    return Entity.findOneAndUpdate(
+      { type, key },
+      {
+        $setOnInsert: { name },
+        $addToSet: { aliases: alias, aliasKeys: { $each: [key, aliasKey] } },
+      },
+      { upsert: true, new: true, lean: true }
+    ).exec();
+  }
+
+  async getMentionsForEnrichment(enrichmentId) {
+    return EntityMention.find({ enrichment: enrichmentId }).lean().exec();
+  }
+
+  /**
+   * Insert mentions and bump the entities' counters.
+   * @param {Object[]} mentions - EntityMention fields
+   */
+  async addMentions(mentions) {
+    if (!mentions.length) return;
+    await EntityMention.bulkWrite(
+      mentions.map((m) => ({
+        updateOne: {
+          filter: { entity: m.entity, enrichment: m.enrichment },
+          update: { $setOnInsert: m },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    await Entity.bulkWrite(
+      mentions.map((m) => ({
+        updateOne: {
+          filter: { _id: m.entity },
+          update: {
+            $inc: { mentionCount: 1 },
+            $min: { firstSeenAt: m.at },
+            $max: { lastSeenAt: m.at },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  async removeMentions(enrichmentId, entityIds) {
+    if (!entityIds.length) return;
+    await EntityMention.deleteMany({ enrichment: enrichmentId, entity: { $in: entityIds } }).exec();
+    await Entity.updateMany({ _id: { $in: entityIds } }, { $inc: { mentionCount: -1 } }).exec();
+  }
+
+  /**
+   * Adjust co-occurrence counts.
+   * @param {Array<{ a: ObjectId, b: ObjectId, delta: number }>} pairs - a < b
+   * @param {Date} at
+   */
+  async updateCooccurrences(pairs, at) {
+    if (!pairs.length) return;
+    await EntityCooccurrence.bulkWrite(
+      pairs.map(({ a, b, delta }) => ({
+        updateOne: {
+          filter: { a, b },
+          update:
+            delta > 0
+              ? { $inc: { count: delta }, $max: { lastSeenAt: at } }
+              : { $inc: { count: delta } },
+          upsert: delta > 0,
+        },
+      })),
+      { ordered: false }
+    );
+    if (pairs.some((p) => p.delta < 0)) {
+      await EntityCooccurrence.deleteMany({ count: { $lte: 0 } }).exec();
+    }
+  }
+
+  /**
+   * Enrichments never indexed, or edited since they were.
+   */
+  async getUnsyncedEnrichments({ limit = 500 } = {}) {
+    return BreakingNewsEnrichment.find(
+      {
+        $or: [
+          { entities_synced_at: null },
+          { $expr: { $gt: ['$updatedAt', '$entities_synced_at'] } },
+        ],
+      },
+      {
+        tweetId: 1,
+        account: 1,
+        category: 1,
+        entities: 1,
+        tweet_datetime: 1,
+        createdAt: 1,
+        updatedAt: 1,
+      }
+    )
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  // timestamps: false so the marker does not count as an edit
+  async markSynced(enrichmentId, syncedAt) {
+    return BreakingNewsEnrichment.updateOne(
+      { _id: enrichmentId },
+      { $set: { entities_synced_at: syncedAt } },
+      { timestamps: false }
+    ).exec();
+  }
+
+  /**
+   * Latest mentions with the tweet text and enrichment context.
+   */
+  async getRecentMentions(entityId, { limit = 20 } = {}) {
+    return EntityMention.aggregate([
+      { $match: { entity: entityId } },
+      { $sort: { at: -1, _id: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'breaking_news',
+          localField: 'tweetId',
+          foreignField: 'tweetId',
+          pipeline: [{ $project: { _id: 0, text: 1, url: 1 } }, { $limit: 1 }],
+          as: 'tweet',
+        },
+      },
+      {
+        $lookup: {
+          from: 'breaking_news_enrichments',
+          localField: 'enrichment',
+          foreignField: '_id',
+          pipeline: [{ $project: { _id: 0, context: 1, event_type: 1, tweet_url: 1 } }],
+          as: 'enrichmentDoc',
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          tweetId: 1,
+          account: 1,
+          category: 1,
+          mentionedAs: '$text',
+          at: 1,
+          text: { $first: '$tweet.text' },
+          url: { $ifNull: [{ $first: '$tweet.url' }, { $first: '$enrichmentDoc.tweet_url' }] },
+          context: { $first: '$enrichmentDoc.context' },
+          event_type: { $first: '$enrichmentDoc.event_type' },
+        },
+      },
+    ]).exec();
+  }
+
+  /**
+   * Mention counts per `unit` (hour|day) since `since`; empty buckets omitted.
+   */
+  async getMentionSeries(entityId, { since, unit = 'day' }) {
+    return EntityMention.aggregate([
+      { $match: { entity: entityId, at: { $gte: since } } },
+      { $group: { _id: { $dateTrunc: { date: '$at', unit } }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, at: '$_id', count: 1 } },
+    ]).exec();
+  }
+
+  /**
+   * Entities most often named alongside `entityId`.
+   * @returns {Promise<Array<{ entity: Object, count: number, lastSeenAt: Date }>>}
+   */
+  async getRelated(entityId, { limit = 10 } = {}) {
+    const [asA, asB] = await Promise.all([
+      EntityCooccurrence.find({ a: entityId }).sort({ count: -1 }).limit(limit).lean().exec(),
+      EntityCooccurrence.find({ b: entityId }).sort({ count: -1 }).limit(limit).lean().exec(),
+    ]);
+
+    const pairs = [
+      ...asA.map((p) => ({ other: p.b, count: p.count, lastSeenAt: p.lastSeenAt })),
+      ...asB.map((p) => ({ other: p.a, count: p.count, lastSeenAt: p.lastSeenAt })),
+    ]
+      .sort((x, y) => y.count - x.count)
+      .slice(0, limit);
+
+    const entities = await Entity.find(
+      { _id: { $in: pairs.map((p) => p.other) } },
+      { type: 1, key: 1, name: 1, mentionCount: 1 }
+    )
+      .lean()
+      .exec();
+    const byId = new Map(entities.map((e) => [String(e._id), e]));
+
+    return pairs
+      .filter((p) => byId.has(String(p.other)))
+      .map((p) => ({
+        entity: byId.get(String(p.other)),
+        count: p.count,
+        lastSeenAt: p.lastSeenAt,
+      }));
+  }
+}
+
+module.exports = new EntityRepo();
@@ -5,12 +5,31 @@ class JobEntry {
     this.maxLogLines = parseInt(process.env.MAX_JOB_LOG_LINES || '300', 10);
   }
 
-  async createJob({ type, payload }) {
+  async createJob({
+    type,
+    payload,
+    maxAttempts = 1,
+    runAt = new Date(),
+    rerunOf = null,
+    requestedBy = null,
+    scheduleId = null,
+    pipelineRunId = null,
+    pipelineStep = null,
+    retryDelayMs = null,
+  }) {
     return Job.create({
       type,
       payload,
+      rerunOf,
+      requestedBy,
+      scheduleId,
+      pipelineRunId,
+      pipelineStep,
+      retryDelayMs,
       status: 'queued',
       createdAt: new Date(),
+      runAt,
+      maxAttempts,
       logs: [{ stream: 'system', message: 'Job queued', at: new Date() }],
     });
   }
@@ -28,25 +47,177 @@ class JobEntry {
       .exec();
   }
 
-  async markRunning(id) {
-    return Job.updateOne(
-      { _id: id },
-      { $set: { status: 'running', startedAt: new Date() } }
+  // Jobs by id (pipeline steps), logs only when asked for
+  async getManyByIds(ids, { logs = false } = {}) {
+    return Job.find({ _id: { $in: ids } }, logs ? {} : { logs: 0 })
+      .lean()
+      .exec();
+  }
+
+  // Queued and running jobs of a schedule, oldest first
+  async listActiveBySchedule(scheduleId) {
+    return Job.find(
+      { scheduleId, status: { $in: ['queued', 'running'] } },
+      { logs: 0 }
+    )
+      .sort({ createdAt: 1 })
+      .lean()
+      .exec();
+  }
+
+  /**
+   * Claim the oldest due job of a type for `owner`, if one of the type's
+   * `slots` is free. Two workers racing for a slot are told apart by the
+   * unique (type, lease.slot) index; the loser gets null.
+   * @returns {Promise<Object|null>} the running job
+   */
+  async claimNext({ type, owner, slots, leaseMs }) {
+    const busy = await Job.find(
+      { type, status: 'running', 'lease.slot': { $exists: true } },
+      { 'lease.slot': 1 }
+    )
+      .lean()
+      .exec();
+    const used = new Set(busy.map((j) => j.lease.slot));
+    let slot = 0;
+    while (used.has(slot)) slot++;
+    if (slot >= slots) return null;
+
+    const now = new Date();
+    try {
+      return await Job.findOneAndUpdate(
+        { type, status: 'queued', runAt: { $lte: now } },
+        {
+          $set: {
+            status: 'running',
+            startedAt: now,
+            finishedAt: null,
+            heartbeatAt: now,
+            lease: { owner, slot, expiresAt: new Date(now.getTime() + leaseMs) },
+          },
+          $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1, createdAt: 1 }, new: true, lean: true }
+      ).exec();
+    } catch (err) {
+      if (err.code === 11000) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Extend the lease.
+   * @returns {Promise<{ cancelRequestedAt: Date|null }|null>} null when `owner`
+   *   no longer holds it (recovered by another worker after it expired)
+   */
+  async heartbeat(id, owner, leaseMs) {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      { _id: id, status: 'running', 'lease.owner': owner },
+      { $set: { heartbeatAt: now, 'lease.expiresAt': new Date(now.getTime() + leaseMs) } },
+      { new: true, lean: true, projection: { cancelRequestedAt: 1 } }
     ).exec();
   }
 
-  async markFinished({ id, status, exitCode, error }) {
-    return Job.updateOne(
-      { _id: id },
+  /**
+   * Cancel a queued job outright; flag a running one for its worker.
+   * @returns {Promise<Object|null>} the job, null when it is neither queued nor running
+   */
+  async requestCancel(id) {
+    const now = new Date();
+    const queued = await Job.findOneAndUpdate(
+      { _id: id, status: 'queued' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelRequestedAt: now,
+          finishedAt: now,
+          error: { message: 'Cancelled before it started' },
+        },
+      },
+      { new: true, lean: true, projection: { logs: 0 } }
+    ).exec();
+    if (queued) return queued;
+
+    return Job.findOneAndUpdate(
+      { _id: id, status: 'running' },
+      { $set: { cancelRequestedAt: now } },
+      { new: true, lean: true, projection: { logs: 0 } }
+    ).exec();
+  }
+
+  /**
+   * Finish a running job. With `owner`, only while that worker holds the lease;
+   * with `lease`, only while that exact (expired) lease is still in place.
+   * @returns {Promise<boolean>} whether the job was updated
+   */
+  async finish({ id, owner, lease, status, exitCode, error, output }) {
+    const result = await Job.updateOne(
+      { _id: id, status: 'running', ...leaseFilter({ owner, lease }) },
       {
         $set: {
           status,
           finishedAt: new Date(),
           exitCode: exitCode ?? null,
           error: error ?? null,
+          output: output ?? null,
+          lease: null,
         },
       }
     ).exec();
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Put a running job back in the queue, to run again at `runAt`.
+   * Same lease conditions as finish().
+   */
+  async requeue({ id, owner, lease, runAt, exitCode, error }) {
+    const result = await Job.updateOne(
+      { _id: id, status: 'running', ...leaseFilter({ owner, lease }) },
+      {
+        $set: {
+          status: 'queued',
+          runAt,
+          exitCode: exitCode ?? null,
+          error: error ?? null,
+          lease: null,
+        },
+      }
+    ).exec();
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Running jobs whose lease has expired, and running jobs without a lease
+   * (started before the queue existed).
+   */
+  async findExpired({ limit = 100 } = {}) {
+    return Job.find(
+      {
+        status: 'running',
+        $or: [{ 'lease.expiresAt': { $lt: new Date() } }, { lease: null }],
+      },
+      { logs: 0 }
+    )
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  /**
+   * Queued and running jobs of the given types: { [type]: { [status]: count } }
+   */
+  async countByTypeAndStatus(types) {
+    const rows = await Job.aggregate([
+      { $match: { type: { $in: types }, status: { $in: ['queued', 'running'] } } },
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+    ]).exec();
+    const counts = {};
+    for (const { _id, count } of rows) {
+      counts[_id.type] = { ...counts[_id.type], [_id.status]: count };
+    }
+    return counts;
   }
 
   async appendLog(id, stream, message) {
@@ -65,4 +236,10 @@ class JobEntry {
   }
 }
 
+function leaseFilter({ owner, lease }) {
+  if (owner) return { 'lease.owner': owner };
+  if (lease) return { 'lease.owner': lease.owner, 'lease.expiresAt': lease.expiresAt };
+  return { lease: null };
+}
+
 module.exports = new JobEntry();
@@ -0,0 +1,83 @@
+// src/mongo/pipelineRun.js
+const mongoose = require('mongoose');
+const PipelineRun = require('../models/PipelineRun');
+
+class PipelineRunRepo {
+  async create(data) {
+    const doc = await PipelineRun.create(data);
+    return doc.toObject();
+  }
+
+  async getById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return PipelineRun.findById(id, { lock: 0 }).lean().exec();
+  }
+
+  async list({ pipeline, status, limit = 50, offset = 0 } = {}) {
+    const filter = {};
+    if (pipeline) filter.pipeline = pipeline;
+    if (status) filter.status = status;
+
+    const [items, total] = await Promise.all([
+      PipelineRun.find(filter, { definition: 0, lock: 0, 'steps.output': 0 })
+        .sort({ startedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean()
+        .exec(),
+      PipelineRun.countDocuments(filter).exec(),
+    ]);
+    return { items, total };
+  }
+
+  async listRunningIds({ limit = 100 } = {}) {
+    const runs = await PipelineRun.find({ status: 'running' }, { _id: 1 })
+      .sort({ startedAt: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+    return runs.map((r) => r._id);
+  }
+
+  async listRunningBySchedule(scheduleId) {
+    return PipelineRun.find({ scheduleId, status: 'running' }, { _id: 1, startedAt: 1 })
+      .sort({ startedAt: 1 })
+      .lean()
+      .exec();
+  }
+
+  /**
+   * Lock a running run for `owner` while nobody else holds it.
+   * @returns {Promise<Object|null>} the run, null when locked elsewhere or finished
+   */
+  async claim(id, owner, lockMs) {
+    const now = new Date();
+    return PipelineRun.findOneAndUpdate(
+      { _id: id, status: 'running', $or: [{ lock: null }, { 'lock.expiresAt': { $lt: now } }] },
+      { $set: { lock: { owner, expiresAt: new Date(now.getTime() + lockMs) } } },
+      { new: true, lean: true }
+    ).exec();
+  }
+
+  /**
+   * Store the run's new state and release the lock, while `owner` holds it.
+   * @returns {Promise<boolean>}
+   */
+  async saveAndRelease(id, owner, set) {
+    const result = await PipelineRun.updateOne(
+      { _id: id, 'lock.owner': owner },
+      { $set: { ...set, lock: null } }
+    ).exec();
+    return result.modifiedCount > 0;
+  }
+
+  async requestCancel(id) {
+    return PipelineRun.findOneAndUpdate(
+      { _id: id, status: 'running', cancelRequestedAt: null },
+      { $set: { cancelRequestedAt: new Date() } },
+      { new: true, lean: true, projection: { lock: 0 } }
+    ).exec();
+  }
+}
+
+module.exports = new PipelineRunRepo();
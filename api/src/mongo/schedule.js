@@ -0,0 +1,74 @@
+// src/mongo/schedule.js
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+
+const MAX_FIRES = parseInt(process.env.MAX_SCHEDULE_FIRES || '20', 10);
+
+class ScheduleRepo {
+  async list({ enabled } = {}) {
+    const filter = {};
+    if (enabled !== undefined) filter.enabled = enabled;
+    return Schedule.find(filter).sort({ name: 1 }).lean().exec();
+  }
+
+  async count() {
+    return Schedule.estimatedDocumentCount().exec();
+  }
+
+  async getById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Schedule.findById(id).lean().exec();
+  }
+
+  async findByName(name) {
+    return Schedule.findOne({ name }).lean().exec();
+  }
+
+  async create(data) {
+    const doc = await Schedule.create(data);
+    return doc.toObject();
+  }
+
+  async update(id, set) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Schedule.findByIdAndUpdate(id, { $set: set }, { new: true, runValidators: true })
+      .lean()
+      .exec();
+  }
+
+  async delete(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Schedule.findByIdAndDelete(id).lean().exec();
+  }
+
+  // Enabled schedules whose next fire time has come
+  async findDue(now = new Date(), { limit = 100 } = {}) {
+    return Schedule.find({ enabled: true, nextRunAt: { $ne: null, $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  /**
+   * Move a due schedule on to `nextRunAt`. Only one worker sees
+   * `expected` still in place, so only one fires it.
+   * @returns {Promise<Object|null>} the schedule, null when another worker won
+   */
+  async advance(id, expected, nextRunAt) {
+    return Schedule.findOneAndUpdate(
+      { _id: id, enabled: true, nextRunAt: expected },
+      { $set: { nextRunAt, lastRunAt: new Date() } },
+      { new: true, lean: true }
+    ).exec();
+  }
+
+  async recordFire(id, fire) {
+    await Schedule.updateOne(
+      { _id: id },
+      { $push: { fires: { $each: [fire], $slice: -MAX_FIRES } } }
+    ).exec();
+  }
+}
+
+module.exports = new ScheduleRepo();
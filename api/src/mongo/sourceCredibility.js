@@ -0,0 +1,77 @@
+// src/mongo/sourceCredibility.js
+const mongoose = require('mongoose');
+const SourceCredibility = require('../models/SourceCredibility');
+const { escapeRegex } = require('../services/breakingNewsSearchService');
+
+class SourceCredibilityRepo {
+  async list({ limit = 50, offset = 0, kind, tier, verified, q } = {}) {
+    const filter = {};
+    if (kind) filter.kind = kind;
+    if (tier) filter.tier = tier;
+    if (verified !== undefined) filter.verified = verified;
+    if (q) {
+      const re = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ key: re }, { name: re }];
+    }
+
+    const [items, total] = await Promise.all([
+      SourceCredibility.find(filter)
+        .select('-corrections')
+        .sort({ kind: 1, key: 1 })
+        .skip(offset)
+        .limit(limit)
+        .lean()
+        .exec(),
+      SourceCredibility.countDocuments(filter).exec(),
+    ]);
+    return { items, total };
+  }
+
+  // Everything but the correction history, for the lookup index
+  async listAll() {
+    return SourceCredibility.find({}).select('-corrections').lean().exec();
+  }
+
+  async getById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return SourceCredibility.findById(id).lean().exec();
+  }
+
+  async findByKey(kind, key) {
+    return SourceCredibility.findOne({ kind, key }).lean().exec();
+  }
+
+  async create(data) {
+    const doc = await SourceCredibility.create(data);
+    return doc.toObject();
+  }
+
+  async update(id, set) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return SourceCredibility.findByIdAndUpdate(
+      id,
+      { $set: set },
+      { new: true, runValidators: true }
+    )
+      .lean()
+      .exec();
+  }
+
+  async addCorrection(id, correction, userId) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return SourceCredibility.findByIdAndUpdate(
+      id,
+      { $push: { corrections: correction }, $set: { updated_by: userId } },
+      { new: true, runValidators: true }
+    )
+      .lean()
+      .exec();
+  }
+
+  async delete(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return SourceCredibility.findByIdAndDelete(id).lean().exec();
+  }
+}
+
+module.exports = new SourceCredibilityRepo();
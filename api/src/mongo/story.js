@@ -0,0 +1,91 @@
+// src/mongo/story.js
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const BreakingNewsEnrichment = require('../models/BreakingNewsEnrichment');
+const BreakingNews = require('../models/BreakingNews');
+
+const LIST_PROJECTION = { members: 0, centroid: 0 };
+
+class StoryRepo {
+  async list({ limit = 50, offset = 0, since, category, status, minMembers = 1 } = {}) {
+    const q = { memberCount: { $gte: minMembers } };
+    if (since) q.lastSeenAt = { $gte: since };
+    if (category) q.category = category;
+    if (status) q.status = status;
+
+    return Story.find(q, LIST_PROJECTION)
+      .sort({ lastSeenAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Story.findById(id, { centroid: 0 }).lean().exec();
+  }
+
+  /**
+   * Stories that could absorb a tweet published at `at`.
+   */
+  async findCandidates({ at, windowMs, limit = 200 }) {
+    return Story.find({
+      status: 'developing',
+      lastSeenAt: { $gte: new Date(at.getTime() - windowMs) },
+      firstSeenAt: { $lte: new Date(at.getTime() + windowMs) },
+    })
+      .sort({ lastSeenAt: -1 })
+      .limit(limit)
+      .exec();
+  }
+
+  async create(data) {
+    return Story.create(data);
+  }
+
+  async markStale({ before }) {
+    return Story.updateMany(
+      { status: 'developing', lastSeenAt: { $lt: before } },
+      { $set: { status: 'stale' } }
+    ).exec();
+  }
+
+  /**
+   * Enrichments not yet assigned to a story, oldest tweet first.
+   */
+  async getUnclusteredEnrichments({ limit = 200 } = {}) {
+    return BreakingNewsEnrichment.find({
+      story: null,
+      story_error: null,
+      error: { $exists: false },
+    })
+      .sort({ tweet_datetime: 1, _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getTweetTexts(tweetIds) {
+    const docs = await BreakingNews.find({ tweetId: { $in: tweetIds } }, { tweetId: 1, text: 1 })
+      .lean()
+      .exec();
+    return new Map(docs.map((d) => [d.tweetId, d.text || '']));
+  }
+
+  async assignEnrichment(enrichmentId, storyId) {
+    return BreakingNewsEnrichment.updateOne(
+      { _id: enrichmentId },
+      { $set: { story: storyId } }
+    ).exec();
+  }
+
+  async markClusterFailed(enrichmentId, message) {
+    return BreakingNewsEnrichment.updateOne(
+      { _id: enrichmentId },
+      { $set: { story_error: { message, at: new Date() } } }
+    ).exec();
+  }
+}
+
+module.exports = new StoryRepo();
@@ -0,0 +1,199 @@
+// src/mongo/trend.js
+const TrendBucket = require('../models/TrendBucket');
+const TrendSpike = require('../models/TrendSpike');
+const BreakingNews = require('../models/BreakingNews');
+const BreakingNewsLive = require('../models/BreakingNewsLive');
+const BreakingNewsEnrichment = require('../models/BreakingNewsEnrichment');
+
+class TrendRepo {
+  async getPendingTweets({ limit = 500 } = {}) {
+    return BreakingNews.find(
+      { trendedAt: null },
+      { tweetId: 1, title: 1, content: 1, text: 1, datetime: 1, publishedAt: 1, createdAt: 1 }
+    )
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getPendingLive({ limit = 500 } = {}) {
+    return BreakingNewsLive.find(
+      { trendedAt: null },
+      { tweetId: 1, text: 1, tweetCreatedAt: 1, capturedAt: 1, createdAt: 1 }
+    )
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  async getPendingEnrichments({ limit = 500 } = {}) {
+    return BreakingNewsEnrichment.find(
+      { trends_counted_at: null },
+      { entities: 1, locations: 1, category: 1, tweet_datetime: 1, createdAt: 1 }
+    )
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  /**
+   * Tweet ids whose text was already counted, either as a breaking_news tweet
+   * or as an earlier live capture. Live captures repeat tweets across jobs.
+   */
+  async getCountedTweetIds(tweetIds) {
+    const ids = tweetIds.filter(Boolean);
+    if (!ids.length) return new Set();
+
+    const [tweets, live] = await Promise.all([
+      BreakingNews.distinct('tweetId', { tweetId: { $in: ids } }).exec(),
+      BreakingNewsLive.distinct('tweetId', {
+        tweetId: { $in: ids },
+        trendedAt: { $ne: null },
+      }).exec(),
+    ]);
+    return new Set([...tweets, ...live]);
+  }
+
+  // timestamps: false so the markers do not bump updatedAt
+  async markTweetsCounted(ids) {
+    return BreakingNews.updateMany(
+      { _id: { $in: ids } },
+      { $set: { trendedAt: new Date() } },
+      { timestamps: false }
+    ).exec();
+  }
+
+  async markLiveCounted(ids) {
+    return BreakingNewsLive.updateMany(
+      { _id: { $in: ids } },
+      { $set: { trendedAt: new Date() } }
+    ).exec();
+  }
+
+  async markEnrichmentsCounted(ids) {
+    return BreakingNewsEnrichment.updateMany(
+      { _id: { $in: ids } },
+      { $set: { trends_counted_at: new Date() } },
+      { timestamps: false }
+    ).exec();
+  }
+
+  /**
+   * @param {Array<{ kind: string, term: string, label: string, bucketStart: Date, count: number }>} increments
+   */
+  async incrementBuckets(increments) {
+    if (!increments.length) return;
+    await TrendBucket.bulkWrite(
+      increments.map(({ kind, term, label, bucketStart, count }) => ({
+        updateOne: {
+          filter: { kind, term, bucketStart },
+          update: { $inc: { count }, $setOnInsert: { label } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  /**
+   * Mention counts per term for consecutive windows ending at `end`.
+   * Window 0 is [end - windowMs, end), window 1 the one before, and so on.
+   * @returns {Promise<Array<{ kind: string, term: string, label: string, counts: Object<number, number> }>>}
+   */
+  async getWindowCounts({ end, windowMs, windows, kind }) {
+    const match = { bucketStart: { $gte: new Date(end.getTime() - windowMs * windows), $lt: end } };
+    if (kind) match.kind = kind;
+
+    const rows = await TrendBucket.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            kind: '$kind',
+            term: '$term',
+            idx: {
+              $floor: {
+                $divide: [{ $subtract: [{ $subtract: [end, '$bucketStart'] }, 1] }, windowMs],
+              },
+            },
+          },
+          label: { $first: '$label' },
+          count: { $sum: '$count' },
+        },
+      },
+      {
+        $group: {
+          _id: { kind: '$_id.kind', term: '$_id.term' },
+          label: { $first: '$label' },
+          counts: { $push: { k: { $toString: '$_id.idx' }, v: '$count' } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          kind: '$_id.kind',
+          term: '$_id.term',
+          label: 1,
+          counts: { $arrayToObject: '$counts' },
+        },
+      },
+    ])
+      .allowDiskUse(true)
+      .exec();
+
+    return rows;
+  }
+
+  async listSpikes({ window, kind, status, since, limit = 20 } = {}) {
+    const q = {};
+    if (window) q.window = window;
+    if (kind) q.kind = kind;
+    if (status) q.status = status;
+    if (since) q.lastDetectedAt = { $gte: since };
+
+    return TrendSpike.find(q)
+      .sort(status === 'active' ? { zScore: -1, _id: -1 } : { lastDetectedAt: -1, _id: -1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  /**
+   * Update the active spike for the term and window, or open a new one.
+   */
+  async recordSpike(spike) {
+    const { kind, term, window, count, zScore, at } = spike;
+    return TrendSpike.findOneAndUpdate(
+      { kind, term, window, status: 'active' },
+      {
+        $set: {
+          label: spike.label,
+          count,
+          baselineMean: spike.baselineMean,
+          baselineStd: spike.baselineStd,
+          zScore,
+          ratio: spike.ratio,
+          lastDetectedAt: at,
+        },
+        $max: { peakCount: count, peakZScore: zScore },
+        $setOnInsert: { firstDetectedAt: at },
+      },
+      { upsert: true, new: true, lean: true }
+    ).exec();
+  }
+
+  /**
+   * Close active spikes of a window that the latest pass no longer flagged.
+   */
+  async endSpikes({ window, keepIds, at }) {
+    return TrendSpike.updateMany(
+      { window, status: 'active', _id: { $nin: keepIds } },
+      { $set: { status: 'ended', endedAt: at } }
+    ).exec();
+  }
+}
+
+module.exports = new TrendRepo();
@@ -0,0 +1,23 @@
+// src/routes/alertRoutes.js
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const controller = require('../controllers/alertController');
+
+// Rules and inboxes belong to the signed-in user
+router.use(requireAuth);
+
+router.get('/fields', controller.getFields);                                  // GET /api/alerts/fields
+router.get('/notifications', controller.listNotifications);                   // GET /api/alerts/notifications
+router.post('/notifications/read-all', controller.markAllNotificationsRead);  // POST /api/alerts/notifications/read-all
+router.post('/notifications/:id/read', controller.markNotificationRead);      // POST /api/alerts/notifications/:id/read
+
+router.get('/', controller.listRules);                                        // GET /api/alerts
+router.post('/', controller.createRule);                                      // POST /api/alerts
+router.get('/:id', controller.getRule);                                       // GET /api/alerts/:id
+router.put('/:id', controller.updateRule);                                    // PUT /api/alerts/:id
+router.delete('/:id', controller.deleteRule);                                 // DELETE /api/alerts/:id
+router.post('/:id/test', controller.testRule);                                // POST /api/alerts/:id/test
+router.get('/:id/deliveries', controller.listDeliveries);                     // GET /api/alerts/:id/deliveries
+
+module.exports = router;
@@ -1,16 +1,32 @@
 // src/routes/breakingNewsRoutes.js
 const express = require('express');
 const router = express.Router();
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, streamApiKeyAuth, requireAuth, requireRole } = require('../middleware/auth');
 const controller = require('../controllers/breakingNewsController');
+const deadLetters = require('../controllers/enrichmentDeadLetterController');
+const corrections = require('../controllers/enrichmentCorrectionController');
 
-// Apply API key auth to all routes in this router
+// EventSource cannot send the x-api-key header; only the stream takes ?apiKey=
+router.get('/stream', streamApiKeyAuth, controller.streamBreakingNews); // GET /api/breaking-news/stream (SSE)
+
+// Apply API key auth to all other routes in this router
 router.use(apiKeyAuth);
 
 router.get('/', controller.listBreakingNews);          // GET /api/breaking-news
+router.get('/corrections/export', requireAuth, corrections.exportCorrections); // GET /api/breaking-news/corrections/export?since=&field= (JSONL)
+router.get('/dead-letters', deadLetters.listDeadLetters); // GET /api/breaking-news/dead-letters?status=&reason=
+router.get('/dead-letters/:id', deadLetters.getDeadLetterById); // GET /api/breaking-news/dead-letters/:id
+router.post('/dead-letters/:id/dismiss', requireAuth, requireRole('EDITOR'), deadLetters.dismissDeadLetter); // POST /api/breaking-news/dead-letters/:id/dismiss
 router.get('/:id/enrichment', controller.getBreakingNewsEnrichmentById); // GET /api/breaking-news/:id/enrichment   
+router.patch('/:id/enrichment', requireAuth, requireRole('EDITOR'), corrections.correctEnrichment); // PATCH /api/breaking-news/:id/enrichment
+router.get('/:id/enrichment/corrections', corrections.listCorrections); // GET /api/breaking-news/:id/enrichment/corrections
+router.delete('/:id/enrichment/corrections/:field', requireAuth, requireRole('EDITOR'), corrections.revertCorrection); // DELETE /api/breaking-news/:id/enrichment/corrections/:field
+router.get('/:id/enrichment/revisions', controller.listEnrichmentRevisions); // GET /api/breaking-news/:id/enrichment/revisions
+router.get('/:id/enrichment/diff', controller.diffEnrichmentRevisions); // GET /api/breaking-news/:id/enrichment/diff?from=&to=
+router.get('/:id/claims', controller.getBreakingNewsClaims); // GET /api/breaking-news/:id/claims
 router.get('/:id/media', controller.getBreakingNewsMediaById); // GET /api/breaking-news/:id/media
-router.get('/:id/live', controller.listBreakingNewsLive); // GET /api/breaking-news/live
+router.get('/:id/live', controller.listBreakingNewsLive); // GET /api/breaking-news/:id/live
+router.get('/:id/live/stats', controller.getBreakingNewsLiveStats); // GET /api/breaking-news/:id/live/stats
 router.get('/:id', controller.getBreakingNewsById);    // GET /api/breaking-news/:id
 
 module.exports = router;
@@ -0,0 +1,13 @@
+// src/routes/duplicateRoutes.js
+const express = require('express');
+const router = express.Router();
+const { apiKeyAuth } = require('../middleware/auth');
+const controller = require('../controllers/duplicateController');
+
+router.use(apiKeyAuth);
+
+router.get('/', controller.listGroups);        // GET /api/duplicates
+router.post('/run', controller.runDedup);      // POST /api/duplicates/run
+router.get('/:id', controller.getGroupById);   // GET /api/duplicates/:id
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// src/routes/entityRoutes.js
+const express = require('express');
+const router = express.Router();
+const { apiKeyAuth } = require('../middleware/auth');
+const controller = require('../controllers/entityController');
+
+router.use(apiKeyAuth);
+
+router.get('/', controller.listEntities);              // GET /api/entities
+router.post('/reindex', controller.reindexEntities);   // POST /api/entities/reindex
+router.get('/:id', controller.getEntityById);          // GET /api/entities/:id
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// src/routes/geoRoutes.js
+const express = require('express');
+const router = express.Router();
+const { apiKeyAuth } = require('../middleware/auth');
+const controller = require('../controllers/geoController');
+
+router.use(apiKeyAuth);
+
+router.get('/bbox', controller.getByBoundingBox);            // GET /api/geo/bbox
+router.get('/near', controller.getNearPoint);                // GET /api/geo/near
+router.get('/countries/:country', controller.getByCountry);  // GET /api/geo/countries/:country
+router.get('/geocode', controller.geocode);                  // GET /api/geo/geocode
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireAuth, requireRole } = require('../middleware/auth');
 const controller = require('../controllers/jobsController');
 
 router.use(apiKeyAuth);
@@ -8,9 +8,27 @@ router.use(apiKeyAuth);
 // GET /api/jobs?limit&offset
 router.get('/', controller.listJobs);
 
+// GET /api/jobs/types
+router.get('/types', controller.listJobTypes);
+
+// POST /api/jobs  body: { type, payload } - writers and editors; some types editors only
+router.post('/', requireAuth, requireRole('WRITER', 'EDITOR'), controller.createJob);
+
+// GET /api/jobs/queue
+router.get('/queue', controller.getQueueStats);
+
+// GET /api/jobs/enrichment/escalations?since&until
+router.get('/enrichment/escalations', controller.getEscalationStats);
+
 // GET /api/jobs/:id
 router.get('/:id', controller.getJobById);
 
+// POST /api/jobs/:id/cancel - writers and editors
+router.post('/:id/cancel', requireAuth, requireRole('WRITER', 'EDITOR'), controller.cancelJob);
+
+// POST /api/jobs/:id/rerun - writers and editors; some types editors only
+router.post('/:id/rerun', requireAuth, requireRole('WRITER', 'EDITOR'), controller.rerunJob);
+
 // POST /api/jobs/twitter-live  body: { tweetId }
 router.post('/twitter-live', controller.createTwitterLiveJob);
 
@@ -0,0 +1,17 @@
+// src/routes/pipelineRoutes.js
+const express = require('express');
+const router = express.Router();
+const { apiKeyAuth, requireAuth, requireRole } = require('../middleware/auth');
+const controller = require('../controllers/pipelineController');
+
+// Anyone with the API key follows the runs; writers and editors start and cancel them
+router.use(apiKeyAuth);
+const writer = [requireAuth, requireRole('WRITER', 'EDITOR')];
+
+router.get('/', controller.listPipelines);                                      // GET /api/pipelines
+router.get('/runs', controller.listRuns);                                       // GET /api/pipelines/runs?pipeline=&status=
+router.get('/runs/:id', controller.getRun);                                     // GET /api/pipelines/runs/:id
+router.post('/runs/:id/cancel', writer, controller.cancelRun);                  // POST /api/pipelines/runs/:id/cancel
+router.post('/:name/runs', writer, controller.startRun);                        // POST /api/pipelines/:name/runs
+
+module.exports = router;
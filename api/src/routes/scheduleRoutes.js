@@ -0,0 +1,17 @@
+// src/routes/scheduleRoutes.js
+const express = require('express');
+const router = express.Router();
+const { apiKeyAuth, requireAuth, requireRole } = require('../middleware/auth');
+const controller = require('../controllers/scheduleController');
+
+// Anyone with the API key sees the schedules; editors change the cadence
+router.use(apiKeyAuth);
+const editor = [requireAuth, requireRole('EDITOR')];
+
+router.get('/', controller.listSchedules);                                      // GET /api/schedules?enabled=
+router.post('/', editor, controller.createSchedule);                            // POST /api/schedules
+router.get('/:id', controller.getSchedule);                                     // GET /api/schedules/:id
+router.patch('/:id', editor, controller.updateSchedule);                        // PATCH /api/schedules/:id
+router.delete('/:id', editor, controller.deleteSchedule);                       // DELETE /api/schedules/:id
+
+module.exports = router;
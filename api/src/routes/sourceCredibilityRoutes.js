@@ -0,0 +1,20 @@
+// src/routes/sourceCredibilityRoutes.js
+const express = require('express');
+const router = express.Router();
+const { apiKeyAuth, requireAuth, requireRole } = require('../middleware/auth');
+const controller = require('../controllers/sourceCredibilityController');
+
+// Anyone with the API key reads the registry; editors maintain it
+router.use(apiKeyAuth);
+const editor = [requireAuth, requireRole('EDITOR')];
+
+router.get('/', controller.listSources);                                        // GET /api/sources
+router.get('/tiers', controller.getTiers);                                      // GET /api/sources/tiers
+router.get('/lookup', controller.lookupSource);                                 // GET /api/sources/lookup?account=|domain=|url=
+router.post('/', editor, controller.createSource);                              // POST /api/sources
+router.get('/:id', controller.getSource);                                       // GET /api/sources/:id
+router.patch('/:id', editor, controller.updateSource);                          // PATCH /api/sources/:id
+router.delete('/:id', editor, controller.deleteSource);                         // DELETE /api/sources/:id
+router.post('/:id/corrections', editor, controller.addSourceCorrection);        // POST /api/sources/:id/corrections
+
+module.exports = router;
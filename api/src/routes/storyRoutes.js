@@ -0,0 +1,13 @@
+// src/routes/storyRoutes.js
+const express = require('express');
+const router = express.Router();
+const { apiKeyAuth } = require('../middleware/auth');
+const controller = require('../controllers/storyController');
+
+router.use(apiKeyAuth);
+
+router.get('/', controller.listStories);             // GET /api/stories
+router.post('/cluster', controller.clusterStories);  // POST /api/stories/cluster
+router.get('/:id', controller.getStoryById);         // GET /api/stories/:id
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// src/routes/trendRoutes.js
+const express = require('express');
+const router = express.Router();
+const { apiKeyAuth } = require('../middleware/auth');
+const controller = require('../controllers/trendController');
+
+router.use(apiKeyAuth);
+
+router.get('/', controller.getTrends);          // GET /api/trends
+router.get('/spikes', controller.listSpikes);   // GET /api/trends/spikes
+router.post('/run', controller.runTrends);      // POST /api/trends/run
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// src/routes/usageRoutes.js
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireRole } = require('../middleware/auth');
+const controller = require('../controllers/usageController');
+
+// LLM usage ledger and organization budgets
+router.use(requireAuth);
+
+router.get('/', controller.getReport);                                                // GET /api/usage
+router.get('/budgets', controller.listBudgets);                                       // GET /api/usage/budgets
+router.put('/budgets/:organizationId', requireRole('EDITOR'), controller.setBudget);  // PUT /api/usage/budgets/:organizationId
+
+module.exports = router;
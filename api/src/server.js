@@ -2,11 +2,31 @@
 require('dotenv').config();
 const app = require('./app');
 const { connectMongo } = require('./config/db');
+const storyClusteringService = require('./services/storyClusteringService');
+const geoProjectionService = require('./services/geoProjectionService');
+const dedupService = require('./services/dedupService');
+const entityIndexService = require('./services/entityIndexService');
+const trendDetectionService = require('./services/trendDetectionService');
+const alertService = require('./services/alertService');
+const claimService = require('./services/claimService');
+const jobQueueService = require('./services/jobQueueService');
+const schedulerService = require('./services/schedulerService');
+const pipelineService = require('./services/pipelineService');
 
 const PORT = process.env.PORT || 4000;
 
 async function start() {
   await connectMongo();
+  storyClusteringService.start();
+  geoProjectionService.start();
+  dedupService.start();
+  entityIndexService.start();
+  trendDetectionService.start();
+  alertService.start();
+  claimService.start();
+  jobQueueService.start();
+  schedulerService.start();
+  pipelineService.start();
 
   app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
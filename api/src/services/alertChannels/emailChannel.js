@@ -0,0 +1,65 @@
+// src/services/alertChannels/emailChannel.js
+//
+// Sends the alert over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+// SMTP_PASS). For local testing point SMTP_HOST/SMTP_PORT at a sink such as
+// MailHog or smtp4dev (localhost:1025).
+const nodemailer = require('nodemailer');
+
+const FROM = process.env.ALERT_EMAIL_FROM || 'alerts@localhost';
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let transport = null;
+
+function getTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set');
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transport;
+}
+
+// emailTo is optional; deliveries fall back to the rule owner's address
+function validate(rule) {
+  return !rule.emailTo || EMAIL_RE.test(rule.emailTo) ? null : 'emailTo must be an email address';
+}
+
+function render(payload) {
+  const lines = [
+    payload.title,
+    '',
+    payload.text && payload.text !== payload.title ? payload.text : null,
+    payload.category ? `Category: ${payload.category}` : null,
+    payload.countries?.length ? `Countries: ${payload.countries.join(', ')}` : null,
+    payload.confidence != null ? `Confidence: ${payload.confidence}` : null,
+    payload.account ? `Account: @${payload.account}` : null,
+    payload.url || null,
+    '',
+    `Rule: ${payload.rule.name}`,
+  ];
+  return lines.filter((l) => l !== null).join('\n');
+}
+
+async function send(delivery, rule) {
+  const to = rule.emailTo || rule.owner?.email;
+  if (!to) throw new Error('No recipient address');
+
+  await getTransport().sendMail({
+    from: FROM,
+    to,
+    subject: `[Alert] ${delivery.payload.rule.name}: ${delivery.payload.title}`.slice(0, 200),
+    text: render(delivery.payload),
+    headers: { 'X-Alert-Delivery': delivery.id },
+  });
+}
+
+module.exports = {
+  validate,
+  send,
+};
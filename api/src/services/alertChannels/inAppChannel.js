@@ -0,0 +1,27 @@
+// src/services/alertChannels/inAppChannel.js
+//
+// Adds the alert to the rule owner's notification inbox.
+const prisma = require('../../config/prisma');
+
+function validate() {
+  return null;
+}
+
+async function send(delivery, rule) {
+  const { payload } = delivery;
+  await prisma.notification.create({
+    data: {
+      userId: rule.ownerUserId,
+      ruleId: rule.id,
+      tweetId: delivery.tweetId,
+      title: `${payload.rule.name}: ${payload.title}`.slice(0, 300),
+      body: payload.text || null,
+      payload,
+    },
+  });
+}
+
+module.exports = {
+  validate,
+  send,
+};
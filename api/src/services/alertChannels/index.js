@@ -0,0 +1,24 @@
+// src/services/alertChannels/index.js
+//
+// Delivery channels by AlertChannel value. A channel exports
+//   validate(rule) -> error message or null
+//   send(delivery, rule) -> resolves when delivered, throws to retry
+// Adding one means an AlertChannel enum value and an entry here.
+const webhookChannel = require('./webhookChannel');
+const emailChannel = require('./emailChannel');
+const inAppChannel = require('./inAppChannel');
+
+const channels = {
+  WEBHOOK: webhookChannel,
+  EMAIL: emailChannel,
+  IN_APP: inAppChannel,
+};
+
+function getChannel(name) {
+  return channels[name] || null;
+}
+
+module.exports = {
+  ALERT_CHANNELS: Object.keys(channels),
+  getChannel,
+};
@@ -0,0 +1,130 @@
+// src/services/alertChannels/webhookChannel.js
+//
+// POSTs the alert as JSON. When the rule has a webhookSecret the body is
+// signed so receivers can verify it:
+//
+//   X-Alert-Timestamp: <unix seconds>
+//   X-Alert-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// X-Alert-Delivery stays the same across retries, for idempotent receivers.
+//
+// Rules are written by users, so the URL must not reach the API's own network:
+// loopback, private, link-local and other non-public addresses are refused,
+// for IP hosts when the rule is saved and for every resolved address when
+// connecting (so a name cannot resolve to a public address at save time and
+// an internal one later).
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+const TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // multicast and reserved
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], // unspecified and loopback (IPv4-mapped addresses match the rules above)
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function hostError(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host)) {
+    return 'webhookUrl must point to a public address';
+  }
+  return null;
+}
+
+// dns.lookup that fails for non-public addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const dispatcher = new Agent({ connect: { lookup: publicLookup } });
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function validate(rule) {
+  let url;
+  try {
+    url = new URL(rule.webhookUrl || '');
+  } catch {
+    return 'webhookUrl must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'webhookUrl must be http(s)';
+  return hostError(url.hostname);
+}
+
+async function send(delivery, rule) {
+  // Also checked here for rules saved before the check existed
+  const error = validate(rule);
+  if (error) throw new Error(error);
+
+  const body = JSON.stringify({
+    event: 'alert.triggered',
+    deliveryId: delivery.id,
+    ...delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'project-news-alerts',
+    'X-Alert-Delivery': delivery.id,
+    'X-Alert-Timestamp': String(timestamp),
+  };
+  if (rule.webhookSecret) {
+    headers['X-Alert-Signature'] = `sha256=${sign(rule.webhookSecret, timestamp, body)}`;
+  }
+
+  const res = await fetch(rule.webhookUrl, {
+    method: 'POST',
+    headers,
+    body,
+    redirect: 'manual',
+    dispatcher,
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+}
+
+module.exports = {
+  validate,
+  send,
+  sign,
+  isBlockedAddress,
+  publicLookup,
+};
@@ -0,0 +1,195 @@
+// src/services/alertConditionService.js
+//
+// Alert rule conditions and how they are evaluated against a breaking-news
+// tweet and its enrichment. A rule matches when all of its conditions hold:
+//
+//   [{ field: 'category', op: 'eq', value: 'conflict' },
+//    { field: 'country', op: 'eq', value: 'UA' },
+//    { field: 'confidence', op: 'gt', value: 0.7 }]
+//
+// Text comparisons ignore case and accents. List fields (country, place,
+// entity, tag) hold when any of their values does; `neq` holds when none
+// does. A condition on a field the document has no value for does not hold,
+// so rules on enrichment fields fire once the enrichment exists.
+const { entitiesOf } = require('./entityNameService');
+
+const MAX_CONDITIONS = 20;
+
+// type -> allowed operators
+const OPERATORS = {
+  string: ['eq', 'neq', 'in', 'contains'],
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte'],
+  list: ['eq', 'neq', 'in', 'contains'],
+  text: ['contains'],
+};
+
+const ALERT_FIELDS = {
+  category: 'string',
+  event_type: 'string',
+  time_window: 'string',
+  account: 'string',
+  source: 'string',
+  confidence: 'number',
+  credibility: 'number',
+  risk_score: 'number',
+  sentiment: 'number',
+  country: 'list', // country code or name of any location
+  place: 'list',
+  entity: 'list', // person, organization or equipment, aliases resolved
+  tag: 'list',
+  text: 'text', // headline and tweet body
+};
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function fold(s) {
+  return String(s ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Check and normalize the conditions of a rule; throws a 400 error.
+ * @param {Array<{ field: string, op: string, value: any }>} conditions
+ * @returns {Array<{ field: string, op: string, value: any }>}
+ */
+function validateConditions(conditions) {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    throw badRequest('conditions must be a non-empty array');
+  }
+  if (conditions.length > MAX_CONDITIONS) {
+    throw badRequest(`at most ${MAX_CONDITIONS} conditions are allowed`);
+  }
+
+  return conditions.map((c, i) => {
+    const field = String(c?.field || '');
+    const op = String(c?.op || 'eq');
+    const type = ALERT_FIELDS[field];
+    if (!type) {
+      throw badRequest(
+        `conditions[${i}].field must be one of: ${Object.keys(ALERT_FIELDS).join(', ')}`
+      );
+    }
+    if (!OPERATORS[type].includes(op)) {
+      throw badRequest(
+        `conditions[${i}].op for ${field} must be one of: ${OPERATORS[type].join(', ')}`
+      );
+    }
+
+    let value = c.value;
+    if (op === 'in') {
+      value = (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .map((v) => String(v).trim())
+        .filter(Boolean);
+      if (!value.length) throw badRequest(`conditions[${i}].value must list at least one value`);
+    } else if (type === 'number') {
+      value = c.value === '' || c.value == null ? NaN : Number(c.value);
+      if (!Number.isFinite(value)) {
+        throw badRequest(`conditions[${i}].value must be a number`);
+      }
+    } else {
+      value = String(value ?? '').trim();
+      if (!value) throw badRequest(`conditions[${i}].value is required`);
+    }
+
+    return { field, op, value };
+  });
+}
+
+/**
+ * Flatten a tweet and its enrichment into the fields conditions refer to.
+ * Either may be missing.
+ */
+function alertDocument({ tweet = null, enrichment = null }) {
+  const locations = enrichment?.locations || [];
+  const doc = {
+    category: enrichment?.category !== 'unknown' ? enrichment?.category : null,
+    event_type: enrichment?.event_type !== 'unknown' ? enrichment?.event_type : null,
+    time_window: enrichment?.time_window !== 'unknown' ? enrichment?.time_window : null,
+    account: tweet?.account || enrichment?.account || null,
+    source: tweet?.source || null,
+    confidence: enrichment?.confidence,
+    credibility: enrichment?.credibility,
+    risk_score: enrichment?.risk_score,
+    sentiment: enrichment?.sentiment,
+    country: locations.flatMap((l) => [l.country_code, l.country]),
+    place: locations.map((l) => l.place),
+    entity: enrichment
+      ? entitiesOf(enrichment.entities).flatMap((e) => [e.name, e.key, e.alias])
+      : [],
+    tag: tweet?.tags || [],
+    text: [tweet?.title, tweet?.content, tweet?.text].filter(Boolean).join('\n'),
+  };
+
+  for (const [field, type] of Object.entries(ALERT_FIELDS)) {
+    if (type === 'list') doc[field] = [...new Set(doc[field].filter(Boolean).map(fold))];
+    else if (type !== 'number' && doc[field] != null) doc[field] = fold(doc[field]);
+  }
+  if (!tweet) doc.text = null;
+  return doc;
+}
+
+function compare(actual, op, value) {
+  switch (op) {
+    case 'eq':
+      return actual === value;
+    case 'neq':
+      return actual !== value;
+    case 'in':
+      return value.includes(actual);
+    case 'contains':
+      return actual.includes(value);
+    case 'gt':
+      return actual > value;
+    case 'gte':
+      return actual >= value;
+    case 'lt':
+      return actual < value;
+    case 'lte':
+      return actual <= value;
+    default:
+      return false;
+  }
+}
+
+function conditionHolds(doc, { field, op, value }) {
+  const type = ALERT_FIELDS[field];
+  const actual = doc[field];
+
+  if (type === 'number') {
+    return typeof actual === 'number' && compare(actual, op, Number(value));
+  }
+
+  const expected = op === 'in' ? value.map(fold) : fold(value);
+  if (type === 'list') {
+    if (!actual.length) return false;
+    if (op === 'neq') return !actual.includes(expected);
+    return actual.some((a) => compare(a, op, expected));
+  }
+
+  return actual != null && actual !== '' && compare(actual, op, expected);
+}
+
+/**
+ * @param {Array} conditions - validated conditions of a rule
+ * @param {Object} doc - from alertDocument()
+ */
+function matchesConditions(conditions, doc) {
+  return Array.isArray(conditions) && conditions.length > 0
+    ? conditions.every((c) => conditionHolds(doc, c))
+    : false;
+}
+
+module.exports = {
+  ALERT_FIELDS,
+  OPERATORS,
+  validateConditions,
+  alertDocument,
+  matchesConditions,
+};
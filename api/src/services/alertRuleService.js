@@ -0,0 +1,151 @@
+// src/services/alertRuleService.js
+const prisma = require('../config/prisma');
+const { validateConditions } = require('./alertConditionService');
+const { ALERT_CHANNELS, getChannel } = require('./alertChannels');
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// The webhook secret is write-only
+function serialize(rule) {
+  if (!rule) return rule;
+  const { webhookSecret, ...rest } = rule;
+  return { ...rest, hasWebhookSecret: Boolean(webhookSecret) };
+}
+
+function optionalString(value) {
+  if (value === undefined) return undefined;
+  const s = value === null ? '' : String(value).trim();
+  return s || null;
+}
+
+class AlertRuleService {
+  /**
+   * Validate a create/update body against the current rule (if any).
+   * @returns {Object} Prisma data
+   */
+  buildData(body = {}, current = null) {
+    const data = {};
+
+    if (body.name !== undefined || !current) {
+      const name = String(body.name ?? '').trim();
+      if (!name) throw httpError(400, 'name is required');
+      if (name.length > 120) throw httpError(400, 'name must be at most 120 characters');
+      data.name = name;
+    }
+    if (body.enabled !== undefined) data.enabled = Boolean(body.enabled);
+    if (body.conditions !== undefined || !current) {
+      data.conditions = validateConditions(body.conditions);
+    }
+    if (body.channels !== undefined || !current) {
+      const channels = [...new Set(Array.isArray(body.channels) ? body.channels : [])];
+      if (!channels.length) throw httpError(400, 'channels must list at least one channel');
+      const unknown = channels.filter((c) => !ALERT_CHANNELS.includes(c));
+      if (unknown.length) {
+        throw httpError(400, `channels must be among: ${ALERT_CHANNELS.join(', ')}`);
+      }
+      data.channels = channels;
+    }
+    for (const key of ['webhookUrl', 'webhookSecret', 'emailTo']) {
+      const value = optionalString(body[key]);
+      if (value !== undefined) data[key] = value;
+    }
+
+    const merged = { ...current, ...data };
+    for (const channel of merged.channels) {
+      const error = getChannel(channel).validate(merged);
+      if (error) throw httpError(400, error);
+    }
+    return data;
+  }
+
+  /**
+   * @param {number} ownerUserId
+   */
+  async listRules(ownerUserId) {
+    const rules = await prisma.alertRule.findMany({
+      where: { ownerUserId },
+      orderBy: { createdAt: 'desc' },
+    });
+    return rules.map(serialize);
+  }
+
+  async getRuleRecord(id, ownerUserId) {
+    const rule = await prisma.alertRule.findFirst({ where: { id, ownerUserId } });
+    if (!rule) throw httpError(404, 'Alert rule not found');
+    return rule;
+  }
+
+  async getRule(id, ownerUserId) {
+    return serialize(await this.getRuleRecord(id, ownerUserId));
+  }
+
+  async createRule(ownerUserId, body) {
+    const data = this.buildData(body);
+    const rule = await prisma.alertRule.create({ data: { ...data, ownerUserId } });
+    return serialize(rule);
+  }
+
+  async updateRule(id, ownerUserId, body) {
+    const current = await this.getRuleRecord(id, ownerUserId);
+    const data = this.buildData(body, current);
+    const rule = await prisma.alertRule.update({ where: { id }, data });
+    return serialize(rule);
+  }
+
+  async deleteRule(id, ownerUserId) {
+    await this.getRuleRecord(id, ownerUserId);
+    await prisma.alertRule.delete({ where: { id } });
+  }
+
+  /**
+   * Latest deliveries of a rule, newest first.
+   */
+  async listDeliveries(id, ownerUserId, { limit = 50 } = {}) {
+    await this.getRuleRecord(id, ownerUserId);
+    return prisma.alertDelivery.findMany({
+      where: { ruleId: id },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+  }
+
+  /**
+   * In-app inbox of a user.
+   * @returns {Promise<{ items: Array, unread: number }>}
+   */
+  async listNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const where = { userId };
+    if (unreadOnly) where.readAt = null;
+
+    const [items, unread] = await Promise.all([
+      prisma.notification.findMany({ where, orderBy: { createdAt: 'desc' }, take: limit }),
+      prisma.notification.count({ where: { userId, readAt: null } }),
+    ]);
+    return { items, unread };
+  }
+
+  async markNotificationRead(id, userId) {
+    const { count } = await prisma.notification.updateMany({
+      where: { id, userId, readAt: null },
+      data: { readAt: new Date() },
+    });
+    if (!count) {
+      const exists = await prisma.notification.findFirst({ where: { id, userId } });
+      if (!exists) throw httpError(404, 'Notification not found');
+    }
+  }
+
+  async markAllNotificationsRead(userId) {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId, readAt: null },
+      data: { readAt: new Date() },
+    });
+    return count;
+  }
+}
+
+module.exports = new AlertRuleService();
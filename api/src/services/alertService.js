@@ -0,0 +1,294 @@
+// src/services/alertService.js
+//
+// Evaluates enabled alert rules against new breaking_news tweets and
+// enrichments, and delivers the matches.
+//
+// Evaluation: a tweet is checked when it is stored and again when its
+// enrichment arrives, each time with whatever of the two exists. A match
+// queues one alert_deliveries row per channel of the rule; the unique
+// (rule, channel, tweet) key means a tweet triggers a rule at most once.
+// Only documents created within ALERT_LOOKBACK_HOURS are considered, so
+// enabling alerts does not replay the whole archive.
+//
+// Delivery: pending rows are sent through their channel. Every API process
+// runs this loop, so a process first claims due rows (PENDING -> SENDING with
+// its name and a lease of ALERT_CLAIM_MS) and sends only the ones it got; rows
+// whose lease ran out (the process died mid-send) go back to PENDING.
+// Failures are retried with exponential backoff (ALERT_RETRY_BASE_MS,
+// doubling) and marked FAILED after ALERT_MAX_ATTEMPTS.
+const os = require('node:os');
+const crypto = require('node:crypto');
+const prisma = require('../config/prisma');
+const alertRepo = require('../mongo/alert');
+const { alertDocument, matchesConditions } = require('./alertConditionService');
+const { getChannel } = require('./alertChannels');
+
+const INTERVAL_MS = parseInt(process.env.ALERT_INTERVAL_MS || '15000', 10);
+const LOOKBACK_MS = parseFloat(process.env.ALERT_LOOKBACK_HOURS || '24') * 60 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.ALERT_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.ALERT_RETRY_BASE_MS || '30000', 10);
+const CLAIM_MS = parseInt(process.env.ALERT_CLAIM_MS || '300000', 10);
+const BATCH_SIZE = 200;
+const DELIVERY_BATCH_SIZE = 50;
+
+function alertPayload(rule, tweet, enrichment) {
+  const text = tweet?.text || tweet?.content || null;
+  return {
+    rule: { id: rule.id, name: rule.name },
+    tweetId: tweet?.tweetId || enrichment?.tweetId,
+    title: (tweet?.title || text || enrichment?.tweetId || '').slice(0, 280),
+    text,
+    url: tweet?.url || enrichment?.tweet_url || null,
+    account: tweet?.account || enrichment?.account || null,
+    source: tweet?.source || null,
+    publishedAt: tweet?.datetime || tweet?.publishedAt || null,
+    category: enrichment?.category ?? null,
+    event_type: enrichment?.event_type ?? null,
+    confidence: enrichment?.confidence ?? null,
+    countries: [
+      ...new Set((enrichment?.locations || []).map((l) => l.country_code || l.country)),
+    ].filter(Boolean),
+    matchedAt: new Date(),
+  };
+}
+
+class AlertService {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Check new tweets and enrichments against every enabled rule.
+   * @returns {Promise<{ documents: number, matches: number }>}
+   */
+  async evaluatePending() {
+    const result = { documents: 0, matches: 0 };
+    const since = new Date(Date.now() - LOOKBACK_MS);
+    const rules = await prisma.alertRule.findMany({ where: { enabled: true } });
+
+    for (;;) {
+      const [tweets, enrichments] = await Promise.all([
+        alertRepo.getPendingTweets({ since, limit: BATCH_SIZE }),
+        alertRepo.getPendingEnrichments({ since, limit: BATCH_SIZE }),
+      ]);
+
+      if (rules.length) {
+        // Pair each pending document with its counterpart, if stored yet
+        const tweetIds = [
+          ...new Set([...tweets, ...enrichments].map((d) => d.tweetId).filter(Boolean)),
+        ];
+        const [allTweets, allEnrichments] = await Promise.all([
+          alertRepo.getTweetsByTweetIds(tweetIds),
+          alertRepo.getEnrichmentsByTweetIds(tweetIds),
+        ]);
+        const tweetById = new Map(allTweets.map((t) => [t.tweetId, t]));
+        const enrichmentById = new Map(allEnrichments.map((e) => [e.tweetId, e]));
+
+        for (const tweetId of tweetIds) {
+          const tweet = tweetById.get(tweetId) || null;
+          const enrichment = enrichmentById.get(tweetId) || null;
+          result.matches += await this.evaluate(rules, tweetId, tweet, enrichment);
+        }
+      }
+
+      if (tweets.length) await alertRepo.markTweetsEvaluated(tweets.map((d) => d._id));
+      if (enrichments.length) {
+        await alertRepo.markEnrichmentsEvaluated(enrichments.map((d) => d._id));
+      }
+      result.documents += tweets.length + enrichments.length;
+
+      if (Math.max(tweets.length, enrichments.length) < BATCH_SIZE) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Queue deliveries for the rules a tweet matches.
+   * @returns {Promise<number>} rules newly triggered
+   */
+  async evaluate(rules, tweetId, tweet, enrichment) {
+    const doc = alertDocument({ tweet, enrichment });
+    let triggered = 0;
+
+    for (const rule of rules) {
+      if (!matchesConditions(rule.conditions, doc)) continue;
+
+      const payload = alertPayload(rule, tweet, enrichment);
+      const { count } = await prisma.alertDelivery.createMany({
+        data: rule.channels.map((channel) => ({ ruleId: rule.id, channel, tweetId, payload })),
+        skipDuplicates: true,
+      });
+      if (!count) continue;
+
+      triggered += 1;
+      await prisma.alertRule.update({
+        where: { id: rule.id },
+        data: { lastTriggeredAt: new Date(), triggerCount: { increment: 1 } },
+      });
+    }
+    return triggered;
+  }
+
+  /**
+   * Claim due deliveries for this process.
+   * @returns {Promise<{ due: number, deliveries: Array<Object> }>} how many were
+   *   due, and the ones this process got (another may have claimed the rest)
+   */
+  async claimDue() {
+    const now = new Date();
+    await prisma.alertDelivery.updateMany({
+      where: { status: 'SENDING', claimedUntil: { lt: now } },
+      data: { status: 'PENDING', claimedBy: null, claimedUntil: null },
+    });
+
+    const due = await prisma.alertDelivery.findMany({
+      where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+      orderBy: { createdAt: 'asc' },
+      take: DELIVERY_BATCH_SIZE,
+      select: { id: true },
+    });
+    if (!due.length) return { due: 0, deliveries: [] };
+
+    // Only rows still PENDING change, so two processes never get the same one
+    await prisma.alertDelivery.updateMany({
+      where: { id: { in: due.map((d) => d.id) }, status: 'PENDING' },
+      data: {
+        status: 'SENDING',
+        claimedBy: this.owner,
+        claimedUntil: new Date(now.getTime() + CLAIM_MS),
+      },
+    });
+    const deliveries = await prisma.alertDelivery.findMany({
+      where: { id: { in: due.map((d) => d.id) }, status: 'SENDING', claimedBy: this.owner },
+      orderBy: { createdAt: 'asc' },
+      include: { rule: { include: { owner: { select: { email: true } } } } },
+    });
+    return { due: due.length, deliveries };
+  }
+
+  /**
+   * Send due deliveries, scheduling retries for the ones that fail.
+   * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+   */
+  async deliverPending() {
+    const result = { sent: 0, retrying: 0, failed: 0 };
+    const released = { claimedBy: null, claimedUntil: null };
+
+    for (;;) {
+      const { due, deliveries } = await this.claimDue();
+
+      for (const delivery of deliveries) {
+        const attempts = delivery.attempts + 1;
+        try {
+          await getChannel(delivery.channel).send(delivery, delivery.rule);
+          await prisma.alertDelivery.update({
+            where: { id: delivery.id },
+            data: {
+              status: 'SENT',
+              attempts,
+              deliveredAt: new Date(),
+              lastError: null,
+              ...released,
+            },
+          });
+          result.sent += 1;
+        } catch (err) {
+          const giveUp = attempts >= MAX_ATTEMPTS;
+          await prisma.alertDelivery.update({
+            where: { id: delivery.id },
+            data: {
+              status: giveUp ? 'FAILED' : 'PENDING',
+              attempts,
+              lastError: String(err.message || err).slice(0, 2000),
+              nextAttemptAt: giveUp
+                ? null
+                : new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+              ...released,
+            },
+          });
+          result[giveUp ? 'failed' : 'retrying'] += 1;
+        }
+      }
+
+      if (due < DELIVERY_BATCH_SIZE) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Send a sample alert through each channel of a rule right away.
+   * @returns {Promise<Array<{ channel: string, ok: boolean, error?: string }>>}
+   */
+  async sendTest(rule) {
+    const owner = await prisma.user.findUnique({
+      where: { id: rule.ownerUserId },
+      select: { email: true },
+    });
+    const delivery = {
+      id: `test-${Date.now()}`,
+      tweetId: null,
+      payload: {
+        ...alertPayload(rule, { title: `Test alert for "${rule.name}"` }, null),
+        test: true,
+      },
+    };
+
+    const results = [];
+    for (const channel of rule.channels) {
+      try {
+        await getChannel(channel).send(delivery, { ...rule, owner });
+        results.push({ channel, ok: true });
+      } catch (err) {
+        results.push({ channel, ok: false, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  async runOnce() {
+    if (this.running) return { skipped: true };
+    this.running = true;
+
+    try {
+      const evaluated = await this.evaluatePending();
+      const delivered = await this.deliverPending();
+      return { ...evaluated, ...delivered };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run runOnce on an interval (ALERT_INTERVAL_MS, 0 disables).
+   */
+  start() {
+    if (this.timer || INTERVAL_MS <= 0) return;
+
+    const tick = async () => {
+      try {
+        const r = await this.runOnce();
+        if (r.matches || r.sent || r.failed) {
+          console.log(
+            `🔔 Alerts: ${r.matches} matches, ${r.sent} delivered, ${r.retrying} retrying, ${r.failed} failed`
+          );
+        }
+      } catch (err) {
+        console.error('Alert evaluation failed:', err.message);
+      }
+      this.timer = setTimeout(tick, INTERVAL_MS);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new AlertService();
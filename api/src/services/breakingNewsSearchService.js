@@ -0,0 +1,253 @@
+// src/services/breakingNewsSearchService.js
+//
+// Query language for GET /api/breaking-news.
+//
+// A search string is a list of whitespace-separated terms:
+//   strike "power plant"          free text (quoted phrases kept together)
+//   source:reuters  -source:foo   source / account filter (prefix "-" to exclude)
+//   tag:ukraine     -tag:sports   tag filter (prefix "-" to exclude)
+//   since:2026-01-01 until:2026-01-02T12:00Z   date range (ISO 8601)
+//   is:active  -is:active         isActive flag
+//   lang:ar  -lang:en             language (two-letter code, "und" when unknown)
+//
+// Explicit query params (source, tag, since, until, isActive, lang) are merged
+// on top of whatever the search string contains.
+
+const { UNDETERMINED, normalizeLang } = require('./languageService');
+
+const FIELD_ALIASES = {
+  source: 'source',
+  account: 'source',
+  tag: 'tags',
+  tags: 'tags',
+  since: 'since',
+  from: 'since',
+  until: 'until',
+  to: 'until',
+  is: 'is',
+  lang: 'lang',
+  language: 'lang',
+};
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseDate(value, label) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    throw badRequest(`Invalid ${label} date: ${value}`);
+  }
+  return d;
+}
+
+function parseBoolean(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const v = String(value).toLowerCase();
+  if (['true', '1', 'yes'].includes(v)) return true;
+  if (['false', '0', 'no'].includes(v)) return false;
+  throw badRequest(`Invalid boolean: ${value}`);
+}
+
+/**
+ * Split a search string into tokens, keeping "quoted phrases" intact.
+ * @param {string} input
+ * @returns {string[]}
+ */
+function tokenize(input = '') {
+  const tokens = [];
+  const re = /(-?[a-z]+:"[^"]*"|-?"[^"]*"|\S+)/gi;
+  let m;
+  while ((m = re.exec(String(input))) !== null) {
+    tokens.push(m[1]);
+  }
+  return tokens;
+}
+
+function unquote(s) {
+  return s.length >= 2 && s.startsWith('"') && s.endsWith('"') ? s.slice(1, -1) : s;
+}
+
+/**
+ * Parse a search string into a structured query.
+ * @param {string} input
+ * @returns {{ text: string[], sources: string[], excludeSources: string[], tags: string[], excludeTags: string[], langs: string[], excludeLangs: string[], since: Date|null, until: Date|null, isActive: boolean|undefined }}
+ */
+function parseSearchQuery(input) {
+  const query = {
+    text: [],
+    sources: [],
+    excludeSources: [],
+    tags: [],
+    excludeTags: [],
+    langs: [],
+    excludeLangs: [],
+    since: null,
+    until: null,
+    isActive: undefined,
+  };
+
+  for (const raw of tokenize(input)) {
+    const negate = raw.startsWith('-') && raw.length > 1;
+    const token = negate ? raw.slice(1) : raw;
+    const colon = token.indexOf(':');
+    const field = colon > 0 ? FIELD_ALIASES[token.slice(0, colon).toLowerCase()] : null;
+
+    if (!field) {
+      // Free text; "-word" is passed through as a Mongo $text negation
+      query.text.push(raw);
+      continue;
+    }
+
+    const value = unquote(token.slice(colon + 1)).trim();
+    if (!value) continue;
+
+    if (field === 'source') {
+      (negate ? query.excludeSources : query.sources).push(value);
+    } else if (field === 'tags') {
+      (negate ? query.excludeTags : query.tags).push(value);
+    } else if (field === 'lang') {
+      (negate ? query.excludeLangs : query.langs).push(parseLang(value));
+    } else if (field === 'since') {
+      query.since = parseDate(value, 'since');
+    } else if (field === 'until') {
+      query.until = parseDate(value, 'until');
+    } else if (field === 'is' && value.toLowerCase() === 'active') {
+      query.isActive = !negate;
+    }
+  }
+
+  return query;
+}
+
+function parseLang(value) {
+  const lang = String(value).trim().toLowerCase();
+  if (lang !== UNDETERMINED && normalizeLang(lang) !== lang) {
+    throw badRequest(`Invalid language: ${value} (two-letter code or "und")`);
+  }
+  return lang;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const arr = Array.isArray(value) ? value : String(value).split(',');
+  return arr.map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Merge the parsed search string with explicit request params.
+ * @param {Object} params - typically req.query
+ * @returns {ReturnType<typeof parseSearchQuery>}
+ */
+function buildSearchQuery(params = {}) {
+  const query = parseSearchQuery(params.q || '');
+
+  query.sources.push(...toList(params.source));
+  query.tags.push(...toList(params.tag));
+  query.langs.push(...toList(params.lang).map(parseLang));
+  if (params.since) query.since = parseDate(params.since, 'since');
+  if (params.until) query.until = parseDate(params.until, 'until');
+
+  const isActive = parseBoolean(params.isActive);
+  if (isActive !== undefined) query.isActive = isActive;
+
+  return query;
+}
+
+/**
+ * Escape a user string for use inside a RegExp.
+ */
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function caseInsensitive(values) {
+  return values.map((v) => new RegExp(`^${escapeRegex(v)}$`, 'i'));
+}
+
+/**
+ * Build the Mongo $match filter for a structured query.
+ * Scraped tweets store the author in `account` rather than `source`, so source
+ * filters match either field.
+ * @param {ReturnType<typeof parseSearchQuery>} query
+ * @returns {Object}
+ */
+function toMongoFilter(query) {
+  const and = [];
+  const filter = {};
+
+  if (query.text.length) {
+    filter.$text = { $search: query.text.join(' ') };
+  }
+
+  if (query.sources.length) {
+    const values = caseInsensitive(query.sources);
+    and.push({ $or: [{ source: { $in: values } }, { account: { $in: values } }] });
+  }
+  if (query.excludeSources.length) {
+    const values = caseInsensitive(query.excludeSources);
+    and.push({ source: { $nin: values } }, { account: { $nin: values } });
+  }
+
+  if (query.tags.length) {
+    and.push({ tags: { $all: caseInsensitive(query.tags) } });
+  }
+  if (query.excludeTags.length) {
+    and.push({ tags: { $nin: caseInsensitive(query.excludeTags) } });
+  }
+
+  if (query.langs.length) {
+    and.push({ lang: { $in: query.langs } });
+  }
+  if (query.excludeLangs.length) {
+    and.push({ lang: { $nin: query.excludeLangs } });
+  }
+
+  if (query.isActive !== undefined) {
+    // Documents written before isActive existed are treated as active
+    and.push(query.isActive ? { isActive: { $ne: false } } : { isActive: false });
+  }
+
+  if (and.length) filter.$and = and;
+  return filter;
+}
+
+/**
+ * Cursors are opaque base64url strings of the last item's sort key.
+ * @param {{ sortAt: Date, _id: any }} item
+ * @returns {string}
+ */
+function encodeCursor(item) {
+  const payload = JSON.stringify({
+    t: item.sortAt ? new Date(item.sortAt).toISOString() : null,
+    id: String(item._id),
+  });
+  return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {{ sortAt: Date|null, id: string }}
+ */
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!id) throw new Error('missing id');
+    return { sortAt: t ? new Date(t) : null, id };
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+}
+
+module.exports = {
+  parseSearchQuery,
+  buildSearchQuery,
+  toMongoFilter,
+  encodeCursor,
+  decodeCursor,
+  escapeRegex,
+  parseDate,
+  parseBoolean,
+};
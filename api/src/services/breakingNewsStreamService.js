@@ -0,0 +1,260 @@
+// src/services/breakingNewsStreamService.js
+//
+// Shared feed of new breaking_news and breaking_news_live documents for the
+// SSE endpoint. One hub per API process watches both collections (Mongo change
+// streams on a replica set, polling on a standalone server) and fans documents
+// out to every connected client.
+//
+// Each collection is ordered by a keyset so clients can resume exactly where
+// they left off:
+//   breaking_news       -> _id                 (new tweets are inserts)
+//   breaking_news_live  -> (lastSeenAt, _id)   (re-runs update existing captures)
+const { EventEmitter } = require('node:events');
+const mongoose = require('mongoose');
+const BreakingNews = require('../models/BreakingNews');
+const BreakingNewsLive = require('../models/BreakingNewsLive');
+
+const POLL_INTERVAL_MS = parseInt(process.env.STREAM_POLL_INTERVAL_MS || '2000', 10);
+const RESTART_DELAY_MS = 5000;
+const BATCH_SIZE = 500;
+
+// Mongo error raised when $changeStream is used on a standalone server
+const CHANGE_STREAM_UNSUPPORTED = 40573;
+
+const SOURCES = {
+  breaking_news: {
+    model: BreakingNews,
+    operations: ['insert'],
+    keyOf: (doc) => ({ t: null, id: doc._id }),
+    afterFilter: (pos) => (pos ? { _id: { $gt: pos.id } } : {}),
+    sort: { _id: 1 },
+  },
+  breaking_news_live: {
+    model: BreakingNewsLive,
+    operations: ['insert', 'update', 'replace'],
+    keyOf: (doc) => ({ t: doc.lastSeenAt ? new Date(doc.lastSeenAt) : null, id: doc._id }),
+    afterFilter: (pos) => {
+      if (!pos) return {};
+      if (!pos.t) return { _id: { $gt: pos.id } };
+      return {
+        $or: [{ lastSeenAt: { $gt: pos.t } }, { lastSeenAt: pos.t, _id: { $gt: pos.id } }],
+      };
+    },
+    sort: { lastSeenAt: 1, _id: 1 },
+  },
+};
+
+const STREAM_TYPES = Object.keys(SOURCES);
+
+/**
+ * Compare two keyset positions. Returns <0, 0 or >0.
+ */
+function comparePositions(a, b) {
+  if (!a) return b ? -1 : 0;
+  if (!b) return 1;
+  const at = a.t ? a.t.getTime() : -Infinity;
+  const bt = b.t ? b.t.getTime() : -Infinity;
+  if (at !== bt) return at < bt ? -1 : 1;
+  const aid = String(a.id);
+  const bid = String(b.id);
+  return aid === bid ? 0 : aid < bid ? -1 : 1;
+}
+
+/**
+ * Encode per-collection positions as an SSE event id.
+ * @param {Object<string, {t: Date|null, id: any}>} positions
+ * @returns {string}
+ */
+function encodeEventId(positions) {
+  const out = {};
+  for (const [type, pos] of Object.entries(positions)) {
+    if (pos) out[type] = { t: pos.t ? pos.t.toISOString() : null, id: String(pos.id) };
+  }
+  return Buffer.from(JSON.stringify(out), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a Last-Event-ID header. Unknown or malformed ids yield null so the
+ * client simply starts from "now".
+ * @param {string} eventId
+ * @returns {Object<string, {t: Date|null, id: mongoose.Types.ObjectId}>|null}
+ */
+function decodeEventId(eventId) {
+  if (!eventId) return null;
+  try {
+    const raw = JSON.parse(Buffer.from(String(eventId), 'base64url').toString('utf8'));
+    const positions = {};
+    for (const type of STREAM_TYPES) {
+      const p = raw[type];
+      if (p && mongoose.Types.ObjectId.isValid(p.id)) {
+        positions[type] = { t: p.t ? new Date(p.t) : null, id: new mongoose.Types.ObjectId(p.id) };
+      }
+    }
+    return positions;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Starting positions for a client that has no Last-Event-ID.
+ * @param {Date} [since=now]
+ */
+function positionsFrom(since = new Date()) {
+  const id = mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000));
+  return {
+    breaking_news: { t: null, id },
+    breaking_news_live: { t: since, id },
+  };
+}
+
+class BreakingNewsStreamService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.subscribers = 0;
+    this.mode = null; // 'changestream' | 'poll'
+    this.changeStreams = [];
+    this.pollTimer = null;
+    this.pollPositions = {};
+    this.restartTimer = null;
+  }
+
+  /**
+   * Subscribe to new documents. The hub starts with the first subscriber and
+   * stops when the last one leaves.
+   * @param {(event: { type: string, doc: Object, position: Object }) => void} handler
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(handler) {
+    this.emitter.on('doc', handler);
+    this.subscribers++;
+    if (this.subscribers === 1) this.start();
+
+    return () => {
+      this.emitter.off('doc', handler);
+      this.subscribers--;
+      if (this.subscribers === 0) this.stop();
+    };
+  }
+
+  /**
+   * Documents of one type after a position, oldest first.
+   * @param {string} type
+   * @param {Object|null} position
+   * @param {number} [limit]
+   */
+  async fetchAfter(type, position, limit = BATCH_SIZE) {
+    const source = SOURCES[type];
+    return source.model
+      .find(source.afterFilter(position))
+      .sort(source.sort)
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  keyOf(type, doc) {
+    return SOURCES[type].keyOf(doc);
+  }
+
+  get types() {
+    return STREAM_TYPES;
+  }
+
+  comparePositions(a, b) {
+    return comparePositions(a, b);
+  }
+
+  encodeEventId(positions) {
+    return encodeEventId(positions);
+  }
+
+  decodeEventId(eventId) {
+    return decodeEventId(eventId);
+  }
+
+  positionsFrom(since) {
+    return positionsFrom(since);
+  }
+
+  start() {
+    const mode = (process.env.STREAM_MODE || 'auto').toLowerCase();
+    if (mode === 'poll') {
+      this.startPolling();
+    } else {
+      this.startChangeStreams();
+    }
+  }
+
+  stop() {
+    for (const cs of this.changeStreams) cs.close().catch(() => {});
+    this.changeStreams = [];
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.restartTimer);
+    this.pollTimer = null;
+    this.restartTimer = null;
+    this.mode = null;
+  }
+
+  emit(type, doc) {
+    this.emitter.emit('doc', { type, doc, position: this.keyOf(type, doc) });
+  }
+
+  startChangeStreams() {
+    this.mode = 'changestream';
+
+    for (const [type, source] of Object.entries(SOURCES)) {
+      const cs = source.model.watch(
+        [{ $match: { operationType: { $in: source.operations } } }],
+        { fullDocument: 'updateLookup' }
+      );
+
+      cs.on('change', (change) => {
+        if (change.fullDocument) this.emit(type, change.fullDocument);
+      });
+
+      cs.on('error', (err) => {
+        if (this.mode !== 'changestream') return;
+        this.stop();
+
+        if (err?.code === CHANGE_STREAM_UNSUPPORTED) {
+          console.warn('⚠️ Change streams unavailable (standalone Mongo); polling for new items');
+          this.startPolling();
+          return;
+        }
+
+        console.error('Breaking news change stream error:', err.message);
+        this.restartTimer = setTimeout(() => {
+          if (this.subscribers > 0) this.start();
+        }, RESTART_DELAY_MS);
+      });
+
+      this.changeStreams.push(cs);
+    }
+  }
+
+  startPolling() {
+    this.mode = 'poll';
+    this.pollPositions = positionsFrom();
+
+    const tick = async () => {
+      for (const type of STREAM_TYPES) {
+        try {
+          const docs = await this.fetchAfter(type, this.pollPositions[type]);
+          for (const doc of docs) {
+            this.pollPositions[type] = this.keyOf(type, doc);
+            this.emit(type, doc);
+          }
+        } catch (err) {
+          console.error(`Breaking news poll failed for ${type}:`, err.message);
+        }
+      }
+      if (this.mode === 'poll') this.pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+    };
+
+    this.pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  }
+}
+
+module.exports = new BreakingNewsStreamService();
@@ -0,0 +1,138 @@
+// src/services/claimExtractionService.js
+//
+// Splits a tweet or article into atomic, checkable claims with the model
+// (LLM task claims.extract): one sentence each, with who, what, where, when,
+// the numbers it states and whether it affirms or denies the event.
+const llm = require('./llm');
+const { foldName } = require('./entityNameService');
+
+const MAX_CLAIMS = 6;
+const MAX_INPUT_CHARS = 4000;
+
+const SYSTEM_PROMPT = `You extract atomic factual claims from news posts and articles.
+A claim is one checkable statement of fact: who did what, where, when, with which numbers.
+Rules:
+- At most ${MAX_CLAIMS} claims; skip opinions, predictions, questions and calls to action.
+- text: the claim as one short, self-contained English sentence (resolve pronouns).
+- who: the actors (people, organizations, countries) as named in the source.
+- what: the action or event in a few words ("airstrike", "resigned", "ceasefire agreed").
+- where: places, most specific first. when: the time as stated, or null.
+- numbers: every figure the claim states, with the unit it counts ("killed", "injured", "km", "usd").
+- polarity: "deny" when the source says the event did NOT happen or reports a denial/debunk; otherwise "affirm".
+Return an empty list when there is nothing factual to extract.`;
+
+const CLAIMS_SCHEMA = {
+  name: 'claims',
+  strict: true,
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['claims'],
+    properties: {
+      claims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['text', 'who', 'what', 'where', 'when', 'numbers', 'polarity'],
+          properties: {
+            text: { type: 'string' },
+            who: { type: 'array', items: { type: 'string' } },
+            what: { type: ['string', 'null'] },
+            where: { type: 'array', items: { type: 'string' } },
+            when: { type: ['string', 'null'] },
+            numbers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['value', 'unit'],
+                properties: { value: { type: 'number' }, unit: { type: 'string' } },
+              },
+            },
+            polarity: { type: 'string', enum: ['affirm', 'deny'] },
+          },
+        },
+      },
+    },
+  },
+};
+
+function cleanList(value) {
+  if (!Array.isArray(value)) return [];
+  const items = value.map((v) => String(v ?? '').trim()).filter(Boolean);
+  return [...new Set(items)];
+}
+
+function cleanString(value) {
+  const s = value === null || value === undefined ? '' : String(value).trim();
+  return s && s.toLowerCase() !== 'null' ? s : null;
+}
+
+/**
+ * Lookup keys of a claim's actors and places ("who:putin", "where:kharkiv").
+ */
+function claimKeys(claim) {
+  const keys = [
+    ...claim.who.map((w) => `who:${foldName('person', w).replace(/^the /, '')}`),
+    ...claim.where.map((w) => `where:${foldName('organization', w)}`),
+  ];
+  return [...new Set(keys.filter((k) => !/:$/.test(k)))];
+}
+
+/**
+ * Model output -> claims with keys, dropping malformed entries.
+ * @param {Object} json
+ * @returns {Array<Object>}
+ */
+function normalizeClaims(json) {
+  const raw = Array.isArray(json?.claims) ? json.claims : [];
+  const claims = [];
+  for (const c of raw.slice(0, MAX_CLAIMS)) {
+    const text = cleanString(c?.text);
+    if (!text) continue;
+    const claim = {
+      text,
+      who: cleanList(c.who),
+      what: cleanString(c.what),
+      where: cleanList(c.where),
+      when: cleanString(c.when),
+      numbers: (Array.isArray(c.numbers) ? c.numbers : [])
+        .map((n) => ({ value: Number(n?.value), unit: cleanString(n?.unit)?.toLowerCase() }))
+        .filter((n) => Number.isFinite(n.value) && n.unit),
+      polarity: c.polarity === 'deny' ? 'deny' : 'affirm',
+    };
+    claim.keys = claimKeys(claim);
+    claims.push(claim);
+  }
+  return claims;
+}
+
+/**
+ * @param {{ title?: string, text: string }} item
+ * @returns {Promise<{ claims: Array<Object>, model: string }>}
+ * @throws {LLMError}
+ */
+async function extractClaims({ title, text }) {
+  // Tweet titles are the start of the text
+  const body = (title && !String(text).includes(title) ? `${title}\n\n${text}` : text).slice(
+    0,
+    MAX_INPUT_CHARS
+  );
+
+  const response = await llm.chat('claims.extract', {
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: body },
+    ],
+    json: CLAIMS_SCHEMA,
+  });
+  return { claims: normalizeClaims(response.json), model: response.model };
+}
+
+module.exports = {
+  CLAIMS_SCHEMA,
+  claimKeys,
+  normalizeClaims,
+  extractClaims,
+};
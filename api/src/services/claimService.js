@@ -0,0 +1,396 @@
+// src/services/claimService.js
+//
+// Claims and cross-source corroboration. Tweets (breaking_news), live captures
+// (breaking_news_live) and Google News items are queued in claim_extractions;
+// a background loop extracts their claims (claimExtractionService) and files
+// each claim into a cluster of claims that state the same thing:
+//
+//   match = 0.5 * jaccard(who/where keys) + 0.5 * cosine(claim text + what)
+//
+// against claims of other items published within CLAIM_WINDOW_HOURS that
+// share a key. The best match above CLAIM_MATCH_THRESHOLD is joined, else the
+// claim starts a cluster.
+//
+// Corroboration of a claim is read from its cluster, one vote per independent
+// source (account handle or publisher domain, the claim's own excluded; the
+// latest claim of a source decides). A source contradicts when its claim has
+// the opposite polarity or states a different figure for the same unit, and
+// supports otherwise. Votes are weighted by the source's credibility prior
+// (sourceCredibilityService, 0.5 when unregistered):
+//
+//   score = (supporting weight + 0.5) / (supporting + contradicting weight + 1)
+//
+// so an uncorroborated claim scores 0.5.
+const claimRepo = require('../mongo/claim');
+const { extractClaims } = require('./claimExtractionService');
+const { tweetItem, liveItem, rssItem } = require('./dedupService');
+const sourceCredibilityService = require('./sourceCredibilityService');
+const { normalizeAccount } = require('./escalationPolicyService');
+const { termVector, cosine, jaccard } = require('./textSimilarityService');
+
+const { domainOf, findInIndex, priorOf } = sourceCredibilityService;
+
+const MATCH_THRESHOLD = parseFloat(process.env.CLAIM_MATCH_THRESHOLD || '0.45');
+const WINDOW_MS = parseFloat(process.env.CLAIM_WINDOW_HOURS || '72') * 60 * 60 * 1000;
+const INTERVAL_MS = parseInt(process.env.CLAIMS_INTERVAL_MS || '60000', 10);
+// Model calls per tick
+const BATCH_SIZE = parseInt(process.env.CLAIMS_BATCH_SIZE || '20', 10);
+
+// Figures within 10% (or 1) of each other agree
+const NUMBER_TOLERANCE = 0.1;
+const UNREGISTERED_PRIOR = 0.5;
+
+function sourceKey(source) {
+  return `${source.kind}:${source.key}`;
+}
+
+function accountSource(handle) {
+  const key = normalizeAccount(handle);
+  return key ? { kind: 'account', key, name: handle } : null;
+}
+
+function nameSource(name) {
+  const key = String(name || '')
+    .trim()
+    .toLowerCase();
+  return key ? { kind: 'name', key, name } : null;
+}
+
+/**
+ * Queue entry of a source document.
+ * @param {'breaking_news'|'breaking_news_live'|'rss'} kind
+ */
+function queueItem(kind, doc) {
+  let item;
+  let source;
+  if (kind === 'breaking_news') {
+    item = tweetItem(doc);
+    source = accountSource(doc.account) || nameSource(doc.source !== 'unknown' && doc.source);
+  } else if (kind === 'breaking_news_live') {
+    item = liveItem(doc);
+    source = accountSource(doc.author);
+  } else {
+    item = rssItem(doc);
+    const domain = domainOf(doc.sourceUrl);
+    source = domain
+      ? { kind: 'domain', key: domain, name: doc.sourceName }
+      : nameSource(doc.sourceName);
+  }
+
+  return {
+    kind,
+    itemId: item.itemId,
+    title: item.title,
+    text: item.text,
+    url: kind === 'rss' ? item.urls[0] || doc.link : doc.url || null,
+    source: source || { kind: 'name', key: 'unknown', name: null },
+    publishedAt: item.publishedAt,
+  };
+}
+
+function claimVector(claim) {
+  return termVector([claim.text, claim.what].filter(Boolean).join(' '));
+}
+
+/**
+ * How well two claims state the same thing, 0..1.
+ */
+function matchScore(a, b) {
+  const score = 0.5 * jaccard(a.keys, b.keys) + 0.5 * cosine(claimVector(a), claimVector(b));
+  return Math.round(score * 1000) / 1000;
+}
+
+function numbersAgree(a, b) {
+  return Math.abs(a - b) <= Math.max(1, NUMBER_TOLERANCE * Math.max(Math.abs(a), Math.abs(b)));
+}
+
+/**
+ * Whether `other` supports or contradicts `claim`, and why.
+ * @returns {{ stance: 'supports'|'contradicts', reason: string|null }}
+ */
+function stanceOf(claim, other) {
+  if (claim.polarity !== other.polarity) {
+    return {
+      stance: 'contradicts',
+      reason: other.polarity === 'deny' ? 'denies it' : 'affirms what this denies',
+    };
+  }
+  for (const n of claim.numbers || []) {
+    const same = (other.numbers || []).filter((m) => m.unit === n.unit);
+    if (same.length && !same.some((m) => numbersAgree(n.value, m.value))) {
+      return { stance: 'contradicts', reason: `${n.unit}: ${n.value} vs ${same[0].value}` };
+    }
+  }
+  return { stance: 'supports', reason: null };
+}
+
+function plural(n, word) {
+  return `${n} independent source${n === 1 ? '' : 's'} ${word}`;
+}
+
+function summaryOf(supporting, contradicting) {
+  if (!supporting && !contradicting) return 'No independent source yet';
+  const parts = [];
+  if (supporting) parts.push(plural(supporting, supporting === 1 ? 'confirms' : 'confirm'));
+  if (contradicting) {
+    const verb = contradicting === 1 ? 'contradicts' : 'contradict';
+    parts.push(parts.length ? `${contradicting} ${verb}` : plural(contradicting, verb));
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Corroboration of one claim from its cluster.
+ * @param {Object} claim
+ * @param {Array<Object>} members - claims of the cluster, oldest first
+ * @param {Map<string, Object>} registry - sourceCredibilityService index
+ */
+function corroborate(claim, members, registry) {
+  const own = sourceKey(claim.source);
+  const votes = new Map();
+  for (const other of members) {
+    const key = sourceKey(other.source);
+    if (key === own || String(other._id) === String(claim._id)) continue;
+    votes.set(key, other);
+  }
+
+  const supporting = [];
+  const contradicting = [];
+  let supportWeight = 0;
+  let contradictWeight = 0;
+  for (const other of votes.values()) {
+    const { stance, reason } = stanceOf(claim, other);
+    const entry = other.source.kind === 'name' ? null : findInIndex(registry, [other.source]);
+    const prior = priorOf(entry) ?? UNREGISTERED_PRIOR;
+    const vote = {
+      claimId: other._id,
+      kind: other.kind,
+      itemId: other.itemId,
+      title: other.title,
+      url: other.url,
+      source: other.source,
+      tier: entry?.tier ?? null,
+      prior,
+      publishedAt: other.publishedAt,
+      text: other.text,
+      reason,
+    };
+    if (stance === 'supports') {
+      supporting.push(vote);
+      supportWeight += prior;
+    } else {
+      contradicting.push(vote);
+      contradictWeight += prior;
+    }
+  }
+
+  const score = (supportWeight + 0.5) / (supportWeight + contradictWeight + 1);
+  return {
+    score: Math.round(score * 1000) / 1000,
+    independentSources: votes.size,
+    supporting,
+    contradicting,
+    summary: summaryOf(supporting.length, contradicting.length),
+  };
+}
+
+class ClaimService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Queue tweets and live captures not queued yet (oldest first).
+   * @returns {Promise<number>} newly queued
+   */
+  async queuePending({ limit = 200 } = {}) {
+    let queued = 0;
+
+    const tweets = await claimRepo.getPendingTweets({ limit });
+    if (tweets.length) {
+      queued += await claimRepo.enqueue(tweets.map((d) => queueItem('breaking_news', d)));
+      await claimRepo.markTweetsQueued(tweets.map((d) => d._id));
+    }
+
+    const live = await claimRepo.getPendingLive({ limit });
+    if (live.length) {
+      queued += await claimRepo.enqueue(live.map((d) => queueItem('breaking_news_live', d)));
+      await claimRepo.markLiveQueued(live.map((d) => d._id));
+    }
+    return queued;
+  }
+
+  /**
+   * Queue RSS items from googleNewsService.fetchNews. Items seen before are
+   * not queued again.
+   * @param {Object[]} items
+   */
+  async recordRssItems(items) {
+    const queue = items.map((item) => queueItem('rss', item)).filter((i) => i.itemId);
+    return claimRepo.enqueue(queue);
+  }
+
+  /**
+   * Extract and cluster the claims of one queued item, replacing earlier ones.
+   * @returns {Promise<number>} claims stored
+   */
+  async extractItem(entry) {
+    const { claims, model } = entry.text.trim()
+      ? await extractClaims(entry)
+      : { claims: [], model: null };
+
+    await claimRepo.deleteClaimsOf(entry.kind, entry.itemId);
+    const publishedAt = entry.publishedAt || entry.createdAt;
+    for (const claim of claims) {
+      const saved = await claimRepo.insertClaim({
+        ...claim,
+        kind: entry.kind,
+        itemId: entry.itemId,
+        title: entry.title,
+        url: entry.url,
+        source: entry.source,
+        publishedAt,
+        model_used: model,
+      });
+      await this.assignCluster(saved);
+    }
+    return claims.length;
+  }
+
+  async assignCluster(claim) {
+    const at = new Date(claim.publishedAt).getTime();
+    const candidates = await claimRepo.findCandidates({
+      keys: claim.keys,
+      kind: claim.kind,
+      itemId: claim.itemId,
+      from: new Date(at - WINDOW_MS),
+      to: new Date(at + WINDOW_MS),
+    });
+
+    let best = null;
+    for (const other of candidates) {
+      if (!other.cluster) continue;
+      const similarity = matchScore(claim, other);
+      if (similarity >= MATCH_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { cluster: other.cluster, similarity };
+      }
+    }
+    await claimRepo.setCluster(claim._id, best?.cluster ?? claim._id, best?.similarity ?? 1);
+  }
+
+  /**
+   * Extract claims of queued items, oldest first.
+   * @returns {Promise<{ extracted: number, claims: number, failed: number }>}
+   */
+  async extractPending({ limit = BATCH_SIZE } = {}) {
+    const entries = await claimRepo.nextPending({ limit });
+    let claims = 0;
+    let failed = 0;
+
+    for (const entry of entries) {
+      try {
+        const count = await this.extractItem(entry);
+        claims += count;
+        await claimRepo.markExtraction(entry._id, {
+          status: 'done',
+          claimCount: count,
+          error: null,
+          extractedAt: new Date(),
+        });
+      } catch (err) {
+        failed++;
+        await claimRepo.markExtraction(entry._id, { status: 'failed', error: err.message });
+      }
+    }
+    return { extracted: entries.length - failed, claims, failed };
+  }
+
+  async processPending() {
+    if (this.running) return { queued: 0, extracted: 0, claims: 0, failed: 0, skipped: true };
+    this.running = true;
+
+    try {
+      const queued = await this.queuePending();
+      return { queued, ...(await this.extractPending()) };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Claims of an item with their corroboration, plus extraction status.
+   * @param {'breaking_news'|'breaking_news_live'|'rss'} kind
+   * @param {string} itemId
+   */
+  async getItemClaims(kind, itemId) {
+    const [extraction, claims] = await Promise.all([
+      claimRepo.getExtraction(kind, itemId),
+      claimRepo.getClaimsOf(kind, itemId),
+    ]);
+    const [members, registry] = await Promise.all([
+      claimRepo.getClusterMembers([...new Set(claims.map((c) => String(c.cluster)))]),
+      sourceCredibilityService.getIndex(),
+    ]);
+
+    const byCluster = new Map();
+    for (const m of members) {
+      const key = String(m.cluster);
+      if (!byCluster.has(key)) byCluster.set(key, []);
+      byCluster.get(key).push(m);
+    }
+
+    const items = claims.map((claim) => ({
+      _id: claim._id,
+      text: claim.text,
+      who: claim.who,
+      what: claim.what,
+      where: claim.where,
+      when: claim.when,
+      numbers: claim.numbers,
+      polarity: claim.polarity,
+      cluster: claim.cluster,
+      corroboration: corroborate(claim, byCluster.get(String(claim.cluster)) || [], registry),
+    }));
+
+    return {
+      kind,
+      itemId,
+      status: extraction?.status ?? null,
+      extractedAt: extraction?.extractedAt ?? null,
+      error: extraction?.error ?? null,
+      claims: items,
+    };
+  }
+
+  /**
+   * Run processPending on an interval (CLAIMS_INTERVAL_MS, 0 disables).
+   */
+  start() {
+    if (this.timer || INTERVAL_MS <= 0) return;
+
+    const tick = async () => {
+      try {
+        const r = await this.processPending();
+        if (r.extracted || r.failed) {
+          console.log(`🔎 Claims: ${r.extracted} items, ${r.claims} claims, ${r.failed} failed`);
+        }
+      } catch (err) {
+        console.error('Claim extraction failed:', err.message);
+      }
+      this.timer = setTimeout(tick, INTERVAL_MS);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ClaimService();
+module.exports.matchScore = matchScore;
+module.exports.stanceOf = stanceOf;
+module.exports.corroborate = corroborate;
@@ -1,10 +1,6 @@
-const OpenAI = require('openai');
 const createDOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const llm = require('./llm');
 
 // HTML sanitization
 const window = new JSDOM('').window;
@@ -15,7 +11,7 @@ const ALLOWED_ATTR = ['href', 'title'];
 
 class ContentGenerationService {
   /**
-   * Build the system message for OpenAI
+   * Build the system message for the model
    * @returns {string} System message
    */
   buildSystemMessage() {
@@ -228,14 +224,33 @@ OUTPUT FORMAT:
   }
 
   /**
-   * Generate content using OpenAI
+   * Build version metadata from an llm.chat() result
+   */
+  buildMetadata(response, extra = {}) {
+    return {
+      model: response.model,
+      provider: response.provider,
+      temperature: extra.temperature,
+      promptTokens: response.usage?.promptTokens,
+      completionTokens: response.usage?.completionTokens,
+      totalTokens: response.usage?.totalTokens,
+      requestId: response.requestId,
+      duration: response.durationMs,
+      finishReason: response.finishReason,
+      ...extra,
+    };
+  }
+
+  /**
+   * Generate content (LLM task `content.generate`)
    * @param {Object} params
    * @param {string} params.sourceType
    * @param {string} params.sourceText
    * @param {string} [params.sourceUrl]
    * @param {Object} params.generationInputs
-   * @param {string} [params.model='gpt-4-turbo-preview']
+   * @param {string} [params.model] - Defaults to the task's configured model
    * @param {number} [params.temperature=0.6]
+   * @param {Object} [params.usage] - Usage ledger context ({ userId, documentId })
    * @returns {Promise<{htmlContent: string, metadata: Object}>}
    */
   async generateContent({
@@ -243,8 +258,9 @@ OUTPUT FORMAT:
     sourceText,
     sourceUrl,
     generationInputs,
-    model = 'gpt-4-turbo-preview',
+    model,
     temperature = 0.6,
+    usage,
   }) {
     const systemMessage = this.buildSystemMessage();
     const userPrompt = this.buildUserPrompt({
@@ -255,53 +271,41 @@ OUTPUT FORMAT:
     });
 
     try {
-      const startTime = Date.now();
-
-      const response = await openai.chat.completions.create({
+      const response = await llm.chat('content.generate', {
         model,
         messages: [
           { role: 'system', content: systemMessage },
           { role: 'user', content: userPrompt },
         ],
         temperature,
-        max_tokens: 4000,
+        usage,
       });
 
-      const duration = Date.now() - startTime;
-      const rawHtml = response.choices[0].message.content;
-      const sanitizedHtml = this.sanitizeHtml(rawHtml);
-
-      const metadata = {
-        model: response.model,
-        temperature,
-        promptTokens: response.usage?.prompt_tokens,
-        completionTokens: response.usage?.completion_tokens,
-        totalTokens: response.usage?.total_tokens,
-        requestId: response.id,
-        duration,
-        finishReason: response.choices[0].finish_reason,
-      };
-
       return {
-        htmlContent: sanitizedHtml,
-        metadata,
+        htmlContent: this.sanitizeHtml(response.text),
+        metadata: this.buildMetadata(response, { temperature }),
       };
     } catch (error) {
-      console.error('OpenAI API Error:', error);
-
-      // Check for specific error types
-      if (error.code === 'insufficient_quota') {
-        throw new Error('OpenAI API quota exceeded. Please check your API key and billing.');
-      } else if (error.code === 'invalid_api_key') {
-        throw new Error('Invalid OpenAI API key.');
-      } else if (error.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again in a moment.');
-      }
-
-      throw new Error(`Content generation failed: ${error.message}`);
+      console.error('LLM Error:', error);
+      throw this.describeError(error, 'Content generation failed');
     }
   }
 
+  /**
+   * Give LLM errors a message editors can act on; keeps code and status
+   * @param {LLMError} error
+   * @param {string} prefix
+   */
+  describeError(error, prefix) {
+    const messages = {
+      QUOTA: 'LLM API quota exceeded. Please check your API key and billing.',
+      AUTH: 'Invalid or missing LLM API key.',
+      RATE_LIMIT: 'Rate limit exceeded. Please try again in a moment.',
+    };
+    error.message = messages[error.code] || `${prefix}: ${error.message}`;
+    return error;
+  }
+
   /**
    * Revise existing content
    * @param {Object} params
@@ -311,8 +315,9 @@ OUTPUT FORMAT:
    * @param {string} [params.sourceUrl]
    * @param {Object} params.generationInputs
    * @param {string} [params.revisionInstructions] - Specific revision instructions
-   * @param {string} [params.model='gpt-4-turbo-preview']
+   * @param {string} [params.model] - Defaults to the task's configured model
    * @param {number} [params.temperature=0.6]
+   * @param {Object} [params.usage] - Usage ledger context ({ userId, documentId })
    * @returns {Promise<{htmlContent: string, metadata: Object}>}
    */
   async reviseContent({
@@ -322,8 +327,9 @@ OUTPUT FORMAT:
     sourceUrl,
     generationInputs,
     revisionInstructions,
-    model = 'gpt-4-turbo-preview',
+    model,
     temperature = 0.6,
+    usage,
   }) {
     const systemMessage = this.buildSystemMessage();
     let userPrompt = this.buildUserPrompt({
@@ -345,41 +351,23 @@ OUTPUT FORMAT:
     userPrompt += `OUTPUT:\nGenerate the revised content as valid HTML only.`;
 
     try {
-      const startTime = Date.now();
-
-      const response = await openai.chat.completions.create({
+      const response = await llm.chat('content.revise', {
         model,
         messages: [
           { role: 'system', content: systemMessage },
           { role: 'user', content: userPrompt },
         ],
         temperature,
-        max_tokens: 4000,
+        usage,
       });
 
-      const duration = Date.now() - startTime;
-      const rawHtml = response.choices[0].message.content;
-      const sanitizedHtml = this.sanitizeHtml(rawHtml);
-
-      const metadata = {
-        model: response.model,
-        temperature,
-        promptTokens: response.usage?.prompt_tokens,
-        completionTokens: response.usage?.completion_tokens,
-        totalTokens: response.usage?.total_tokens,
-        requestId: response.id,
-        duration,
-        finishReason: response.choices[0].finish_reason,
-        isRevision: true,
-      };
-
       return {
-        htmlContent: sanitizedHtml,
-        metadata,
+        htmlContent: this.sanitizeHtml(response.text),
+        metadata: this.buildMetadata(response, { temperature, isRevision: true }),
       };
     } catch (error) {
-      console.error('OpenAI API Error:', error);
-      throw new Error(`Content revision failed: ${error.message}`);
+      console.error('LLM Error:', error);
+      throw this.describeError(error, 'Content revision failed');
     }
   }
 }
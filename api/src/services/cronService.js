@@ -0,0 +1,176 @@
+// src/services/cronService.js
+//
+// Five-field cron expressions for schedules (schedulerService), in UTC:
+//
+//   minute hour day-of-month month day-of-week
+//
+// Fields take *, n, a-b, lists (1,15) and steps (*/15, 5-59/15, 10/20);
+// months and weekdays also take names (JAN, MON). Weekday 0 and 7 are Sunday.
+// As in classic cron, a day matches when day-of-month OR day-of-week matches
+// if both are restricted. @yearly, @monthly, @weekly, @daily and @hourly are
+// shorthands.
+const MINUTE_MS = 60 * 1000;
+// Search horizon of nextRun; covers leap days (0 0 29 2 *)
+const MAX_YEARS = 8;
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = 'jan feb mar apr may jun jul aug sep oct nov dec'.split(' ');
+const DAY_NAMES = 'sun mon tue wed thu fri sat'.split(' ');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+function cronError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  const n = named >= 0 ? named + field.offset : /^\d+$/.test(token) ? Number(token) : NaN;
+  if (!Number.isInteger(n) || n < field.min || n > field.max) {
+    throw cronError(`Invalid ${field.name} "${token}" (${field.min}-${field.max})`);
+  }
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw cronError(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      [from, to] = [parseValue(a, field), parseValue(b, field)];
+      if (from > to) throw cronError(`Invalid ${field.name} range "${range}"`);
+    } else {
+      from = parseValue(range, field);
+      // 10/20 means 10-max/20
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expression
+ * @returns {{ expression: string, minutes: Set<number>, hours: Set<number>,
+ *   days: Set<number>, months: Set<number>, weekdays: Set<number>,
+ *   anyDay: boolean, anyWeekday: boolean }}
+ * @throws {Error} status 400 on an invalid expression
+ */
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const text = MACROS[source.toLowerCase()] || source;
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError(`Cron expression needs 5 fields (minute hour day month weekday): "${source}"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*'),
+  };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.days.has(date.getUTCDate());
+  const dow = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+/**
+ * First time the expression fires strictly after `after`.
+ * @param {string|Object} cron - expression or parseCron() result
+ * @param {Date} [after]
+ * @returns {Date|null} null when it never fires (0 0 31 2 *)
+ */
+function nextRun(cron, after = new Date()) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const t = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after.getTime() + MAX_YEARS * 366 * 24 * 60 * MINUTE_MS;
+
+  while (t.getTime() <= limit) {
+    if (!c.months.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0);
+    } else if (!dayMatches(c, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0);
+    } else if (!c.hours.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0);
+    } else if (!c.minutes.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+/**
+ * The next `count` fire times after `after`.
+ * @returns {Date[]}
+ */
+function upcomingRuns(cron, count = 5, after = new Date()) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const runs = [];
+  let t = after;
+  while (runs.length < count && (t = nextRun(c, t))) runs.push(t);
+  return runs;
+}
+
+/**
+ * Fire times in (from, to], up to `max`.
+ * @returns {number}
+ */
+function countRuns(cron, from, to, max = 1000) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  let n = 0;
+  let t = from;
+  while (n < max && (t = nextRun(c, t)) && t <= to) n++;
+  return n;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  upcomingRuns,
+  countRuns,
+};
@@ -0,0 +1,367 @@
+// src/services/dedupService.js
+//
+// Links tweets (breaking_news), live captures (breaking_news_live) and Google
+// News RSS items that carry the same story into duplicate groups.
+//
+// Each item gets a fingerprint (textFingerprintService). Two items match when
+//   - they share a canonical URL, or
+//   - their SimHashes are within SIMHASH_MAX_DISTANCE bits, or
+//   - their estimated MinHash similarity is at least MINHASH_THRESHOLD,
+// and they were published within DEDUP_WINDOW_HOURS of each other.
+// A group's primary is its earliest published member.
+const dedupRepo = require('../mongo/dedup');
+const { enrichUrl } = require('./googleNewsService');
+const {
+  canonicalUrl,
+  extractUrls,
+  fingerprint,
+  hammingDistance,
+  minhashSimilarity,
+} = require('./textFingerprintService');
+
+const WINDOW_MS = parseFloat(process.env.DEDUP_WINDOW_HOURS || '72') * 60 * 60 * 1000;
+const INTERVAL_MS = parseInt(process.env.DEDUP_INTERVAL_MS || '60000', 10);
+const RESOLVE_LINKS = process.env.DEDUP_RESOLVE_LINKS !== 'false';
+
+const SIMHASH_MAX_DISTANCE = 3;
+const MINHASH_THRESHOLD = 0.6;
+// SimHash is unreliable on very short texts
+const SIMHASH_MIN_TOKENS = 6;
+const MAX_RESOLVED_LINKS = 2;
+const MAX_GROUP_URLS = 20;
+
+const TWEET_URL = /^https:\/\/x\.com\/i\/status\//;
+
+function toDate(...values) {
+  for (const v of values) {
+    if (!v) continue;
+    const d = new Date(v);
+    if (!Number.isNaN(d.getTime())) return d;
+  }
+  return new Date();
+}
+
+/**
+ * Follow shortened or redirecting links to the page's canonical URL, using
+ * the same resolver as the RSS enrichment. Failures keep the original link.
+ */
+async function resolveLinks(urls) {
+  if (!RESOLVE_LINKS) return [];
+
+  const external = urls
+    .filter((u) => !TWEET_URL.test(canonicalUrl(u) || ''))
+    .slice(0, MAX_RESOLVED_LINKS);
+  const resolved = [];
+  for (const url of external) {
+    try {
+      const r = await enrichUrl(url, 'light');
+      for (const link of [r?.canonicalLink, r?.resolvedLink]) if (link) resolved.push(link);
+    } catch {
+      // unsafe or unreachable URL, keep what we have
+    }
+  }
+  return resolved;
+}
+
+function tweetItem(doc) {
+  const text = [doc.title, doc.content, doc.text].filter(Boolean).join(' ');
+  return {
+    kind: 'breaking_news',
+    itemId: doc.tweetId || String(doc._id),
+    title: doc.title || doc.text?.slice(0, 200) || null,
+    source: doc.account || doc.source || null,
+    publishedAt: toDate(doc.datetime, doc.publishedAt, doc.createdAt),
+    text,
+    urls: [doc.url, ...extractUrls(text)].filter(Boolean),
+  };
+}
+
+function liveItem(doc) {
+  return {
+    kind: 'breaking_news_live',
+    itemId: String(doc._id),
+    title: doc.text?.slice(0, 200) || null,
+    source: doc.author || null,
+    publishedAt: toDate(doc.tweetCreatedAt, doc.capturedAt, doc.createdAt),
+    text: doc.text || '',
+    urls: [doc.url, ...extractUrls(doc.text)].filter(Boolean),
+  };
+}
+
+function rssItem(item) {
+  const link = item.canonicalLink || item.normalizedLink || item.resolvedLink || item.link;
+  return {
+    kind: 'rss',
+    itemId: canonicalUrl(link) || link,
+    title: item.title || null,
+    source: item.sourceName || null,
+    publishedAt: toDate(item.publishedAt, item.pubDate, item.fetchedAt),
+    text: [item.title, item.description].filter(Boolean).join(' '),
+    // The Google News redirect is unique per item, so it never links two items
+    urls: [item.canonicalLink, item.normalizedLink, item.resolvedLink].filter(Boolean),
+    resolved: true,
+  };
+}
+
+/**
+ * How `fp` matches `other`, or null.
+ * @returns {{ match: 'url'|'simhash'|'minhash', similarity: number }|null}
+ */
+function compare(fp, other) {
+  if (fp.canonicalUrls.some((u) => other.canonicalUrls.includes(u))) {
+    return { match: 'url', similarity: 1 };
+  }
+
+  if (
+    fp.simhash &&
+    other.simhash &&
+    fp.tokenCount >= SIMHASH_MIN_TOKENS &&
+    other.tokenCount >= SIMHASH_MIN_TOKENS
+  ) {
+    const distance = hammingDistance(fp.simhash, other.simhash);
+    if (distance <= SIMHASH_MAX_DISTANCE) {
+      return { match: 'simhash', similarity: Math.round((1 - distance / 64) * 1000) / 1000 };
+    }
+  }
+
+  const similarity = minhashSimilarity(fp.minhash, other.minhash);
+  if (similarity >= MINHASH_THRESHOLD) {
+    return { match: 'minhash', similarity: Math.round(similarity * 1000) / 1000 };
+  }
+
+  return null;
+}
+
+class DedupService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Fingerprint one item and link it to any duplicates already seen.
+   * @returns {Promise<{ itemId: string, group: string|null, match: string|null }>}
+   */
+  async processItem(item) {
+    const urls = item.resolved ? item.urls : [...item.urls, ...(await resolveLinks(item.urls))];
+    const fp = {
+      kind: item.kind,
+      itemId: item.itemId,
+      title: item.title,
+      source: item.source,
+      publishedAt: item.publishedAt,
+      ...fingerprint({ text: item.text, urls }),
+    };
+
+    const existing = await dedupRepo.getFingerprint(fp.kind, fp.itemId);
+    const candidates = await dedupRepo.findCandidates(fp, {
+      from: new Date(fp.publishedAt.getTime() - WINDOW_MS),
+      to: new Date(fp.publishedAt.getTime() + WINDOW_MS),
+    });
+
+    let best = null;
+    const matched = [];
+    for (const other of candidates) {
+      const result = compare(fp, other);
+      if (!result) continue;
+      matched.push(other);
+      if (!best || result.similarity > best.similarity) best = result;
+    }
+
+    fp.group = existing?.group || null;
+    if (best) {
+      fp.match = best.match;
+      fp.similarity = best.similarity;
+    }
+    const saved = await dedupRepo.upsertFingerprint(fp);
+
+    if (!matched.length) {
+      return { itemId: fp.itemId, group: fp.group ? String(fp.group) : null, match: null };
+    }
+
+    // Oldest group wins; the others are folded into it
+    const groupIds = [
+      ...new Map(
+        [saved, ...matched].filter((m) => m.group).map((m) => [String(m.group), m.group])
+      ).values(),
+    ].sort((a, b) => (String(a) < String(b) ? -1 : 1));
+
+    let groupId = groupIds[0];
+    if (!groupId) {
+      const group = await dedupRepo.createGroup({ kind: fp.kind, itemId: fp.itemId });
+      groupId = group._id;
+    }
+
+    await dedupRepo.mergeGroups(groupIds.slice(1), groupId);
+    await dedupRepo.assignToGroup(
+      [saved, ...matched].filter((m) => !m.group).map((m) => m._id),
+      groupId
+    );
+    await this.refreshGroup(groupId);
+
+    return { itemId: fp.itemId, group: String(groupId), match: best.match };
+  }
+
+  /**
+   * Recompute primary, counts and URLs of a group and mirror membership onto
+   * the source documents.
+   */
+  async refreshGroup(groupId) {
+    const members = await dedupRepo.getGroupMembers(groupId);
+    if (!members.length) return;
+
+    const primary = members[0];
+    const kinds = [...new Set(members.map((m) => m.kind))];
+    const canonicalUrls = [...new Set(members.flatMap((m) => m.canonicalUrls || []))].slice(
+      0,
+      MAX_GROUP_URLS
+    );
+    const dates = members.map((m) => m.publishedAt).filter(Boolean);
+
+    await dedupRepo.updateGroup(groupId, {
+      primary: { kind: primary.kind, itemId: primary.itemId },
+      title: primary.title,
+      memberCount: members.length,
+      kinds,
+      canonicalUrls,
+      firstSeenAt: dates.length ? new Date(Math.min(...dates.map(Number))) : null,
+      lastSeenAt: dates.length ? new Date(Math.max(...dates.map(Number))) : null,
+    });
+
+    const tweets = members.filter((m) => m.kind === 'breaking_news');
+    await dedupRepo.syncSourceDocs(groupId, {
+      tweetIds: tweets.map((m) => m.itemId),
+      primaryTweetId: tweets[0]?.itemId || null,
+      liveIds: members.filter((m) => m.kind === 'breaking_news_live').map((m) => m.itemId),
+    });
+  }
+
+  /**
+   * Fingerprint tweets and live captures not checked yet (oldest first).
+   * @param {Object} [params]
+   * @param {number} [params.limit=200] - per collection
+   * @returns {Promise<{ processed: number, grouped: number }>}
+   */
+  async processPending({ limit = 200 } = {}) {
+    if (this.running) return { processed: 0, grouped: 0, skipped: true };
+    this.running = true;
+
+    try {
+      let processed = 0;
+      let grouped = 0;
+
+      const tweets = await dedupRepo.getPendingTweets({ limit });
+      for (const doc of tweets) {
+        const r = await this.processItem(tweetItem(doc));
+        if (r.match) grouped++;
+      }
+      if (tweets.length) await dedupRepo.markTweetsChecked(tweets.map((d) => d._id));
+      processed += tweets.length;
+
+      const live = await dedupRepo.getPendingLive({ limit });
+      for (const doc of live) {
+        const r = await this.processItem(liveItem(doc));
+        if (r.match) grouped++;
+      }
+      if (live.length) await dedupRepo.markLiveChecked(live.map((d) => d._id));
+      processed += live.length;
+
+      return { processed, grouped };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Fingerprint RSS items from googleNewsService.fetchNews. Items seen before
+   * are not re-processed.
+   * @param {Object[]} items
+   * @returns {Promise<Map<string, string>>} itemId -> group id, for grouped items
+   */
+  async recordRssItems(items) {
+    const rss = items.map(rssItem).filter((i) => i.itemId);
+    const known = await dedupRepo.getFingerprints(
+      'rss',
+      rss.map((i) => i.itemId)
+    );
+    const groups = new Map(known.filter((f) => f.group).map((f) => [f.itemId, String(f.group)]));
+    const seen = new Set(known.map((f) => f.itemId));
+
+    for (const item of rss) {
+      if (seen.has(item.itemId)) continue;
+      seen.add(item.itemId);
+      const r = await this.processItem(item);
+      if (r.group) groups.set(item.itemId, r.group);
+    }
+
+    // Items recorded earlier may have joined a group since
+    if (known.length) {
+      const refreshed = await dedupRepo.getFingerprints(
+        'rss',
+        known.map((f) => f.itemId)
+      );
+      for (const f of refreshed) if (f.group) groups.set(f.itemId, String(f.group));
+    }
+    return groups;
+  }
+
+  /**
+   * Keep the first RSS item of each duplicate group. Kept items get
+   * `duplicateGroup` and `duplicates` (how many were hidden from this list).
+   * @param {Object[]} items
+   * @returns {Promise<Object[]>}
+   */
+  async collapseRssItems(items) {
+    const groups = await this.recordRssItems(items);
+
+    const kept = new Map();
+    const out = [];
+    for (const item of items) {
+      const groupId = groups.get(rssItem(item).itemId);
+      if (!groupId) {
+        out.push(item);
+        continue;
+      }
+      const first = kept.get(groupId);
+      if (first) {
+        first.duplicates += 1;
+        continue;
+      }
+      const annotated = { ...item, duplicateGroup: groupId, duplicates: 0 };
+      kept.set(groupId, annotated);
+      out.push(annotated);
+    }
+    return out;
+  }
+
+  /**
+   * Run processPending on an interval (DEDUP_INTERVAL_MS, 0 disables).
+   */
+  start() {
+    if (this.timer || INTERVAL_MS <= 0) return;
+
+    const tick = async () => {
+      try {
+        const r = await this.processPending();
+        if (r.processed) {
+          console.log(`🧬 Dedup: ${r.processed} items, ${r.grouped} duplicates`);
+        }
+      } catch (err) {
+        console.error('Dedup failed:', err.message);
+      }
+      this.timer = setTimeout(tick, INTERVAL_MS);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new DedupService();
+module.exports.tweetItem = tweetItem;
+module.exports.liveItem = liveItem;
+module.exports.rssItem = rssItem;
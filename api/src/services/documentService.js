@@ -295,7 +295,7 @@ class DocumentService {
   }
 
   /**
-   * Generate content using OpenAI
+   * Generate content through the LLM layer
    * @param {Object} data
    * @param {string} data.documentId
    * @param {string} data.sourceType
@@ -337,8 +337,9 @@ class DocumentService {
         sourceUrl,
         generationInputs,
         revisionInstructions,
-        model: generationInputs.model || 'gpt-4-turbo-preview',
+        model: generationInputs.model,
         temperature: generationInputs.temperature || 0.6,
+        usage: { userId, documentId },
       });
     } else {
       result = await contentGenerationService.generateContent({
@@ -346,8 +347,9 @@ class DocumentService {
         sourceText,
         sourceUrl,
         generationInputs,
-        model: generationInputs.model || 'gpt-4-turbo-preview',
+        model: generationInputs.model,
         temperature: generationInputs.temperature || 0.6,
+        usage: { userId, documentId },
       });
     }
 
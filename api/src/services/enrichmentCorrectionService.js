@@ -0,0 +1,275 @@
+// src/services/enrichmentCorrectionService.js
+//
+// Analyst corrections of enrichment fields. The corrected value replaces the
+// model's value on the enrichment (so search, trends and entities use it),
+// the model's value is kept in machine_values, and every change is logged in
+// EnrichmentCorrection. Re-enrichment keeps corrected fields and only
+// refreshes their machine values (jobs/enrichbreakingnews.mjs).
+const breakingNewsRepo = require('../mongo/breakingNews');
+const correctionRepo = require('../mongo/enrichmentCorrection');
+const { validateEnrichmentField } = require('./enrichmentValidationService');
+
+const CORRECTABLE_FIELDS = [
+  'category',
+  'event_type',
+  'time_window',
+  'context',
+  'entities.people',
+  'entities.organizations',
+  'entities.equipment',
+  'sentiment',
+  'risk_score',
+  'credibility',
+  'confidence',
+  'needs_higher_model',
+  'notes',
+];
+
+const EXPORT_BATCH_SIZE = 200;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = obj;
+  for (const key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+  return obj;
+}
+
+// Removes the path and any parent objects it leaves empty
+function deletePath(obj, path) {
+  const [key, ...rest] = path.split('.');
+  if (!obj || typeof obj !== 'object' || !(key in obj)) return;
+  if (rest.length) {
+    deletePath(obj[key], rest.join('.'));
+    if (obj[key] && typeof obj[key] === 'object' && !Object.keys(obj[key]).length) {
+      delete obj[key];
+    }
+  } else {
+    delete obj[key];
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function normalize(value) {
+  if (typeof value === 'string') {
+    const s = value.trim();
+    return s || null;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(normalize).filter((v) => v !== null);
+    return [...new Set(items)];
+  }
+  return value;
+}
+
+class EnrichmentCorrectionService {
+  /**
+   * Field changes of a PATCH body: top-level fields, dotted paths, or an
+   * `entities` object with some of its lists. `note` is not a field.
+   * @returns {Array<{ field: string, value: any }>}
+   */
+  parseChanges(body = {}) {
+    const changes = [];
+    for (const [key, value] of Object.entries(body)) {
+      if (key === 'note') continue;
+      if (key === 'entities' && value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [sub, v] of Object.entries(value)) {
+          changes.push({ field: `entities.${sub}`, value: v });
+        }
+      } else {
+        changes.push({ field: key, value });
+      }
+    }
+
+    if (!changes.length) throw httpError(400, 'No fields to correct');
+    for (const change of changes) {
+      if (!CORRECTABLE_FIELDS.includes(change.field)) {
+        throw httpError(
+          400,
+          `${change.field} cannot be corrected; allowed: ${CORRECTABLE_FIELDS.join(', ')}`
+        );
+      }
+      change.value = normalize(change.value);
+      const { valid, errors } = validateEnrichmentField(change.field, change.value);
+      if (!valid) throw httpError(400, errors.map((e) => `${e.path} ${e.message}`).join('; '));
+    }
+    return changes;
+  }
+
+  async getEnrichment(tweetId) {
+    const enrichment = await breakingNewsRepo.getEnrichmentById(tweetId);
+    if (!enrichment) throw httpError(404, 'Breaking news enrichment not found');
+    return enrichment;
+  }
+
+  /**
+   * @param {string} tweetId
+   * @param {Object} body - fields to correct, plus an optional note
+   * @param {{ userId: number, email: string }} user
+   * @returns {Promise<Object>} the updated enrichment
+   */
+  async correct(tweetId, body, user) {
+    const changes = this.parseChanges(body);
+    const enrichment = await this.getEnrichment(tweetId);
+
+    const corrected = new Set(enrichment.corrected_fields || []);
+    const machineValues = structuredClone(enrichment.machine_values || {});
+    const set = {};
+    const entries = [];
+
+    for (const { field, value } of changes) {
+      const previous = getPath(enrichment, field) ?? null;
+      // Confirming the model's value is kept as a label; re-sending a label is not
+      if (sameValue(previous, value) && corrected.has(field)) continue;
+
+      // First correction of a field: the current value is the model's
+      if (!corrected.has(field)) setPath(machineValues, field, previous);
+      corrected.add(field);
+      set[field] = value;
+      entries.push({
+        tweetId,
+        field,
+        action: 'correct',
+        machine_value: getPath(machineValues, field) ?? null,
+        previous_value: previous,
+        value,
+        note: body.note || null,
+        user_id: user.userId,
+        user_email: user.email || null,
+      });
+    }
+    if (!entries.length) return enrichment;
+
+    set.machine_values = machineValues;
+    set.corrected_fields = [...corrected];
+    set.corrected_at = new Date();
+    await this.save(enrichment, set, entries);
+    return this.getEnrichment(tweetId);
+  }
+
+  /**
+   * Restore the model's value of a corrected field.
+   * @returns {Promise<Object>} the updated enrichment
+   */
+  async revert(tweetId, field, user, note) {
+    const enrichment = await this.getEnrichment(tweetId);
+    const corrected = new Set(enrichment.corrected_fields || []);
+    if (!corrected.has(field)) throw httpError(404, 'Enrichment correction not found');
+
+    const machineValues = structuredClone(enrichment.machine_values || {});
+    const machineValue = getPath(machineValues, field) ?? null;
+    deletePath(machineValues, field);
+    corrected.delete(field);
+
+    await this.save(
+      enrichment,
+      {
+        [field]: machineValue,
+        machine_values: corrected.size ? machineValues : null,
+        corrected_fields: [...corrected],
+        corrected_at: corrected.size ? enrichment.corrected_at : null,
+      },
+      [
+        {
+          tweetId,
+          field,
+          action: 'revert',
+          machine_value: machineValue,
+          previous_value: getPath(enrichment, field) ?? null,
+          value: machineValue,
+          note: note || null,
+          user_id: user.userId,
+          user_email: user.email || null,
+        },
+      ]
+    );
+    return this.getEnrichment(tweetId);
+  }
+
+  async save(enrichment, set, entries) {
+    const saved = await correctionRepo.updateEnrichment(enrichment, set);
+    if (!saved) throw httpError(409, 'Enrichment was updated meanwhile; reload and try again');
+    await correctionRepo.insertEntries(entries);
+  }
+
+  /**
+   * Audit trail of a tweet's enrichment, newest first.
+   */
+  async listCorrections(tweetId) {
+    return correctionRepo.listForTweet(tweetId);
+  }
+
+  /**
+   * Labeled dataset: one row per corrected field with the tweet text, the
+   * model's value and the analyst's label.
+   * @param {Object} [params]
+   * @param {Date} [params.since]
+   * @param {string} [params.field]
+   */
+  async *datasetRows({ since, field } = {}) {
+    if (field && !CORRECTABLE_FIELDS.includes(field)) {
+      throw httpError(400, `field must be one of: ${CORRECTABLE_FIELDS.join(', ')}`);
+    }
+
+    let batch = [];
+    for await (const enrichment of correctionRepo.cursorCorrected({ since, field })) {
+      batch.push(enrichment);
+      if (batch.length >= EXPORT_BATCH_SIZE) {
+        yield* await this.buildRows(batch, field);
+        batch = [];
+      }
+    }
+    if (batch.length) yield* await this.buildRows(batch, field);
+  }
+
+  async buildRows(enrichments, field) {
+    const tweetIds = enrichments.map((e) => e.tweetId);
+    const [texts, latest] = await Promise.all([
+      correctionRepo.getTweetTexts(tweetIds),
+      correctionRepo.getLatestEntries(tweetIds),
+    ]);
+    const byField = new Map(latest.map((e) => [`${e._id.tweetId}|${e._id.field}`, e]));
+
+    const rows = [];
+    for (const enrichment of enrichments) {
+      const fields = field ? [field] : enrichment.corrected_fields;
+      for (const f of fields) {
+        const entry = byField.get(`${enrichment.tweetId}|${f}`);
+        rows.push({
+          tweetId: enrichment.tweetId,
+          text: texts.get(enrichment.tweetId) ?? null,
+          field: f,
+          machine_value: getPath(enrichment.machine_values, f) ?? null,
+          label: getPath(enrichment, f) ?? null,
+          model_used: enrichment.model_used ?? null,
+          prompt_hash: enrichment.prompt_hash ?? null,
+          schema_version: enrichment.schema_version ?? null,
+          labeled_by: entry ? { userId: entry.user_id, email: entry.user_email } : null,
+          labeled_at: entry?.createdAt ?? enrichment.corrected_at,
+          note: entry?.note ?? null,
+        });
+      }
+    }
+    return rows;
+  }
+}
+
+module.exports = new EnrichmentCorrectionService();
+module.exports.CORRECTABLE_FIELDS = CORRECTABLE_FIELDS;
@@ -0,0 +1,102 @@
+// src/services/enrichmentDiffService.js
+//
+// Field-level diff between two enrichment revisions. Lists of strings are
+// compared as sets (order is not meaningful to the model output); lists of
+// objects are matched by their identifying field, so a reordered or
+// re-scored location shows up as a change of that location only.
+
+// Identifying field of array items, by array name
+const ITEM_KEYS = {
+  locations: 'place',
+  future_scenarios: 'scenario',
+  knock_on_effects: 'effect',
+  additional_links: 'link',
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every((k) => isEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+// Items match case-insensitively on their identifying field, else by position
+function itemKey(field, item, index) {
+  const key = ITEM_KEYS[field];
+  const value = key && isPlainObject(item) ? item[key] : undefined;
+  return typeof value === 'string' ? value.trim().toLowerCase() : `#${index}`;
+}
+
+function itemLabel(field, item, index) {
+  const value = isPlainObject(item) ? item[ITEM_KEYS[field]] : undefined;
+  return typeof value === 'string' ? value.trim() : `#${index}`;
+}
+
+function diffArrays(path, field, from, to, changes) {
+  if (from.every((v) => !isPlainObject(v)) && to.every((v) => !isPlainObject(v))) {
+    const before = new Set(from.map((v) => JSON.stringify(v)));
+    const after = new Set(to.map((v) => JSON.stringify(v)));
+    const added = to.filter((v) => !before.has(JSON.stringify(v)));
+    const removed = from.filter((v) => !after.has(JSON.stringify(v)));
+    if (added.length || removed.length) {
+      changes.push({ path, change: 'changed', added, removed });
+    }
+    return;
+  }
+
+  const fromByKey = new Map(from.map((item, i) => [itemKey(field, item, i), [item, i]]));
+  const toByKey = new Map(to.map((item, i) => [itemKey(field, item, i), [item, i]]));
+  for (const [key, [item, i]] of fromByKey) {
+    if (toByKey.has(key)) continue;
+    changes.push({ path: `${path}[${itemLabel(field, item, i)}]`, change: 'removed', from: item });
+  }
+  for (const [key, [item, i]] of toByKey) {
+    const itemPath = `${path}[${itemLabel(field, item, i)}]`;
+    if (!fromByKey.has(key)) changes.push({ path: itemPath, change: 'added', to: item });
+    else diffValues(itemPath, field, fromByKey.get(key)[0], item, changes);
+  }
+}
+
+function diffValues(path, field, from, to, changes) {
+  if (isEqual(from, to)) return;
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+    for (const key of keys) {
+      diffValues(path ? `${path}.${key}` : key, key, from[key], to[key], changes);
+    }
+  } else if (Array.isArray(from) && Array.isArray(to)) {
+    diffArrays(path, field, from, to, changes);
+  } else if (from === undefined) {
+    changes.push({ path, change: 'added', to });
+  } else if (to === undefined) {
+    changes.push({ path, change: 'removed', from });
+  } else {
+    changes.push({ path, change: 'changed', from, to });
+  }
+}
+
+/**
+ * @param {Object} from - revision `data` of the older revision
+ * @param {Object} to - revision `data` of the newer revision
+ * @returns {Array<{ path: string, change: 'added'|'removed'|'changed', from?: any, to?: any,
+ *   added?: Array, removed?: Array }>}
+ */
+function diffEnrichments(from = {}, to = {}) {
+  const changes = [];
+  diffValues('', null, from, to, changes);
+  return changes;
+}
+
+module.exports = {
+  diffEnrichments,
+};
@@ -0,0 +1,347 @@
+// src/services/enrichmentValidationService.js
+//
+// Validation of enrichment model output against the BreakingNewsEnrichment
+// Mongoose model. The JSON Schema is generated from the model, so enums and
+// ranges live in one place:
+//
+//   buildEnrichmentJsonSchema({ strict: true })  response schema sent to the model
+//   coerceEnrichment(value)                      fix what can be fixed safely
+//   validateEnrichment(value)                    list what is still wrong
+//
+// jobs/enrichbreakingnews.mjs re-prompts with the remaining errors a few
+// times and dead-letters the record when they persist. The validator itself
+// (validateJsonSchema) also checks job payloads (jobTypeRegistry).
+const BreakingNewsEnrichment = require('../models/BreakingNewsEnrichment');
+
+// Model output fields; nested lists name the subdocument fields the model fills
+// (the rest, e.g. location geocoding, is added later by the API)
+const OUTPUT_FIELDS = {
+  category: true,
+  context: true,
+  locations: ['place', 'country', 'lat', 'lon'],
+  future_scenarios: ['scenario', 'likelihood'],
+  knock_on_effects: ['effect', 'likelihood'],
+  entities: ['people', 'organizations', 'equipment'],
+  event_type: true,
+  time_window: true,
+  sentiment: true,
+  risk_score: true,
+  credibility: true,
+  sources_to_verify: true,
+  confidence: true,
+  needs_higher_model: true,
+  notes: true,
+};
+
+// Scalars the model must always provide
+const NON_NULL = new Set(['confidence', 'needs_higher_model']);
+
+// Values the prompt used to ask for, and common synonyms
+const ENUM_ALIASES = {
+  time_window: {
+    next_24h: 'future_risk',
+    next_week: 'future_risk',
+    future: 'future_risk',
+    upcoming: 'future_risk',
+    past: 'past_event',
+    current: 'ongoing',
+    unclear: 'unknown',
+  },
+};
+
+function scalarSchema(schemaType, { strict, nullable }) {
+  const out = {};
+  if (schemaType.instance === 'String') {
+    out.type = nullable ? ['string', 'null'] : 'string';
+    const values = (schemaType.enumValues || []).filter((v) => v !== null);
+    if (values.length) out.enum = nullable ? [...values, null] : values;
+  } else if (schemaType.instance === 'Number') {
+    out.type = nullable ? ['number', 'null'] : 'number';
+    // Strict structured output does not accept range keywords
+    if (!strict) {
+      if (schemaType.options.min !== undefined) out.minimum = schemaType.options.min;
+      if (schemaType.options.max !== undefined) out.maximum = schemaType.options.max;
+    }
+  } else if (schemaType.instance === 'Boolean') {
+    out.type = nullable ? ['boolean', 'null'] : 'boolean';
+  } else {
+    throw new Error(`Unsupported enrichment field type ${schemaType.instance}`);
+  }
+  return out;
+}
+
+function objectSchema(mongooseSchema, fields, opts) {
+  const properties = {};
+  for (const field of fields) {
+    const schemaType = mongooseSchema.path(field);
+    if (!schemaType) throw new Error(`Unknown enrichment field ${field}`);
+    properties[field] = fieldSchema(field, schemaType, OUTPUT_FIELDS[field], opts);
+  }
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties,
+    // Structured output needs every key present; nullability carries optionality
+    required: fields,
+  };
+}
+
+function fieldSchema(field, schemaType, subfields, opts) {
+  if (schemaType.instance === 'Embedded') {
+    return objectSchema(schemaType.schema, subfields, opts);
+  }
+  if (schemaType.instance === 'Array') {
+    const items = schemaType.schema
+      ? objectSchema(schemaType.schema, subfields, opts)
+      : scalarSchema(schemaType.embeddedSchemaType, { ...opts, nullable: false });
+    return { type: 'array', items };
+  }
+  const nullable = !schemaType.isRequired && !NON_NULL.has(field);
+  return scalarSchema(schemaType, { ...opts, nullable });
+}
+
+const schemaCache = {};
+
+/**
+ * JSON Schema of the enrichment output, generated from BreakingNewsEnrichment.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.strict=false] - structured-output flavour (no range keywords)
+ * @returns {Object}
+ */
+function buildEnrichmentJsonSchema({ strict = false } = {}) {
+  const key = strict ? 'strict' : 'full';
+  if (!schemaCache[key]) {
+    schemaCache[key] = objectSchema(BreakingNewsEnrichment.schema, Object.keys(OUTPUT_FIELDS), {
+      strict,
+    });
+  }
+  return schemaCache[key];
+}
+
+// ---------- validation ----------
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'non-finite number';
+  return typeof value;
+}
+
+function check(schema, value, path, errors) {
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  const integer = actual === 'number' && Number.isInteger(value) && types.includes('integer');
+  if (!types.includes(actual) && !integer) {
+    errors.push({ path, message: `expected ${types.join(' or ')}, got ${actual}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.map((v) => JSON.stringify(v)).join(', ');
+    errors.push({ path, message: `must be one of ${allowed}, got ${JSON.stringify(value)}` });
+  }
+  if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+  }
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: join(path, key), message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) check(sub, v, join(path, key), errors);
+      else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, key), message: 'is not allowed' });
+      }
+    }
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * @param {Object} value - enrichment output
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+function validateEnrichment(value) {
+  const errors = [];
+  check(buildEnrichmentJsonSchema(), value, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate any value against a JSON Schema (the subset used here: type incl.
+ * integer, enum, minimum/maximum, minLength/maxLength/pattern, properties,
+ * required, additionalProperties: false, items, minItems/maxItems).
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+function validateJsonSchema(schema, value) {
+  const errors = [];
+  check(schema, value, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a single field, e.g. for analyst corrections.
+ * @param {string} path - dotted field path, e.g. "category" or "entities.people"
+ * @param {any} value
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+function validateEnrichmentField(path, value) {
+  const schema = path
+    .split('.')
+    .reduce((sub, key) => sub?.properties?.[key], buildEnrichmentJsonSchema());
+  if (!schema) return { valid: false, errors: [{ path, message: 'is not an enrichment field' }] };
+
+  const errors = [];
+  check(schema, value, path, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+// ---------- coercion ----------
+
+function coerceScalar(schema, value, path, field, fixes) {
+  const types = [].concat(schema.type);
+  const nullable = types.includes('null');
+  const fix = (to, why) => {
+    fixes.push({ path, from: value, to, reason: why });
+    return to;
+  };
+
+  if (value === undefined) {
+    if (nullable) return fix(null, 'missing');
+    if (types.includes('boolean')) return fix(false, 'missing');
+    return undefined;
+  }
+  if (value === null || value === '') {
+    if (nullable) return value === null ? null : fix(null, 'empty string');
+    return value;
+  }
+
+  if (types.includes('string')) {
+    let s = typeof value === 'string' ? value.trim() : String(value);
+    if (schema.enum) {
+      const normalized = s.toLowerCase().replace(/[\s-]+/g, '_');
+      const aliased = ENUM_ALIASES[field]?.[normalized] ?? normalized;
+      if (schema.enum.includes(aliased)) s = aliased;
+      else if (schema.enum.includes('unknown')) s = 'unknown';
+      else if (nullable) s = null;
+    }
+    return s === value ? value : fix(s, schema.enum ? 'enum value mapped' : 'normalized string');
+  }
+
+  if (types.includes('number')) {
+    const percent = typeof value === 'string' && value.includes('%');
+    let n = typeof value === 'string' ? parseFloat(value.replace('%', '')) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) return value;
+    // 0..1 scores given as percentages ("70%", 70); 1.2 is just out of range
+    if (schema.maximum === 1 && (percent || (n >= 2 && n <= 100))) n /= 100;
+    if (schema.minimum !== undefined) n = Math.max(schema.minimum, n);
+    if (schema.maximum !== undefined) n = Math.min(schema.maximum, n);
+    return n === value ? value : fix(n, 'number coerced into range');
+  }
+
+  if (types.includes('boolean')) {
+    if (typeof value === 'boolean') return value;
+    const s = String(value).toLowerCase();
+    if (['true', 'yes', '1'].includes(s)) return fix(true, 'boolean from string');
+    if (['false', 'no', '0'].includes(s)) return fix(false, 'boolean from string');
+  }
+  return value;
+}
+
+function coerce(schema, value, path, field, fixes) {
+  if (schema.type === 'object') {
+    if (value === undefined || value === null) {
+      fixes.push({ path, from: value, to: {}, reason: 'missing' });
+      value = {};
+    }
+    if (typeOf(value) !== 'object') return value;
+    const out = {};
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      const v = coerce(sub, value[key], join(path, key), key, fixes);
+      if (v !== undefined) out[key] = v;
+    }
+    for (const key of Object.keys(value)) {
+      if (!schema.properties[key]) {
+        fixes.push({ path: join(path, key), from: value[key], reason: 'unknown field dropped' });
+      }
+    }
+    return out;
+  }
+
+  if (schema.type === 'array') {
+    if (value === undefined || value === null) {
+      fixes.push({ path, from: value, to: [], reason: 'missing' });
+      return [];
+    }
+    const list = Array.isArray(value) ? value : [value];
+    if (list !== value) fixes.push({ path, from: value, to: list, reason: 'wrapped in a list' });
+
+    const out = [];
+    list.forEach((item, i) => {
+      const v = coerce(schema.items, item, `${path}[${i}]`, field, fixes);
+      // Items missing their required text (a location without a place) are dropped
+      const errors = [];
+      check(schema.items, v, '', errors);
+      if (v === null || v === undefined || errors.some((e) => e.message === 'is required')) {
+        fixes.push({ path: `${path}[${i}]`, from: item, reason: 'incomplete item dropped' });
+      } else {
+        out.push(v);
+      }
+    });
+    return out;
+  }
+
+  return coerceScalar(schema, value, path, field, fixes);
+}
+
+/**
+ * Repair what can be repaired without the model: clamp and rescale scores,
+ * map enum synonyms, fill missing lists and optional fields, drop unknown keys
+ * and incomplete list items.
+ * @param {Object} value - enrichment output
+ * @returns {{ value: Object, fixes: Array<{ path: string, from: any, to?: any, reason: string }> }}
+ */
+function coerceEnrichment(value) {
+  const fixes = [];
+  const out = coerce(buildEnrichmentJsonSchema(), value, '', null, fixes);
+  return { value: out, fixes };
+}
+
+module.exports = {
+  OUTPUT_FIELDS,
+  buildEnrichmentJsonSchema,
+  validateEnrichment,
+  validateEnrichmentField,
+  validateJsonSchema,
+  coerceEnrichment,
+};
@@ -0,0 +1,142 @@
+// src/services/entityIndexService.js
+//
+// Indexes enrichment `entities` (people, organizations, equipment) into:
+//   - entities              one per normalized name (entityNameService)
+//   - entity_mentions       one per entity per enrichment, with the tweet time
+//   - entity_cooccurrences  how often two entities are named together
+//
+// Edited enrichments are re-indexed: mentions that disappeared are removed and
+// the counters adjusted, so the index always mirrors the current enrichments.
+const entityRepo = require('../mongo/entity');
+const { entitiesOf } = require('./entityNameService');
+
+const INTERVAL_MS = parseInt(process.env.ENTITY_INDEX_INTERVAL_MS || '60000', 10);
+const BATCH_SIZE = 500;
+// Bounds the co-occurrence pairs one enrichment can add (n * (n - 1) / 2)
+const MAX_ENTITIES_PER_ENRICHMENT = 30;
+
+function pairKey(x, y) {
+  const [a, b] = [String(x), String(y)].sort();
+  return `${a}:${b}`;
+}
+
+function pairsOf(ids) {
+  const sorted = [...ids].sort((x, y) => (String(x) < String(y) ? -1 : 1));
+  const pairs = new Map();
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length; j++) {
+      pairs.set(pairKey(sorted[i], sorted[j]), { a: sorted[i], b: sorted[j] });
+    }
+  }
+  return pairs;
+}
+
+class EntityIndexService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Bring the index in line with one enrichment.
+   * @returns {Promise<{ added: number, removed: number }>}
+   */
+  async indexEnrichment(enrichment) {
+    const at = enrichment.tweet_datetime || enrichment.createdAt || new Date();
+    const found = entitiesOf(enrichment.entities).slice(0, MAX_ENTITIES_PER_ENRICHMENT);
+
+    const current = new Map();
+    for (const e of found) {
+      const entity = await entityRepo.upsert(e);
+      current.set(String(entity._id), { entity, alias: e.alias });
+    }
+
+    const previous = await entityRepo.getMentionsForEnrichment(enrichment._id);
+    const previousIds = new Map(previous.map((m) => [String(m.entity), m.entity]));
+
+    const added = [...current.entries()].filter(([id]) => !previousIds.has(id));
+    const removed = [...previousIds.entries()].filter(([id]) => !current.has(id));
+
+    await entityRepo.addMentions(
+      added.map(([, { entity, alias }]) => ({
+        entity: entity._id,
+        type: entity.type,
+        enrichment: enrichment._id,
+        tweetId: enrichment.tweetId,
+        account: enrichment.account || null,
+        category: enrichment.category || null,
+        text: alias,
+        at,
+      }))
+    );
+    await entityRepo.removeMentions(
+      enrichment._id,
+      removed.map(([, id]) => id)
+    );
+
+    const before = pairsOf([...previousIds.values()]);
+    const after = pairsOf([...current.values()].map((c) => c.entity._id));
+    const deltas = [
+      ...[...after].filter(([k]) => !before.has(k)).map(([, p]) => ({ ...p, delta: 1 })),
+      ...[...before].filter(([k]) => !after.has(k)).map(([, p]) => ({ ...p, delta: -1 })),
+    ];
+    await entityRepo.updateCooccurrences(deltas, at);
+
+    await entityRepo.markSynced(enrichment._id, enrichment.updatedAt || new Date());
+    return { added: added.length, removed: removed.length };
+  }
+
+  /**
+   * Index every new or changed enrichment.
+   * @returns {Promise<{ enrichments: number, mentions: number }>}
+   */
+  async syncPending() {
+    if (this.running) return { enrichments: 0, mentions: 0, skipped: true };
+    this.running = true;
+
+    let enrichments = 0;
+    let mentions = 0;
+    try {
+      for (;;) {
+        const batch = await entityRepo.getUnsyncedEnrichments({ limit: BATCH_SIZE });
+        for (const enrichment of batch) {
+          const r = await this.indexEnrichment(enrichment);
+          mentions += r.added;
+        }
+        enrichments += batch.length;
+        if (batch.length < BATCH_SIZE) break;
+      }
+      return { enrichments, mentions };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run syncPending on an interval (ENTITY_INDEX_INTERVAL_MS, 0 disables).
+   */
+  start() {
+    if (this.timer || INTERVAL_MS <= 0) return;
+
+    const tick = async () => {
+      try {
+        const r = await this.syncPending();
+        if (r.enrichments) {
+          console.log(`🏷️ Entity index: ${r.mentions} mentions from ${r.enrichments} enrichments`);
+        }
+      } catch (err) {
+        console.error('Entity indexing failed:', err.message);
+      }
+      this.timer = setTimeout(tick, INTERVAL_MS);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new EntityIndexService();
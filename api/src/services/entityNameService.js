@@ -0,0 +1,129 @@
+// src/services/entityNameService.js
+//
+// Normalizes the raw entity strings the enrichment model writes ("Wagner PMC",
+// "the Wagner Group", "F-16s", "President Putin") to one key per entity:
+//   - lowercase, diacritics and punctuation removed ("U.S." -> "us")
+//   - leading titles dropped from people, a leading "the" from organizations
+//   - equipment designators joined and de-pluralized ("F-16s" -> "f16")
+//   - aliases resolved through data/entity-aliases.json (or ENTITY_ALIASES_FILE)
+const fs = require('node:fs');
+const path = require('node:path');
+const { ENTITY_TYPES } = require('../models/Entity');
+
+const ALIASES_FILE =
+  process.env.ENTITY_ALIASES_FILE ||
+  path.join(__dirname, '..', '..', 'data', 'entity-aliases.json');
+
+// Keys in enrichment.entities -> entity type
+const ENTITY_FIELDS = {
+  people: 'person',
+  organizations: 'organization',
+  equipment: 'equipment',
+};
+
+const PERSON_TITLES =
+  /^((president|vice president|prime minister|pm|minister|defen[cs]e minister|foreign minister|chancellor|king|queen|prince|sheikh|ayatollah|general|gen|lt gen|major general|maj gen|colonel|col|commander|admiral|sen|senator|rep|gov|governor|mayor|mr|mrs|ms|dr)\s+)+/;
+
+const PLACEHOLDERS = new Set(['unknown', 'none', 'n a', 'na', 'null', 'unnamed', 'unidentified']);
+
+let aliasIndex = null;
+
+/**
+ * Lookup key for an entity name of the given type.
+ * @param {string} type - person | organization | equipment
+ * @param {string} raw
+ * @returns {string}
+ */
+function foldName(type, raw) {
+  let s = String(raw || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`]s\b/g, '')
+    .replace(/\.(?=\p{L})/gu, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+  if (type === 'person') s = s.replace(PERSON_TITLES, '');
+  if (type === 'organization') s = s.replace(/^the /, '');
+  if (type === 'equipment') {
+    s = s
+      .replace(/(\p{L})\s+(?=\d)/gu, '$1')
+      .replace(/(\d)s\b/g, '$1')
+      .replace(/^the /, '');
+  }
+  return s;
+}
+
+/**
+ * alias key -> { key, name } per type, built from the alias file.
+ */
+function loadAliases() {
+  if (aliasIndex) return aliasIndex;
+
+  aliasIndex = Object.fromEntries(ENTITY_TYPES.map((t) => [t, new Map()]));
+  if (!fs.existsSync(ALIASES_FILE)) return aliasIndex;
+
+  const data = JSON.parse(fs.readFileSync(ALIASES_FILE, 'utf8'));
+  for (const type of ENTITY_TYPES) {
+    for (const [name, aliases] of Object.entries(data[type] || {})) {
+      const key = foldName(type, name);
+      const entry = { key, name };
+      aliasIndex[type].set(key, entry);
+      for (const alias of aliases) {
+        const aliasKey = foldName(type, alias);
+        if (aliasKey && !aliasIndex[type].has(aliasKey)) aliasIndex[type].set(aliasKey, entry);
+      }
+    }
+  }
+  return aliasIndex;
+}
+
+/**
+ * Normalized identity of one raw entity string, or null for empty and
+ * placeholder values.
+ * @param {string} type - person | organization | equipment
+ * @param {string} raw
+ * @returns {{ type: string, key: string, name: string, alias: string, aliasKey: string }|null}
+ */
+function normalizeEntity(type, raw) {
+  const alias = String(raw || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^["'“‘(]+|["'”’)]+$/g, '')
+    .replace(/['’]s$/, '')
+    .trim();
+  const aliasKey = foldName(type, alias);
+  if (aliasKey.length < 2 || PLACEHOLDERS.has(aliasKey)) return null;
+
+  const known = loadAliases()[type].get(aliasKey);
+  return {
+    type,
+    key: known ? known.key : aliasKey,
+    name: known ? known.name : alias,
+    alias,
+    aliasKey,
+  };
+}
+
+/**
+ * Distinct normalized entities of an enrichment's `entities` field.
+ * @param {{ people?: string[], organizations?: string[], equipment?: string[] }} entities
+ * @returns {Array<ReturnType<typeof normalizeEntity>>}
+ */
+function entitiesOf(entities = {}) {
+  const seen = new Map();
+  for (const [field, type] of Object.entries(ENTITY_FIELDS)) {
+    for (const raw of entities?.[field] || []) {
+      const e = normalizeEntity(type, raw);
+      if (e && !seen.has(`${type}:${e.key}`)) seen.set(`${type}:${e.key}`, e);
+    }
+  }
+  return [...seen.values()];
+}
+
+module.exports = {
+  foldName,
+  normalizeEntity,
+  entitiesOf,
+};
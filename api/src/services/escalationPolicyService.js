@@ -0,0 +1,231 @@
+// src/services/escalationPolicyService.js
+//
+// When the enrichment job sends a tweet on from the primary model to the
+// escalation model (enrichment.primary -> enrichment.escalation). The policy
+// is data:
+//
+//   {
+//     "maxPerHour": 120,                        escalation budget, null = unlimited
+//     "accounts": { "allow": ["reuters"],       always escalate these sources
+//                   "deny": ["parody_news"] },  never escalate these
+//     "keywords": ["nuclear", "coup"],          escalate when the tweet mentions one
+//     "confidence": { "default": 0.6,           escalate below this confidence ...
+//                     "byCategory": { "conflict": 0.75 } },
+//     "requireModelFlag": true                  ... only if needs_higher_model is set
+//   }
+//
+// Loaded from ENRICH_ESCALATION_POLICY (JSON) or ENRICH_ESCALATION_POLICY_FILE,
+// merged over DEFAULT_POLICY (the cascade's original rule). Rules are checked
+// in the order above and the first match decides; its name is recorded on
+// the enrichment (escalation.rule).
+const crypto = require('crypto');
+const fs = require('fs');
+const { escapeRegex } = require('./breakingNewsSearchService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_POLICY = {
+  maxPerHour: null,
+  accounts: { allow: [], deny: [] },
+  keywords: [],
+  confidence: { default: 0.6, byCategory: {} },
+  requireModelFlag: true,
+};
+
+function normalizeAccount(account) {
+  return String(account || '')
+    .trim()
+    .replace(/^@/, '')
+    .toLowerCase();
+}
+
+function accountOf(tweet) {
+  if (tweet.account) return normalizeAccount(tweet.account);
+  const m = typeof tweet.url === 'string' && tweet.url.match(/(?:twitter|x)\.com\/([^/]+)\/status/);
+  return m ? normalizeAccount(m[1]) : '';
+}
+
+function threshold(value, label) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > 1) {
+    throw new Error(`Escalation policy: ${label} must be a number between 0 and 1`);
+  }
+  return n;
+}
+
+function stringList(value, label) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+    throw new Error(`Escalation policy: ${label} must be a list of strings`);
+  }
+  return value;
+}
+
+/**
+ * Validate a policy and fill in defaults.
+ * @param {Object} [raw]
+ * @returns {Object} policy with `hash` (identifies it on recorded decisions)
+ */
+function normalizePolicy(raw = {}) {
+  const known = Object.keys(DEFAULT_POLICY);
+  const unknown = Object.keys(raw).filter((k) => !known.includes(k));
+  if (unknown.length) throw new Error(`Escalation policy: unknown keys ${unknown.join(', ')}`);
+
+  const maxPerHour = raw.maxPerHour ?? DEFAULT_POLICY.maxPerHour;
+  if (maxPerHour !== null && !(Number.isInteger(maxPerHour) && maxPerHour >= 0)) {
+    throw new Error('Escalation policy: maxPerHour must be a non-negative integer or null');
+  }
+
+  const confidence = { ...DEFAULT_POLICY.confidence, ...raw.confidence };
+  const byCategory = {};
+  for (const [category, value] of Object.entries(confidence.byCategory || {})) {
+    byCategory[category.toLowerCase()] = threshold(value, `confidence.byCategory.${category}`);
+  }
+
+  const policy = {
+    maxPerHour,
+    accounts: {
+      allow: stringList(raw.accounts?.allow, 'accounts.allow').map(normalizeAccount),
+      deny: stringList(raw.accounts?.deny, 'accounts.deny').map(normalizeAccount),
+    },
+    keywords: stringList(raw.keywords, 'keywords'),
+    confidence: { default: threshold(confidence.default, 'confidence.default'), byCategory },
+    requireModelFlag: raw.requireModelFlag ?? DEFAULT_POLICY.requireModelFlag,
+  };
+  policy.hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(policy))
+    .digest('hex')
+    .slice(0, 12);
+  return policy;
+}
+
+let envPolicy = null;
+
+/**
+ * Policy from ENRICH_ESCALATION_POLICY / ENRICH_ESCALATION_POLICY_FILE, or
+ * the default policy.
+ */
+function loadEscalationPolicy() {
+  if (envPolicy) return envPolicy;
+
+  let raw = {};
+  const sources = [];
+  if (process.env.ENRICH_ESCALATION_POLICY_FILE) {
+    sources.push([
+      process.env.ENRICH_ESCALATION_POLICY_FILE,
+      fs.readFileSync(process.env.ENRICH_ESCALATION_POLICY_FILE, 'utf8'),
+    ]);
+  }
+  if (process.env.ENRICH_ESCALATION_POLICY) {
+    sources.push(['ENRICH_ESCALATION_POLICY', process.env.ENRICH_ESCALATION_POLICY]);
+  }
+  for (const [name, text] of sources) {
+    try {
+      raw = { ...raw, ...JSON.parse(text) };
+    } catch (err) {
+      throw new Error(`Invalid escalation policy in ${name}: ${err.message}`);
+    }
+  }
+
+  envPolicy = normalizePolicy(raw);
+  return envPolicy;
+}
+
+function keywordMatcher(keyword) {
+  // Word boundaries only where the keyword starts/ends with a word character
+  const start = /^\w/.test(keyword) ? '\\b' : '';
+  const end = /\w$/.test(keyword) ? '\\b' : '';
+  return new RegExp(`${start}${escapeRegex(keyword)}${end}`, 'i');
+}
+
+/**
+ * First rule of the policy that applies to a primary-model enrichment.
+ * @param {Object} policy - from normalizePolicy()
+ * @param {Object} tweet - { text, account, url }
+ * @param {Object} enrichment - primary model output
+ * @returns {{ escalate: boolean, rule: string, reason: string }}
+ */
+function evaluatePolicy(policy, tweet, enrichment) {
+  const account = accountOf(tweet);
+  if (account && policy.accounts.deny.includes(account)) {
+    return { escalate: false, rule: 'account_deny', reason: `@${account} is on the deny list` };
+  }
+  if (account && policy.accounts.allow.includes(account)) {
+    return { escalate: true, rule: 'account_allow', reason: `@${account} is on the allow list` };
+  }
+
+  const text = tweet.text || '';
+  const keyword = policy.keywords.find((k) => keywordMatcher(k).test(text));
+  if (keyword) {
+    return { escalate: true, rule: 'keyword', reason: `tweet mentions "${keyword}"` };
+  }
+
+  const category = String(enrichment?.category || '').toLowerCase();
+  const hasOwn = Object.prototype.hasOwnProperty.call(policy.confidence.byCategory, category);
+  const limit = hasOwn ? policy.confidence.byCategory[category] : policy.confidence.default;
+  const confidence = enrichment?.confidence ?? 0;
+  const flagged = !policy.requireModelFlag || Boolean(enrichment?.needs_higher_model);
+  if (flagged && confidence < limit) {
+    return {
+      escalate: true,
+      rule: hasOwn ? 'category_confidence' : 'confidence',
+      reason: `confidence ${confidence} < ${limit}${hasOwn ? ` for ${category}` : ''}`,
+    };
+  }
+  return { escalate: false, rule: 'none', reason: 'no rule matched' };
+}
+
+/**
+ * Sliding one-hour window of escalations.
+ * @param {number|null} maxPerHour
+ * @param {Date[]} [recent] - escalations already made in the last hour (e.g. by earlier runs)
+ */
+function createEscalationBudget(maxPerHour, recent = []) {
+  const times = recent.map((d) => new Date(d).getTime());
+  const prune = (now) => {
+    while (times.length && times[0] <= now - HOUR_MS) times.shift();
+  };
+  times.sort((a, b) => a - b);
+
+  return {
+    maxPerHour,
+    used(now = Date.now()) {
+      prune(now);
+      return times.length;
+    },
+    // Claims one escalation; false when the budget is spent
+    tryTake(now = Date.now()) {
+      prune(now);
+      if (maxPerHour !== null && times.length >= maxPerHour) return false;
+      times.push(now);
+      return true;
+    },
+  };
+}
+
+/**
+ * Policy decision plus budget: what the job records as `escalation`.
+ * @returns {{ escalated: boolean, rule: string, reason: string, policy_hash: string, at: Date }}
+ */
+function decideEscalation(policy, budget, tweet, enrichment, now = new Date()) {
+  const decision = evaluatePolicy(policy, tweet, enrichment);
+  let { escalate, rule, reason } = decision;
+  if (escalate && budget && !budget.tryTake(now.getTime())) {
+    escalate = false;
+    reason = `${rule} matched (${reason}) but ${budget.maxPerHour}/h budget is spent`;
+    rule = 'budget_exhausted';
+  }
+  return { escalated: escalate, rule, reason, policy_hash: policy.hash, at: now };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  normalizeAccount,
+  accountOf,
+  normalizePolicy,
+  loadEscalationPolicy,
+  evaluatePolicy,
+  createEscalationBudget,
+  decideEscalation,
+};
@@ -0,0 +1,184 @@
+// src/services/geoProjectionService.js
+//
+// Keeps breaking_news_locations (2dsphere-indexed) in step with the
+// locations[] array of every BreakingNewsEnrichment. The enrichment job writes
+// enrichments directly to Mongo, so changes are picked up by polling for
+// documents whose updatedAt is newer than their geo_synced_at marker.
+//
+// Locations without coordinates are geocoded against the offline GeoNames
+// gazetteer first, and the result is written back to the enrichment.
+const locationRepo = require('../mongo/breakingNewsLocation');
+const geocoderService = require('./geocoderService');
+
+const INTERVAL_MS = parseInt(process.env.GEO_SYNC_INTERVAL_MS || '60000', 10);
+const BATCH_SIZE = 500;
+
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * GeoJSON point for a location, or null when the coordinates are missing or
+ * invalid. (0, 0) is treated as missing: it is what the model emits when it
+ * does not know.
+ */
+function toPoint(loc) {
+  const lat = toNumber(loc?.lat);
+  const lon = toNumber(loc?.lon);
+  if (lat === null || lon === null) return null;
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+  if (lat === 0 && lon === 0) return null;
+  return { type: 'Point', coordinates: [lon, lat] };
+}
+
+/**
+ * Fill in coordinates, country code and provenance for each location.
+ * Locations that already carry a geo_source are left as they are.
+ * @returns {{ locations: Object[], changed: boolean }}
+ */
+function geocodeLocations(locations = []) {
+  let changed = false;
+
+  const out = locations.map((loc) => {
+    if (loc.geo_source) return loc;
+    changed = true;
+
+    if (toPoint(loc)) {
+      return {
+        ...loc,
+        country_code: loc.country_code || geocoderService.countryCode(loc.country),
+        precision: null,
+        geo_source: 'stated',
+      };
+    }
+
+    const match = geocoderService.geocode({ place: loc.place, country: loc.country });
+    if (!match) {
+      // Seas, straits and unknown places; marked so they are not retried every pass
+      return {
+        ...loc,
+        country_code: loc.country_code || geocoderService.countryCode(loc.country),
+        geo_source: 'unresolved',
+      };
+    }
+
+    return {
+      ...loc,
+      lat: match.lat,
+      lon: match.lon,
+      country_code: match.country_code,
+      precision: match.precision,
+      geo_source: 'geonames',
+      geo_match_score: match.score,
+      geoname_id: match.geonameId,
+    };
+  });
+
+  return { locations: out, changed };
+}
+
+/**
+ * Location documents for one enrichment.
+ */
+function project(enrichment) {
+  const docs = [];
+  for (const loc of enrichment.locations || []) {
+    const geometry = toPoint(loc);
+    if (!geometry) continue;
+
+    docs.push({
+      enrichment: enrichment._id,
+      tweetId: enrichment.tweetId,
+      account: enrichment.account,
+      place: loc.place,
+      country: loc.country || null,
+      country_code: loc.country_code || null,
+      geometry,
+      precision: loc.precision || null,
+      geo_source: loc.geo_source || null,
+      category: enrichment.category || 'unknown',
+      event_type: enrichment.event_type || 'unknown',
+      time_window: enrichment.time_window || 'unknown',
+      confidence: typeof enrichment.confidence === 'number' ? enrichment.confidence : 0,
+      tweet_datetime: enrichment.tweet_datetime || enrichment.createdAt || null,
+    });
+  }
+  return docs;
+}
+
+class GeoProjectionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  async projectEnrichment(enrichment) {
+    const { locations, changed } = geocodeLocations(enrichment.locations);
+    const docs = project({ ...enrichment, locations });
+
+    await locationRepo.replaceForEnrichment(enrichment._id, docs);
+    await locationRepo.markSynced(
+      enrichment._id,
+      enrichment.updatedAt || new Date(),
+      changed ? locations : undefined
+    );
+    return docs.length;
+  }
+
+  /**
+   * Project every new or changed enrichment.
+   * @returns {Promise<{ enrichments: number, locations: number }>}
+   */
+  async syncPending() {
+    if (this.running) return { enrichments: 0, locations: 0, skipped: true };
+    this.running = true;
+
+    let enrichments = 0;
+    let locations = 0;
+    try {
+      for (;;) {
+        const batch = await locationRepo.getUnsyncedEnrichments({ limit: BATCH_SIZE });
+        for (const enrichment of batch) {
+          locations += await this.projectEnrichment(enrichment);
+        }
+        enrichments += batch.length;
+        if (batch.length < BATCH_SIZE) break;
+      }
+      return { enrichments, locations };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run syncPending on an interval (GEO_SYNC_INTERVAL_MS, 0 disables).
+   */
+  start() {
+    if (this.timer || INTERVAL_MS <= 0) return;
+
+    const tick = async () => {
+      try {
+        const r = await this.syncPending();
+        if (r.enrichments) {
+          console.log(
+            `🗺️ Geo projection: ${r.locations} locations from ${r.enrichments} enrichments`
+          );
+        }
+      } catch (err) {
+        console.error('Geo projection failed:', err.message);
+      }
+      this.timer = setTimeout(tick, INTERVAL_MS);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new GeoProjectionService();
@@ -0,0 +1,379 @@
+// src/services/geocoderService.js
+//
+// Offline geocoder backed by a GeoNames gazetteer (data/geonames, or
+// GEONAMES_DIR). Resolves an enrichment location's `place` + `country` to
+// coordinates and an ISO 3166-1 alpha-2 country code.
+//
+// Resolution order, most precise first:
+//   1. city     exact name (or alternate name) match, disambiguated by country,
+//               by admin1 names elsewhere in the place string, then importance
+//   2. admin    first-level division (state, oblast, province...) -> its seat
+//   3. city     fuzzy name match (edit distance), restricted to the country
+//   4. country  the country itself -> its capital
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const GEONAMES_DIR =
+  process.env.GEONAMES_DIR || path.join(__dirname, '..', '..', 'data', 'geonames');
+const CITY_FILES = ['cities500', 'cities1000', 'cities5000', 'cities15000'];
+
+const FUZZY_MIN_LENGTH = 5;
+const FUZZY_THRESHOLD = 0.8;
+
+// Higher wins when several places share a name
+const FEATURE_RANK = { PPLC: 4, PPLA: 3, PPLA2: 2, PPLG: 2 };
+
+// Words the model adds around division names ("Kharkiv Oblast", "Province of Idlib")
+const ADMIN_AFFIXES =
+  /\b(oblast|province|region|governorate|state|prefecture|county|district|department|krai|raion|voivodeship|of)\b/g;
+
+// Common ways the model writes countries that are not the GeoNames name
+const COUNTRY_ALIASES = {
+  america: 'US',
+  usa: 'US',
+  'u s': 'US',
+  'u s a': 'US',
+  'united states of america': 'US',
+  uk: 'GB',
+  'u k': 'GB',
+  britain: 'GB',
+  'great britain': 'GB',
+  england: 'GB',
+  scotland: 'GB',
+  wales: 'GB',
+  'northern ireland': 'GB',
+  'russian federation': 'RU',
+  'south korea': 'KR',
+  'republic of korea': 'KR',
+  'north korea': 'KP',
+  dprk: 'KP',
+  turkey: 'TR',
+  'czech republic': 'CZ',
+  'ivory coast': 'CI',
+  drc: 'CD',
+  'dr congo': 'CD',
+  'democratic republic of congo': 'CD',
+  'democratic republic of the congo': 'CD',
+  'republic of congo': 'CG',
+  gaza: 'PS',
+  'gaza strip': 'PS',
+  'west bank': 'PS',
+  palestine: 'PS',
+  'palestinian territories': 'PS',
+  uae: 'AE',
+  emirates: 'AE',
+  holland: 'NL',
+  burma: 'MM',
+  vatican: 'VA',
+  macedonia: 'MK',
+  swaziland: 'SZ',
+  'cape verde': 'CV',
+  'east timor': 'TL',
+};
+
+/**
+ * Lowercase ASCII form used for every lookup key.
+ * @param {string} s
+ * @returns {string}
+ */
+function normalize(s) {
+  return String(s || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^(the|city of) /, '')
+    .trim();
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function readGeoNamesFile(file) {
+  for (const candidate of [file, `${file}.gz`]) {
+    const full = path.join(GEONAMES_DIR, candidate);
+    if (!fs.existsSync(full)) continue;
+    const buf = fs.readFileSync(full);
+    return (candidate.endsWith('.gz') ? zlib.gunzipSync(buf) : buf).toString('utf8');
+  }
+  return null;
+}
+
+function* rows(text) {
+  for (const line of text.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    yield line.split('\t');
+  }
+}
+
+function pushTo(map, key, value) {
+  if (!key) return;
+  const list = map.get(key);
+  if (list) list.push(value);
+  else map.set(key, [value]);
+}
+
+function importance(city) {
+  return (FEATURE_RANK[city.featureCode] || 0) * 1e9 + city.population;
+}
+
+function byImportance(a, b) {
+  return importance(b) - importance(a);
+}
+
+class GeocoderService {
+  constructor() {
+    this.loaded = false;
+    this.cities = [];
+    this.citiesByName = new Map(); // name / ascii name / alternate name -> city[]
+    this.cityNamesByInitial = new Map(); // first letter -> distinct primary names
+    this.citiesByAdmin = new Map(); // "CC.admin1" -> city[]
+    this.admins = new Map(); // "CC.admin1" -> name
+    this.adminsByName = new Map(); // normalized name -> "CC.admin1"[]
+    this.countries = new Map(); // ISO2 -> { code, name, capital }
+    this.countryCodes = new Map(); // normalized name / ISO2 / ISO3 / alias -> ISO2
+  }
+
+  /**
+   * Load the gazetteer on first use (a few hundred ms for cities15000).
+   */
+  load() {
+    if (this.loaded) return;
+
+    const countryText = readGeoNamesFile('countryInfo.txt');
+    const adminText = readGeoNamesFile('admin1CodesASCII.txt');
+    const cityFile = CITY_FILES.map((f) => readGeoNamesFile(`${f}.txt`)).find(Boolean);
+
+    if (!countryText || !adminText || !cityFile) {
+      throw new Error(`GeoNames gazetteer not found in ${GEONAMES_DIR}`);
+    }
+
+    for (const [iso, iso3, , , name, capital] of rows(countryText)) {
+      this.countries.set(iso, { code: iso, name, capital });
+      this.countryCodes.set(normalize(name), iso);
+      this.countryCodes.set(iso.toLowerCase(), iso);
+      this.countryCodes.set(iso3.toLowerCase(), iso);
+    }
+    for (const [alias, iso] of Object.entries(COUNTRY_ALIASES)) {
+      if (!this.countryCodes.has(alias)) this.countryCodes.set(alias, iso);
+    }
+
+    for (const [code, name, asciiName] of rows(adminText)) {
+      this.admins.set(code, name);
+      for (const key of new Set([normalize(name), normalize(asciiName)])) {
+        pushTo(this.adminsByName, key, code);
+        pushTo(this.adminsByName, key.replace(ADMIN_AFFIXES, '').replace(/\s+/g, ' ').trim(), code);
+      }
+    }
+
+    for (const cols of rows(cityFile)) {
+      const city = {
+        geonameId: Number(cols[0]),
+        name: cols[1],
+        lat: Number(cols[4]),
+        lon: Number(cols[5]),
+        featureCode: cols[7],
+        country: cols[8],
+        admin1: cols[10] ? `${cols[8]}.${cols[10]}` : null,
+        population: Number(cols[14]) || 0,
+        key: normalize(cols[1]),
+      };
+      this.cities.push(city);
+
+      const names = new Set([city.key, normalize(cols[2])]);
+      for (const alt of (cols[3] || '').split(',')) names.add(normalize(alt));
+      for (const n of names) pushTo(this.citiesByName, n, city);
+
+      pushTo(this.cityNamesByInitial, city.key[0], city.key);
+      if (city.admin1) pushTo(this.citiesByAdmin, city.admin1, city);
+    }
+
+    for (const [initial, names] of this.cityNamesByInitial) {
+      this.cityNamesByInitial.set(initial, [...new Set(names)]);
+    }
+    for (const list of this.citiesByAdmin.values()) list.sort(byImportance);
+
+    this.loaded = true;
+  }
+
+  /**
+   * ISO 3166-1 alpha-2 code for a country name, code or common alias.
+   * @param {string} country
+   * @returns {string|null}
+   */
+  countryCode(country) {
+    this.load();
+    const key = normalize(country);
+    return key ? this.countryCodes.get(key) || null : null;
+  }
+
+  /**
+   * Resolve a location to coordinates.
+   * @param {{ place?: string, country?: string }} location
+   * @returns {{ lat: number, lon: number, country_code: string, precision: 'city'|'admin'|'country', match: 'exact'|'fuzzy', score: number, geonameId: number|null, name: string }|null}
+   */
+  geocode({ place, country } = {}) {
+    this.load();
+
+    let cc = this.countryCode(country);
+    const parts = String(place || '')
+      .split(/[,;/()]/)
+      .map(normalize)
+      .filter(Boolean);
+
+    // "Ukraine" as the place, or a trailing ", Ukraine". A part that is also a
+    // city of that country ("Gaza", "Singapore") stays a place name.
+    const names = [];
+    for (const part of parts) {
+      const code = this.countryCodes.get(part);
+      const isCity = (this.citiesByName.get(part) || []).some((c) => c.country === code);
+      if (code && !isCity) {
+        if (!cc) cc = code;
+      } else {
+        names.push(part);
+      }
+    }
+
+    // The whole string first, for names containing commas ("Washington, D.C.")
+    const cityNames = parts.length > 1 ? [parts.join(' '), ...names] : names;
+    for (const name of cityNames) {
+      const city = this.matchCity(name, cc, names);
+      if (city) return this.result(city, 'city', 'exact', 1);
+    }
+
+    for (const name of names) {
+      const admin = this.matchAdmin(name, cc);
+      if (admin) return admin;
+    }
+
+    for (const name of names) {
+      const fuzzy = this.matchFuzzy(name, cc);
+      if (fuzzy) return this.result(fuzzy.city, 'city', 'fuzzy', fuzzy.score);
+    }
+
+    if (cc) return this.matchCountry(cc);
+    return null;
+  }
+
+  matchCity(name, cc, allNames) {
+    let candidates =
+      this.citiesByName.get(name) || this.citiesByName.get(name.replace(/ city$/, '')) || [];
+    if (cc) candidates = candidates.filter((c) => c.country === cc);
+    if (!candidates.length) return null;
+    if (candidates.length === 1) return candidates[0];
+
+    // Another part of the place string naming the admin1 ("Springfield, Illinois")
+    const hints = allNames.filter((n) => n !== name);
+    const hinted = candidates.filter((c) => {
+      const adminName = c.admin1 && normalize(this.admins.get(c.admin1));
+      return adminName && hints.some((h) => adminName === h || adminName.startsWith(`${h} `));
+    });
+
+    return (hinted.length ? hinted : candidates).slice().sort(byImportance)[0];
+  }
+
+  matchAdmin(name, cc) {
+    const stripped = name.replace(ADMIN_AFFIXES, '').replace(/\s+/g, ' ').trim();
+    let codes = this.adminsByName.get(name) || this.adminsByName.get(stripped) || [];
+    if (cc) codes = codes.filter((code) => code.startsWith(`${cc}.`));
+    if (!codes.length) return null;
+
+    // Without a country, prefer the division whose seat is most important
+    const seats = codes
+      .map((code) => ({ code, seat: this.adminSeat(code) }))
+      .filter((a) => a.seat)
+      .sort((a, b) => byImportance(a.seat, b.seat));
+    if (!seats.length) return null;
+
+    const { code, seat } = seats[0];
+    return {
+      ...this.result(seat, 'admin', 'exact', 1),
+      name: this.admins.get(code),
+    };
+  }
+
+  // PPLA city of a division, or its most important city
+  adminSeat(code) {
+    const cities = this.citiesByAdmin.get(code) || [];
+    return cities.find((c) => c.featureCode === 'PPLA') || cities[0] || null;
+  }
+
+  matchFuzzy(name, cc) {
+    if (name.length < FUZZY_MIN_LENGTH) return null;
+
+    const maxDistance = Math.floor(name.length * (1 - FUZZY_THRESHOLD));
+    let best = null;
+
+    for (const key of this.cityNamesByInitial.get(name[0]) || []) {
+      const distance = editDistance(name, key, maxDistance);
+      if (distance > maxDistance) continue;
+
+      const score = 1 - distance / Math.max(name.length, key.length);
+      if (score < FUZZY_THRESHOLD) continue;
+
+      let candidates = (this.citiesByName.get(key) || []).filter((c) => c.key === key);
+      if (cc) candidates = candidates.filter((c) => c.country === cc);
+      if (!candidates.length) continue;
+
+      const city = candidates.slice().sort(byImportance)[0];
+      if (
+        !best ||
+        score > best.score ||
+        (score === best.score && importance(city) > importance(best.city))
+      ) {
+        best = { city, score };
+      }
+    }
+
+    return best;
+  }
+
+  matchCountry(cc) {
+    const country = this.countries.get(cc);
+    if (!country) return null;
+
+    const cities = this.cities.filter((c) => c.country === cc);
+    const capital =
+      cities.find((c) => c.featureCode === 'PPLC') ||
+      cities.find((c) => c.key === normalize(country.capital)) ||
+      cities.sort(byImportance)[0];
+    if (!capital) return null;
+
+    return { ...this.result(capital, 'country', 'exact', 1), name: country.name };
+  }
+
+  result(city, precision, match, score) {
+    return {
+      lat: city.lat,
+      lon: city.lon,
+      country_code: city.country,
+      precision,
+      match,
+      score: Math.round(score * 1000) / 1000,
+      geonameId: city.geonameId || null,
+      name: city.name,
+    };
+  }
+}
+
+module.exports = new GeocoderService();
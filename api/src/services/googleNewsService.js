@@ -569,4 +569,6 @@ module.exports = {
   fetchNews,
   findItemById,
   buildGoogleNewsRssUrl,
+  enrichUrl,
+  normalizeUrl,
 };
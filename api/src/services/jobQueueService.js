@@ -0,0 +1,462 @@
+// src/services/jobQueueService.js
+//
+// Durable job queue on the jobs collection. The API only enqueues; every API
+// process runs a worker that
+//
+//   - claims due jobs while their type has a free concurrency slot, holding a
+//     lease (JOB_LEASE_MS) that it renews with heartbeats while the job runs,
+//   - retries failed attempts with exponential backoff (JOB_RETRY_BASE_MS,
+//     doubling up to JOB_RETRY_MAX_MS) until the job's maxAttempts,
+//   - recovers jobs whose lease expired (the worker crashed or restarted):
+//     queued again while attempts remain, failed otherwise,
+//   - stops the process group of a job that runs past its type's timeoutMs
+//     (timed_out) or is cancelled (cancelled): SIGTERM, then SIGKILL after
+//     JOB_KILL_GRACE_MS. Neither is retried.
+//
+// Cancelling a job running on another API process sets cancelRequestedAt;
+// that worker sees it on its next heartbeat (every JOB_LEASE_MS / 3).
+//
+// A script's output (JSON written to JOB_OUTPUT_PATH, see jobs/lib/jobOutput.js)
+// is stored on its job when it succeeds; pipelines pass it downstream.
+//
+// Types, their scripts and payloads come from jobTypeRegistry. Concurrency,
+// attempts and timeout per type default to the registry's; override with
+//   JOB_QUEUE_TYPES='{"twitterlivescraper":{"concurrency":1,"maxAttempts":5,"timeoutMs":300000}}'
+// (timeoutMs 0 turns the timeout off)
+const os = require('node:os');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const jobsRepo = require('../mongo/jobEntry');
+const { FINISHED_STATUSES } = require('../models/Job');
+const { runScript, stopProcess } = require('./jobRunner');
+const registry = require('./jobTypeRegistry');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS || '60000', 10);
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS || '30000', 10);
+const RETRY_MAX_MS = parseInt(process.env.JOB_RETRY_MAX_MS || '600000', 10);
+const KILL_GRACE_MS = parseInt(process.env.JOB_KILL_GRACE_MS || '10000', 10);
+const MAX_OUTPUT_BYTES = 256 * 1024;
+
+// The JSON a script wrote to its output file; null when it wrote none
+async function readOutput(file) {
+  try {
+    const { size } = await fs.stat(file);
+    if (size > MAX_OUTPUT_BYTES) throw new Error(`output is over ${MAX_OUTPUT_BYTES} bytes`);
+    const output = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!output || typeof output !== 'object' || Array.isArray(output)) {
+      throw new Error('output must be a JSON object');
+    }
+    return output;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Unreadable job output: ${err.message}`);
+  } finally {
+    await fs.rm(file, { force: true });
+  }
+}
+
+// Spawns a job's script: { child, done } (see jobRunner.runScript); done
+// also carries the output. The script gets its job id as JOB_ID (e.g. the
+// live scraper tags its captures with it).
+function runJob(job) {
+  const { script, args, env } = registry.buildCommand(job.type, job.payload || {});
+  const outputPath = path.join(os.tmpdir(), `job-${job._id}-${job.attempts}.json`);
+  jobsRepo
+    .appendLog(job._id, 'system', `Running ${path.basename(script)} ${args.join(' ')}`.trim())
+    .catch(() => {});
+  const { child, done } = runScript({
+    jobId: String(job._id),
+    script,
+    args,
+    env: { ...env, JOB_ID: String(job._id), JOB_OUTPUT_PATH: outputPath },
+    cwd: path.dirname(script),
+  });
+  return {
+    child,
+    done: done.then(async (result) => ({ ...result, output: await readOutput(outputPath) })),
+  };
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function positiveInt(value, label, min = 1) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`${label} must be an integer of at least ${min}`);
+  }
+  return n;
+}
+
+function loadTypes() {
+  let overrides = {};
+  if (process.env.JOB_QUEUE_TYPES) {
+    try {
+      overrides = JSON.parse(process.env.JOB_QUEUE_TYPES);
+    } catch (err) {
+      throw new Error(`Invalid JOB_QUEUE_TYPES: ${err.message}`);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(registry.JOB_TYPES).map(([type, definition]) => {
+      const { concurrency, maxAttempts, timeoutMs } = definition;
+      const config = { concurrency, maxAttempts, timeoutMs, run: runJob, ...overrides[type] };
+      config.concurrency = positiveInt(config.concurrency, `${type} concurrency`);
+      config.maxAttempts = positiveInt(config.maxAttempts, `${type} maxAttempts`);
+      config.timeoutMs = positiveInt(config.timeoutMs ?? 0, `${type} timeoutMs`, 0);
+      return [type, config];
+    })
+  );
+}
+
+/**
+ * Delay before the next attempt, after `attempts` failed ones.
+ * @param {number} [baseMs] - first delay (a job's retryDelayMs)
+ */
+function backoffMs(attempts, baseMs = RETRY_BASE_MS) {
+  return Math.min(RETRY_MAX_MS, baseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.types = null;
+    this.active = new Map(); // jobId -> { child, lost }
+    this.started = false;
+    this.timer = null;
+    this.pollAgain = false;
+  }
+
+  getTypes() {
+    if (!this.types) this.types = loadTypes();
+    return this.types;
+  }
+
+  /**
+   * Queue a job; it starts on the next poll with a free slot.
+   * @param {string} type
+   * @param {Object} payload - checked against the type's payloadSchema (400)
+   * @param {Object} [opts] - runAt, rerunOf, requestedBy, scheduleId, pipelineRunId,
+   *   pipelineStep; maxAttempts and retryDelayMs override the type's retry policy
+   */
+  async enqueue(type, payload, opts = {}) {
+    const value = registry.validatePayload(type, payload);
+    const config = this.getTypes()[type];
+
+    const job = await jobsRepo.createJob({
+      type,
+      payload: value,
+      maxAttempts: opts.maxAttempts ?? config.maxAttempts,
+      retryDelayMs: opts.retryDelayMs ?? null,
+      runAt: opts.runAt,
+      rerunOf: opts.rerunOf,
+      requestedBy: opts.requestedBy,
+      scheduleId: opts.scheduleId,
+      pipelineRunId: opts.pipelineRunId,
+      pipelineStep: opts.pipelineStep,
+    });
+    this.poke();
+    return job;
+  }
+
+  /**
+   * Cancel a job: at once when queued, by stopping its process when running.
+   * @returns {Promise<Object>} the job
+   */
+  async cancel(id) {
+    const job = await jobsRepo.getById(id);
+    if (!job) throw httpError(404, 'Job not found');
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw httpError(409, `Job is already ${job.status}`);
+    }
+
+    const updated = await jobsRepo.requestCancel(id);
+    if (!updated) {
+      const current = await jobsRepo.getById(id);
+      throw httpError(409, `Job is already ${current.status}`);
+    }
+    await jobsRepo.appendLog(id, 'system', 'Cancel requested');
+
+    // Running here: stop it now rather than on the next heartbeat
+    const entry = this.active.get(String(id));
+    if (entry) this.terminate(entry, 'cancelled');
+    return updated;
+  }
+
+  /**
+   * Queue a finished job again with the same type and payload.
+   * @returns {Promise<Object>} the new job
+   */
+  async rerun(id, { requestedBy } = {}) {
+    const job = await jobsRepo.getById(id);
+    if (!job) throw httpError(404, 'Job not found');
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      throw httpError(409, `Job is still ${job.status}; cancel it first`);
+    }
+    const rerun = await this.enqueue(job.type, job.payload, { rerunOf: job._id, requestedBy });
+    await jobsRepo.appendLog(id, 'system', `Re-run as job ${rerun._id}`);
+    return rerun;
+  }
+
+  /**
+   * Stop a running job's process for `reason` (cancelled | timed_out).
+   */
+  terminate(entry, reason) {
+    if (entry.stop) return;
+    entry.stop = reason;
+    jobsRepo
+      .appendLog(entry.jobId, 'system', reason === 'timed_out' ? 'Timed out, stopping' : 'Stopping')
+      .catch(() => {});
+    if (!entry.child) return; // stopped right after spawning
+    stopProcess(entry.child, 'SIGTERM');
+    setTimeout(() => stopProcess(entry.child, 'SIGKILL'), KILL_GRACE_MS).unref();
+  }
+
+  /**
+   * Record an attempt's outcome: succeeded, queued for a retry, failed, or
+   * the `status` it was stopped with (cancelled, timed_out; never retried).
+   * `lease` is { owner } for the worker's own jobs, { lease } for recovered ones.
+   * @returns {Promise<string|null>} new status, null when the lease was no longer held
+   */
+  async settle(job, { exitCode = null, error = null, status = null, output = null }, lease) {
+    const attempt = `Attempt ${job.attempts ?? 0}/${job.maxAttempts ?? 1}`;
+
+    if (status) {
+      const done = await jobsRepo.finish({ id: job._id, ...lease, status, exitCode, error });
+      return done ? status : null;
+    }
+
+    if (!error) {
+      const done = await jobsRepo.finish({
+        id: job._id,
+        ...lease,
+        status: 'succeeded',
+        exitCode,
+        output,
+      });
+      return done ? 'succeeded' : null;
+    }
+
+    if ((job.attempts ?? 0) < (job.maxAttempts ?? 1)) {
+      const runAt = new Date(
+        Date.now() + backoffMs(job.attempts, job.retryDelayMs ?? RETRY_BASE_MS)
+      );
+      if (!(await jobsRepo.requeue({ id: job._id, ...lease, runAt, exitCode, error }))) return null;
+      await jobsRepo.appendLog(
+        job._id,
+        'system',
+        `${attempt} failed: ${error.message}; retrying at ${runAt.toISOString()}`
+      );
+      return 'queued';
+    }
+
+    const done = await jobsRepo.finish({
+      id: job._id,
+      ...lease,
+      status: 'failed',
+      exitCode,
+      error,
+    });
+    if (done) await jobsRepo.appendLog(job._id, 'system', `${attempt} failed: ${error.message}`);
+    return done ? 'failed' : null;
+  }
+
+  /**
+   * Run a claimed job to completion, renewing its lease meanwhile.
+   */
+  async execute(job, config) {
+    const id = String(job._id);
+    const entry = { jobId: job._id, child: null, lost: false, stop: null };
+    this.active.set(id, entry);
+
+    const heartbeat = setInterval(
+      async () => {
+        try {
+          const held = await jobsRepo.heartbeat(job._id, this.workerId, LEASE_MS);
+          if (held) {
+            if (held.cancelRequestedAt) this.terminate(entry, 'cancelled');
+            return;
+          }
+          // Recovered elsewhere after the lease expired; that copy owns the job now
+          entry.lost = true;
+          clearInterval(heartbeat);
+          await jobsRepo.appendLog(job._id, 'system', `Lease lost by ${this.workerId}, stopping`);
+          stopProcess(entry.child, 'SIGTERM');
+        } catch (err) {
+          console.error(`Job ${id} heartbeat failed:`, err.message);
+        }
+      },
+      Math.max(1000, Math.floor(LEASE_MS / 3))
+    );
+
+    const timeout =
+      config.timeoutMs > 0
+        ? setTimeout(() => this.terminate(entry, 'timed_out'), config.timeoutMs)
+        : null;
+
+    let outcome;
+    try {
+      await jobsRepo.appendLog(
+        job._id,
+        'system',
+        `Attempt ${job.attempts}/${job.maxAttempts} started by ${this.workerId}`
+      );
+      const { child, done } = config.run(job);
+      entry.child = child;
+      if (entry.stop) stopProcess(child, 'SIGTERM');
+      const { exitCode, signal, output } = await done;
+      outcome =
+        exitCode === 0
+          ? { exitCode, output }
+          : {
+              exitCode,
+              error: { message: signal ? `Killed by ${signal}` : `Exited with code ${exitCode}` },
+            };
+    } catch (err) {
+      outcome = { exitCode: null, error: { message: err.message, stack: err.stack } };
+    } finally {
+      clearInterval(heartbeat);
+      clearTimeout(timeout);
+      this.active.delete(id);
+    }
+
+    if (entry.stop === 'cancelled') {
+      outcome = { ...outcome, status: 'cancelled', error: { message: 'Cancelled' } };
+    } else if (entry.stop === 'timed_out') {
+      const message = `Timed out after ${Math.round(config.timeoutMs / 1000)}s`;
+      outcome = { ...outcome, status: 'timed_out', error: { message } };
+    }
+
+    if (!entry.lost) await this.settle(job, outcome, { owner: this.workerId });
+    // A slot is free again
+    this.poke();
+  }
+
+  /**
+   * Requeue (or fail) running jobs whose lease has expired. Running jobs
+   * without a lease predate the queue; nothing can tell whether they still
+   * run, so they are failed rather than started twice.
+   * @returns {Promise<number>} jobs recovered
+   */
+  async recoverExpired() {
+    let recovered = 0;
+    for (const job of await jobsRepo.findExpired()) {
+      if (job.lease) {
+        const error = { message: `Lease of ${job.lease.owner} expired` };
+        // A cancelled job is not started again
+        const status = job.cancelRequestedAt ? 'cancelled' : null;
+        if (await this.settle(job, { error, status }, { lease: job.lease })) recovered++;
+        continue;
+      }
+      const failed = await jobsRepo.finish({
+        id: job._id,
+        status: 'failed',
+        error: { message: 'Orphaned by an API restart before the durable queue existed' },
+      });
+      if (failed) recovered++;
+    }
+    return recovered;
+  }
+
+  /**
+   * Recover expired leases, then start due jobs while slots are free.
+   */
+  async poll() {
+    const recovered = await this.recoverExpired();
+
+    let started = 0;
+    for (const [type, config] of Object.entries(this.getTypes())) {
+      for (;;) {
+        const job = await jobsRepo.claimNext({
+          type,
+          owner: this.workerId,
+          slots: config.concurrency,
+          leaseMs: LEASE_MS,
+        });
+        if (!job) break;
+        started++;
+        this.execute(job, config).catch((err) => {
+          console.error(`Job ${job._id} failed to settle:`, err.message);
+        });
+      }
+    }
+    return { recovered, started };
+  }
+
+  /**
+   * Queue and slot usage per type.
+   */
+  async stats() {
+    const counts = await jobsRepo.countByTypeAndStatus(Object.keys(this.getTypes()));
+    return {
+      workerId: this.workerId,
+      active: [...this.active.keys()],
+      types: Object.entries(this.getTypes()).map(([type, config]) => ({
+        type,
+        concurrency: config.concurrency,
+        maxAttempts: config.maxAttempts,
+        timeoutMs: config.timeoutMs,
+        queued: counts[type]?.queued ?? 0,
+        running: counts[type]?.running ?? 0,
+      })),
+    };
+  }
+
+  // Poll now instead of at the next interval (new job, freed slot)
+  poke() {
+    if (!this.started) return;
+    if (!this.timer) {
+      // A poll is in flight; run another right after it
+      this.pollAgain = true;
+      return;
+    }
+    this.schedule(0);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.timer = null;
+    this.pollAgain = false;
+    try {
+      const r = await this.poll();
+      if (r.recovered || r.started) {
+        console.log(`🧵 Job queue: ${r.started} started, ${r.recovered} recovered`);
+      }
+    } catch (err) {
+      console.error('Job queue poll failed:', err.message);
+    }
+    if (this.started) this.schedule(this.pollAgain ? 0 : POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Poll on an interval (JOB_POLL_INTERVAL_MS, 0 disables the worker). The
+   * first poll recovers jobs orphaned by the previous process.
+   */
+  start() {
+    if (this.started || POLL_INTERVAL_MS <= 0) return;
+    this.getTypes(); // fail fast on a bad JOB_QUEUE_TYPES
+    this.started = true;
+    this.schedule(0);
+  }
+
+  // Running processes are left alone; their leases expire and are recovered
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new JobQueueService();
+module.exports.backoffMs = backoffMs;
+module.exports.runJob = runJob;
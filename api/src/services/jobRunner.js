@@ -1,23 +1,25 @@
 const { spawn } = require('node:child_process');
-const path = require('node:path');
 const jobEntry = require('../mongo/jobEntry');
 const jobsRepo = jobEntry;
 
-const SCRIPT_PATH =
-  process.env.TWITTER_LIVE_SCRIPT_PATH ||
-  path.join(process.cwd(), 'twitterlivescraper.mjs'); // adjust if needed
+const IS_WINDOWS = process.platform === 'win32';
 
-async function runTwitterLiveScraperJob({ jobId, tweetId }) {
-  // mark running ASAP
-  await jobsRepo.markRunning(jobId);
-  await jobsRepo.appendLog(jobId, 'system', `Spawning script for tweetId=${tweetId}`);
-
-  const child = spawn(process.execPath, [SCRIPT_PATH, tweetId], {
-    env: { ...process.env },
+/**
+ * Spawn a job's script (env is added to the API's own), streaming its output into the job's log. Status is
+ * left to the caller (jobQueueService).
+ * @returns {{ child: ChildProcess, done: Promise<{ exitCode: number|null, signal: string|null }> }}
+ *   done rejects when the process cannot be spawned
+ */
+function runScript({ jobId, script, args = [], env = {}, cwd }) {
+  const child = spawn(process.execPath, [script, ...args], {
+    env: { ...process.env, ...env },
+    cwd,
     stdio: ['ignore', 'pipe', 'pipe'],
+    // Own process group, so stopProcess() reaches whatever the script spawns
+    detached: !IS_WINDOWS,
   });
 
-  await jobsRepo.appendLog(jobId, 'system', `Spawned PID=${child.pid}`);
+  jobsRepo.appendLog(jobId, 'system', `Spawned PID=${child.pid}`).catch(() => {});
 
   child.stdout.on('data', (buf) => {
     jobsRepo.appendLog(jobId, 'stdout', buf.toString('utf8')).catch(() => {});
@@ -27,27 +29,36 @@ async function runTwitterLiveScraperJob({ jobId, tweetId }) {
     jobsRepo.appendLog(jobId, 'stderr', buf.toString('utf8')).catch(() => {});
   });
 
-  child.on('error', async (err) => {
-    await jobsRepo.appendLog(jobId, 'system', `Process error: ${err.message}`);
-    await jobsRepo.markFinished({
-      id: jobId,
-      status: 'failed',
-      exitCode: null,
-      error: { message: err.message, stack: err.stack },
+  const done = new Promise((resolve, reject) => {
+    child.on('error', (err) => {
+      // Spawn failures have no pid; later errors (e.g. a failed kill) are only logged
+      if (child.pid === undefined) return reject(err);
+      jobsRepo.appendLog(jobId, 'system', `Process error: ${err.message}`).catch(() => {});
+    });
+    child.on('close', async (code, signal) => {
+      await jobsRepo
+        .appendLog(jobId, 'system', `Process exited code=${code}${signal ? ` signal=${signal}` : ''}`)
+        .catch(() => {});
+      resolve({ exitCode: code, signal });
     });
   });
 
-  child.on('close', async (code) => {
-    const succeeded = code === 0;
-    await jobsRepo.appendLog(jobId, 'system', `Process exited code=${code}`);
+  return { child, done };
+}
 
-    await jobsRepo.markFinished({
-      id: jobId,
-      status: succeeded ? 'succeeded' : 'failed',
-      exitCode: code,
-      error: succeeded ? null : { message: `Exited with code ${code}` },
-    });
-  });
+/**
+ * Signal a job's process group (the process alone on Windows).
+ * @returns {boolean} false when the process is already gone
+ */
+function stopProcess(child, signal = 'SIGTERM') {
+  if (!child?.pid || child.exitCode !== null || child.signalCode !== null) return false;
+  try {
+    if (IS_WINDOWS) return child.kill(signal);
+    process.kill(-child.pid, signal);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-module.exports = { runTwitterLiveScraperJob };
+module.exports = { runScript, stopProcess };
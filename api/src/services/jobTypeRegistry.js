@@ -0,0 +1,251 @@
+// src/services/jobTypeRegistry.js
+//
+// Scripts in jobs/ that the API can launch (POST /api/jobs, jobQueueService).
+// Each type declares
+//
+//   script          file in JOBS_DIR (default: the repo's jobs/ folder)
+//   payloadSchema   JSON Schema of the payload, checked before queueing
+//   argv            payload fields passed as arguments, in order:
+//                     { field, flag }  --flag=value, or just --flag for true;
+//                                      lists as --flag=a,b,c
+//                     { field }        the value alone (positional)
+//                   unset, null and false fields are left out
+//   env             { ENV_NAME: field } payload fields passed as env vars
+//   concurrency, maxAttempts, timeoutMs   queue limits (jobQueueService)
+//
+// requiredRole restricts who may queue the type; confirm-style payload
+// fields guard the destructive ones.
+const path = require('node:path');
+const { validateJsonSchema } = require('./enrichmentValidationService');
+
+const JOBS_DIR = process.env.JOBS_DIR || path.resolve(__dirname, '../../../jobs');
+const MINUTE_MS = 60 * 1000;
+
+const RSS_CATEGORIES = [
+  'world',
+  'nation',
+  'business',
+  'technology',
+  'entertainment',
+  'science',
+  'sports',
+  'health',
+];
+
+const JOB_TYPES = {
+  twitterlivescraper: {
+    title: 'X live search',
+    description: 'Live search around a tweet; captures go to breaking_news_live.',
+    script: 'twitterlivescraper.mjs',
+    payloadSchema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['tweetId'],
+      properties: { tweetId: { type: 'string', pattern: '^\\d+$' } },
+    },
+    argv: [{ field: 'tweetId' }],
+    concurrency: 2,
+    maxAttempts: 3,
+    timeoutMs: 10 * MINUTE_MS,
+  },
+  twitterscraper: {
+    title: 'X home timeline',
+    description: 'Latest tweets of the followed accounts into breaking_news (needs Chrome on CDP).',
+    script: 'twitterscraper.mjs',
+    payloadSchema: { type: 'object', additionalProperties: false, properties: {} },
+    argv: [],
+    concurrency: 1,
+    maxAttempts: 2,
+    timeoutMs: 10 * MINUTE_MS,
+  },
+  enrichbreakingnews: {
+    title: 'Enrich breaking news',
+    description: 'Model enrichment of unenriched tweets, one tweet (id) or a backfill.',
+    script: 'enrichbreakingnews.mjs',
+    payloadSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        // Tweets to enrich, e.g. the scraper's new ones in a pipeline
+        ids: {
+          type: 'array',
+          maxItems: 500,
+          items: { type: 'string', pattern: '^\\d+$' },
+        },
+        force: { type: 'boolean' },
+        peek: { type: 'boolean' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000 },
+        backfill: { type: 'boolean' },
+        belowVersion: { type: 'integer', minimum: 1 },
+        concurrency: { type: 'integer', minimum: 1, maximum: 20 },
+      },
+    },
+    argv: [
+      { field: 'id', flag: '--id' },
+      { field: 'ids', flag: '--ids' },
+      { field: 'force', flag: '--force' },
+      { field: 'peek', flag: '--peek' },
+      { field: 'limit', flag: '--limit' },
+      { field: 'backfill', flag: '--backfill' },
+      { field: 'belowVersion', flag: '--below-version' },
+    ],
+    env: { CONCURRENCY: 'concurrency' },
+    concurrency: 1,
+    maxAttempts: 2,
+    timeoutMs: 30 * MINUTE_MS,
+  },
+  getbreakingnewsmedia: {
+    title: 'Breaking-news media search',
+    description: 'Video and image search for enriched tweets.',
+    script: 'getbreakingnewsmedia.js',
+    payloadSchema: { type: 'object', additionalProperties: false, properties: {} },
+    argv: [],
+    concurrency: 1,
+    maxAttempts: 2,
+    timeoutMs: 30 * MINUTE_MS,
+  },
+  getrssfeeds: {
+    title: 'Google News RSS',
+    description: 'Fetch a region (and optional topic) into regional_news.',
+    script: 'getrssfeeds.js',
+    payloadSchema: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        region: { type: 'string', pattern: '^[A-Za-z]{2}$' },
+        category: { type: 'string', enum: RSS_CATEGORIES },
+      },
+    },
+    argv: [
+      { field: 'region', flag: '--region' },
+      { field: 'category', flag: '--category' },
+    ],
+    concurrency: 2,
+    maxAttempts: 3,
+    timeoutMs: 10 * MINUTE_MS,
+  },
+  'clear-mongo-data': {
+    title: 'Clear Mongo data',
+    description:
+      'Deletes every document of the API database but the jobs, pipeline_runs and schedules ' +
+      'collections. confirm is the database name.',
+    script: 'clear-mongo-data.js',
+    payloadSchema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['confirm'],
+      properties: { confirm: { type: 'string', minLength: 1 } },
+    },
+    argv: [],
+    env: { CLEAR_CONFIRM: 'confirm' },
+    requiredRole: 'EDITOR',
+    destructive: true,
+    concurrency: 1,
+    maxAttempts: 1,
+    timeoutMs: 5 * MINUTE_MS,
+  },
+};
+
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * @returns {Object|null} the type's definition
+ */
+function getJobType(type) {
+  return Object.hasOwn(JOB_TYPES, type) ? JOB_TYPES[type] : null;
+}
+
+function listJobTypes() {
+  return Object.keys(JOB_TYPES);
+}
+
+/**
+ * Absolute path of a type's script. TWITTER_LIVE_SCRIPT_PATH still points the
+ * live scraper elsewhere.
+ */
+function scriptPath(type) {
+  if (type === 'twitterlivescraper' && process.env.TWITTER_LIVE_SCRIPT_PATH) {
+    return process.env.TWITTER_LIVE_SCRIPT_PATH;
+  }
+  return path.join(JOBS_DIR, JOB_TYPES[type].script);
+}
+
+/**
+ * Check a payload against its type (400 on unknown type or invalid payload).
+ * @returns {Object} the payload ({} when missing)
+ */
+function validatePayload(type, payload = {}) {
+  const definition = getJobType(type);
+  if (!definition) {
+    throw httpError(400, `Unknown job type: ${type}. Known: ${listJobTypes().join(', ')}`);
+  }
+  const value = payload ?? {};
+  const { valid, errors } = validateJsonSchema(definition.payloadSchema, value);
+  if (!valid) {
+    const first = errors[0];
+    throw httpError(
+      400,
+      `Invalid ${type} payload: ${first.path || 'payload'} ${first.message}`,
+      errors
+    );
+  }
+  return value;
+}
+
+/**
+ * Arguments and env vars for a job's payload.
+ * @returns {{ script: string, args: string[], env: Object<string, string> }}
+ */
+function buildCommand(type, payload = {}) {
+  const definition = JOB_TYPES[type];
+  const args = [];
+  for (const { field, flag } of definition.argv || []) {
+    const value = payload[field];
+    if (value === undefined || value === null || value === false) continue;
+    const text = Array.isArray(value) ? value.join(',') : String(value);
+    if (!flag) args.push(text);
+    else args.push(value === true ? flag : `${flag}=${text}`);
+  }
+
+  const env = {};
+  for (const [name, field] of Object.entries(definition.env || {})) {
+    if (payload[field] !== undefined && payload[field] !== null) env[name] = String(payload[field]);
+  }
+  return { script: scriptPath(type), args, env };
+}
+
+/**
+ * What GET /api/jobs/types shows: everything but the script's location.
+ * @param {Object} [limits] - effective queue limits by type (jobQueueService)
+ */
+function describeJobTypes(limits = {}) {
+  return Object.entries(JOB_TYPES).map(([type, d]) => ({
+    type,
+    title: d.title,
+    description: d.description,
+    script: d.script,
+    payloadSchema: d.payloadSchema,
+    argv: d.argv || [],
+    env: d.env || {},
+    requiredRole: d.requiredRole || null,
+    destructive: Boolean(d.destructive),
+    concurrency: limits[type]?.concurrency ?? d.concurrency,
+    maxAttempts: limits[type]?.maxAttempts ?? d.maxAttempts,
+    timeoutMs: limits[type]?.timeoutMs ?? d.timeoutMs,
+  }));
+}
+
+module.exports = {
+  JOB_TYPES,
+  getJobType,
+  listJobTypes,
+  validatePayload,
+  buildCommand,
+  describeJobTypes,
+};
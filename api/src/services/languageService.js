@@ -0,0 +1,138 @@
+// src/services/languageService.js
+//
+// Offline language detection for scraped tweets. Good enough for routing
+// (translate or not, filter by language), not for linguistics:
+//
+//   Arabic / Hebrew script      ar, fa (Persian letters), he
+//   Cyrillic                    uk when it has і ї є ґ, otherwise ru
+//   Latin                       stopword profiles (en, fr, es, de, it, pt, tr)
+//
+// X labels tweets itself (legacy.lang); a two-letter label is taken as is.
+// Everything else, including text too short to tell, is "und".
+
+const UNDETERMINED = 'und';
+const MIN_LETTERS = 8;
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  ar: 'Arabic',
+  fa: 'Persian',
+  he: 'Hebrew',
+  uk: 'Ukrainian',
+  ru: 'Russian',
+  fr: 'French',
+  es: 'Spanish',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  tr: 'Turkish',
+  und: 'Undetermined',
+};
+
+const SCRIPTS = {
+  arabic: /[\u0600-\u06ff\u0750-\u077f\ufb50-\ufdff\ufe70-\ufeff]/g,
+  hebrew: /[\u0590-\u05ff]/g,
+  cyrillic: /[\u0400-\u04ff]/g,
+  latin: /[A-Za-z\u00c0-\u024f]/g,
+};
+
+const PERSIAN_LETTERS = /[پچژگکی]/g;
+const UKRAINIAN_LETTERS = /[іїєґ]/gi;
+
+const STOPWORDS = {
+  en: 'the and of to in is are was were for on with that this from by at as it has have will be not',
+  fr: 'le la les des et est une dans pour sur avec que qui pas ce sont du au par ont été',
+  es: 'el la los las y es una en para con que por del se su al como han fue está son',
+  de: 'der die das und ist nicht ein eine mit den von zu im auf für sich dem des wird sind',
+  it: 'il lo gli della di che è per con una sono non del nel alla anche dei come stato',
+  pt: 'o os as e é um uma em para com que não do da dos das no na foi são pelo',
+  tr: 've bir bu da de için ile olarak olan çok daha gibi ama kadar sonra',
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+);
+
+function count(text, re) {
+  return (text.match(re) || []).length;
+}
+
+// Links, handles and hashtags say nothing about the language of the post
+function stripNoise(text) {
+  return String(text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@#][\p{L}\p{N}_]+/gu, ' ');
+}
+
+function latinLanguage(text) {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = UNDETERMINED;
+  let bestHits = 0;
+  for (const [lang, set] of Object.entries(STOPWORD_SETS)) {
+    const hits = words.filter((w) => set.has(w)).length;
+    if (hits > bestHits) {
+      best = lang;
+      bestHits = hits;
+    }
+  }
+  // One stray "de" or "a" is not enough
+  return bestHits >= 2 || (bestHits === 1 && words.length <= 6) ? best : UNDETERMINED;
+}
+
+/**
+ * Normalize a language label ("EN", "pt-BR", X's "qme") to a two-letter code.
+ * @returns {string|null} null when the label is not a language
+ */
+function normalizeLang(value) {
+  const code = String(value || '')
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  if (code === 'iw') return 'he';
+  if (code === 'in') return 'id';
+  return /^[a-z]{2}$/.test(code) ? code : null;
+}
+
+/**
+ * Language of a text, as a two-letter code or "und".
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.hint] - the platform's own label (X legacy.lang)
+ * @returns {string}
+ */
+function detectLanguage(text, { hint } = {}) {
+  const fromHint = normalizeLang(hint);
+  if (fromHint) return fromHint;
+
+  const clean = stripNoise(text);
+  const scripts = Object.fromEntries(
+    Object.entries(SCRIPTS).map(([name, re]) => [name, count(clean, re)])
+  );
+  const letters = Object.values(scripts).reduce((a, b) => a + b, 0);
+  if (letters < MIN_LETTERS) return UNDETERMINED;
+
+  const [script] = Object.entries(scripts).sort((a, b) => b[1] - a[1])[0];
+  if (script === 'arabic') return count(clean, PERSIAN_LETTERS) >= 2 ? 'fa' : 'ar';
+  if (script === 'hebrew') return 'he';
+  if (script === 'cyrillic') return count(clean, UKRAINIAN_LETTERS) ? 'uk' : 'ru';
+  return latinLanguage(clean);
+}
+
+/**
+ * Whether text in this language needs an English translation.
+ */
+function needsTranslation(lang) {
+  return Boolean(lang) && lang !== 'en' && lang !== UNDETERMINED;
+}
+
+function languageName(lang) {
+  return LANGUAGE_NAMES[lang] || lang;
+}
+
+module.exports = {
+  UNDETERMINED,
+  LANGUAGE_NAMES,
+  normalizeLang,
+  detectLanguage,
+  needsTranslation,
+  languageName,
+};
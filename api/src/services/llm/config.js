@@ -0,0 +1,81 @@
+// src/services/llm/config.js
+//
+// Which provider and model serve each task. Built-in defaults are the models
+// the generators used before this layer; override them with
+//
+//   LLM_PROVIDER=local LLM_MODEL=llama3.1        every task on one provider
+//                                                (LLM_MODEL: text tasks only)
+//   LLM_ROUTES='{"video.plan":{"provider":"openai","model":"gpt-4o-mini"}}'
+//   LLM_ROUTES_FILE=/path/to/routes.json         same shape as LLM_ROUTES
+//
+// Explicit routes win over LLM_PROVIDER / LLM_MODEL. A route may also carry
+// default call parameters (temperature, maxTokens, reasoningEffort).
+const fs = require('fs');
+
+const DEFAULT_ROUTES = {
+  'content.generate': { model: 'gpt-4-turbo-preview', temperature: 0.6, maxTokens: 4000 },
+  'content.revise': { model: 'gpt-4-turbo-preview', temperature: 0.6, maxTokens: 4000 },
+  'video.plan': { model: 'gpt-4o', temperature: 0.7 },
+  'video.image': { kind: 'image', model: 'dall-e-3' },
+  'video.speech': { kind: 'speech', model: 'tts-1-hd' },
+  'enrichment.primary': { model: 'o4-mini', reasoningEffort: 'medium', maxTokens: 1200 },
+  'enrichment.escalation': { model: 'o3', reasoningEffort: 'medium', maxTokens: 1200 },
+  'claims.extract': { model: 'gpt-4o-mini', temperature: 0, maxTokens: 1500 },
+  translate: { model: 'gpt-4o-mini', temperature: 0, maxTokens: 2000 },
+};
+
+let overrides = null;
+
+function loadOverrides() {
+  if (overrides) return overrides;
+
+  overrides = {};
+  const sources = [];
+  if (process.env.LLM_ROUTES_FILE) {
+    sources.push([
+      process.env.LLM_ROUTES_FILE,
+      fs.readFileSync(process.env.LLM_ROUTES_FILE, 'utf8'),
+    ]);
+  }
+  if (process.env.LLM_ROUTES) sources.push(['LLM_ROUTES', process.env.LLM_ROUTES]);
+
+  for (const [name, text] of sources) {
+    try {
+      for (const [task, route] of Object.entries(JSON.parse(text))) {
+        overrides[task] = { ...overrides[task], ...route };
+      }
+    } catch (err) {
+      throw new Error(`Invalid LLM routes in ${name}: ${err.message}`);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Provider, model and default parameters for a task.
+ * @param {string} task - e.g. 'content.generate'
+ * @param {Object} [opts]
+ * @param {string} [opts.model] - caller's choice (e.g. from the UI); only
+ *   applies to the openai provider, other providers keep their configured model
+ * @returns {{ task: string, provider: string, model: string } & Object}
+ */
+function resolveRoute(task, { model } = {}) {
+  const builtIn = DEFAULT_ROUTES[task] || {};
+  const configured = loadOverrides()[task] || {};
+
+  const route = {
+    ...builtIn,
+    provider: process.env.LLM_PROVIDER || 'openai',
+    ...(process.env.LLM_MODEL && !builtIn.kind ? { model: process.env.LLM_MODEL } : {}),
+    ...configured,
+    task,
+  };
+  if (model && route.provider === 'openai') route.model = model;
+  if (!route.model) throw new Error(`No model configured for LLM task "${task}"`);
+  return route;
+}
+
+module.exports = {
+  DEFAULT_ROUTES,
+  resolveRoute,
+};
@@ -0,0 +1,117 @@
+// src/services/llm/errors.js
+//
+// One error type for every provider, so callers branch on `code` instead of
+// SDK-specific statuses and messages. `retryable` marks transient failures
+// that withRetry() tries again.
+
+const LLM_ERROR_CODES = {
+  AUTH: 'AUTH', // bad or missing API key
+  QUOTA: 'QUOTA', // billing / quota exhausted
+  RATE_LIMIT: 'RATE_LIMIT',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK: 'NETWORK', // provider unreachable
+  SERVER: 'SERVER', // 5xx
+  BAD_REQUEST: 'BAD_REQUEST', // unknown model, bad parameters
+  CONTEXT_LENGTH: 'CONTEXT_LENGTH',
+  CONTENT_FILTER: 'CONTENT_FILTER', // refused by the provider's safety system
+  INVALID_OUTPUT: 'INVALID_OUTPUT', // e.g. JSON was requested but not returned
+  NOT_SUPPORTED: 'NOT_SUPPORTED', // provider lacks the capability (images, speech)
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED', // organization spent its monthly budget
+};
+
+const RETRYABLE = new Set(['RATE_LIMIT', 'TIMEOUT', 'NETWORK', 'SERVER']);
+
+// HTTP status the API answers with when an LLM error reaches a controller
+const HTTP_STATUS = {
+  AUTH: 502,
+  QUOTA: 503,
+  RATE_LIMIT: 503,
+  TIMEOUT: 504,
+  NETWORK: 502,
+  SERVER: 502,
+  BAD_REQUEST: 400,
+  CONTEXT_LENGTH: 400,
+  CONTENT_FILTER: 422,
+  INVALID_OUTPUT: 502,
+  NOT_SUPPORTED: 501,
+  BUDGET_EXCEEDED: 402,
+};
+
+class LLMError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} opts
+   * @param {string} opts.code - one of LLM_ERROR_CODES
+   * @param {string} [opts.provider]
+   * @param {string} [opts.model]
+   * @param {number} [opts.providerStatus] - HTTP status from the provider
+   * @param {number} [opts.retryAfterMs]
+   * @param {Error} [opts.cause]
+   */
+  constructor(message, { code, provider, model, providerStatus, retryAfterMs, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'LLMError';
+    this.code = code || LLM_ERROR_CODES.SERVER;
+    this.retryable = RETRYABLE.has(this.code);
+    this.status = HTTP_STATUS[this.code] || 502;
+    this.provider = provider;
+    this.model = model;
+    this.providerStatus = providerStatus;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function retryAfterMs(headers) {
+  const value =
+    typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : undefined;
+}
+
+function classify(err) {
+  const status = err.status;
+  const code = String(err.code || err.error?.code || '').toLowerCase();
+  const message = String(err.message || '').toLowerCase();
+  const name = err.constructor?.name || err.name || '';
+
+  if (/Timeout/i.test(name) || err.name === 'TimeoutError' || code === 'etimedout')
+    return 'TIMEOUT';
+  if (/Connection/i.test(name) || ['econnrefused', 'econnreset', 'enotfound'].includes(code)) {
+    return 'NETWORK';
+  }
+  if (status === 401 || status === 403 || code === 'invalid_api_key') return 'AUTH';
+  if (code === 'insufficient_quota') return 'QUOTA';
+  if (status === 429) return 'RATE_LIMIT';
+  if (code === 'context_length_exceeded' || message.includes('maximum context length')) {
+    return 'CONTEXT_LENGTH';
+  }
+  if (code === 'content_policy_violation' || message.includes('safety system')) {
+    return 'CONTENT_FILTER';
+  }
+  if (status >= 500) return 'SERVER';
+  if (status >= 400) return 'BAD_REQUEST';
+  return status ? 'SERVER' : 'NETWORK';
+}
+
+/**
+ * Wrap any provider/SDK error as an LLMError.
+ * @returns {LLMError}
+ */
+function toLLMError(err, { provider, model } = {}) {
+  if (err instanceof LLMError) return err;
+  const code = classify(err);
+  return new LLMError(err.message || 'LLM request failed', {
+    code,
+    provider,
+    model,
+    providerStatus: err.status,
+    retryAfterMs: retryAfterMs(err.headers),
+    cause: err,
+  });
+}
+
+module.exports = {
+  LLM_ERROR_CODES,
+  LLMError,
+  toLLMError,
+};
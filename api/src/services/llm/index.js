@@ -0,0 +1,201 @@
+// src/services/llm/index.js
+//
+// Provider-neutral entry point for every model call in the app and jobs:
+//
+//   const llm = require('./llm');
+//   const { text, json, usage } = await llm.chat('video.plan', { messages, json: true });
+//
+// The task name picks provider, model and default parameters (config.js).
+// Calls are retried on transient failures (retry.js) and every failure is an
+// LLMError with a `code` from LLM_ERROR_CODES (errors.js).
+//
+// Every call writes a row to the usage ledger (../usageService). Pass
+// `usage: { userId, documentId | videoId }` to attribute it; calls for a user
+// whose organization has spent its monthly budget fail with BUDGET_EXCEEDED.
+const { resolveRoute } = require('./config');
+const { withRetry } = require('./retry');
+const { LLMError, LLM_ERROR_CODES, toLLMError } = require('./errors');
+const { parseModelJson } = require('./json');
+const OpenAIProvider = require('./providers/openaiProvider');
+const createLocalProvider = require('./providers/localProvider');
+const FakeProvider = require('./providers/fakeProvider');
+
+const factories = {
+  openai: () =>
+    new OpenAIProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL,
+    }),
+  local: createLocalProvider,
+  fake: () => new FakeProvider(),
+};
+const instances = new Map();
+let ledger;
+
+// The ledger needs the Prisma client; standalone jobs without it still run
+function getLedger() {
+  if (ledger === undefined) {
+    try {
+      ledger = require('../usageService');
+    } catch (err) {
+      console.warn(`⚠️ LLM usage ledger unavailable: ${err.message}`);
+      ledger = null;
+    }
+  }
+  return ledger;
+}
+
+// Billable units of a call, from its request and result
+function unitsOf(kind, request, result) {
+  if (kind === 'image') return { images: 1, size: request.size, quality: request.quality };
+  if (kind === 'speech') return { characters: (request.input || '').length };
+  return { ...result?.usage };
+}
+
+/**
+ * Add or replace a provider. The factory runs on first use.
+ * @param {string} name
+ * @param {() => { chat: Function, image?: Function, speech?: Function }} factory
+ */
+function registerProvider(name, factory) {
+  factories[name] = factory;
+  instances.delete(name);
+}
+
+function getProvider(name) {
+  if (!instances.has(name)) {
+    if (!factories[name]) {
+      throw new LLMError(`Unknown LLM provider "${name}"`, { code: 'BAD_REQUEST', provider: name });
+    }
+    instances.set(name, factories[name]());
+  }
+  return instances.get(name);
+}
+
+async function call(kind, task, params = {}) {
+  const { model: requestedModel, retries, usage, ...rest } = params;
+  const route = resolveRoute(task, { model: requestedModel });
+  const { provider: providerName, model, ...defaults } = route;
+  const provider = getProvider(providerName);
+  if (typeof provider[kind] !== 'function') {
+    throw new LLMError(`Provider "${providerName}" does not support ${kind}`, {
+      code: 'NOT_SUPPORTED',
+      provider: providerName,
+      model,
+    });
+  }
+
+  const context = usage && getLedger() ? await getLedger().assertWithinBudget(usage) : usage;
+
+  // Unset caller params fall back to the route defaults
+  const given = Object.fromEntries(Object.entries(rest).filter(([, v]) => v !== undefined));
+  const request = { ...defaults, ...given, task, model };
+  const entry = { usage: context, task, kind, provider: providerName, model };
+  const started = Date.now();
+  let result;
+  try {
+    result = await withRetry(() => provider[kind](request), {
+      retries,
+      provider: providerName,
+      model,
+    });
+  } catch (err) {
+    getLedger()?.record({
+      ...entry,
+      latencyMs: Date.now() - started,
+      errorCode: toLLMError(err).code,
+    });
+    throw err;
+  }
+
+  const durationMs = Date.now() - started;
+  getLedger()?.record({
+    ...entry,
+    model: result.model || model,
+    latencyMs: durationMs,
+    units: unitsOf(kind, request, result),
+    requestId: result.requestId,
+  });
+  return { ...result, provider: providerName, task, durationMs };
+}
+
+/**
+ * Chat completion.
+ * @param {string} task - route name, e.g. 'content.generate'
+ * @param {Object} params
+ * @param {Array<{ role: 'system'|'user'|'assistant', content: string }>} params.messages
+ * @param {string} [params.model] - caller's model choice (openai routes only)
+ * @param {number} [params.temperature]
+ * @param {number} [params.maxTokens]
+ * @param {true|{ name: string, schema: Object, strict?: boolean }} [params.json] - request
+ *   JSON output; `json` in the result holds the parsed value
+ * @param {string} [params.reasoningEffort] - low | medium | high (reasoning models)
+ * @param {number} [params.retries]
+ * @param {{ userId?: number, organizationId?: number, documentId?: string, videoId?: string }}
+ *   [params.usage] - who the call is for, recorded in the usage ledger
+ * @returns {Promise<{ text: string, json?: any, model: string, provider: string, task: string,
+ *   usage: { promptTokens?: number, completionTokens?: number, totalTokens?: number },
+ *   requestId?: string, finishReason?: string, durationMs: number }>}
+ * @throws {LLMError}
+ */
+async function chat(task, params) {
+  try {
+    const result = await call('chat', task, params);
+    if (!params.json) return result;
+
+    const json = parseModelJson(result.text);
+    if (json === undefined) {
+      const err = new LLMError('Model did not return valid JSON', {
+        code: 'INVALID_OUTPUT',
+        provider: result.provider,
+        model: result.model,
+      });
+      err.rawText = result.text.slice(0, 400);
+      throw err;
+    }
+    return { ...result, json };
+  } catch (err) {
+    throw toLLMError(err);
+  }
+}
+
+/**
+ * Image generation.
+ * @param {string} task
+ * @param {{ prompt: string, size?: string, quality?: string, retries?: number,
+ *   usage?: Object }} params
+ * @returns {Promise<{ url?: string, b64?: string, revisedPrompt?: string, model: string,
+ *   provider: string }>}
+ */
+async function image(task, params) {
+  try {
+    return await call('image', task, params);
+  } catch (err) {
+    throw toLLMError(err);
+  }
+}
+
+/**
+ * Text to speech.
+ * @param {string} task
+ * @param {{ input: string, voice?: string, retries?: number, usage?: Object }} params
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, model: string, provider: string }>}
+ */
+async function speech(task, params) {
+  try {
+    return await call('speech', task, params);
+  } catch (err) {
+    throw toLLMError(err);
+  }
+}
+
+module.exports = {
+  chat,
+  image,
+  speech,
+  registerProvider,
+  getProvider,
+  resolveRoute,
+  LLMError,
+  LLM_ERROR_CODES,
+};
@@ -0,0 +1,70 @@
+// src/services/llm/json.js
+
+function stripCodeFences(s = '') {
+  return s
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/```$/i, '')
+    .trim();
+}
+
+/**
+ * First balanced {...} or [...] in text, ignoring brackets inside strings.
+ */
+function extractFirstJsonSnip(text = '') {
+  const closers = { '{': '}', '[': ']' };
+  let start = -1;
+  let opener = '';
+  let depth = 0;
+  let inStr = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inStr) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inStr = false;
+      continue;
+    }
+    if (ch === '"') {
+      inStr = true;
+      continue;
+    }
+
+    if (start < 0) {
+      if (closers[ch]) {
+        start = i;
+        opener = ch;
+        depth = 1;
+      }
+      continue;
+    }
+    if (ch === opener) depth++;
+    else if (ch === closers[opener]) depth--;
+    if (depth === 0) return text.slice(start, i + 1);
+  }
+  return '';
+}
+
+/**
+ * Parse the JSON a model returned, tolerating code fences and chatter
+ * around it.
+ * @returns {any|undefined} undefined when no JSON could be parsed
+ */
+function parseModelJson(text) {
+  const clean = stripCodeFences(String(text || ''));
+  for (const candidate of [clean, extractFirstJsonSnip(clean)]) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  return undefined;
+}
+
+module.exports = {
+  parseModelJson,
+};
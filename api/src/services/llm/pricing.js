@@ -0,0 +1,118 @@
+// src/services/llm/pricing.js
+//
+// USD prices used to cost the usage ledger. Text models are priced per
+// million prompt/completion tokens, speech per million input characters and
+// images per image (optionally by "quality:size"). Override or extend with
+//
+//   LLM_PRICES='{"llama3.1":{"input":0,"output":0}}'
+//   LLM_PRICES_FILE=/path/to/prices.json          same shape as LLM_PRICES
+//
+// Provider model ids often carry a date suffix (gpt-4o-2024-08-06), so a
+// model without an exact entry takes the longest matching prefix.
+const fs = require('fs');
+
+const DEFAULT_PRICES = {
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  o3: { input: 2, output: 8 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'dall-e-3': {
+    image: {
+      'standard:1024x1024': 0.04,
+      'standard:1792x1024': 0.08,
+      'standard:1024x1792': 0.08,
+      'hd:1024x1024': 0.08,
+      'hd:1792x1024': 0.12,
+      'hd:1024x1792': 0.12,
+    },
+  },
+  'tts-1': { characters: 15 },
+  'tts-1-hd': { characters: 30 },
+};
+
+let prices = null;
+
+function loadPrices() {
+  if (prices) return prices;
+
+  prices = { ...DEFAULT_PRICES };
+  const sources = [];
+  if (process.env.LLM_PRICES_FILE) {
+    sources.push([
+      process.env.LLM_PRICES_FILE,
+      fs.readFileSync(process.env.LLM_PRICES_FILE, 'utf8'),
+    ]);
+  }
+  if (process.env.LLM_PRICES) sources.push(['LLM_PRICES', process.env.LLM_PRICES]);
+
+  for (const [name, text] of sources) {
+    try {
+      Object.assign(prices, JSON.parse(text));
+    } catch (err) {
+      throw new Error(`Invalid LLM prices in ${name}: ${err.message}`);
+    }
+  }
+  return prices;
+}
+
+/**
+ * Price entry for a model, by exact id or longest prefix.
+ * @returns {Object|null}
+ */
+function priceFor(model) {
+  const table = loadPrices();
+  if (!model) return null;
+  if (table[model]) return table[model];
+
+  const prefix = Object.keys(table)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Cost of one call in USD, or null when the model has no price.
+ * @param {Object} units
+ * @param {string} units.model
+ * @param {number} [units.promptTokens]
+ * @param {number} [units.completionTokens]
+ * @param {number} [units.characters] - speech input
+ * @param {number} [units.images]
+ * @param {string} [units.size] - image size, e.g. 1024x1024
+ * @param {string} [units.quality] - image quality, standard | hd
+ */
+function costOf({
+  model,
+  promptTokens = 0,
+  completionTokens = 0,
+  characters = 0,
+  images = 0,
+  size,
+  quality,
+}) {
+  const price = priceFor(model);
+  if (!price) return null;
+
+  let cost = 0;
+  cost += (promptTokens * (price.input || 0)) / 1e6;
+  cost += (completionTokens * (price.output || 0)) / 1e6;
+  cost += (characters * (price.characters || 0)) / 1e6;
+  if (images) {
+    const perImage =
+      typeof price.image === 'object'
+        ? (price.image[`${quality || 'standard'}:${size || '1024x1024'}`] ??
+          Math.max(0, ...Object.values(price.image)))
+        : price.image || 0;
+    cost += images * perImage;
+  }
+  return cost;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  priceFor,
+  costOf,
+};
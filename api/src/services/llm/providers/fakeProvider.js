@@ -0,0 +1,154 @@
+// src/services/llm/providers/fakeProvider.js
+//
+// Deterministic provider for tests and offline runs (LLM_PROVIDER=fake).
+// Answers come from fixtures keyed by task, from LLM_FAKE_FIXTURES (a JSON
+// file) or setFixture():
+//
+//   { "video.plan": { "title": "…", "scenes": [] },       object -> JSON text
+//     "content.generate": "<p>Fixed article</p>",
+//     "enrichment.primary": [{ "$error": "RATE_LIMIT" }, { … }] }
+//
+// Arrays are answered in order and the last entry repeats. { "$error": CODE }
+// throws an LLMError with that code. Without a fixture, JSON requests get a
+// minimal object that satisfies the schema and text requests echo the prompt.
+const fs = require('fs');
+const crypto = require('crypto');
+const { LLMError } = require('../errors');
+
+// 1x1 transparent PNG
+const PNG_B64 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+function silentWav(seconds = 1, sampleRate = 8000) {
+  const samples = Math.round(seconds * sampleRate);
+  const buf = Buffer.alloc(44 + samples * 2);
+  buf.write('RIFF', 0);
+  buf.writeUInt32LE(36 + samples * 2, 4);
+  buf.write('WAVEfmt ', 8);
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20); // PCM
+  buf.writeUInt16LE(1, 22); // mono
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36);
+  buf.writeUInt32LE(samples * 2, 40);
+  return buf;
+}
+
+/**
+ * Smallest value that satisfies a JSON Schema (enums, required keys, types).
+ */
+function sampleFromSchema(schema = {}) {
+  if (schema.enum) return schema.enum.find((v) => v !== null) ?? null;
+  const types = [].concat(schema.type || 'object');
+  const type = types.find((t) => t !== 'null') || 'null';
+
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([k, v]) => [k, sampleFromSchema(v)])
+      );
+    case 'array':
+      return [];
+    case 'string':
+      return 'fake';
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.fixtures = new Map();
+    this.cursor = new Map();
+    this.calls = [];
+
+    if (process.env.LLM_FAKE_FIXTURES) {
+      const data = JSON.parse(fs.readFileSync(process.env.LLM_FAKE_FIXTURES, 'utf8'));
+      for (const [task, value] of Object.entries(data)) this.setFixture(task, value);
+    }
+  }
+
+  /**
+   * @param {string} task
+   * @param {any|Array|Function} value - a function receives the call params
+   */
+  setFixture(task, value) {
+    this.fixtures.set(task, value);
+    this.cursor.delete(task);
+  }
+
+  clearFixtures() {
+    this.fixtures.clear();
+    this.cursor.clear();
+    this.calls = [];
+  }
+
+  next(task, params) {
+    if (!this.fixtures.has(task)) return undefined;
+    let value = this.fixtures.get(task);
+
+    if (Array.isArray(value)) {
+      const i = this.cursor.get(task) || 0;
+      this.cursor.set(task, i + 1);
+      value = value[Math.min(i, value.length - 1)];
+    }
+    if (typeof value === 'function') value = value(params);
+    if (value && value.$error) {
+      throw new LLMError(`Fake ${value.$error} for ${task}`, {
+        code: value.$error,
+        provider: this.name,
+        model: params.model,
+      });
+    }
+    return value;
+  }
+
+  async chat(params) {
+    const { task, model, messages, json } = params;
+    this.calls.push({ kind: 'chat', ...params });
+
+    let value = this.next(task, params);
+    if (value === undefined) {
+      const prompt = messages.filter((m) => m.role === 'user').pop()?.content || '';
+      if (json) value = json === true ? {} : sampleFromSchema(json.schema);
+      else value = `[fake ${task}] ${prompt.slice(0, 200)}`;
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    const promptTokens = estimateTokens(messages.map((m) => m.content).join('\n'));
+    const completionTokens = estimateTokens(text);
+
+    return {
+      text,
+      model,
+      finishReason: 'stop',
+      requestId: `fake-${crypto.createHash('sha1').update(text).digest('hex').slice(0, 12)}`,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+    };
+  }
+
+  async image(params) {
+    this.calls.push({ kind: 'image', ...params });
+    const value = this.next(params.task, params);
+    return { b64: PNG_B64, revisedPrompt: params.prompt, model: params.model, ...value };
+  }
+
+  async speech(params) {
+    this.calls.push({ kind: 'speech', ...params });
+    const value = this.next(params.task, params);
+    return { buffer: silentWav(), mimeType: 'audio/wav', model: params.model, ...value };
+  }
+}
+
+module.exports = FakeProvider;
+module.exports.sampleFromSchema = sampleFromSchema;
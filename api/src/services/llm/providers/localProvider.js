@@ -0,0 +1,22 @@
+// src/services/llm/providers/localProvider.js
+//
+// A local OpenAI-compatible server: Ollama (http://localhost:11434/v1) or
+// llama.cpp's llama-server (http://localhost:8080/v1). Configure with
+// LLM_LOCAL_BASE_URL and, if the server checks one, LLM_LOCAL_API_KEY.
+// Set LLM_LOCAL_JSON_SCHEMA=false for servers that only understand
+// json_object; the schema is then sent in the prompt.
+const OpenAIProvider = require('./openaiProvider');
+
+function createLocalProvider() {
+  return new OpenAIProvider({
+    name: 'local',
+    baseURL: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+    // The SDK insists on a key; local servers ignore it
+    apiKey: process.env.LLM_LOCAL_API_KEY || 'local',
+    jsonSchema: process.env.LLM_LOCAL_JSON_SCHEMA !== 'false',
+    images: false,
+    speech: false,
+  });
+}
+
+module.exports = createLocalProvider;
@@ -0,0 +1,159 @@
+// src/services/llm/providers/openaiProvider.js
+//
+// OpenAI over the official SDK. Also the base for OpenAI-compatible servers
+// (see localProvider.js), which differ in base URL and capabilities.
+const OpenAI = require('openai');
+const { LLMError } = require('../errors');
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '120000', 10);
+
+// o-series and gpt-5 models reject temperature and take reasoning_effort
+const REASONING_MODEL = /^(o\d|gpt-5)/;
+
+class OpenAIProvider {
+  /**
+   * @param {Object} opts
+   * @param {string} [opts.name='openai']
+   * @param {string} [opts.apiKey]
+   * @param {string} [opts.baseURL]
+   * @param {boolean} [opts.jsonSchema=true] - supports response_format json_schema
+   * @param {boolean} [opts.images=true]
+   * @param {boolean} [opts.speech=true]
+   */
+  constructor({
+    name = 'openai',
+    apiKey,
+    baseURL,
+    jsonSchema = true,
+    images = true,
+    speech = true,
+  } = {}) {
+    this.name = name;
+    this.options = { apiKey, baseURL };
+    this.capabilities = { jsonSchema, images, speech };
+    this.client = null;
+  }
+
+  // Created on first use so a missing key only fails the calls that need it
+  getClient() {
+    if (!this.client) {
+      if (!this.options.apiKey) {
+        throw new LLMError(`No API key configured for provider "${this.name}"`, {
+          code: 'AUTH',
+          provider: this.name,
+        });
+      }
+      this.client = new OpenAI({
+        apiKey: this.options.apiKey,
+        baseURL: this.options.baseURL,
+        timeout: TIMEOUT_MS,
+        maxRetries: 0, // withRetry() owns retries
+      });
+    }
+    return this.client;
+  }
+
+  responseFormat(json) {
+    if (!json) return undefined;
+    if (json === true || !this.capabilities.jsonSchema) return { type: 'json_object' };
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: json.name || 'output',
+        schema: json.schema,
+        strict: json.strict !== false,
+      },
+    };
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.model
+   * @param {Array<{ role: string, content: string }>} params.messages
+   * @param {number} [params.temperature]
+   * @param {number} [params.maxTokens]
+   * @param {true|{ name: string, schema: Object, strict?: boolean }} [params.json]
+   * @param {string} [params.reasoningEffort]
+   */
+  async chat({ model, messages, temperature, maxTokens, json, reasoningEffort }) {
+    const reasoning = REASONING_MODEL.test(model);
+    let input = messages;
+
+    // Without schema support the schema has to travel in the prompt
+    if (json && json !== true && !this.capabilities.jsonSchema) {
+      input = [
+        ...messages,
+        {
+          role: 'system',
+          content: `Respond with a JSON object matching this JSON Schema:\n${JSON.stringify(json.schema)}`,
+        },
+      ];
+    }
+
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages: input,
+      ...(reasoning
+        ? {
+            ...(reasoningEffort ? { reasoning_effort: reasoningEffort } : {}),
+            ...(maxTokens ? { max_completion_tokens: maxTokens } : {}),
+          }
+        : {
+            ...(temperature != null ? { temperature } : {}),
+            ...(maxTokens ? { max_tokens: maxTokens } : {}),
+          }),
+      ...(json ? { response_format: this.responseFormat(json) } : {}),
+    });
+
+    const choice = response.choices?.[0];
+    return {
+      text: choice?.message?.content ?? '',
+      model: response.model || model,
+      finishReason: choice?.finish_reason,
+      requestId: response.id,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens,
+        completionTokens: response.usage?.completion_tokens,
+        totalTokens: response.usage?.total_tokens,
+      },
+    };
+  }
+
+  /**
+   * @returns {Promise<{ url?: string, b64?: string, revisedPrompt?: string, model: string }>}
+   */
+  async image({ model, prompt, size, quality }) {
+    if (!this.capabilities.images) this.notSupported('image generation', model);
+
+    const response = await this.getClient().images.generate({
+      model,
+      prompt,
+      n: 1,
+      size,
+      ...(quality ? { quality } : {}),
+      response_format: 'url',
+    });
+    const data = response.data[0];
+    return { url: data.url, b64: data.b64_json, revisedPrompt: data.revised_prompt, model };
+  }
+
+  /**
+   * @returns {Promise<{ buffer: Buffer, mimeType: string, model: string }>}
+   */
+  async speech({ model, voice, input }) {
+    if (!this.capabilities.speech) this.notSupported('speech', model);
+
+    const response = await this.getClient().audio.speech.create({ model, voice, input });
+    return { buffer: Buffer.from(await response.arrayBuffer()), mimeType: 'audio/mpeg', model };
+  }
+
+  notSupported(what, model) {
+    throw new LLMError(`Provider "${this.name}" does not support ${what}`, {
+      code: 'NOT_SUPPORTED',
+      provider: this.name,
+      model,
+    });
+  }
+}
+
+module.exports = OpenAIProvider;
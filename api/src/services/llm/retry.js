@@ -0,0 +1,43 @@
+// src/services/llm/retry.js
+const { toLLMError } = require('./errors');
+
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2', 10);
+const BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_MS || '1000', 10);
+const MAX_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call fn until it succeeds or fails with a non-retryable error. Delays grow
+ * exponentially with full jitter; a provider Retry-After wins when longer.
+ * @param {() => Promise<any>} fn
+ * @param {Object} [opts]
+ * @param {number} [opts.retries=LLM_MAX_RETRIES]
+ * @param {string} [opts.provider]
+ * @param {string} [opts.model]
+ * @throws {LLMError}
+ */
+async function withRetry(fn, { retries = MAX_RETRIES, provider, model } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const error = toLLMError(err, { provider, model });
+      if (!error.retryable || attempt >= retries) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const backoff = Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+      const delay = Math.max(backoff, Math.min(error.retryAfterMs || 0, MAX_DELAY_MS));
+      console.warn(
+        `LLM ${provider}/${model} ${error.code} (attempt ${attempt + 1}/${retries + 1}), retrying in ${Math.round(delay)}ms`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+};
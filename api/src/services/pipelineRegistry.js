@@ -0,0 +1,310 @@
+// src/services/pipelineRegistry.js
+//
+// Pipelines: job types of jobTypeRegistry run as a DAG (pipelineService).
+// Each step declares
+//
+//   id         unique within the pipeline
+//   jobType    what it runs
+//   payload    static payload fields
+//   needs      ids of the steps it runs after
+//   inputs     { field: 'step.path' } payload fields taken from the output of
+//              a step it needs (what the script wrote, see jobs/lib/jobOutput.js)
+//   trigger    when its needs allow it to run:
+//                all_succeeded (default)  every need succeeded
+//                all_done                 every need finished, however it ended
+//                any_failed               some need failed (clean-up, alerts)
+//              a step that cannot run any more is skipped
+//   when       conditions on the needs' outputs, all of which must hold or the
+//              step is skipped: { path: 'step.path', op, value }, op one of
+//              notEmpty, empty, truthy, falsy, eq, ne, gt, gte, lt, lte
+//   retry      { maxAttempts, delayMs } instead of the job type's (delayMs
+//              doubles per attempt)
+//   chunk      { input, size }: an array input longer than size is split, and
+//              the step runs one job per chunk, one after the other; the
+//              chunks' outputs are merged (arrays joined, numbers added)
+const registry = require('./jobTypeRegistry');
+
+const TRIGGERS = ['all_succeeded', 'all_done', 'any_failed'];
+const CONDITION_OPS = [
+  'notEmpty',
+  'empty',
+  'truthy',
+  'falsy',
+  'eq',
+  'ne',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+];
+const FINISHED_STEP_STATUSES = ['succeeded', 'failed', 'skipped', 'cancelled'];
+
+// runJobSequence of jobs/projectJobs.js: scrape, then enrichment and media
+const PIPELINES = {
+  'breaking-news': {
+    title: 'Breaking news',
+    description: 'Scrape the home timeline, then enrich the new tweets and search media.',
+    steps: [
+      {
+        id: 'scrape',
+        jobType: 'twitterscraper',
+        retry: { maxAttempts: 2, delayMs: 60 * 1000 },
+      },
+      {
+        id: 'enrich',
+        jobType: 'enrichbreakingnews',
+        needs: ['scrape'],
+        inputs: { ids: 'scrape.newTweetIds' },
+        chunk: { input: 'ids', size: 500 },
+        when: [{ path: 'scrape.newTweetIds', op: 'notEmpty' }],
+        retry: { maxAttempts: 3, delayMs: 30 * 1000 },
+      },
+      {
+        id: 'media',
+        jobType: 'getbreakingnewsmedia',
+        needs: ['scrape'],
+        when: [{ path: 'scrape.newTweetIds', op: 'notEmpty' }],
+      },
+    ],
+  },
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function stepOf(path) {
+  return String(path).split('.')[0];
+}
+
+/**
+ * Step ids with every step after the steps it needs.
+ * @throws {Error} on unknown needs or a cycle
+ */
+function topologicalOrder(steps) {
+  const byId = new Map(steps.map((s) => [s.id, s]));
+  const order = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+
+  const visit = (id, path) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      throw new Error(`Cycle: ${[...path, id].join(' -> ')}`);
+    }
+    state.set(id, 'visiting');
+    for (const need of byId.get(id).needs || []) {
+      if (!byId.has(need)) throw new Error(`Step ${id} needs unknown step ${need}`);
+      visit(need, [...path, id]);
+    }
+    state.set(id, 'done');
+    order.push(id);
+  };
+
+  for (const step of steps) visit(step.id, []);
+  return order;
+}
+
+/**
+ * Check a pipeline definition.
+ * @throws {Error} naming the first problem
+ */
+function validatePipeline(name, definition) {
+  const steps = definition.steps || [];
+  if (!steps.length) throw new Error(`Pipeline ${name} has no steps`);
+
+  const ids = new Set();
+  for (const step of steps) {
+    const where = `Pipeline ${name}, step ${step.id}`;
+    if (!step.id || ids.has(step.id)) throw new Error(`${where}: missing or duplicate id`);
+    ids.add(step.id);
+    if (!registry.getJobType(step.jobType)) {
+      throw new Error(`${where}: unknown job type ${step.jobType}`);
+    }
+    if (step.trigger && !TRIGGERS.includes(step.trigger)) {
+      throw new Error(`${where}: trigger must be one of ${TRIGGERS.join(', ')}`);
+    }
+    const needs = step.needs || [];
+    for (const path of Object.values(step.inputs || {})) {
+      if (!needs.includes(stepOf(path))) {
+        throw new Error(`${where}: input ${path} is not the output of a step it needs`);
+      }
+    }
+    if (step.chunk) {
+      const { input, size } = step.chunk;
+      if (!Object.hasOwn(step.inputs || {}, input)) {
+        throw new Error(`${where}: chunk input ${input} is not one of its inputs`);
+      }
+      const maxItems =
+        registry.getJobType(step.jobType).payloadSchema.properties?.[input]?.maxItems ?? Infinity;
+      if (!Number.isInteger(size) || size < 1 || size > maxItems) {
+        throw new Error(`${where}: chunk size must be an integer between 1 and ${maxItems}`);
+      }
+    }
+    for (const condition of step.when || []) {
+      if (!CONDITION_OPS.includes(condition.op)) {
+        throw new Error(`${where}: op must be one of ${CONDITION_OPS.join(', ')}`);
+      }
+      if (!needs.includes(stepOf(condition.path))) {
+        throw new Error(`${where}: condition on ${condition.path}, not a step it needs`);
+      }
+    }
+  }
+  try {
+    topologicalOrder(steps);
+  } catch (err) {
+    throw new Error(`Pipeline ${name}: ${err.message}`);
+  }
+}
+
+for (const [name, definition] of Object.entries(PIPELINES)) validatePipeline(name, definition);
+
+function getPipeline(name) {
+  return Object.hasOwn(PIPELINES, name) ? PIPELINES[name] : null;
+}
+
+/**
+ * @returns {Object} the definition (404 when unknown)
+ */
+function requirePipeline(name) {
+  const definition = getPipeline(name);
+  if (!definition) throw httpError(404, 'Pipeline not found');
+  return definition;
+}
+
+function describePipelines() {
+  return Object.entries(PIPELINES).map(([name, d]) => ({
+    name,
+    title: d.title,
+    description: d.description,
+    steps: d.steps.map((s) => ({
+      id: s.id,
+      jobType: s.jobType,
+      needs: s.needs || [],
+      payload: s.payload || {},
+      inputs: s.inputs || {},
+      trigger: s.trigger || 'all_succeeded',
+      when: s.when || [],
+      retry: s.retry || null,
+      chunk: s.chunk || null,
+    })),
+  }));
+}
+
+/**
+ * Value at 'step.a.b' in the outputs of finished steps ({ step: output }).
+ */
+function resolvePath(outputs, path) {
+  const [step, ...keys] = String(path).split('.');
+  let value = outputs[step];
+  for (const key of keys) value = value?.[key];
+  return value;
+}
+
+function conditionHolds({ path, op, value }, outputs) {
+  const actual = resolvePath(outputs, path);
+  switch (op) {
+    case 'notEmpty':
+      return Array.isArray(actual) ? actual.length > 0 : Boolean(actual);
+    case 'empty':
+      return Array.isArray(actual) ? actual.length === 0 : !actual;
+    case 'truthy':
+      return Boolean(actual);
+    case 'falsy':
+      return !actual;
+    case 'eq':
+      return actual === value;
+    case 'ne':
+      return actual !== value;
+    case 'gt':
+      return actual > value;
+    case 'gte':
+      return actual >= value;
+    case 'lt':
+      return actual < value;
+    case 'lte':
+      return actual <= value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * The first condition of `when` that does not hold, if any.
+ * @returns {string|null} why the step is skipped
+ */
+function unmetCondition(step, outputs) {
+  for (const condition of step.when || []) {
+    if (!conditionHolds(condition, outputs)) {
+      const value = condition.value === undefined ? '' : ` ${JSON.stringify(condition.value)}`;
+      return `Condition not met: ${condition.path} ${condition.op}${value}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a pending step can start, given the statuses of all steps.
+ * @returns {{ state: 'wait'|'run'|'skip', reason?: string }}
+ */
+function triggerState(step, statuses) {
+  const needs = step.needs || [];
+  if (needs.some((id) => !FINISHED_STEP_STATUSES.includes(statuses[id]))) {
+    return { state: 'wait' };
+  }
+  const trigger = step.trigger || 'all_succeeded';
+  if (trigger === 'all_done') return { state: 'run' };
+  if (trigger === 'any_failed') {
+    return needs.some((id) => statuses[id] === 'failed')
+      ? { state: 'run' }
+      : { state: 'skip', reason: 'No step it needs failed' };
+  }
+  const blocked = needs.find((id) => statuses[id] !== 'succeeded');
+  return blocked
+    ? { state: 'skip', reason: `Step ${blocked} ${statuses[blocked]}` }
+    : { state: 'run' };
+}
+
+/**
+ * The step's payload: static fields plus inputs from upstream outputs.
+ */
+function buildStepPayload(step, outputs) {
+  const payload = { ...(step.payload || {}) };
+  for (const [field, path] of Object.entries(step.inputs || {})) {
+    const value = resolvePath(outputs, path);
+    if (value !== undefined) payload[field] = value;
+  }
+  return payload;
+}
+
+/**
+ * The payloads of a step's jobs: one per chunk of its chunk input, or just
+ * the payload when it has no chunk or the input fits in one.
+ */
+function chunkPayload(step, payload) {
+  const values = step.chunk && payload[step.chunk.input];
+  if (!Array.isArray(values) || values.length <= step.chunk.size) return [payload];
+
+  const chunks = [];
+  for (let i = 0; i < values.length; i += step.chunk.size) {
+    chunks.push({ ...payload, [step.chunk.input]: values.slice(i, i + step.chunk.size) });
+  }
+  return chunks;
+}
+
+module.exports = {
+  PIPELINES,
+  TRIGGERS,
+  FINISHED_STEP_STATUSES,
+  getPipeline,
+  requirePipeline,
+  describePipelines,
+  validatePipeline,
+  topologicalOrder,
+  resolvePath,
+  unmetCondition,
+  triggerState,
+  buildStepPayload,
+  chunkPayload,
+};
@@ -0,0 +1,370 @@
+// src/services/pipelineService.js
+//
+// Runs pipelines (pipelineRegistry) as jobs on jobQueueService. A run is a
+// PipelineRun document; every API process polls the running ones
+// (PIPELINE_POLL_INTERVAL_MS) and advances those it can lock: it copies the
+// status, timings and output of each step's job, queues the steps whose
+// needs allow them (and whose conditions hold, skipping the rest), and
+// finishes the run once no step is left. A chunked step queues its chunks'
+// jobs one at a time, the next once the last has succeeded.
+//
+// A run keeps the definition it started with, so editing a pipeline does
+// not change runs in flight.
+const os = require('node:os');
+const crypto = require('node:crypto');
+const repo = require('../mongo/pipelineRun');
+const jobsRepo = require('../mongo/jobEntry');
+const jobQueue = require('./jobQueueService');
+const pipelines = require('./pipelineRegistry');
+
+const POLL_INTERVAL_MS = parseInt(process.env.PIPELINE_POLL_INTERVAL_MS || '5000', 10);
+const LOCK_MS = 60 * 1000;
+
+const ACTIVE_STEP_STATUSES = ['queued', 'running'];
+// Job status -> step status
+const STEP_STATUS_BY_JOB = {
+  queued: 'queued',
+  running: 'running',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  timed_out: 'failed',
+  cancelled: 'cancelled',
+};
+
+// Chunk outputs as one: arrays joined, numbers added, anything else the last
+function mergeOutputs(a, b) {
+  if (!a || !b) return b ?? a ?? null;
+  const merged = { ...a };
+  for (const [key, value] of Object.entries(b)) {
+    if (Array.isArray(value) && Array.isArray(a[key])) merged[key] = [...a[key], ...value];
+    else if (typeof value === 'number' && typeof a[key] === 'number') merged[key] += value;
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+function hasNextChunk(step) {
+  return step.status === 'succeeded' && step.chunkIndex + 1 < step.chunkCount;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * The definition stored with a run: steps with their defaults filled in.
+ */
+function snapshot(definition) {
+  return {
+    title: definition.title,
+    steps: definition.steps.map((s) => ({
+      id: s.id,
+      jobType: s.jobType,
+      needs: s.needs || [],
+      payload: s.payload || {},
+      inputs: s.inputs || {},
+      trigger: s.trigger || 'all_succeeded',
+      when: s.when || [],
+      retry: s.retry || null,
+      chunk: s.chunk || null,
+    })),
+  };
+}
+
+class PipelineService {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.started = false;
+    this.timer = null;
+  }
+
+  list() {
+    return pipelines.describePipelines();
+  }
+
+  /**
+   * Start a run; its first steps are queued on the next poll.
+   * @param {string} name - pipeline name (404 when unknown)
+   * @param {Object} [opts] - trigger, scheduleId, requestedBy
+   * @returns {Promise<Object>} the run
+   */
+  async startRun(name, { trigger = 'manual', scheduleId = null, requestedBy = null } = {}) {
+    const definition = snapshot(pipelines.requirePipeline(name));
+    const run = await repo.create({
+      pipeline: name,
+      definition,
+      trigger,
+      scheduleId,
+      requestedBy,
+      steps: definition.steps.map((s) => ({ id: s.id, jobType: s.jobType, needs: s.needs })),
+    });
+    this.poke();
+    return run;
+  }
+
+  /**
+   * Cancel a run: pending steps are dropped, queued and running jobs cancelled.
+   * @returns {Promise<Object>} the run
+   */
+  async cancelRun(id) {
+    const run = await repo.getById(id);
+    if (!run) throw httpError(404, 'Pipeline run not found');
+    if (run.status !== 'running') throw httpError(409, `Run is already ${run.status}`);
+
+    const updated = await repo.requestCancel(id);
+    if (!updated) {
+      const current = await repo.getById(id);
+      throw httpError(
+        409,
+        current.cancelRequestedAt ? 'Cancel already requested' : `Run is already ${current.status}`
+      );
+    }
+    this.poke();
+    return updated;
+  }
+
+  async listRuns(params) {
+    return repo.list(params);
+  }
+
+  /**
+   * @returns {Promise<Object>} the run, each step with its job's logs
+   */
+  async getRun(id) {
+    const run = await repo.getById(id);
+    if (!run) throw httpError(404, 'Pipeline run not found');
+
+    const jobIds = run.steps.map((s) => s.jobId).filter(Boolean);
+    const jobs = jobIds.length ? await jobsRepo.getManyByIds(jobIds, { logs: true }) : [];
+    const byId = new Map(jobs.map((j) => [String(j._id), j]));
+    return {
+      ...run,
+      steps: run.steps.map((s) => {
+        const job = s.jobId && byId.get(String(s.jobId));
+        return { ...s, jobStatus: job?.status ?? null, logs: job?.logs ?? [] };
+      }),
+    };
+  }
+
+  // ---------- advancing ----------
+
+  /**
+   * Copy the state of the steps' jobs onto the steps.
+   */
+  async syncSteps(steps) {
+    const active = steps.filter((s) => s.jobId && ACTIVE_STEP_STATUSES.includes(s.status));
+    if (!active.length) return;
+
+    const jobs = await jobsRepo.getManyByIds(active.map((s) => s.jobId));
+    const byId = new Map(jobs.map((j) => [String(j._id), j]));
+    for (const step of active) {
+      const job = byId.get(String(step.jobId));
+      if (!job) {
+        Object.assign(step, { status: 'failed', finishedAt: new Date(), message: 'Job not found' });
+        continue;
+      }
+      step.status = STEP_STATUS_BY_JOB[job.status];
+      step.attempts = job.attempts;
+      step.startedAt = step.startedAt || job.startedAt;
+      if (step.status === 'queued' && job.attempts > 0) {
+        step.message = `Retrying after attempt ${job.attempts}: ${job.error?.message || 'failed'}`;
+      }
+      if (job.finishedAt) {
+        step.finishedAt = job.finishedAt;
+        step.output = step.chunkCount
+          ? mergeOutputs(step.output, job.output)
+          : (job.output ?? null);
+        step.message =
+          job.status === 'succeeded' ? null : job.error?.message || `Job ${job.status}`;
+      }
+    }
+  }
+
+  /**
+   * Queue or skip every pending step whose needs have finished, in order, so
+   * a skip reaches the steps after it in the same pass.
+   */
+  async startReadySteps(run, steps, now) {
+    const byId = new Map(steps.map((s) => [s.id, s]));
+    const definitions = new Map(run.definition.steps.map((s) => [s.id, s]));
+
+    for (const id of pipelines.topologicalOrder(run.definition.steps)) {
+      const step = byId.get(id);
+      if (step.status !== 'pending') continue;
+      const definition = definitions.get(id);
+
+      const statuses = Object.fromEntries(steps.map((s) => [s.id, s.status]));
+      const { state, reason } = pipelines.triggerState(definition, statuses);
+      if (state === 'wait') continue;
+
+      const outputs = Object.fromEntries(steps.map((s) => [s.id, s.output || {}]));
+      const unmet = state === 'skip' ? reason : pipelines.unmetCondition(definition, outputs);
+      if (unmet) {
+        Object.assign(step, { status: 'skipped', finishedAt: now, message: unmet });
+        continue;
+      }
+
+      const payload = pipelines.buildStepPayload(definition, outputs);
+      const chunks = pipelines.chunkPayload(definition, payload);
+      step.payload = payload;
+      if (definition.chunk) Object.assign(step, { chunkIndex: 0, chunkCount: chunks.length });
+      await this.queueStep(run, step, definition, chunks[0], now);
+    }
+  }
+
+  /**
+   * Queue the next chunk of every chunked step whose last chunk succeeded.
+   */
+  async queueNextChunks(run, steps, now) {
+    const definitions = new Map(run.definition.steps.map((s) => [s.id, s]));
+    for (const step of steps.filter(hasNextChunk)) {
+      const definition = definitions.get(step.id);
+      const chunkIndex = step.chunkIndex + 1;
+      Object.assign(step, { chunkIndex, attempts: 0, finishedAt: null });
+      const payload = pipelines.chunkPayload(definition, step.payload)[chunkIndex];
+      await this.queueStep(run, step, definition, payload, now);
+    }
+  }
+
+  /**
+   * Queue a step's job, or fail the step when its payload is refused.
+   */
+  async queueStep(run, step, definition, payload, now) {
+    try {
+      const job = await jobQueue.enqueue(definition.jobType, payload, {
+        maxAttempts: definition.retry?.maxAttempts,
+        retryDelayMs: definition.retry?.delayMs,
+        requestedBy: run.requestedBy,
+        pipelineRunId: run._id,
+        pipelineStep: step.id,
+      });
+      Object.assign(step, {
+        status: 'queued',
+        jobId: job._id,
+        maxAttempts: job.maxAttempts,
+        queuedAt: now,
+      });
+    } catch (err) {
+      // An input the job type does not accept
+      Object.assign(step, { status: 'failed', finishedAt: now, message: err.message });
+      return;
+    }
+    const chunk = step.chunkCount ? `, chunk ${step.chunkIndex + 1} of ${step.chunkCount}` : '';
+    jobsRepo
+      .appendLog(
+        step.jobId,
+        'system',
+        `Step ${step.id}${chunk} of pipeline ${run.pipeline} (run ${run._id})`
+      )
+      .catch(() => {});
+  }
+
+  async cancelSteps(steps, now) {
+    for (const step of steps) {
+      if (step.status === 'pending') {
+        Object.assign(step, { status: 'cancelled', finishedAt: now, message: 'Run cancelled' });
+      } else if (hasNextChunk(step)) {
+        const message = `Run cancelled after chunk ${step.chunkIndex + 1} of ${step.chunkCount}`;
+        Object.assign(step, { status: 'cancelled', message });
+      } else if (ACTIVE_STEP_STATUSES.includes(step.status)) {
+        try {
+          await jobQueue.cancel(step.jobId);
+        } catch (err) {
+          // Finished in the meantime; the next pass picks up how
+          if (err.status !== 409) throw err;
+        }
+      }
+    }
+  }
+
+  /**
+   * One pass over a run this process has locked.
+   * @returns {Object} the fields to store
+   */
+  async advance(run, now = new Date()) {
+    const steps = run.steps.map((s) => ({ ...s }));
+    await this.syncSteps(steps);
+
+    if (run.cancelRequestedAt) await this.cancelSteps(steps, now);
+    else {
+      await this.queueNextChunks(run, steps, now);
+      await this.startReadySteps(run, steps, now);
+    }
+
+    const set = { steps };
+    if (steps.every((s) => pipelines.FINISHED_STEP_STATUSES.includes(s.status))) {
+      set.finishedAt = now;
+      if (run.cancelRequestedAt) set.status = 'cancelled';
+      else if (steps.some((s) => s.status === 'failed' || s.status === 'cancelled')) {
+        set.status = 'failed';
+      } else set.status = 'succeeded';
+    }
+    return set;
+  }
+
+  /**
+   * Advance every running run nobody else holds.
+   * @returns {Promise<{ advanced: number, finished: number }>}
+   */
+  async poll(now = new Date()) {
+    let advanced = 0;
+    let finished = 0;
+    for (const id of await repo.listRunningIds()) {
+      const run = await repo.claim(id, this.owner, LOCK_MS);
+      if (!run) continue;
+
+      let set;
+      try {
+        set = await this.advance(run, now);
+      } catch (err) {
+        // Released as it was and retried on the next poll; the other runs go on
+        console.error(`Pipeline run ${id} could not be advanced:`, err.message);
+        await repo.saveAndRelease(id, this.owner, {});
+        continue;
+      }
+      await repo.saveAndRelease(id, this.owner, set);
+      advanced++;
+      if (set.status) finished++;
+    }
+    return { advanced, finished };
+  }
+
+  // Poll now instead of at the next interval (new run, cancel)
+  poke() {
+    if (this.started) this.schedule(0);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    try {
+      const { finished } = await this.poll();
+      if (finished) console.log(`🔀 Pipelines: ${finished} runs finished`);
+    } catch (err) {
+      console.error('Pipeline poll failed:', err.message);
+    }
+    if (this.started) this.schedule(POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Poll on an interval (PIPELINE_POLL_INTERVAL_MS, 0 disables pipelines).
+   */
+  start() {
+    if (this.started || POLL_INTERVAL_MS <= 0) return;
+    this.started = true;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new PipelineService();
@@ -0,0 +1,379 @@
+// src/services/schedulerService.js
+//
+// Cron schedules (Schedule, /api/schedules) that queue jobs of
+// jobTypeRegistry on jobQueueService or start pipeline runs (pipelineService). Every API process polls
+// (SCHEDULER_POLL_INTERVAL_MS); a due schedule fires on the one process that
+// moves its nextRunAt on (scheduleRepo.advance), so several API instances
+// do not fire it twice.
+//
+// A fire noticed more than SCHEDULER_MISFIRE_GRACE_MS after its time was
+// missed (the API was down); the schedule's misfire policy decides whether
+// it runs once now or waits for its next regular time. Its overlap policy
+// decides what happens while the previous job (or run) is still active, and
+// jitterMs spreads job starts so schedules sharing a minute do not all start
+// at once.
+//
+// The cadence projectJobs.js used to run (scrape every 15 minutes, then
+// enrichment and media, as the breaking-news pipeline) is seeded, enabled,
+// into an empty collection so it keeps running after the loop's removal.
+const repo = require('../mongo/schedule');
+const jobsRepo = require('../mongo/jobEntry');
+const pipelineRunsRepo = require('../mongo/pipelineRun');
+const jobQueue = require('./jobQueueService');
+const pipelineService = require('./pipelineService');
+const registry = require('./jobTypeRegistry');
+const pipelines = require('./pipelineRegistry');
+const { parseCron, nextRun, upcomingRuns, countRuns } = require('./cronService');
+const { OVERLAP_POLICIES, MISFIRE_POLICIES } = require('../models/Schedule');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '15000', 10);
+const MISFIRE_GRACE_MS = parseInt(process.env.SCHEDULER_MISFIRE_GRACE_MS || '60000', 10);
+const MAX_JITTER_MS = 60 * 60 * 1000;
+
+const DEFAULT_SCHEDULES = [
+  {
+    name: 'breaking-news',
+    description:
+      'Home timeline scrape (needs Chrome on CDP, see projectJobs.js), then enrichment and media for the new tweets.',
+    cron: '*/15 * * * *',
+    pipeline: 'breaking-news',
+  },
+];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function optionalString(value) {
+  if (value === undefined) return undefined;
+  const s = value === null ? '' : String(value).trim();
+  return s || null;
+}
+
+class SchedulerService {
+  constructor() {
+    this.started = false;
+    this.timer = null;
+    this.seeded = false;
+  }
+
+  /**
+   * Validate a create/update body against the current schedule (if any).
+   * @returns {Object} fields to store, nextRunAt included when it changes
+   */
+  buildData(body = {}, current = null, now = new Date()) {
+    const data = {};
+
+    if (body.name !== undefined || !current) {
+      const name = optionalString(body.name);
+      if (!name) throw httpError(400, 'name is required');
+      if (name.length > 100) throw httpError(400, 'name must be at most 100 characters');
+      data.name = name;
+    }
+    const description = optionalString(body.description);
+    if (description !== undefined) data.description = description;
+
+    if (body.cron !== undefined || !current) {
+      const cron = parseCron(body.cron);
+      if (!nextRun(cron, now)) throw httpError(400, `${cron.expression} never fires`);
+      data.cron = cron.expression;
+    }
+    if (body.enabled !== undefined) data.enabled = Boolean(body.enabled);
+
+    if (
+      body.jobType !== undefined ||
+      body.payload !== undefined ||
+      body.pipeline !== undefined ||
+      !current
+    ) {
+      Object.assign(data, this.buildTarget(body, current));
+    }
+
+    if (body.overlap !== undefined) {
+      if (!OVERLAP_POLICIES.includes(body.overlap)) {
+        throw httpError(400, `overlap must be one of: ${OVERLAP_POLICIES.join(', ')}`);
+      }
+      data.overlap = body.overlap;
+    }
+    if (body.misfire !== undefined) {
+      if (!MISFIRE_POLICIES.includes(body.misfire)) {
+        throw httpError(400, `misfire must be one of: ${MISFIRE_POLICIES.join(', ')}`);
+      }
+      data.misfire = body.misfire;
+    }
+    if (body.jitterMs !== undefined) {
+      const n = Number(body.jitterMs);
+      if (!Number.isInteger(n) || n < 0 || n > MAX_JITTER_MS) {
+        throw httpError(400, `jitterMs must be an integer between 0 and ${MAX_JITTER_MS}`);
+      }
+      data.jitterMs = n;
+    }
+
+    // Counted from now: enabling or changing the cron never fires missed times
+    const enabled = data.enabled ?? current?.enabled ?? true;
+    if (!enabled) data.nextRunAt = null;
+    else if (!current || data.cron || !current.enabled) {
+      data.nextRunAt = nextRun(data.cron || current.cron, now);
+    }
+    return data;
+  }
+
+  /**
+   * What the schedule runs: a job type with its payload, or a pipeline.
+   * Setting one clears the other.
+   */
+  buildTarget(body, current) {
+    let pipeline = null;
+    if (body.pipeline !== undefined) pipeline = optionalString(body.pipeline);
+    else if (body.jobType === undefined) pipeline = current?.pipeline ?? null;
+
+    if (pipeline) {
+      if (body.jobType) throw httpError(400, 'Set either jobType or pipeline, not both');
+      if (!pipelines.getPipeline(pipeline)) throw httpError(400, `Unknown pipeline: ${pipeline}`);
+      if (body.payload && Object.keys(body.payload).length) {
+        throw httpError(400, 'A pipeline takes no payload');
+      }
+      return { pipeline, jobType: null, payload: {} };
+    }
+
+    const jobType = body.jobType ?? current?.jobType;
+    if (!jobType) throw httpError(400, 'jobType or pipeline is required');
+    // A new type starts from an empty payload
+    const keep = current && jobType === current.jobType ? current.payload : {};
+    return {
+      pipeline: null,
+      jobType,
+      payload: registry.validatePayload(jobType, body.payload ?? keep),
+    };
+  }
+
+  async list(params) {
+    return repo.list(params);
+  }
+
+  /**
+   * @returns {Promise<Object>} the schedule with its next fire times
+   */
+  async get(id) {
+    const schedule = await repo.getById(id);
+    if (!schedule) throw httpError(404, 'Schedule not found');
+    return this.withUpcoming(schedule);
+  }
+
+  withUpcoming(schedule) {
+    return {
+      ...schedule,
+      upcoming: schedule.enabled ? upcomingRuns(schedule.cron, 5) : [],
+    };
+  }
+
+  async create(body, user) {
+    const data = this.buildData(body);
+    if (await repo.findByName(data.name)) {
+      throw httpError(409, `Schedule ${data.name} already exists`);
+    }
+    const schedule = await repo.create({ ...data, updatedBy: user?.userId ?? null });
+    return this.withUpcoming(schedule);
+  }
+
+  async update(id, body, user) {
+    const current = await repo.getById(id);
+    if (!current) throw httpError(404, 'Schedule not found');
+    const data = this.buildData(body, current);
+    if (data.name && data.name !== current.name && (await repo.findByName(data.name))) {
+      throw httpError(409, `Schedule ${data.name} already exists`);
+    }
+    const schedule = await repo.update(id, { ...data, updatedBy: user?.userId ?? null });
+    if (!schedule) throw httpError(404, 'Schedule not found');
+    return this.withUpcoming(schedule);
+  }
+
+  // Jobs already queued by the schedule keep running
+  async delete(id) {
+    const schedule = await repo.delete(id);
+    if (!schedule) throw httpError(404, 'Schedule not found');
+  }
+
+  // ---------- firing ----------
+
+  /**
+   * Apply the overlap policy and queue the schedule's job.
+   * @returns {Promise<Object>} the fire to record
+   */
+  async launch(schedule, fire) {
+    if (schedule.pipeline) return this.launchPipeline(schedule, fire);
+
+    const active = await jobsRepo.listActiveBySchedule(schedule._id);
+    const notes = [];
+
+    if (active.length && schedule.overlap === 'skip') {
+      const [job] = active;
+      return { ...fire, action: 'skipped', message: `Job ${job._id} is still ${job.status}` };
+    }
+    if (schedule.overlap === 'queue') {
+      const waiting = active.find((j) => j.status === 'queued');
+      if (waiting) {
+        return { ...fire, action: 'skipped', message: `Job ${waiting._id} is already waiting` };
+      }
+    }
+    if (schedule.overlap === 'cancel-previous') {
+      for (const job of active) {
+        try {
+          await jobQueue.cancel(job._id);
+          notes.push(`cancelled job ${job._id}`);
+        } catch (err) {
+          // Finished in the meantime
+          if (err.status !== 409) throw err;
+        }
+      }
+    }
+
+    const jitter = Math.floor(Math.random() * ((schedule.jitterMs || 0) + 1));
+    const job = await jobQueue.enqueue(schedule.jobType, schedule.payload, {
+      runAt: new Date(Date.now() + jitter),
+      scheduleId: schedule._id,
+    });
+    await jobsRepo.appendLog(
+      job._id,
+      'system',
+      `Queued by schedule ${schedule.name}${jitter ? `, starts in ${Math.round(jitter / 1000)}s` : ''}`
+    );
+    if (jitter) notes.push(`jitter ${Math.round(jitter / 1000)}s`);
+    return { ...fire, action: 'queued', jobId: job._id, message: notes.join('; ') || null };
+  }
+
+  /**
+   * launch() for a pipeline schedule: the overlap policy looks at its runs.
+   * Runs start at once; jitter applies to jobs only.
+   */
+  async launchPipeline(schedule, fire) {
+    const active = await pipelineRunsRepo.listRunningBySchedule(schedule._id);
+    const notes = [];
+
+    if (active.length && schedule.overlap === 'skip') {
+      return { ...fire, action: 'skipped', message: `Run ${active[0]._id} is still running` };
+    }
+    if (schedule.overlap === 'cancel-previous') {
+      for (const run of active) {
+        try {
+          await pipelineService.cancelRun(run._id);
+          notes.push(`cancelled run ${run._id}`);
+        } catch (err) {
+          // Finished (or being cancelled) in the meantime
+          if (err.status !== 409) throw err;
+        }
+      }
+    }
+
+    const run = await pipelineService.startRun(schedule.pipeline, {
+      trigger: 'schedule',
+      scheduleId: schedule._id,
+    });
+    return { ...fire, action: 'queued', runId: run._id, message: notes.join('; ') || null };
+  }
+
+  /**
+   * Fire a schedule that this process has claimed.
+   * @returns {Promise<Object>} the recorded fire
+   */
+  async fire(schedule, now = new Date()) {
+    let fire = { scheduledFor: schedule.nextRunAt, firedAt: now, missed: 0 };
+
+    if (now - schedule.nextRunAt > MISFIRE_GRACE_MS) {
+      fire.missed = 1 + countRuns(schedule.cron, schedule.nextRunAt, now);
+      if (schedule.misfire === 'skip') {
+        fire = { ...fire, action: 'missed', message: `Missed ${fire.missed} run(s) while down` };
+      }
+    }
+
+    if (!fire.action) {
+      try {
+        fire = await this.launch(schedule, fire);
+      } catch (err) {
+        fire = { ...fire, action: 'failed', message: err.message };
+      }
+    }
+    await repo.recordFire(schedule._id, fire);
+    return fire;
+  }
+
+  /**
+   * Fire every due schedule this process manages to claim.
+   * @returns {Promise<{ fired: number, queued: number }>}
+   */
+  async poll(now = new Date()) {
+    let fired = 0;
+    let queued = 0;
+    for (const schedule of await repo.findDue(now)) {
+      let next;
+      try {
+        next = nextRun(schedule.cron, now);
+      } catch (err) {
+        // Edited by hand into something invalid; parked until fixed through the API
+        if (await repo.advance(schedule._id, schedule.nextRunAt, null)) {
+          const fire = { scheduledFor: schedule.nextRunAt, firedAt: now, action: 'failed' };
+          await repo.recordFire(schedule._id, { ...fire, message: err.message });
+        }
+        continue;
+      }
+      if (!(await repo.advance(schedule._id, schedule.nextRunAt, next))) continue;
+
+      const fire = await this.fire(schedule, now);
+      fired++;
+      if (fire.action === 'queued') queued++;
+    }
+    return { fired, queued };
+  }
+
+  /**
+   * Store DEFAULT_SCHEDULES, enabled, when there are no schedules at all.
+   * @returns {Promise<number>} schedules created
+   */
+  async seedDefaults(now = new Date()) {
+    if (await repo.count()) return 0;
+    for (const schedule of DEFAULT_SCHEDULES) {
+      await repo.create(this.buildData(schedule, null, now));
+    }
+    return DEFAULT_SCHEDULES.length;
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    try {
+      if (!this.seeded) {
+        const seeded = await this.seedDefaults();
+        this.seeded = true;
+        if (seeded) console.log(`🗓️ Scheduler: seeded ${seeded} default schedules`);
+      }
+      const { fired, queued } = await this.poll();
+      if (fired) console.log(`🗓️ Scheduler: ${fired} fired, ${queued} jobs queued`);
+    } catch (err) {
+      console.error('Scheduler poll failed:', err.message);
+    }
+    if (this.started) this.schedule(POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Poll on an interval (SCHEDULER_POLL_INTERVAL_MS, 0 disables the scheduler).
+   */
+  start() {
+    if (this.started || POLL_INTERVAL_MS <= 0) return;
+    this.started = true;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new SchedulerService();
+module.exports.DEFAULT_SCHEDULES = DEFAULT_SCHEDULES;
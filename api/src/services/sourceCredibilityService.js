@@ -0,0 +1,370 @@
+// src/services/sourceCredibilityService.js
+//
+// Credibility registry of accounts and domains (SourceCredibility). Besides
+// CRUD it resolves the registry entry of a tweet, enrichment or RSS item:
+//
+//   tweet / enrichment   account handle, then the domain of a non-tweet url
+//   RSS item             publisher url (sourceUrl), then the article link
+//
+// Domains match their subdomains too (edition.cnn.com -> cnn.com). The tier
+// (or the entry's own credibility) is a prior the enrichment job blends into
+// the model's confidence:
+//
+//   confidence = (1 - weight) * model confidence + weight * prior
+//
+// weight is SOURCE_PRIOR_WEIGHT (default 0.3, 0 turns it off).
+const repo = require('../mongo/sourceCredibility');
+const { SOURCE_KINDS, SOURCE_TIERS } = require('../models/SourceCredibility');
+const { normalizeAccount, accountOf } = require('./escalationPolicyService');
+
+const TIER_PRIORS = {
+  wire: 0.9,
+  official: 0.8,
+  established: 0.75,
+  specialist: 0.65,
+  unknown: 0.5,
+  aggregator: 0.45,
+  state_media: 0.4,
+  fabricator: 0.1,
+};
+
+const DEFAULT_PRIOR_WEIGHT = 0.3;
+const INDEX_TTL_MS = 60 * 1000;
+
+// Tweet links say nothing about the publisher
+const TWEET_HOSTS = ['twitter.com', 'x.com', 't.co'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function optionalString(value) {
+  if (value === undefined) return undefined;
+  const s = value === null ? '' : String(value).trim();
+  return s || null;
+}
+
+/**
+ * Host name of a URL (or bare domain) without www., lower case.
+ * @returns {string|null}
+ */
+function domainOf(value) {
+  if (!value || typeof value !== 'string') return null;
+  const s = value.trim().toLowerCase();
+  try {
+    const { hostname } = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(s) ? s : `https://${s}`);
+    return hostname.replace(/^www\./, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeKey(kind, key) {
+  return kind === 'domain' ? domainOf(key) : normalizeAccount(key) || null;
+}
+
+// The domain and its parents, longest first: a.b.cnn.com, b.cnn.com, cnn.com
+function domainCandidates(domain) {
+  const parts = domain.split('.');
+  const out = [];
+  for (let i = 0; i < parts.length - 1; i++) out.push(parts.slice(i).join('.'));
+  return out;
+}
+
+/**
+ * Registry entries by "kind:key".
+ * @param {Array<Object>} entries
+ * @returns {Map<string, Object>}
+ */
+function buildIndex(entries) {
+  return new Map(entries.map((e) => [`${e.kind}:${e.key}`, e]));
+}
+
+/**
+ * First entry matching the candidates, in order.
+ * @param {Map<string, Object>} index - from buildIndex()
+ * @param {Array<{ kind: string, key: string }>} candidates
+ */
+function findInIndex(index, candidates) {
+  for (const { kind, key } of candidates) {
+    const keys = kind === 'domain' ? domainCandidates(key) : [key];
+    for (const k of keys) {
+      const entry = index.get(`${kind}:${k}`);
+      if (entry) return entry;
+    }
+  }
+  return null;
+}
+
+function urlCandidate(url) {
+  const domain = domainOf(url);
+  if (!domain || TWEET_HOSTS.some((h) => domain === h || domain.endsWith(`.${h}`))) return [];
+  return [{ kind: 'domain', key: domain }];
+}
+
+/**
+ * Registry keys of a breaking-news document or an enrichment.
+ * @param {{ account?: string, source?: string, url?: string, tweet_url?: string }} doc
+ */
+function tweetCandidates(doc) {
+  const candidates = [];
+  const account = accountOf({ account: doc.account, url: doc.url || doc.tweet_url });
+  if (account) candidates.push({ kind: 'account', key: account });
+
+  // source is a free string: a handle, a domain or a scraper name
+  const source = doc.source && doc.source !== 'unknown' ? String(doc.source) : null;
+  if (source && source.includes('.')) candidates.push(...urlCandidate(source));
+  else if (source) candidates.push({ kind: 'account', key: normalizeAccount(source) });
+
+  candidates.push(...urlCandidate(doc.url));
+  return candidates;
+}
+
+/**
+ * Registry keys of an RSS item (googleNewsService).
+ */
+function rssCandidates(item) {
+  return [item.sourceUrl, item.canonicalLink, item.resolvedLink].flatMap(urlCandidate);
+}
+
+/**
+ * Prior credibility of a registry entry: its own credibility or its tier's.
+ * @returns {number|null}
+ */
+function priorOf(entry) {
+  if (!entry) return null;
+  if (typeof entry.credibility === 'number') return entry.credibility;
+  return TIER_PRIORS[entry.tier] ?? TIER_PRIORS.unknown;
+}
+
+/**
+ * What responses carry as `source_credibility`.
+ */
+function summarize(entry) {
+  if (!entry) return null;
+  return {
+    id: entry._id,
+    kind: entry.kind,
+    key: entry.key,
+    name: entry.name ?? null,
+    tier: entry.tier,
+    prior: priorOf(entry),
+    verified: Boolean(entry.verified),
+    bias_notes: entry.bias_notes ?? null,
+  };
+}
+
+function priorWeight() {
+  const raw = process.env.SOURCE_PRIOR_WEIGHT;
+  if (raw === undefined || raw === '') return DEFAULT_PRIOR_WEIGHT;
+  const weight = Number(raw);
+  if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+    throw new Error('SOURCE_PRIOR_WEIGHT must be a number between 0 and 1');
+  }
+  return weight;
+}
+
+/**
+ * Blend the source prior into an enrichment's confidence. Returns the
+ * enrichment unchanged when the source is not registered or weight is 0.
+ * @param {Object} enrichment - model output with `confidence`
+ * @param {Object|null} entry - registry entry of the tweet's source
+ * @param {number} [weight]
+ * @returns {Object} enrichment with `confidence` and `source_prior`
+ */
+function applySourcePrior(enrichment, entry, weight = priorWeight()) {
+  const prior = priorOf(entry);
+  if (prior === null || !weight || typeof enrichment.confidence !== 'number') return enrichment;
+
+  const confidence = (1 - weight) * enrichment.confidence + weight * prior;
+  return {
+    ...enrichment,
+    confidence: Math.round(confidence * 1000) / 1000,
+    source_prior: {
+      kind: entry.kind,
+      key: entry.key,
+      tier: entry.tier,
+      prior,
+      weight,
+      model_confidence: enrichment.confidence,
+    },
+  };
+}
+
+function parseCorrection(body = {}) {
+  const description = optionalString(body.description);
+  if (!description) throw httpError(400, 'description is required');
+  const date = body.date === undefined ? new Date() : new Date(body.date);
+  if (Number.isNaN(date.getTime())) throw httpError(400, 'date must be an ISO date');
+  return { date, description, url: optionalString(body.url) ?? null };
+}
+
+class SourceCredibilityService {
+  constructor() {
+    this.index = null;
+    this.indexLoadedAt = 0;
+  }
+
+  /**
+   * Validate a create/update body against the current entry (if any).
+   * @returns {Object} fields to store
+   */
+  buildData(body = {}, current = null) {
+    const data = {};
+
+    if (!current) {
+      if (!SOURCE_KINDS.includes(body.kind)) {
+        throw httpError(400, `kind must be one of: ${SOURCE_KINDS.join(', ')}`);
+      }
+      data.kind = body.kind;
+    } else if (body.kind !== undefined && body.kind !== current.kind) {
+      throw httpError(400, 'kind cannot be changed');
+    }
+    const kind = data.kind || current.kind;
+
+    if (body.key !== undefined || !current) {
+      const key = normalizeKey(kind, body.key);
+      if (!key) throw httpError(400, `key must be ${kind === 'domain' ? 'a domain' : 'a handle'}`);
+      data.key = key;
+    }
+    if (body.tier !== undefined) {
+      if (!SOURCE_TIERS.includes(body.tier)) {
+        throw httpError(400, `tier must be one of: ${SOURCE_TIERS.join(', ')}`);
+      }
+      data.tier = body.tier;
+    }
+    if (body.credibility !== undefined) {
+      const n = body.credibility === null ? null : Number(body.credibility);
+      if (n !== null && !(Number.isFinite(n) && n >= 0 && n <= 1)) {
+        throw httpError(400, 'credibility must be a number between 0 and 1 or null');
+      }
+      data.credibility = n;
+    }
+    if (body.verified !== undefined) {
+      data.verified = Boolean(body.verified);
+      if (data.verified !== Boolean(current?.verified)) {
+        data.verified_at = data.verified ? new Date() : null;
+      }
+    }
+    for (const key of ['name', 'bias_notes', 'notes']) {
+      const value = optionalString(body[key]);
+      if (value !== undefined) data[key] = value;
+    }
+    return data;
+  }
+
+  async list(params) {
+    return repo.list(params);
+  }
+
+  async get(id) {
+    const entry = await repo.getById(id);
+    if (!entry) throw httpError(404, 'Source not found');
+    return entry;
+  }
+
+  async create(body, user) {
+    const data = this.buildData(body);
+    if (await repo.findByKey(data.kind, data.key)) {
+      throw httpError(409, `${data.kind} ${data.key} is already registered`);
+    }
+    if (body.corrections !== undefined) {
+      if (!Array.isArray(body.corrections)) throw httpError(400, 'corrections must be a list');
+      data.corrections = body.corrections.map((c) => ({
+        ...parseCorrection(c),
+        recorded_by: user.userId,
+      }));
+    }
+    const entry = await repo.create({ ...data, updated_by: user.userId });
+    this.invalidate();
+    return entry;
+  }
+
+  async update(id, body, user) {
+    const current = await this.get(id);
+    const data = this.buildData(body, current);
+    if (data.key && data.key !== current.key) {
+      const other = await repo.findByKey(current.kind, data.key);
+      if (other) throw httpError(409, `${current.kind} ${data.key} is already registered`);
+    }
+    const entry = await repo.update(id, { ...data, updated_by: user.userId });
+    if (!entry) throw httpError(404, 'Source not found');
+    this.invalidate();
+    return entry;
+  }
+
+  async delete(id) {
+    const entry = await repo.delete(id);
+    if (!entry) throw httpError(404, 'Source not found');
+    this.invalidate();
+  }
+
+  /**
+   * Append to the source's correction history.
+   */
+  async addCorrection(id, body, user) {
+    const correction = { ...parseCorrection(body), recorded_by: user.userId };
+    const entry = await repo.addCorrection(id, correction, user.userId);
+    if (!entry) throw httpError(404, 'Source not found');
+    return entry;
+  }
+
+  // ---------- lookups ----------
+
+  invalidate() {
+    this.index = null;
+  }
+
+  async getIndex() {
+    if (!this.index || Date.now() - this.indexLoadedAt > INDEX_TTL_MS) {
+      this.index = buildIndex(await repo.listAll());
+      this.indexLoadedAt = Date.now();
+    }
+    return this.index;
+  }
+
+  /**
+   * Registry entry of an account handle, domain or URL.
+   * @param {{ account?: string, domain?: string, url?: string }} params
+   */
+  async lookup({ account, domain, url }) {
+    const candidates = [];
+    if (account) candidates.push({ kind: 'account', key: normalizeAccount(account) });
+    for (const value of [domain, url]) {
+      const d = domainOf(value);
+      if (d) candidates.push({ kind: 'domain', key: d });
+    }
+    if (!candidates.length) throw httpError(400, 'account, domain or url is required');
+    return findInIndex(await this.getIndex(), candidates);
+  }
+
+  /**
+   * Copies of the items with `source_credibility` (null when unregistered).
+   * @param {Array<Object>} items
+   * @param {'tweet'|'rss'} type
+   */
+  async attach(items, type) {
+    const index = await this.getIndex();
+    const candidatesOf = type === 'rss' ? rssCandidates : tweetCandidates;
+    return items.map((item) => ({
+      ...item,
+      source_credibility: summarize(findInIndex(index, candidatesOf(item))),
+    }));
+  }
+
+  async attachOne(item, type) {
+    const [attached] = await this.attach([item], type);
+    return attached;
+  }
+}
+
+module.exports = new SourceCredibilityService();
+module.exports.TIER_PRIORS = TIER_PRIORS;
+module.exports.domainOf = domainOf;
+module.exports.buildIndex = buildIndex;
+module.exports.findInIndex = findInIndex;
+module.exports.tweetCandidates = tweetCandidates;
+module.exports.priorOf = priorOf;
+module.exports.applySourcePrior = applySourcePrior;
@@ -0,0 +1,313 @@
+// src/services/storyClusteringService.js
+//
+// Groups enriched breaking-news tweets into stories (developing events).
+//
+// Each unassigned enrichment is scored against recent developing stories using
+// the fields the enrichment job already extracts plus text similarity:
+//
+//   score = 0.45 * cosine(tweet text + context, story centroid)
+//         + 0.20 * jaccard(entities)
+//         + 0.15 * location overlap
+//         + 0.10 * same category
+//         + 0.10 * same event_type
+//
+// The tweet joins the best story above STORY_MATCH_THRESHOLD, otherwise it
+// seeds a new one. Stories go stale after STORY_WINDOW_HOURS without a new tweet.
+const storyRepo = require('../mongo/story');
+const { termVector, cosine, jaccard, topTerms } = require('./textSimilarityService');
+
+const MATCH_THRESHOLD = parseFloat(process.env.STORY_MATCH_THRESHOLD || '0.35');
+const WINDOW_MS = parseFloat(process.env.STORY_WINDOW_HOURS || '12') * 60 * 60 * 1000;
+const INTERVAL_MS = parseInt(process.env.STORY_CLUSTER_INTERVAL_MS || '60000', 10);
+
+const CENTROID_TERMS = 60;
+const KEYWORD_COUNT = 8;
+const SUMMARY_SENTENCES = 3;
+// Contexts at least this similar to one already in the summary are skipped
+const SUMMARY_DUPLICATE = 0.8;
+const MAX_MEMBERS = 500;
+
+const WEIGHTS = {
+  text: 0.45,
+  entities: 0.2,
+  locations: 0.15,
+  category: 0.1,
+  eventType: 0.1,
+};
+
+function norm(s) {
+  return String(s || '')
+    .trim()
+    .toLowerCase();
+}
+
+function sentence(s) {
+  const t = String(s).trim();
+  return /[.!?]$/.test(t) ? t : `${t}.`;
+}
+
+function isKnown(v) {
+  const n = norm(v);
+  return n && n !== 'unknown' && n !== 'null';
+}
+
+function entityKeys(enrichment) {
+  const e = enrichment.entities || {};
+  return [...(e.people || []), ...(e.organizations || []), ...(e.equipment || [])]
+    .map(norm)
+    .filter(Boolean);
+}
+
+function locationKeys(locations = []) {
+  const keys = [];
+  for (const loc of locations) {
+    if (loc.place) keys.push(norm(loc.place));
+    if (loc.country) keys.push(norm(loc.country));
+  }
+  return [...new Set(keys.filter(Boolean))];
+}
+
+/**
+ * Features of one enrichment used for scoring.
+ */
+function featuresOf(enrichment, tweetText) {
+  return {
+    vector: termVector(`${tweetText || ''} ${enrichment.context || ''}`),
+    entities: entityKeys(enrichment),
+    locations: locationKeys(enrichment.locations),
+    category: isKnown(enrichment.category) ? norm(enrichment.category) : null,
+    eventType: isKnown(enrichment.event_type) ? norm(enrichment.event_type) : null,
+  };
+}
+
+/**
+ * Similarity between a tweet and a story, 0..1.
+ */
+function scoreStory(features, story) {
+  const textScore = cosine(features.vector, story.centroid);
+  const entityScore = jaccard(features.entities, story.entities);
+  const storyLocations = locationKeys(story.locations);
+  const locationScore =
+    features.locations.length && storyLocations.length
+      ? features.locations.some((l) => storyLocations.includes(l))
+        ? 1
+        : 0
+      : 0;
+
+  // Category alone must never merge two unrelated events
+  if (textScore < 0.1 && entityScore === 0 && locationScore === 0) return 0;
+
+  return (
+    WEIGHTS.text * textScore +
+    WEIGHTS.entities * entityScore +
+    WEIGHTS.locations * locationScore +
+    WEIGHTS.category * (features.category && features.category === story.category ? 1 : 0) +
+    WEIGHTS.eventType * (features.eventType && features.eventType === story.event_type ? 1 : 0)
+  );
+}
+
+/**
+ * Rebuild title, keywords and rolling summary from the members.
+ * The summary picks the member contexts closest to the centroid (deduplicated),
+ * newest first, followed by a one-line tally.
+ */
+function summarize(story) {
+  const ranked = story.members
+    .filter((m) => m.context)
+    .map((m) => ({ m, score: cosine(termVector(m.context), story.centroid) }))
+    .sort((a, b) => b.score - a.score);
+
+  const picked = [];
+  for (const { m } of ranked) {
+    const v = termVector(m.context);
+    if (picked.some((p) => cosine(v, termVector(p.context)) >= SUMMARY_DUPLICATE)) continue;
+    picked.push(m);
+    if (picked.length >= SUMMARY_SENTENCES) break;
+  }
+  picked.sort((a, b) => new Date(b.tweet_datetime || 0) - new Date(a.tweet_datetime || 0));
+
+  const accounts = story.accounts.length;
+  const tally = `${story.memberCount} report${story.memberCount === 1 ? '' : 's'} from ${accounts} account${accounts === 1 ? '' : 's'}.`;
+
+  story.title = ranked[0]?.m.context || story.members[0]?.text?.slice(0, 140) || 'Untitled story';
+  story.keywords = [...topTerms(story.centroid, KEYWORD_COUNT).keys()];
+  story.summary = [...picked.map((m) => sentence(m.context)), tally].join(' ');
+}
+
+function addToCentroid(story, vector) {
+  const merged = new Map(story.centroid);
+  for (const [k, v] of vector) merged.set(k, (merged.get(k) || 0) + v);
+  story.centroid = topTerms(merged, CENTROID_TERMS);
+}
+
+function addMember(story, { enrichment, tweetText, features, similarity }) {
+  const at = enrichment.tweet_datetime ? new Date(enrichment.tweet_datetime) : new Date();
+
+  if (story.members.length < MAX_MEMBERS) {
+    story.members.push({
+      tweetId: enrichment.tweetId,
+      enrichment: enrichment._id,
+      account: enrichment.account || null,
+      text: tweetText || null,
+      context: enrichment.context || null,
+      tweet_datetime: enrichment.tweet_datetime || null,
+      similarity: Math.min(1, Math.round(similarity * 1000) / 1000),
+      addedAt: new Date(),
+    });
+  }
+  story.memberCount = (story.memberCount || 0) + 1;
+
+  if (enrichment.account && !story.accounts.includes(enrichment.account)) {
+    story.accounts.push(enrichment.account);
+  }
+
+  story.entities = [...new Set([...story.entities, ...features.entities])];
+
+  for (const loc of enrichment.locations || []) {
+    if (!loc.place) continue;
+    const existing = story.locations.find((l) => norm(l.place) === norm(loc.place));
+    if (existing) existing.count += 1;
+    else story.locations.push({ place: loc.place, country: loc.country || null, count: 1 });
+  }
+
+  if (!isKnown(story.category) && features.category) story.category = features.category;
+  if (!isKnown(story.event_type) && features.eventType) story.event_type = features.eventType;
+
+  addToCentroid(story, features.vector);
+
+  if (!story.firstSeenAt || at < story.firstSeenAt) story.firstSeenAt = at;
+  if (!story.lastSeenAt || at > story.lastSeenAt) story.lastSeenAt = at;
+  story.status = 'developing';
+
+  summarize(story);
+}
+
+class StoryClusteringService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Assign one enrichment to the best matching story, or start a new one.
+   * @returns {Promise<{ storyId: string, created: boolean, similarity: number }>}
+   */
+  async assign(enrichment, tweetText) {
+    const features = featuresOf(enrichment, tweetText);
+    const at = enrichment.tweet_datetime ? new Date(enrichment.tweet_datetime) : new Date();
+
+    const candidates = await storyRepo.findCandidates({ at, windowMs: WINDOW_MS });
+
+    let best = null;
+    let bestScore = 0;
+    for (const story of candidates) {
+      const score = scoreStory(features, story);
+      if (score > bestScore) {
+        best = story;
+        bestScore = score;
+      }
+    }
+
+    let story;
+    let created = false;
+    if (best && bestScore >= MATCH_THRESHOLD) {
+      story = best;
+      addMember(story, { enrichment, tweetText, features, similarity: bestScore });
+      await story.save();
+    } else {
+      const seed = {
+        category: features.category || 'unknown',
+        event_type: features.eventType || 'unknown',
+        entities: [],
+        locations: [],
+        centroid: new Map(),
+        members: [],
+        memberCount: 0,
+        accounts: [],
+      };
+      addMember(seed, { enrichment, tweetText, features, similarity: 1 });
+      story = await storyRepo.create(seed);
+      created = true;
+    }
+
+    await storyRepo.assignEnrichment(enrichment._id, story._id);
+    return { storyId: String(story._id), created, similarity: created ? 1 : bestScore };
+  }
+
+  /**
+   * Cluster every enrichment that has no story yet (oldest first). One that
+   * fails is marked (story_error) and left out of later batches.
+   * @param {Object} [params]
+   * @param {number} [params.limit=200]
+   * @returns {Promise<{ processed: number, created: number, merged: number, failed: number, staled: number }>}
+   */
+  async clusterPending({ limit = 200 } = {}) {
+    if (this.running) {
+      return { processed: 0, created: 0, merged: 0, failed: 0, staled: 0, skipped: true };
+    }
+    this.running = true;
+
+    try {
+      const enrichments = await storyRepo.getUnclusteredEnrichments({ limit });
+      const texts = await storyRepo.getTweetTexts(enrichments.map((e) => e.tweetId));
+
+      let created = 0;
+      let failed = 0;
+      for (const enrichment of enrichments) {
+        try {
+          const result = await this.assign(enrichment, texts.get(enrichment.tweetId));
+          if (result.created) created++;
+        } catch (err) {
+          failed++;
+          console.error(`Story clustering failed for enrichment ${enrichment._id}:`, err.message);
+          await storyRepo.markClusterFailed(enrichment._id, err.message);
+        }
+      }
+
+      const { modifiedCount } = await storyRepo.markStale({
+        before: new Date(Date.now() - WINDOW_MS),
+      });
+
+      return {
+        processed: enrichments.length,
+        created,
+        merged: enrichments.length - created - failed,
+        failed,
+        staled: modifiedCount || 0,
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run clusterPending on an interval (STORY_CLUSTER_INTERVAL_MS, 0 disables).
+   */
+  start() {
+    if (this.timer || INTERVAL_MS <= 0) return;
+
+    const tick = async () => {
+      try {
+        const r = await this.clusterPending();
+        if (r.processed) {
+          const failed = r.failed ? `, ${r.failed} failed` : '';
+          console.log(
+            `📰 Story clustering: ${r.processed} tweets, ${r.created} new stories${failed}`
+          );
+        }
+      } catch (err) {
+        console.error('Story clustering failed:', err.message);
+      }
+      this.timer = setTimeout(tick, INTERVAL_MS);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new StoryClusteringService();
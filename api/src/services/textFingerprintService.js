@@ -0,0 +1,218 @@
+// src/services/textFingerprintService.js
+//
+// Fingerprints used by dedupService to spot the same story across tweets,
+// live captures and RSS items:
+//   - canonical URLs (tracking params, www./m. hosts and tweet URL variants removed)
+//   - 64-bit SimHash, bucketed into four 16-bit chunks: two texts within
+//     Hamming distance 3 always share at least one chunk
+//   - 64-value MinHash signature, bucketed into 16 LSH bands of 4 rows
+const { normalizeUrl } = require('./googleNewsService');
+const { tokenize } = require('./textSimilarityService');
+
+const MINHASH_SIZE = 64;
+const MINHASH_BANDS = 16;
+const MINHASH_PRIME = 4294967311; // smallest prime above 2^32
+
+const FNV64_OFFSET = 0xcbf29ce484222325n;
+const FNV64_PRIME = 0x100000001b3n;
+const MASK64 = (1n << 64n) - 1n;
+
+const TWEET_HOSTS = new Set(['x.com', 'twitter.com', 'mobile.twitter.com', 'mobile.x.com']);
+
+// Deterministic (a, b) pairs for the MinHash permutations
+const PERMUTATIONS = (() => {
+  let seed = 0x9e3779b9;
+  const next = () => {
+    seed = (Math.imul(seed ^ (seed >>> 15), 0x85ebca6b) + 0x6b43a9b3) >>> 0;
+    return seed;
+  };
+  return Array.from({ length: MINHASH_SIZE }, () => [(next() % (MINHASH_PRIME - 1)) + 1, next()]);
+})();
+
+function fnv1a32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function fnv1a64(s) {
+  let h = FNV64_OFFSET;
+  for (let i = 0; i < s.length; i++) {
+    h ^= BigInt(s.charCodeAt(i));
+    h = (h * FNV64_PRIME) & MASK64;
+  }
+  return h;
+}
+
+/**
+ * Canonical form of a URL for equality checks, or null when it is not a
+ * http(s) URL. Tweet URLs collapse to https://x.com/i/status/<id>.
+ * @param {string} raw
+ * @returns {string|null}
+ */
+function canonicalUrl(raw) {
+  let u;
+  try {
+    u = new URL(normalizeUrl(String(raw).trim()));
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(u.protocol)) return null;
+
+  const host = u.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+  if (TWEET_HOSTS.has(host) || TWEET_HOSTS.has(u.hostname.toLowerCase())) {
+    const m = u.pathname.match(/\/status(?:es)?\/(\d+)/);
+    if (m) return `https://x.com/i/status/${m[1]}`;
+  }
+
+  const params = [...u.searchParams.entries()]
+    .filter(([k]) => !/^(ref|ref_src|ref_url|s|t|src|cmpid|mc_cid|mc_eid)$/i.test(k))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+  const path = u.pathname.replace(/\/(amp\/?)?$/, '') || '/';
+
+  return `https://${host}${path}${query}`;
+}
+
+/**
+ * http(s) URLs mentioned in a piece of text.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractUrls(text = '') {
+  return [...new Set(String(text).match(/https?:\/\/[^\s"'<>]+/g) || [])].map((u) =>
+    u.replace(/[.,;:!?)\]]+$/, '')
+  );
+}
+
+/**
+ * 64-bit SimHash of a text's tokens, as 16 hex characters (null if no tokens).
+ * @param {string} text
+ * @returns {string|null}
+ */
+function simhash(text) {
+  const tokens = tokenize(text);
+  if (!tokens.length) return null;
+
+  const weights = new Array(64).fill(0);
+  for (const token of tokens) {
+    const h = fnv1a64(token);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (h >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let out = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) out |= 1n << BigInt(bit);
+  }
+  return out.toString(16).padStart(16, '0');
+}
+
+/**
+ * Four 16-bit buckets ("<index>:<hex>") of a SimHash.
+ * @param {string} hash
+ * @returns {string[]}
+ */
+function simhashChunks(hash) {
+  if (!hash) return [];
+  return [0, 1, 2, 3].map((i) => `${i}:${hash.slice(i * 4, i * 4 + 4)}`);
+}
+
+/**
+ * Number of differing bits between two SimHashes.
+ */
+function hammingDistance(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (x) {
+    x &= x - 1n;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * MinHash signature over word unigrams and bigrams (empty if no tokens).
+ * @param {string} text
+ * @returns {number[]}
+ */
+function minhash(text) {
+  const tokens = tokenize(text);
+  if (!tokens.length) return [];
+
+  const shingles = new Set(tokens);
+  for (let i = 1; i < tokens.length; i++) shingles.add(`${tokens[i - 1]} ${tokens[i]}`);
+  const hashes = [...shingles].map(fnv1a32);
+
+  return PERMUTATIONS.map(([a, b]) => {
+    let min = Infinity;
+    for (const x of hashes) {
+      // (a * x + b) mod p without losing precision above 2^53
+      const v = Number((BigInt(a) * BigInt(x) + BigInt(b)) % BigInt(MINHASH_PRIME));
+      if (v < min) min = v;
+    }
+    return min;
+  });
+}
+
+/**
+ * LSH band keys ("<band>:<hash>") of a MinHash signature.
+ * @param {number[]} signature
+ * @returns {string[]}
+ */
+function minhashBands(signature) {
+  if (!signature?.length) return [];
+  const rows = signature.length / MINHASH_BANDS;
+  const bands = [];
+  for (let band = 0; band < MINHASH_BANDS; band++) {
+    const slice = signature.slice(band * rows, (band + 1) * rows).join('.');
+    bands.push(`${band}:${fnv1a32(slice).toString(16)}`);
+  }
+  return bands;
+}
+
+/**
+ * Estimated Jaccard similarity of the shingle sets behind two signatures.
+ * @returns {number} 0..1
+ */
+function minhashSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+/**
+ * All fingerprints for one item.
+ * @param {{ text: string, urls?: string[] }} item
+ */
+function fingerprint({ text, urls = [] }) {
+  const canonicalUrls = [...new Set(urls.map(canonicalUrl).filter(Boolean))];
+  const hash = simhash(text);
+  const signature = minhash(text);
+
+  return {
+    canonicalUrls,
+    simhash: hash,
+    simhashChunks: simhashChunks(hash),
+    minhash: signature,
+    minhashBands: minhashBands(signature),
+    tokenCount: tokenize(text).length,
+  };
+}
+
+module.exports = {
+  canonicalUrl,
+  extractUrls,
+  simhash,
+  simhashChunks,
+  hammingDistance,
+  minhash,
+  minhashBands,
+  minhashSimilarity,
+  fingerprint,
+};
@@ -0,0 +1,100 @@
+// src/services/textSimilarityService.js
+//
+// Small, dependency-free text helpers shared by the clustering and dedup code:
+// tokenisation, term-frequency vectors, cosine and Jaccard similarity.
+
+const STOPWORDS = new Set(
+  (
+    'a about above after again against all am an and any are as at be because been before being ' +
+    'below between both but by can could did do does doing down during each few for from further ' +
+    'had has have having he her here hers herself him himself his how i if in into is it its itself ' +
+    'just me more most my myself no nor not now of off on once only or other our ours ourselves out ' +
+    'over own same she should so some such than that the their theirs them themselves then there ' +
+    'these they this those through to too under until up very was we were what when where which ' +
+    'while who whom why will with would you your yours yourself yourselves ' +
+    'says said say new news breaking update live via rt amp just now today'
+  ).split(' ')
+);
+
+/**
+ * Lowercase word tokens without URLs, mentions, stopwords or very short words.
+ * Keeps letters from any script so non-English tweets still produce tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text = '') {
+  return String(text)
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@\w+/g, ' ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 2 && !STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+/**
+ * Term-frequency map for a text.
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+function termVector(text) {
+  const vec = new Map();
+  for (const t of tokenize(text)) vec.set(t, (vec.get(t) || 0) + 1);
+  return vec;
+}
+
+/**
+ * Cosine similarity between two term maps (Map or plain object).
+ * @returns {number} 0..1
+ */
+function cosine(a, b) {
+  const ea = a instanceof Map ? [...a.entries()] : Object.entries(a || {});
+  const mb = b instanceof Map ? b : new Map(Object.entries(b || {}));
+  if (!ea.length || !mb.size) return 0;
+
+  let dot = 0;
+  let na = 0;
+  for (const [k, v] of ea) {
+    na += v * v;
+    const w = mb.get(k);
+    if (w) dot += v * w;
+  }
+  let nb = 0;
+  for (const w of mb.values()) nb += w * w;
+
+  return dot === 0 ? 0 : dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+/**
+ * Jaccard similarity of two collections of strings.
+ * @returns {number} 0..1
+ */
+function jaccard(a = [], b = []) {
+  const sa = new Set(a);
+  const sb = new Set(b);
+  if (!sa.size || !sb.size) return 0;
+  let inter = 0;
+  for (const x of sa) if (sb.has(x)) inter++;
+  return inter / (sa.size + sb.size - inter);
+}
+
+/**
+ * Keep the `n` heaviest terms of a vector.
+ * @param {Map<string, number>} vec
+ * @param {number} n
+ * @returns {Map<string, number>}
+ */
+function topTerms(vec, n) {
+  return new Map(
+    [...vec.entries()].sort((x, y) => y[1] - x[1] || (x[0] < y[0] ? -1 : 1)).slice(0, n)
+  );
+}
+
+module.exports = {
+  tokenize,
+  termVector,
+  cosine,
+  jaccard,
+  topTerms,
+};
@@ -0,0 +1,47 @@
+// src/services/translationService.js
+//
+// English translations of non-English posts (LLM task translate). The
+// translation is stored next to the original, never instead of it. To keep
+// it on a local model, route the task to the local provider:
+//
+//   LLM_ROUTES='{"translate":{"provider":"local","model":"aya-expanse"}}'
+const llm = require('./llm');
+const { languageName } = require('./languageService');
+
+const MAX_INPUT_CHARS = 6000;
+
+const SYSTEM_PROMPT = `You translate social media posts and news items into English.
+Rules:
+- Translate faithfully; do not summarize, explain, soften or add anything.
+- Keep names, numbers, handles, hashtags, URLs and emoji as they are.
+- Transliterate names of people and places the way English-language news media spell them.
+- Keep the line breaks of the original.
+Return only the translation.`;
+
+/**
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.from] - source language code, if known
+ * @returns {Promise<{ text: string, lang: 'en', source_lang: string|null, model: string, translated_at: Date }>}
+ * @throws {LLMError}
+ */
+async function translateToEnglish(text, { from } = {}) {
+  const source = from ? `Source language: ${languageName(from)}.\n\n` : '';
+  const response = await llm.chat('translate', {
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `${source}${String(text).slice(0, MAX_INPUT_CHARS)}` },
+    ],
+  });
+  return {
+    text: response.text.trim(),
+    lang: 'en',
+    source_lang: from || null,
+    model: response.model,
+    translated_at: new Date(),
+  };
+}
+
+module.exports = {
+  translateToEnglish,
+};
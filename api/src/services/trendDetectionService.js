@@ -0,0 +1,326 @@
+// src/services/trendDetectionService.js
+//
+// Counts what the firehose talks about and flags sudden surges.
+//
+// Counting: every breaking_news tweet and live capture contributes its
+// hashtags; every enrichment contributes its entities, locations and
+// category. Mentions are added to BUCKET_MINUTES-wide buckets (trend_buckets)
+// at the tweet's time. Live captures of a tweet already counted are skipped.
+//
+// Detection: for a window W (e.g. 1h) the current count of each term is
+// compared with its counts in the previous TREND_BASELINE_WINDOWS windows of
+// the same size:
+//
+//   z = (current - mean) / max(std, sqrt(mean), 1)
+//
+// The sqrt(mean) floor treats counts as roughly Poisson, so a term that is
+// always quiet does not spike on noise. A spike needs z >= TREND_Z_THRESHOLD,
+// at least TREND_MIN_COUNT mentions and current >= 2 * mean.
+const trendRepo = require('../mongo/trend');
+const { entitiesOf } = require('./entityNameService');
+
+const BUCKET_MINUTES = 15;
+const BUCKET_MS = BUCKET_MINUTES * 60 * 1000;
+const RETENTION_MS = parseFloat(process.env.TREND_RETENTION_DAYS || '14') * 24 * 60 * 60 * 1000;
+
+const INTERVAL_MS = parseInt(process.env.TREND_INTERVAL_MS || '60000', 10);
+const BASELINE_WINDOWS = parseInt(process.env.TREND_BASELINE_WINDOWS || '24', 10);
+const Z_THRESHOLD = parseFloat(process.env.TREND_Z_THRESHOLD || '3');
+const MIN_COUNT = parseInt(process.env.TREND_MIN_COUNT || '5', 10);
+const MIN_RATIO = 2;
+// Windows persisted to trend_spikes on every pass
+const SPIKE_WINDOWS = (process.env.TREND_SPIKE_WINDOWS || '1h,6h')
+  .split(',')
+  .map((w) => w.trim())
+  .filter(Boolean);
+const BATCH_SIZE = 500;
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Window size in ms for "15m", "1h", "6h", "1d"... A whole number of buckets
+ * between BUCKET_MINUTES and 7 days.
+ * @param {string} window
+ * @returns {number}
+ */
+function parseWindow(window) {
+  const m = /^(\d+)([mhd])$/.exec(String(window || '').trim());
+  const ms = m ? parseInt(m[1], 10) * UNIT_MS[m[2]] : NaN;
+  if (!ms || ms % BUCKET_MS !== 0 || ms > 7 * UNIT_MS.d) {
+    throw badRequest(
+      `window must be a multiple of ${BUCKET_MINUTES}m up to 7d, e.g. 15m, 1h, 6h, 1d`
+    );
+  }
+  return ms;
+}
+
+function bucketOf(date) {
+  const t = new Date(date || Date.now()).getTime();
+  return new Date(Math.floor((Number.isNaN(t) ? Date.now() : t) / BUCKET_MS) * BUCKET_MS);
+}
+
+function fold(s) {
+  return String(s || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Hashtag terms of a text; the first spelling is kept as the label.
+ */
+function hashtagTerms(text) {
+  const terms = new Map();
+  for (const [, tag] of String(text || '').matchAll(
+    /(?:^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]{2,})/gu
+  )) {
+    if (/^\d+$/.test(tag)) continue;
+    const term = `#${fold(tag).replace(/ /g, '_')}`;
+    if (!terms.has(term)) terms.set(term, { kind: 'hashtag', term, label: `#${tag}` });
+  }
+  return [...terms.values()];
+}
+
+/**
+ * Entity, location and category terms of an enrichment.
+ */
+function enrichmentTerms(enrichment) {
+  const terms = new Map();
+  const add = (kind, term, label) => {
+    if (term && !terms.has(`${kind}|${term}`)) terms.set(`${kind}|${term}`, { kind, term, label });
+  };
+
+  for (const e of entitiesOf(enrichment.entities)) add('entity', `${e.type}:${e.key}`, e.name);
+
+  for (const loc of enrichment.locations || []) {
+    const label = loc.place || loc.country;
+    add('location', fold(label), label);
+  }
+
+  const category = fold(enrichment.category);
+  if (category && category !== 'unknown') add('category', category, enrichment.category);
+
+  return [...terms.values()];
+}
+
+/**
+ * Sum term mentions per bucket so one bulk write covers a whole batch.
+ */
+function collect(increments, terms, at) {
+  const bucketStart = bucketOf(at);
+  for (const t of terms) {
+    const key = `${t.kind}|${t.term}|${bucketStart.getTime()}`;
+    const existing = increments.get(key);
+    if (existing) existing.count += 1;
+    else increments.set(key, { ...t, bucketStart, count: 1 });
+  }
+}
+
+function round(n, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+class TrendDetectionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.spikeWindows = SPIKE_WINDOWS;
+  }
+
+  /**
+   * Validate a window string; throws a 400 error when unsupported.
+   */
+  parseWindow(window) {
+    return parseWindow(window);
+  }
+
+  /**
+   * Count mentions from tweets, live captures and enrichments not seen yet.
+   * @returns {Promise<{ tweets: number, live: number, enrichments: number, mentions: number }>}
+   */
+  async countPending() {
+    const result = { tweets: 0, live: 0, enrichments: 0, mentions: 0 };
+
+    for (;;) {
+      const increments = new Map();
+      const tweets = await trendRepo.getPendingTweets({ limit: BATCH_SIZE });
+      for (const doc of tweets) {
+        const text = [doc.title, doc.content, doc.text].filter(Boolean).join(' ');
+        collect(increments, hashtagTerms(text), doc.datetime || doc.publishedAt || doc.createdAt);
+      }
+
+      const live = await trendRepo.getPendingLive({ limit: BATCH_SIZE });
+      const counted = await trendRepo.getCountedTweetIds(live.map((d) => d.tweetId));
+      for (const doc of live) {
+        if (doc.tweetId && counted.has(doc.tweetId)) continue;
+        if (doc.tweetId) counted.add(doc.tweetId);
+        collect(
+          increments,
+          hashtagTerms(doc.text),
+          doc.tweetCreatedAt || doc.capturedAt || doc.createdAt
+        );
+      }
+
+      const enrichments = await trendRepo.getPendingEnrichments({ limit: BATCH_SIZE });
+      for (const doc of enrichments) {
+        collect(increments, enrichmentTerms(doc), doc.tweet_datetime || doc.createdAt);
+      }
+
+      // Buckets past retention would expire straight away
+      const oldest = Date.now() - RETENTION_MS;
+      const batch = [...increments.values()].filter((i) => i.bucketStart.getTime() >= oldest);
+      await trendRepo.incrementBuckets(batch);
+
+      if (tweets.length) await trendRepo.markTweetsCounted(tweets.map((d) => d._id));
+      if (live.length) await trendRepo.markLiveCounted(live.map((d) => d._id));
+      if (enrichments.length) await trendRepo.markEnrichmentsCounted(enrichments.map((d) => d._id));
+
+      result.tweets += tweets.length;
+      result.live += live.length;
+      result.enrichments += enrichments.length;
+      result.mentions += batch.reduce((sum, i) => sum + i.count, 0);
+
+      if (Math.max(tweets.length, live.length, enrichments.length) < BATCH_SIZE) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Terms ranked by how far the current window is above their baseline.
+   * @param {Object} params
+   * @param {string} [params.window='1h']
+   * @param {string} [params.kind] - entity | hashtag | location | category
+   * @param {boolean} [params.spikesOnly=false]
+   * @param {number} [params.limit=50]
+   * @param {Date} [params.at=now]
+   */
+  async getTrends({ window = '1h', kind, spikesOnly = false, limit = 50, at = new Date() } = {}) {
+    const windowMs = parseWindow(window);
+    // The current window ends with the bucket in progress
+    const end = new Date(bucketOf(at).getTime() + BUCKET_MS);
+    const baselineWindows = Math.max(
+      1,
+      Math.min(BASELINE_WINDOWS, Math.floor(RETENTION_MS / windowMs) - 1)
+    );
+
+    const rows = await trendRepo.getWindowCounts({
+      end,
+      windowMs,
+      windows: baselineWindows + 1,
+      kind,
+    });
+
+    const trends = [];
+    for (const row of rows) {
+      const count = row.counts['0'] || 0;
+      if (!count) continue;
+
+      const baseline = Array.from({ length: baselineWindows }, (_, i) => row.counts[i + 1] || 0);
+      const mean = baseline.reduce((s, v) => s + v, 0) / baseline.length;
+      const std = Math.sqrt(baseline.reduce((s, v) => s + (v - mean) ** 2, 0) / baseline.length);
+      const zScore = (count - mean) / Math.max(std, Math.sqrt(mean), 1);
+      const ratio = mean > 0 ? count / mean : null;
+      const spike =
+        count >= MIN_COUNT && zScore >= Z_THRESHOLD && (ratio === null || ratio >= MIN_RATIO);
+
+      if (spikesOnly && !spike) continue;
+      trends.push({
+        kind: row.kind,
+        term: row.term,
+        label: row.label,
+        count,
+        baselineMean: round(mean),
+        baselineStd: round(std),
+        zScore: round(zScore),
+        ratio: ratio === null ? null : round(ratio),
+        spike,
+      });
+    }
+
+    trends.sort((a, b) => b.zScore - a.zScore || b.count - a.count);
+
+    return {
+      window,
+      windowStart: new Date(end.getTime() - windowMs),
+      windowEnd: end,
+      baselineWindows,
+      trends: trends.slice(0, limit),
+    };
+  }
+
+  /**
+   * Persist current spikes for each SPIKE_WINDOWS window and close the ones
+   * that have subsided.
+   * @returns {Promise<Object<string, number>>} active spikes per window
+   */
+  async detectSpikes({ at = new Date() } = {}) {
+    const active = {};
+    for (const window of SPIKE_WINDOWS) {
+      const { trends } = await this.getTrends({ window, spikesOnly: true, limit: 200, at });
+
+      const keepIds = [];
+      for (const t of trends) {
+        const spike = await trendRepo.recordSpike({ ...t, window, at });
+        keepIds.push(spike._id);
+      }
+      await trendRepo.endSpikes({ window, keepIds, at });
+      active[window] = keepIds.length;
+    }
+    return active;
+  }
+
+  /**
+   * Count pending mentions, then detect spikes.
+   */
+  async runOnce() {
+    if (this.running) return { skipped: true };
+    this.running = true;
+
+    try {
+      const counted = await this.countPending();
+      const spikes = await this.detectSpikes();
+      return { ...counted, spikes };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run runOnce on an interval (TREND_INTERVAL_MS, 0 disables).
+   */
+  start() {
+    if (this.timer || INTERVAL_MS <= 0) return;
+
+    const tick = async () => {
+      try {
+        const r = await this.runOnce();
+        const surging = Object.values(r.spikes || {}).reduce((s, n) => s + n, 0);
+        if (r.mentions || surging) {
+          console.log(`📈 Trends: ${r.mentions} mentions counted, ${surging} active spikes`);
+        }
+      } catch (err) {
+        console.error('Trend detection failed:', err.message);
+      }
+      this.timer = setTimeout(tick, INTERVAL_MS);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new TrendDetectionService();
@@ -0,0 +1,309 @@
+// src/services/usageService.js
+//
+// Usage ledger for model calls, reports over it and per-organization monthly
+// budgets. The LLM layer (./llm) writes one row per call and checks the
+// budget before calling when it knows who the call is for.
+const prisma = require('../config/prisma');
+const { costOf } = require('./llm/pricing');
+const { LLMError } = require('./llm/errors');
+
+const USER_ORG_TTL_MS = 5 * 60 * 1000;
+
+// groupBy -> SQL key expression over usage_records
+const GROUPINGS = {
+  day: `to_char(date_trunc('day', "createdAt"), 'YYYY-MM-DD')`,
+  user: `"userId"`,
+  org: `"organizationId"`,
+  task: `"task"`,
+  model: `"model"`,
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function startOfMonth(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+class UsageService {
+  constructor() {
+    this.userOrgs = new Map(); // userId -> { organizationId, at }
+  }
+
+  async organizationOf(userId) {
+    const cached = this.userOrgs.get(userId);
+    if (cached && Date.now() - cached.at < USER_ORG_TTL_MS) return cached.organizationId;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { organizationId: true },
+    });
+    const organizationId = user?.organizationId ?? null;
+    this.userOrgs.set(userId, { organizationId, at: Date.now() });
+    return organizationId;
+  }
+
+  /**
+   * Fill in the organization of a usage context from its user.
+   * @param {{ userId?: number, organizationId?: number, documentId?: string, videoId?: string }} [usage]
+   */
+  async resolveContext(usage = {}) {
+    if (usage.organizationId !== undefined || !usage.userId) return usage;
+    return { ...usage, organizationId: await this.organizationOf(usage.userId) };
+  }
+
+  /**
+   * Spend of an organization since the start of the current UTC month.
+   * @returns {Promise<number>} USD
+   */
+  async monthSpend(organizationId) {
+    const { _sum } = await prisma.usageRecord.aggregate({
+      where: { organizationId, createdAt: { gte: startOfMonth() } },
+      _sum: { costUsd: true },
+    });
+    return toNumber(_sum.costUsd) || 0;
+  }
+
+  /**
+   * Throw BUDGET_EXCEEDED when the context's organization has spent its
+   * monthly budget.
+   * @returns {Promise<Object>} the resolved context
+   */
+  async assertWithinBudget(usage) {
+    const context = await this.resolveContext(usage);
+    if (!context.organizationId) return context;
+
+    const org = await prisma.organization.findUnique({
+      where: { id: context.organizationId },
+      select: { name: true, monthlyBudgetUsd: true },
+    });
+    const budget = toNumber(org?.monthlyBudgetUsd);
+    if (budget === null) return context;
+
+    const spent = await this.monthSpend(context.organizationId);
+    if (spent >= budget) {
+      throw new LLMError(
+        `Monthly LLM budget of $${budget.toFixed(2)} reached for ${org.name} ($${spent.toFixed(2)} spent)`,
+        { code: 'BUDGET_EXCEEDED' }
+      );
+    }
+    return context;
+  }
+
+  /**
+   * Write one ledger row. Never throws: metering must not fail the call.
+   * @param {Object} entry
+   * @param {Object} [entry.usage] - { userId, organizationId, documentId, videoId }
+   * @param {string} entry.task
+   * @param {string} entry.kind - chat | image | speech
+   * @param {string} entry.provider
+   * @param {string} entry.model
+   * @param {number} entry.latencyMs
+   * @param {Object} [entry.units] - promptTokens, completionTokens, totalTokens,
+   *   characters, images, size, quality
+   * @param {string} [entry.requestId]
+   * @param {string} [entry.errorCode] - set for failed calls
+   */
+  async record({
+    usage,
+    task,
+    kind,
+    provider,
+    model,
+    latencyMs,
+    units = {},
+    requestId,
+    errorCode,
+  }) {
+    try {
+      const context = await this.resolveContext(usage);
+      const billable = errorCode ? {} : units;
+      const cost = costOf({ model, ...billable });
+
+      await prisma.usageRecord.create({
+        data: {
+          userId: context.userId ?? null,
+          organizationId: context.organizationId ?? null,
+          documentId: context.documentId ?? null,
+          videoId: context.videoId ?? null,
+          task,
+          kind,
+          provider,
+          model,
+          promptTokens: billable.promptTokens || 0,
+          completionTokens: billable.completionTokens || 0,
+          totalTokens: billable.totalTokens || 0,
+          characters: billable.characters || 0,
+          images: billable.images || 0,
+          latencyMs: Math.round(latencyMs),
+          costUsd: cost ?? 0,
+          priced: cost !== null,
+          success: !errorCode,
+          errorCode: errorCode || null,
+          requestId: requestId || null,
+        },
+      });
+    } catch (err) {
+      console.warn(`⚠️ Failed to record LLM usage for ${task}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Aggregate the ledger.
+   * @param {Object} params
+   * @param {'day'|'user'|'org'|'task'|'model'} params.groupBy
+   * @param {Date} params.from
+   * @param {Date} params.to
+   * @param {number} [params.userId]
+   * @param {number} [params.organizationId]
+   * @param {string} [params.task]
+   */
+  async report({ groupBy, from, to, userId, organizationId, task }) {
+    const keyExpr = GROUPINGS[groupBy];
+    if (!keyExpr) {
+      throw httpError(400, `groupBy must be one of: ${Object.keys(GROUPINGS).join(', ')}`);
+    }
+
+    const params = [from, to];
+    const where = [`"createdAt" >= $1`, `"createdAt" < $2`];
+    for (const [column, value] of [
+      ['userId', userId],
+      ['organizationId', organizationId],
+      ['task', task],
+    ]) {
+      if (value === undefined || value === null) continue;
+      params.push(value);
+      where.push(`"${column}" = $${params.length}`);
+    }
+
+    const rows = await prisma.$queryRawUnsafe(
+      `SELECT ${keyExpr} AS "key",
+              COUNT(*)::int AS "calls",
+              (COUNT(*) FILTER (WHERE NOT "success"))::int AS "failed",
+              COALESCE(SUM("promptTokens"), 0)::bigint AS "promptTokens",
+              COALESCE(SUM("completionTokens"), 0)::bigint AS "completionTokens",
+              COALESCE(SUM("characters"), 0)::bigint AS "characters",
+              COALESCE(SUM("images"), 0)::int AS "images",
+              COALESCE(SUM("costUsd"), 0)::float8 AS "costUsd",
+              ROUND(AVG("latencyMs"))::int AS "avgLatencyMs"
+         FROM "usage_records"
+        WHERE ${where.join(' AND ')}
+        GROUP BY 1
+        ORDER BY ${groupBy === 'day' ? '1 ASC' : '"costUsd" DESC'}`,
+      ...params
+    );
+
+    const items = rows.map((row) => ({
+      ...row,
+      promptTokens: Number(row.promptTokens),
+      completionTokens: Number(row.completionTokens),
+      characters: Number(row.characters),
+    }));
+    await this.attachLabels(groupBy, items);
+
+    const totals = items.reduce(
+      (sum, row) => {
+        for (const k of Object.keys(sum)) sum[k] += row[k];
+        return sum;
+      },
+      {
+        calls: 0,
+        failed: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        characters: 0,
+        images: 0,
+        costUsd: 0,
+      }
+    );
+
+    return { groupBy, from, to, totals, items };
+  }
+
+  // Names for user and organization keys
+  async attachLabels(groupBy, items) {
+    const ids = items.map((row) => row.key).filter((id) => id !== null);
+    if (!ids.length || (groupBy !== 'user' && groupBy !== 'org')) return;
+
+    const labels = new Map();
+    if (groupBy === 'user') {
+      const users = await prisma.user.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, firstName: true, lastName: true, email: true },
+      });
+      for (const u of users) labels.set(u.id, `${u.firstName} ${u.lastName} <${u.email}>`);
+    } else {
+      const orgs = await prisma.organization.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, name: true },
+      });
+      for (const o of orgs) labels.set(o.id, o.name);
+    }
+    for (const row of items) row.label = labels.get(row.key) ?? null;
+  }
+
+  /**
+   * Monthly budget and current-month spend of organizations.
+   * @param {number[]} [organizationIds] - all organizations when omitted
+   */
+  async listBudgets(organizationIds) {
+    const orgs = await prisma.organization.findMany({
+      where: organizationIds ? { id: { in: organizationIds } } : {},
+      select: { id: true, name: true, slug: true, monthlyBudgetUsd: true },
+      orderBy: { name: 'asc' },
+    });
+
+    const since = startOfMonth();
+    const spend = await prisma.usageRecord.groupBy({
+      by: ['organizationId'],
+      where: { organizationId: { in: orgs.map((o) => o.id) }, createdAt: { gte: since } },
+      _sum: { costUsd: true },
+    });
+    const spentByOrg = new Map(spend.map((s) => [s.organizationId, toNumber(s._sum.costUsd)]));
+
+    return orgs.map((org) => {
+      const budget = toNumber(org.monthlyBudgetUsd);
+      const spent = spentByOrg.get(org.id) || 0;
+      return {
+        organizationId: org.id,
+        name: org.name,
+        slug: org.slug,
+        monthlyBudgetUsd: budget,
+        spentUsd: spent,
+        remainingUsd: budget === null ? null : Math.max(0, budget - spent),
+        exceeded: budget !== null && spent >= budget,
+        periodStart: since,
+      };
+    });
+  }
+
+  /**
+   * @param {number} organizationId
+   * @param {number|null} monthlyBudgetUsd - null removes the cap
+   */
+  async setBudget(organizationId, monthlyBudgetUsd) {
+    if (monthlyBudgetUsd !== null) {
+      const amount = Number(monthlyBudgetUsd);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw httpError(400, 'monthlyBudgetUsd must be a non-negative number or null');
+      }
+      monthlyBudgetUsd = amount;
+    }
+
+    const org = await prisma.organization.findUnique({ where: { id: organizationId } });
+    if (!org) throw httpError(404, 'Organization not found');
+
+    await prisma.organization.update({ where: { id: organizationId }, data: { monthlyBudgetUsd } });
+    const [budget] = await this.listBudgets([organizationId]);
+    return budget;
+  }
+}
+
+module.exports = new UsageService();
@@ -1,10 +1,6 @@
-const OpenAI = require('openai');
 const prisma = require('../config/prisma');
 const s3Service = require('./s3Service');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const llm = require('./llm');
 
 class VideoAssetService {
   /**
@@ -79,14 +75,16 @@ class VideoAssetService {
   }
 
   /**
-   * Generate image using DALL-E with retry logic for content filter blocks
+   * Generate image (LLM task `video.image`), sanitizing the prompt when it is
+   * blocked by the content filter. Transient failures are retried by the LLM layer.
    * @param {Object} params
    * @param {string} params.prompt - Image prompt
    * @param {string} [params.size] - Image size (1024x1024, 1792x1024, 1024x1792)
-   * @param {number} [params.maxRetries] - Maximum retry attempts
+   * @param {number} [params.maxRetries] - Maximum sanitized-prompt retries
+   * @param {Object} [params.usage] - Usage ledger context ({ userId, videoId })
    * @returns {Promise<Object>} Image data with buffer and metadata
    */
-  async generateImage({ prompt, size = '1024x1024', maxRetries = 3 }) {
+  async generateImage({ prompt, size = '1024x1024', maxRetries = 3, usage }) {
     let lastError = null;
     let currentPrompt = prompt;
 
@@ -94,35 +92,33 @@ class VideoAssetService {
       try {
         console.log(`Image generation attempt ${attempt + 1}/${maxRetries + 1} with prompt: "${currentPrompt.substring(0, 100)}..."`);
 
-        const response = await openai.images.generate({
-          model: 'dall-e-3',
+        const image = await llm.image('video.image', {
           prompt: currentPrompt,
-          n: 1,
           size: size,
           quality: 'hd',
-          response_format: 'url',
+          usage,
         });
 
-        const imageData = response.data[0];
-        const imageUrl = imageData.url;
-
-        // Download the image
-        const imageResponse = await fetch(imageUrl);
-        if (!imageResponse.ok) {
-          throw new Error(`Failed to download image: ${imageResponse.statusText}`);
+        let buffer;
+        if (image.b64) {
+          buffer = Buffer.from(image.b64, 'base64');
+        } else {
+          // Download the image
+          const imageResponse = await fetch(image.url);
+          if (!imageResponse.ok) {
+            throw new Error(`Failed to download image: ${imageResponse.statusText}`);
+          }
+          buffer = Buffer.from(await imageResponse.arrayBuffer());
         }
 
-        const arrayBuffer = await imageResponse.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-
         if (attempt > 0) {
           console.log(`Image generation succeeded on retry ${attempt} with sanitized prompt`);
         }
 
         return {
           buffer,
-          revisedPrompt: imageData.revised_prompt,
-          model: 'dall-e-3',
+          revisedPrompt: image.revisedPrompt,
+          model: image.model,
           originalPrompt: prompt,
           usedPrompt: currentPrompt,
           retryAttempt: attempt,
@@ -131,76 +127,54 @@ class VideoAssetService {
         lastError = error;
         console.error(`Image generation attempt ${attempt + 1} failed:`, error.message);
 
-        // Check if it's a content filter block (400 error)
-        const isContentFilter = error.status === 400 ||
+        // Check if it's a content filter block
+        const isContentFilter = error.code === 'CONTENT_FILTER' ||
           error.message?.includes('content') ||
           error.message?.includes('filter') ||
           error.message?.includes('policy') ||
           error.message?.includes('blocked');
 
-        if (isContentFilter && attempt < maxRetries) {
-          // Sanitize prompt with increasing aggressiveness
-          const sanitizationLevel = attempt + 1;
-          currentPrompt = this.sanitizePrompt(prompt, sanitizationLevel);
-          console.log(`Content filter detected. Retrying with sanitization level ${sanitizationLevel}`);
-        } else if (attempt < maxRetries) {
-          // For other errors, wait briefly and retry with same prompt
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } else {
-          // Max retries reached
-          break;
-        }
+        if (!isContentFilter || attempt >= maxRetries) break;
+
+        // Sanitize prompt with increasing aggressiveness
+        const sanitizationLevel = attempt + 1;
+        currentPrompt = this.sanitizePrompt(prompt, sanitizationLevel);
+        console.log(`Content filter detected. Retrying with sanitization level ${sanitizationLevel}`);
       }
     }
 
-    throw new Error(`Image generation failed after ${maxRetries + 1} attempts: ${lastError?.message}`);
+    lastError.message = `Image generation failed: ${lastError.message}`;
+    throw lastError;
   }
 
   /**
-   * Generate audio using OpenAI TTS with retry logic
+   * Generate audio (LLM task `video.speech`)
    * @param {Object} params
    * @param {string} params.text - Text to convert to speech
    * @param {string} [params.voice] - Voice to use
    * @param {number} [params.maxRetries] - Maximum retry attempts
+   * @param {Object} [params.usage] - Usage ledger context ({ userId, videoId })
    * @returns {Promise<Object>} Audio data with buffer and metadata
    */
-  async generateAudio({ text, voice = 'alloy', maxRetries = 3 }) {
-    let lastError = null;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`Audio generation attempt ${attempt + 1}/${maxRetries + 1}`);
-
-        const mp3 = await openai.audio.speech.create({
-          model: 'tts-1-hd',
-          voice: voice,
-          input: text,
-        });
-
-        const arrayBuffer = await mp3.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-
-        if (attempt > 0) {
-          console.log(`Audio generation succeeded on retry ${attempt}`);
-        }
-
-        return {
-          buffer,
-          voice,
-          model: 'tts-1-hd',
-        };
-      } catch (error) {
-        lastError = error;
-        console.error(`Audio generation attempt ${attempt + 1} failed:`, error.message);
+  async generateAudio({ text, voice = 'alloy', maxRetries = 3, usage }) {
+    try {
+      const speech = await llm.speech('video.speech', {
+        voice,
+        input: text,
+        retries: maxRetries,
+        usage,
+      });
 
-        if (attempt < maxRetries) {
-          // Wait briefly before retry
-          await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
-        }
-      }
+      return {
+        buffer: speech.buffer,
+        mimeType: speech.mimeType,
+        voice,
+        model: speech.model,
+      };
+    } catch (error) {
+      error.message = `Audio generation failed after ${error.attempts || 1} attempts: ${error.message}`;
+      throw error;
     }
-
-    throw new Error(`Audio generation failed after ${maxRetries + 1} attempts: ${lastError?.message}`);
   }
 
   /**
@@ -209,9 +183,10 @@ class VideoAssetService {
    * @param {string} params.videoId - Video UUID
    * @param {Object} params.scene - Scene object from video plan
    * @param {string} [params.aspectRatio] - Aspect ratio for sizing
+   * @param {number} [params.userId] - Owner the generation is billed to
    * @returns {Promise<Object>} Created VideoImage record
    */
-  async generateAndStoreImage({ videoId, scene, aspectRatio = '16:9' }) {
+  async generateAndStoreImage({ videoId, scene, aspectRatio = '16:9', userId }) {
     const { sceneNumber, imagePrompt } = scene;
 
     // Map aspect ratio to DALL-E size
@@ -227,6 +202,7 @@ class VideoAssetService {
       const { buffer, revisedPrompt, model } = await this.generateImage({
         prompt: imagePrompt,
         size,
+        usage: { userId, videoId },
       });
 
       // Upload to S3
@@ -286,9 +262,10 @@ class VideoAssetService {
    * @param {string} params.videoId - Video UUID
    * @param {Object} params.scene - Scene object from video plan
    * @param {string} [params.voice] - OpenAI voice name
+   * @param {number} [params.userId] - Owner the generation is billed to
    * @returns {Promise<Object>} Created VideoAudio record
    */
-  async generateAndStoreAudio({ videoId, scene, voice = 'alloy' }) {
+  async generateAndStoreAudio({ videoId, scene, voice = 'alloy', userId }) {
     const { sceneNumber, narration } = scene;
 
     // Skip if no narration
@@ -298,9 +275,10 @@ class VideoAssetService {
 
     try {
       // Generate audio
-      const { buffer, voice: usedVoice, model } = await this.generateAudio({
+      const { buffer, mimeType, voice: usedVoice, model } = await this.generateAudio({
         text: narration,
         voice,
+        usage: { userId, videoId },
       });
 
       // Upload to S3
@@ -323,7 +301,7 @@ class VideoAssetService {
           s3Key,
           s3Url,
           fileSize: buffer.length,
-          mimeType: 'audio/mpeg',
+          mimeType,
           voice: usedVoice,
           model,
         },
@@ -426,6 +404,7 @@ class VideoAssetService {
           videoId,
           scene,
           aspectRatio,
+          userId: video.ownerUserId,
         });
 
         if (imageRecord.errorMessage) {
@@ -473,6 +452,7 @@ class VideoAssetService {
             videoId,
             scene,
             voice: openaiVoice,
+            userId: video.ownerUserId,
           });
 
           if (audioRecord) {
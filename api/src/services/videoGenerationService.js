@@ -1,12 +1,8 @@
-const OpenAI = require('openai');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const llm = require('./llm');
 
 class VideoGenerationService {
   /**
-   * Build the system message for OpenAI video generation
+   * Build the system message for video generation
    * @returns {string} System message
    */
   buildSystemMessage() {
@@ -147,12 +143,13 @@ SCENE GUIDELINES:
   }
 
   /**
-   * Generate video plan using OpenAI
+   * Generate video plan (LLM task `video.plan`)
    * @param {Object} params - Generation parameters
+   * @param {Object} [params.usage] - Usage ledger context ({ userId, videoId })
    * @returns {Promise<Object>} Generated video plan and metadata
    */
   async generateVideoPlan(params) {
-    const { sourceType, sourceText, sourceUrl, generationInputs } = params;
+    const { sourceType, sourceText, sourceUrl, generationInputs, usage } = params;
 
     const systemMessage = this.buildSystemMessage();
     const userPrompt = this.buildUserPrompt({
@@ -163,25 +160,27 @@ SCENE GUIDELINES:
     });
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: generationInputs.model || 'gpt-4o',
+      const completion = await llm.chat('video.plan', {
+        model: generationInputs.model,
         messages: [
           { role: 'system', content: systemMessage },
           { role: 'user', content: userPrompt }
         ],
-        temperature: generationInputs.temperature || 0.7,
-        response_format: { type: 'json_object' }
+        temperature: generationInputs.temperature || undefined,
+        json: true,
+        usage
       });
 
-      const videoPlan = JSON.parse(completion.choices[0].message.content);
+      const videoPlan = completion.json;
 
       const llmMetadata = {
         model: completion.model,
-        promptTokens: completion.usage.prompt_tokens,
-        completionTokens: completion.usage.completion_tokens,
-        totalTokens: completion.usage.total_tokens,
-        requestId: completion.id,
-        finishReason: completion.choices[0].finish_reason,
+        provider: completion.provider,
+        promptTokens: completion.usage?.promptTokens,
+        completionTokens: completion.usage?.completionTokens,
+        totalTokens: completion.usage?.totalTokens,
+        requestId: completion.requestId,
+        finishReason: completion.finishReason,
         generatedAt: new Date().toISOString()
       };
 
@@ -190,8 +189,9 @@ SCENE GUIDELINES:
         llmMetadata
       };
     } catch (error) {
-      console.error('OpenAI API error:', error);
-      throw new Error(`Failed to generate video plan: ${error.message}`);
+      console.error('LLM error:', error);
+      error.message = `Failed to generate video plan: ${error.message}`;
+      throw error;
     }
   }
 
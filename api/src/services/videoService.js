@@ -65,7 +65,8 @@ class VideoService {
         sourceType,
         sourceText,
         sourceUrl,
-        generationInputs
+        generationInputs,
+        usage: { userId, videoId }
       });
 
       // Validate the plan
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// alert_deliveries in memory, for the filters deliverPending uses
+const rows = [];
+
+function matches(row, where) {
+  return Object.entries(where).every(([field, cond]) => {
+    if (cond === null || typeof cond !== 'object') return row[field] === cond;
+    if ('in' in cond) return cond.in.includes(row[field]);
+    if ('lte' in cond) return row[field] !== null && row[field] <= cond.lte;
+    if ('lt' in cond) return row[field] !== null && row[field] < cond.lt;
+    throw new Error(`Unsupported filter on ${field}`);
+  });
+}
+
+const alertDelivery = {
+  async findMany({ where, take }) {
+    return rows
+      .filter((r) => matches(r, where))
+      .slice(0, take)
+      .map((r) => ({ ...r }));
+  },
+  async updateMany({ where, data }) {
+    const hit = rows.filter((r) => matches(r, where));
+    hit.forEach((r) => Object.assign(r, data));
+    return { count: hit.length };
+  },
+  async update({ where, data }) {
+    const row = rows.find((r) => r.id === where.id);
+    Object.assign(row, data);
+    return { ...row };
+  },
+};
+
+require.cache[require.resolve('../src/config/prisma')] = {
+  exports: { alertDelivery },
+};
+
+const alertService = require('../src/services/alertService');
+const { getChannel } = require('../src/services/alertChannels');
+
+function pending(id, extra = {}) {
+  return {
+    id,
+    channel: 'IN_APP',
+    status: 'PENDING',
+    attempts: 0,
+    nextAttemptAt: new Date(Date.now() - 1000),
+    claimedBy: null,
+    claimedUntil: null,
+    ...extra,
+  };
+}
+
+test('two processes delivering at once send each alert once', async (t) => {
+  rows.splice(0, rows.length, pending('a'), pending('b'), pending('c'));
+  const sent = [];
+  t.mock.method(getChannel('IN_APP'), 'send', async (delivery) => {
+    sent.push(delivery.id);
+    await new Promise((resolve) => setImmediate(resolve));
+  });
+
+  const other = new alertService.constructor();
+  const [mine, theirs] = await Promise.all([alertService.deliverPending(), other.deliverPending()]);
+
+  assert.deepEqual(sent.sort(), ['a', 'b', 'c']);
+  assert.equal(mine.sent + theirs.sent, 3);
+  assert.ok(rows.every((r) => r.status === 'SENT' && r.claimedBy === null));
+});
+
+test('a delivery claimed by a process that died is taken over once its claim expires', async (t) => {
+  rows.splice(
+    0,
+    rows.length,
+    pending('live', {
+      status: 'SENDING',
+      claimedBy: 'elsewhere',
+      claimedUntil: new Date(Date.now() + 60000),
+    }),
+    pending('dead', {
+      status: 'SENDING',
+      claimedBy: 'elsewhere',
+      claimedUntil: new Date(Date.now() - 1000),
+    })
+  );
+  const send = t.mock.method(getChannel('IN_APP'), 'send', async () => {});
+
+  const result = await alertService.deliverPending();
+
+  assert.equal(result.sent, 1);
+  assert.equal(send.mock.calls[0].arguments[0].id, 'dead');
+  assert.equal(rows[0].status, 'SENDING');
+  assert.equal(rows[1].status, 'SENT');
+});
+
+test('a failed send releases the claim and schedules a retry', async (t) => {
+  rows.splice(0, rows.length, pending('a'));
+  t.mock.method(getChannel('IN_APP'), 'send', async () => {
+    throw new Error('down');
+  });
+
+  const result = await alertService.deliverPending();
+
+  assert.deepEqual(result, { sent: 0, retrying: 1, failed: 0 });
+  assert.equal(rows[0].status, 'PENDING');
+  assert.equal(rows[0].claimedBy, null);
+  assert.equal(rows[0].lastError, 'down');
+  assert.ok(rows[0].nextAttemptAt > new Date());
+});
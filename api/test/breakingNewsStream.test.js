@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const streamService = require('../src/services/breakingNewsStreamService');
+const controller = require('../src/controllers/breakingNewsController');
+
+const START = Math.floor(Date.parse('2026-10-01T00:00:00Z') / 1000);
+
+// A breaking_news backlog of `total` tweets, one second apart
+function backlog(t, total) {
+  t.mock.method(streamService, 'subscribe', () => () => {});
+  t.mock.method(streamService, 'fetchAfter', async (type, pos, limit) => {
+    const from = pos ? pos.id.getTimestamp().getTime() / 1000 - START + 1 : 0;
+    const count = Math.max(0, Math.min(limit, total - from));
+    return Array.from({ length: count }, (_, i) => ({
+      _id: mongoose.Types.ObjectId.createFromTime(START + from + i),
+    }));
+  });
+}
+
+async function stream() {
+  const chunks = [];
+  let close = null;
+  const req = {
+    query: { types: 'breaking_news', since: '2026-10-01T00:00:00Z' },
+    header: () => undefined,
+    on: (event, fn) => {
+      if (event === 'close') close = fn;
+    },
+  };
+  const res = {
+    status: () => res,
+    set: () => res,
+    flushHeaders: () => {},
+    write: (chunk) => chunks.push(chunk),
+  };
+
+  await controller.streamBreakingNews(req, res, assert.fail);
+  close();
+
+  return chunks
+    .filter((c) => c.startsWith('id: '))
+    .map((c) => {
+      const [id, event, data] = c.trim().split('\n');
+      return { id: id.slice(4), event: event.slice(7), data: JSON.parse(data.slice(6)) };
+    });
+}
+
+test('a backlog within the cap is replayed without a reset', async (t) => {
+  backlog(t, 450);
+
+  const events = await stream();
+
+  // The first tweet sits exactly at `since`, so it is not new
+  assert.equal(events.length, 449);
+  assert.ok(events.every((e) => e.event === 'breaking_news'));
+});
+
+test('a backlog past the cap ends the replay with a reset from now on', async (t) => {
+  backlog(t, 5000);
+  const before = Date.now();
+
+  const events = await stream();
+
+  assert.equal(events.length, 1001);
+  const reset = events.at(-1);
+  assert.equal(reset.event, 'reset');
+  assert.deepEqual(reset.data, { types: ['breaking_news'] });
+
+  const { breaking_news: resumeAt } = streamService.decodeEventId(reset.id);
+  assert.ok(resumeAt.id.getTimestamp().getTime() >= Math.floor(before / 1000) * 1000);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, nextRun, upcomingRuns, countRuns } = require('../src/services/cronService');
+
+const at = (iso) => new Date(iso);
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+test('parseCron reads lists, ranges, steps and names', () => {
+  const c = parseCron('5-59/15 9,17 * JAN-mar mon-FRI');
+  assert.deepEqual([...c.minutes], [5, 20, 35, 50]);
+  assert.deepEqual([...c.hours], [9, 17]);
+  assert.deepEqual([...c.months], [1, 2, 3]);
+  assert.deepEqual([...c.weekdays], [1, 2, 3, 4, 5]);
+  assert.equal(c.anyDay, true);
+  assert.equal(c.anyWeekday, false);
+
+  // n/step runs to the end of the field; weekday 7 is Sunday
+  assert.deepEqual([...parseCron('10/20 * * * 7').minutes], [10, 30, 50]);
+  assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+});
+
+test('parseCron expands the @ shorthands', () => {
+  assert.equal(
+    nextRun('@hourly', at('2026-10-19T10:15:00Z')).toISOString(),
+    '2026-10-19T11:00:00.000Z'
+  );
+  assert.equal(
+    nextRun('@daily', at('2026-10-19T10:15:00Z')).toISOString(),
+    '2026-10-20T00:00:00.000Z'
+  );
+  assert.equal(
+    nextRun('@weekly', at('2026-10-19T10:15:00Z')).toISOString(),
+    '2026-10-25T00:00:00.000Z'
+  );
+  assert.equal(
+    nextRun('@monthly', at('2026-10-19T10:15:00Z')).toISOString(),
+    '2026-11-01T00:00:00.000Z'
+  );
+  assert.equal(
+    nextRun('@yearly', at('2026-10-19T10:15:00Z')).toISOString(),
+    '2027-01-01T00:00:00.000Z'
+  );
+});
+
+test('parseCron rejects invalid expressions with a 400', () => {
+  for (const expression of [
+    '',
+    '* * * *',
+    '* * * * * *',
+    '60 * * * *',
+    '* 24 * * *',
+    '* * 0 * *',
+    '* * * 13 *',
+    '* * * * 8',
+    '*/0 * * * *',
+    '5-1 * * * *',
+    '* * * foo *',
+    'a b c d e',
+  ]) {
+    assert.throws(
+      () => parseCron(expression),
+      (err) => err.status === 400,
+      expression
+    );
+  }
+});
+
+test('nextRun fires strictly after the given time', () => {
+  assert.equal(
+    nextRun('*/15 * * * *', at('2026-10-19T10:15:00Z')).toISOString(),
+    '2026-10-19T10:30:00.000Z'
+  );
+  assert.equal(
+    nextRun('*/15 * * * *', at('2026-10-19T10:14:59Z')).toISOString(),
+    '2026-10-19T10:15:00.000Z'
+  );
+  // Rolls over the hour, day, month and year
+  assert.equal(
+    nextRun('30 2 * * *', at('2026-12-31T23:59:00Z')).toISOString(),
+    '2027-01-01T02:30:00.000Z'
+  );
+});
+
+test('day-of-month and day-of-week match either when both are restricted', () => {
+  // The 13th, and every Friday
+  assert.deepEqual(iso(upcomingRuns('0 0 13 * 5', 3, at('2026-10-19T00:00:00Z'))), [
+    '2026-10-23T00:00:00.000Z',
+    '2026-10-30T00:00:00.000Z',
+    '2026-11-06T00:00:00.000Z',
+  ]);
+  assert.equal(
+    nextRun('0 0 13 * 5', at('2026-11-10T00:00:00Z')).toISOString(),
+    '2026-11-13T00:00:00.000Z'
+  );
+  // Only one restricted: that one decides
+  assert.equal(
+    nextRun('0 0 13 * *', at('2026-10-19T00:00:00Z')).toISOString(),
+    '2026-11-13T00:00:00.000Z'
+  );
+  assert.equal(
+    nextRun('0 0 * * 5', at('2026-10-19T00:00:00Z')).toISOString(),
+    '2026-10-23T00:00:00.000Z'
+  );
+});
+
+test('nextRun finds leap days and gives up on dates that never come', () => {
+  assert.equal(
+    nextRun('0 0 29 2 *', at('2026-10-19T00:00:00Z')).toISOString(),
+    '2028-02-29T00:00:00.000Z'
+  );
+  assert.equal(nextRun('0 0 31 2 *', at('2026-10-19T00:00:00Z')), null);
+});
+
+test('upcomingRuns and countRuns step through fire times', () => {
+  assert.deepEqual(iso(upcomingRuns('0 9,17 * * 1-5', 3, at('2026-10-23T12:00:00Z'))), [
+    '2026-10-23T17:00:00.000Z',
+    '2026-10-26T09:00:00.000Z',
+    '2026-10-26T17:00:00.000Z',
+  ]);
+  assert.deepEqual(upcomingRuns('0 0 31 2 *', 3, at('2026-10-19T00:00:00Z')), []);
+
+  // (from, to]: the run at `from` is not counted, the one at `to` is
+  assert.equal(
+    countRuns('*/10 * * * *', at('2026-10-19T10:00:00Z'), at('2026-10-19T11:00:00Z')),
+    6
+  );
+  assert.equal(
+    countRuns('* * * * *', at('2026-10-19T00:00:00Z'), at('2026-10-20T00:00:00Z'), 50),
+    50
+  );
+});
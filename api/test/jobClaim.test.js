@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Job = require('../src/models/Job');
+const jobsRepo = require('../src/mongo/jobEntry');
+
+// Mongoose queries as the repo chains them
+function query(result) {
+  const q = {
+    lean: () => q,
+    exec: async () => {
+      if (result instanceof Error) throw result;
+      return result;
+    },
+  };
+  return q;
+}
+
+function busySlots(t, slots) {
+  return t.mock.method(Job, 'find', () => query(slots.map((slot) => ({ lease: { slot } }))));
+}
+
+test('claimNext takes the lowest free slot and leases the oldest due job', async (t) => {
+  const find = busySlots(t, [0, 2]);
+  const update = t.mock.method(Job, 'findOneAndUpdate', () => query({ _id: 'j1' }));
+
+  const before = Date.now();
+  const job = await jobsRepo.claimNext({
+    type: 'twitterscraper',
+    owner: 'w1',
+    slots: 3,
+    leaseMs: 60000,
+  });
+
+  assert.deepEqual(job, { _id: 'j1' });
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    type: 'twitterscraper',
+    status: 'running',
+    'lease.slot': { $exists: true },
+  });
+
+  const [filter, change, options] = update.mock.calls[0].arguments;
+  assert.equal(filter.type, 'twitterscraper');
+  assert.equal(filter.status, 'queued');
+  assert.ok(filter.runAt.$lte.getTime() >= before);
+  assert.equal(change.$set.status, 'running');
+  assert.equal(change.$set.lease.owner, 'w1');
+  assert.equal(change.$set.lease.slot, 1);
+  assert.equal(change.$set.lease.expiresAt - change.$set.startedAt, 60000);
+  assert.deepEqual(change.$inc, { attempts: 1 });
+  assert.deepEqual(options.sort, { runAt: 1, createdAt: 1 });
+});
+
+test('claimNext returns null without querying when every slot is busy', async (t) => {
+  busySlots(t, [0, 1]);
+  const update = t.mock.method(Job, 'findOneAndUpdate', () => query({ _id: 'j1' }));
+
+  const job = await jobsRepo.claimNext({ type: 'x', owner: 'w1', slots: 2, leaseMs: 1000 });
+
+  assert.equal(job, null);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('claimNext returns null when another worker took the slot first', async (t) => {
+  busySlots(t, []);
+  t.mock.method(Job, 'findOneAndUpdate', () =>
+    query(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+  );
+
+  const job = await jobsRepo.claimNext({ type: 'x', owner: 'w2', slots: 1, leaseMs: 1000 });
+
+  assert.equal(job, null);
+});
+
+test('claimNext passes on other errors', async (t) => {
+  busySlots(t, []);
+  t.mock.method(Job, 'findOneAndUpdate', () => query(new Error('not primary')));
+
+  await assert.rejects(
+    jobsRepo.claimNext({ type: 'x', owner: 'w2', slots: 1, leaseMs: 1000 }),
+    /not primary/
+  );
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const registry = require('../src/services/jobTypeRegistry');
+
+test('clear-mongo-data is editor-only and passes its confirmation to the script', () => {
+  const definition = registry.getJobType('clear-mongo-data');
+  assert.equal(definition.requiredRole, 'EDITOR');
+  assert.equal(definition.destructive, true);
+
+  assert.throws(
+    () => registry.validatePayload('clear-mongo-data', {}),
+    (err) => err.status === 400 && /confirm/.test(err.message)
+  );
+  const payload = registry.validatePayload('clear-mongo-data', { confirm: 'global' });
+  assert.deepEqual(registry.buildCommand('clear-mongo-data', payload).env, {
+    CLEAR_CONFIRM: 'global',
+  });
+});
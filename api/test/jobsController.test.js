@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const jobsRepo = require('../src/mongo/jobEntry');
+const jobQueue = require('../src/services/jobQueueService');
+const jobTypeRegistry = require('../src/services/jobTypeRegistry');
+const controller = require('../src/controllers/jobsController');
+
+function response() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+function editorOnly(t) {
+  t.mock.method(jobTypeRegistry, 'getJobType', (type) =>
+    type === 'purge' ? { requiredRole: 'EDITOR' } : { requiredRole: null }
+  );
+  t.mock.method(jobsRepo, 'getById', async (id) => ({ _id: id, type: 'purge' }));
+}
+
+test('a writer cannot re-run a job of an editor-only type', async (t) => {
+  editorOnly(t);
+  const rerun = t.mock.method(jobQueue, 'rerun', async () => ({ _id: 'new' }));
+  const res = response();
+
+  await controller.rerunJob(
+    { params: { id: 'j1' }, user: { userId: 7, role: 'WRITER' } },
+    res,
+    assert.fail
+  );
+
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, {
+    error: 'Insufficient permissions',
+    required: ['EDITOR'],
+    current: 'WRITER',
+  });
+  assert.equal(rerun.mock.callCount(), 0);
+});
+
+test('an editor re-runs a job of an editor-only type', async (t) => {
+  editorOnly(t);
+  const rerun = t.mock.method(jobQueue, 'rerun', async () => ({ _id: 'new' }));
+  const res = response();
+
+  await controller.rerunJob(
+    { params: { id: 'j1' }, user: { userId: 7, role: 'EDITOR' } },
+    res,
+    assert.fail
+  );
+
+  assert.equal(res.statusCode, 202);
+  assert.deepEqual(res.body, { jobId: 'new' });
+  assert.deepEqual(rerun.mock.calls[0].arguments, ['j1', { requestedBy: 7 }]);
+});
@@ -0,0 +1,64 @@
+// Captures of a queued live-scraper job are found by its job id: the queue
+// passes JOB_ID to the script, which tags what it stores with it, and the
+// live views match on it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const mongoose = require('mongoose');
+
+const jobIdLib = path.resolve(__dirname, '../../jobs/lib/jobId.js');
+const { resolveJobId } = require(jobIdLib);
+
+// A stand-in for twitterlivescraper.mjs that resolves its job id the same way
+// and reports the capture it would store
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'live-job-'));
+const script = path.join(dir, 'twitterlivescraper.mjs');
+fs.writeFileSync(
+  script,
+  `import fs from 'node:fs';
+import jobIds from ${JSON.stringify(pathToFileURL(jobIdLib).href)};
+const jobId = jobIds.resolveJobId(process.argv[3]);
+fs.writeFileSync(process.env.JOB_OUTPUT_PATH, JSON.stringify({
+  capture: { jobId, enrichmentTweetId: process.argv[2], tweetId: '99', text: 'x' },
+}));
+`
+);
+process.env.TWITTER_LIVE_SCRIPT_PATH = script;
+
+const jobsRepo = require('../src/mongo/jobEntry');
+const jobQueue = require('../src/services/jobQueueService');
+const breakingNewsRepo = require('../src/mongo/breakingNews');
+const BreakingNewsLive = require('../src/models/BreakingNewsLive');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('resolveJobId prefers JOB_ID over the argument', () => {
+  assert.equal(resolveJobId('arg', { JOB_ID: ' env ' }), 'env');
+  assert.equal(resolveJobId(' arg ', { JOB_ID: '  ' }), 'arg');
+  assert.equal(resolveJobId(undefined, {}), null);
+  assert.equal(resolveJobId(' ', {}), null);
+});
+
+test('a queued live job tags its captures with its job id', async (t) => {
+  t.mock.method(jobsRepo, 'appendLog', async () => {});
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'twitterlivescraper',
+    payload: { tweetId: '123' },
+    attempts: 1,
+  };
+
+  const { done } = jobQueue.runJob(job);
+  const { exitCode, output } = await done;
+  assert.equal(exitCode, 0);
+
+  const capture = new BreakingNewsLive(output.capture).toObject();
+  assert.equal(capture.jobId, String(job._id));
+  assert.equal(capture.enrichmentTweetId, '123');
+
+  const match = breakingNewsRepo.buildLiveMatch({ jobId: String(job._id) });
+  assert.deepEqual(match, { jobId: capture.jobId });
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const pipelines = require('../src/services/pipelineRegistry');
+const registry = require('../src/services/jobTypeRegistry');
+
+test('triggerState waits for every need to finish', () => {
+  const step = { needs: ['a', 'b'] };
+  assert.deepEqual(pipelines.triggerState(step, { a: 'succeeded', b: 'running' }), {
+    state: 'wait',
+  });
+  assert.deepEqual(pipelines.triggerState(step, { a: 'succeeded', b: 'queued' }), {
+    state: 'wait',
+  });
+  assert.deepEqual(pipelines.triggerState({ needs: [] }, {}), { state: 'run' });
+});
+
+test('triggerState applies all_succeeded, all_done and any_failed', () => {
+  const statuses = { a: 'succeeded', b: 'failed' };
+
+  assert.deepEqual(pipelines.triggerState({ needs: ['a'] }, statuses), { state: 'run' });
+  assert.deepEqual(pipelines.triggerState({ needs: ['a', 'b'] }, statuses), {
+    state: 'skip',
+    reason: 'Step b failed',
+  });
+  assert.deepEqual(pipelines.triggerState({ needs: ['a', 'b'], trigger: 'all_done' }, statuses), {
+    state: 'run',
+  });
+  assert.deepEqual(pipelines.triggerState({ needs: ['a', 'b'], trigger: 'any_failed' }, statuses), {
+    state: 'run',
+  });
+  assert.deepEqual(pipelines.triggerState({ needs: ['a'], trigger: 'any_failed' }, statuses), {
+    state: 'skip',
+    reason: 'No step it needs failed',
+  });
+  // A skipped need skips the steps after it too
+  assert.deepEqual(pipelines.triggerState({ needs: ['a'] }, { a: 'skipped' }), {
+    state: 'skip',
+    reason: 'Step a skipped',
+  });
+});
+
+test('unmetCondition names the first condition that does not hold', () => {
+  const outputs = { scrape: { newTweetIds: ['1', '2'], count: 2, note: '' } };
+  const unmet = (when) => pipelines.unmetCondition({ when }, outputs);
+
+  assert.equal(unmet([]), null);
+  assert.equal(unmet([{ path: 'scrape.newTweetIds', op: 'notEmpty' }]), null);
+  assert.equal(
+    unmet([{ path: 'scrape.newTweetIds', op: 'empty' }]),
+    'Condition not met: scrape.newTweetIds empty'
+  );
+  assert.equal(unmet([{ path: 'scrape.missing', op: 'empty' }]), null);
+  assert.equal(unmet([{ path: 'scrape.note', op: 'falsy' }]), null);
+  assert.equal(
+    unmet([
+      { path: 'scrape.count', op: 'gte', value: 2 },
+      { path: 'scrape.count', op: 'lt', value: 2 },
+    ]),
+    'Condition not met: scrape.count lt 2'
+  );
+  assert.equal(
+    unmet([{ path: 'scrape.count', op: 'eq', value: '2' }]),
+    'Condition not met: scrape.count eq "2"'
+  );
+  assert.equal(unmet([{ path: 'scrape.count', op: 'ne', value: 3 }]), null);
+});
+
+test('buildStepPayload adds the inputs it finds to the static payload', () => {
+  const step = {
+    payload: { force: true },
+    inputs: { ids: 'scrape.newTweetIds', since: 'scrape.since' },
+  };
+  assert.deepEqual(pipelines.buildStepPayload(step, { scrape: { newTweetIds: ['1'] } }), {
+    force: true,
+    ids: ['1'],
+  });
+  assert.deepEqual(step.payload, { force: true });
+});
+
+test('topologicalOrder puts every step after its needs and rejects cycles', () => {
+  const order = pipelines.topologicalOrder([
+    { id: 'notify', needs: ['enrich', 'media'] },
+    { id: 'enrich', needs: ['scrape'] },
+    { id: 'media', needs: ['scrape'] },
+    { id: 'scrape' },
+  ]);
+  assert.deepEqual(order, ['scrape', 'enrich', 'media', 'notify']);
+
+  assert.throws(
+    () =>
+      pipelines.topologicalOrder([
+        { id: 'a', needs: ['c'] },
+        { id: 'b', needs: ['a'] },
+        { id: 'c', needs: ['b'] },
+      ]),
+    /Cycle: a -> c -> b -> a/
+  );
+  assert.throws(
+    () => pipelines.topologicalOrder([{ id: 'a', needs: ['x'] }]),
+    /Step a needs unknown step x/
+  );
+});
+
+test('validatePipeline reports the first problem of a definition', () => {
+  const check = (steps) => () => pipelines.validatePipeline('p', { steps });
+  const scrape = { id: 'scrape', jobType: 'twitterscraper' };
+
+  assert.doesNotThrow(() =>
+    pipelines.validatePipeline('breaking-news', pipelines.getPipeline('breaking-news'))
+  );
+  assert.throws(check([]), /Pipeline p has no steps/);
+  assert.throws(check([scrape, scrape]), /step scrape: missing or duplicate id/);
+  assert.throws(check([{ id: 'x', jobType: 'nope' }]), /unknown job type nope/);
+  assert.throws(check([{ ...scrape, trigger: 'sometimes' }]), /trigger must be one of/);
+  assert.throws(
+    check([
+      scrape,
+      { id: 'media', jobType: 'getbreakingnewsmedia', inputs: { ids: 'scrape.ids' } },
+    ]),
+    /input scrape.ids is not the output of a step it needs/
+  );
+  assert.throws(
+    check([
+      scrape,
+      {
+        id: 'media',
+        jobType: 'getbreakingnewsmedia',
+        needs: ['scrape'],
+        when: [{ path: 'scrape.ids', op: 'matches' }],
+      },
+    ]),
+    /op must be one of/
+  );
+  assert.throws(
+    check([
+      { ...scrape, needs: ['media'] },
+      { id: 'media', jobType: 'getbreakingnewsmedia', needs: ['scrape'] },
+    ]),
+    /Pipeline p: Cycle: scrape -> media -> scrape/
+  );
+  const enrich = {
+    id: 'enrich',
+    jobType: 'enrichbreakingnews',
+    needs: ['scrape'],
+    inputs: { ids: 'scrape.newTweetIds' },
+  };
+  assert.throws(
+    check([scrape, { ...enrich, chunk: { input: 'id', size: 10 } }]),
+    /chunk input id is not one of its inputs/
+  );
+  assert.throws(
+    check([scrape, { ...enrich, chunk: { input: 'ids', size: 501 } }]),
+    /chunk size must be an integer between 1 and 500/
+  );
+});
+
+test('chunkPayload splits more ids than the job type accepts into valid payloads', () => {
+  const step = pipelines.getPipeline('breaking-news').steps.find((s) => s.id === 'enrich');
+  const ids = Array.from({ length: 1201 }, (_, i) => String(1000 + i));
+  const payload = pipelines.buildStepPayload(step, { scrape: { newTweetIds: ids } });
+
+  assert.throws(() => registry.validatePayload('enrichbreakingnews', payload), /ids/);
+
+  const chunks = pipelines.chunkPayload(step, payload);
+  assert.deepEqual(
+    chunks.map((c) => c.ids.length),
+    [500, 500, 201]
+  );
+  assert.deepEqual(
+    chunks.flatMap((c) => c.ids),
+    ids
+  );
+  for (const chunk of chunks) registry.validatePayload('enrichbreakingnews', chunk);
+
+  assert.deepEqual(pipelines.chunkPayload(step, { ids: ['1'] }), [{ ids: ['1'] }]);
+  assert.deepEqual(pipelines.chunkPayload({}, { ids }), [{ ids }]);
+});
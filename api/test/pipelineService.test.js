@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const repo = require('../src/mongo/pipelineRun');
+const jobsRepo = require('../src/mongo/jobEntry');
+const jobQueue = require('../src/services/jobQueueService');
+const pipelines = require('../src/services/pipelineRegistry');
+const pipelineService = require('../src/services/pipelineService');
+
+test('a run that fails to advance is released and the next runs still advance', async (t) => {
+  t.mock.method(repo, 'listRunningIds', async () => ['r1', 'r2', 'r3']);
+  t.mock.method(repo, 'claim', async (id) => ({ _id: id }));
+  const saved = t.mock.method(repo, 'saveAndRelease', async () => true);
+  const logged = t.mock.method(console, 'error', () => {});
+  t.mock.method(pipelineService, 'advance', async (run) => {
+    if (run._id === 'r1') throw new Error('enqueue failed');
+    return run._id === 'r3' ? { steps: [], status: 'succeeded' } : { steps: [] };
+  });
+
+  const result = await pipelineService.poll();
+
+  assert.deepEqual(result, { advanced: 2, finished: 1 });
+  assert.deepEqual(
+    saved.mock.calls.map((c) => [c.arguments[0], c.arguments[2]]),
+    [
+      ['r1', {}],
+      ['r2', { steps: [] }],
+      ['r3', { steps: [], status: 'succeeded' }],
+    ]
+  );
+  assert.match(logged.mock.calls[0].arguments.join(' '), /r1.*enqueue failed/);
+});
+
+test('a step fed more ids than its job accepts runs them chunk by chunk', async (t) => {
+  const ids = Array.from({ length: 1201 }, (_, i) => String(1000 + i));
+  const jobs = new Map();
+  const queued = t.mock.method(jobQueue, 'enqueue', async (type, payload) => {
+    const job = { _id: `j${jobs.size + 1}`, status: 'queued', attempts: 0, maxAttempts: 3 };
+    jobs.set(job._id, { ...job, payload });
+    return job;
+  });
+  t.mock.method(jobsRepo, 'appendLog', async () => {});
+  t.mock.method(jobsRepo, 'getManyByIds', async (jobIds) => jobIds.map((id) => jobs.get(id)));
+  const finish = (id) =>
+    Object.assign(jobs.get(id), {
+      status: 'succeeded',
+      attempts: 1,
+      finishedAt: new Date(),
+      output: { enrichedTweetIds: jobs.get(id).payload.ids.slice(0, 2), failedTweetIds: [] },
+    });
+
+  const definition = {
+    steps: [
+      { id: 'scrape', jobType: 'twitterscraper', needs: [] },
+      pipelines.getPipeline('breaking-news').steps.find((s) => s.id === 'enrich'),
+    ],
+  };
+  let run = {
+    _id: 'r1',
+    pipeline: 'breaking-news',
+    definition,
+    steps: [
+      { id: 'scrape', status: 'succeeded', output: { newTweetIds: ids } },
+      { id: 'enrich', status: 'pending' },
+    ],
+  };
+  const advance = async () => {
+    const set = await pipelineService.advance(run);
+    run = { ...run, ...set };
+    return run.steps[1];
+  };
+
+  let step = await advance();
+  assert.equal(step.payload.ids.length, 1201);
+  assert.deepEqual(
+    [step.status, step.jobId, step.chunkIndex, step.chunkCount],
+    ['queued', 'j1', 0, 3]
+  );
+
+  finish('j1');
+  step = await advance();
+  assert.deepEqual([step.status, step.jobId, step.chunkIndex], ['queued', 'j2', 1]);
+
+  finish('j2');
+  await advance();
+  finish('j3');
+  step = await advance();
+
+  assert.deepEqual(
+    queued.mock.calls.map((c) => c.arguments[1].ids.length),
+    [500, 500, 201]
+  );
+  assert.equal(step.status, 'succeeded');
+  assert.equal(run.status, 'succeeded');
+  assert.deepEqual(step.output, {
+    enrichedTweetIds: ['1000', '1001', '1500', '1501', '2000', '2001'],
+    failedTweetIds: [],
+  });
+});
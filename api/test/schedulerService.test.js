@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const repo = require('../src/mongo/schedule');
+const scheduler = require('../src/services/schedulerService');
+
+test('the default schedules are seeded enabled and due at their next cron time', async (t) => {
+  t.mock.method(repo, 'count', async () => 0);
+  const created = t.mock.method(repo, 'create', async (data) => data);
+
+  const seeded = await scheduler.seedDefaults(new Date('2026-10-19T10:07:00Z'));
+
+  assert.equal(seeded, 1);
+  const [data] = created.mock.calls[0].arguments;
+  assert.equal(data.name, 'breaking-news');
+  assert.equal(data.pipeline, 'breaking-news');
+  assert.notEqual(data.enabled, false);
+  assert.equal(data.nextRunAt.toISOString(), '2026-10-19T10:15:00.000Z');
+});
+
+test('nothing is seeded once a schedule exists', async (t) => {
+  t.mock.method(repo, 'count', async () => 3);
+  const created = t.mock.method(repo, 'create', async (data) => data);
+
+  assert.equal(await scheduler.seedDefaults(), 0);
+  assert.equal(created.mock.callCount(), 0);
+});
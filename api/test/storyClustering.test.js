@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const storyRepo = require('../src/mongo/story');
+const clustering = require('../src/services/storyClusteringService');
+
+test('an enrichment that fails to cluster is marked and does not stop the batch', async (t) => {
+  const enrichments = [
+    { _id: 'a', tweetId: '1' },
+    { _id: 'b', tweetId: '2' },
+    { _id: 'c', tweetId: '3' },
+  ];
+  t.mock.method(storyRepo, 'getUnclusteredEnrichments', async () => enrichments);
+  t.mock.method(storyRepo, 'getTweetTexts', async () => new Map());
+  t.mock.method(storyRepo, 'markStale', async () => ({ modifiedCount: 0 }));
+  const marked = t.mock.method(storyRepo, 'markClusterFailed', async () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(clustering, 'assign', async (enrichment) => {
+    if (enrichment._id === 'a') throw new Error('bad vector');
+    return { created: enrichment._id === 'b' };
+  });
+
+  const result = await clustering.clusterPending();
+
+  assert.deepEqual(result, { processed: 3, created: 1, merged: 1, failed: 1, staled: 0 });
+  assert.deepEqual(marked.mock.calls[0].arguments, ['a', 'bad vector']);
+  assert.equal(clustering.assign.mock.callCount(), 3);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('node:dns');
+const http = require('node:http');
+
+const webhook = require('../src/services/alertChannels/webhookChannel');
+
+test('webhook URLs on loopback, private and link-local addresses are refused', () => {
+  for (const url of [
+    'http://localhost:3000/hook',
+    'http://127.0.0.1/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+  ]) {
+    assert.equal(
+      webhook.validate({ webhookUrl: url }),
+      'webhookUrl must point to a public address',
+      url
+    );
+  }
+  assert.equal(webhook.validate({ webhookUrl: 'https://hooks.example.com/alert' }), null);
+  assert.equal(webhook.validate({ webhookUrl: 'https://93.184.216.34/alert' }), null);
+});
+
+test('a webhook host that resolves to a private address is not contacted', async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const lookup = dns.lookup;
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (hostname === 'hooks.example.com') {
+      return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    }
+    return lookup(hostname, options, callback);
+  });
+
+  const { port } = server.address();
+  await assert.rejects(
+    webhook.send(
+      { id: 'd1', payload: {} },
+      { webhookUrl: `http://hooks.example.com:${port}/hook` }
+    ),
+    (err) => /non-public address 127\.0\.0\.1/.test(err.cause?.message || err.message)
+  );
+  assert.equal(requests, 0);
+});
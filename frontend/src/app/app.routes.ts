@@ -1,12 +1,6 @@
 import { Routes } from '@angular/router';
 import { LoginComponent } from './pages/login/login';
 import { AdminLayoutComponent } from './pages/admin-layout/admin-layout';
-import { BreakingNewsComponent } from './pages/breaking-news/breaking-news';
-import { RssFeedComponent } from './pages/news-feed/rss-feed';
-import { NewContentComponent } from './pages/new-content/new-content';
-import { NewVideoComponent } from './pages/new-video/new-video';
-import { ContentReviewComponent } from './pages/content-review/content-review';
-import { LiveStreamsComponent } from './pages/live-streams/live-streams';
 import { authGuard } from './guards/auth.guard';
 
 export const routes: Routes = [
@@ -30,15 +24,40 @@ export const routes: Routes = [
       // },
       {
         path: 'breaking-news',
-        component: BreakingNewsComponent,
+        loadComponent: () =>
+          import('./pages/breaking-news/breaking-news').then((m) => m.BreakingNewsComponent),
         data: {
           title: 'Breaking news',
           subtitle: 'Manage live breaking stories.'
         }
       },
+      {
+        path: 'event-map',
+        loadComponent: () => import('./pages/event-map/event-map').then((m) => m.EventMapComponent),
+        data: {
+          title: 'Event map',
+          subtitle: 'Located breaking-news events from recent hours.'
+        }
+      },
+      {
+        path: 'entities',
+        loadComponent: () => import('./pages/entities/entities').then((m) => m.EntitiesComponent),
+        data: {
+          title: 'Entities',
+          subtitle: 'People, organizations and equipment named in breaking news.'
+        }
+      },
+      {
+        path: 'alerts',
+        loadComponent: () => import('./pages/alerts/alerts').then((m) => m.AlertsComponent),
+        data: {
+          title: 'Alerts',
+          subtitle: 'Rules that notify you when breaking news matches your interests.'
+        }
+      },
       {
         path: 'news-feed',
-        component: RssFeedComponent,
+        loadComponent: () => import('./pages/news-feed/rss-feed').then((m) => m.RssFeedComponent),
         data: {
           title: 'News feeds',
           subtitle: 'Browse News feeds by country, category, or topic.'
@@ -46,7 +65,8 @@ export const routes: Routes = [
       },
       {
         path: 'new-content',
-        component: NewContentComponent,
+        loadComponent: () =>
+          import('./pages/new-content/new-content').then((m) => m.NewContentComponent),
         data: {
           title: 'New Content',
           subtitle: 'Create new content from selected items.'
@@ -54,7 +74,7 @@ export const routes: Routes = [
       },
       {
         path: 'new-video',
-        component: NewVideoComponent,
+        loadComponent: () => import('./pages/new-video/new-video').then((m) => m.NewVideoComponent),
         data: {
           title: 'New Video',
           subtitle: 'Generate videos from news items.'
@@ -62,7 +82,8 @@ export const routes: Routes = [
       },
       {
         path: 'content-review',
-        component: ContentReviewComponent,
+        loadComponent: () =>
+          import('./pages/content-review/content-review').then((m) => m.ContentReviewComponent),
         data: {
           title: 'Content Review',
           subtitle: 'Review and manage submitted content.'
@@ -70,11 +91,38 @@ export const routes: Routes = [
       },
       {
         path: 'live-streams',
-        component: LiveStreamsComponent,
+        loadComponent: () =>
+          import('./pages/live-streams/live-streams').then((m) => m.LiveStreamsComponent),
         data: {
           title: 'Live News Streams',
           subtitle: 'Watch live news from multiple sources around the world.'
         }
+      },
+      {
+        path: 'jobs',
+        loadComponent: () => import('./pages/jobs/jobs').then((m) => m.JobsComponent),
+        data: {
+          title: 'Jobs',
+          subtitle: 'Run scraper and enrichment jobs and follow the queue.'
+        }
+      },
+      {
+        path: 'schedules',
+        loadComponent: () =>
+          import('./pages/schedules/schedules').then((m) => m.SchedulesComponent),
+        data: {
+          title: 'Schedules',
+          subtitle: 'When jobs run on their own: cron, overlap and missed runs.'
+        }
+      },
+      {
+        path: 'pipelines',
+        loadComponent: () =>
+          import('./pages/pipelines/pipelines').then((m) => m.PipelinesComponent),
+        data: {
+          title: 'Pipelines',
+          subtitle: 'Jobs chained into pipelines: runs, steps and their logs.'
+        }
       }
 
       // later:
@@ -3,7 +3,7 @@ import { CommonModule } from '@angular/common';
 import { RouterModule, Router, ActivatedRoute, NavigationEnd } from '@angular/router';
 import { filter, map } from 'rxjs/operators';
 import { AuthService, User } from '../../services/auth.service';
-import { LucideAngularModule, TrendingUp, Bell, Newspaper, ClipboardCheck, Building2, Tv } from 'lucide-angular';
+import { LucideAngularModule, TrendingUp, Bell, Newspaper, ClipboardCheck, Building2, Tv, MapPinned, Tags, BellRing, Terminal, CalendarClock, Workflow } from 'lucide-angular';
 
 type MenuItem = {
   label: string;
@@ -24,12 +24,24 @@ export class AdminLayoutComponent {
   readonly ClipboardCheck = ClipboardCheck;
   readonly Building2 = Building2;
   readonly Tv = Tv;
+  readonly MapPinned = MapPinned;
+  readonly Tags = Tags;
+  readonly BellRing = BellRing;
+  readonly Terminal = Terminal;
+  readonly CalendarClock = CalendarClock;
+  readonly Workflow = Workflow;
 
   menuItems: MenuItem[] = [
     { label: 'Overview', icon: 'trending-up', link: '/admin/dashboard' },
     { label: 'Breaking news', icon: 'bell', link: '/admin/breaking-news' },
+    { label: 'Event Map', icon: 'map-pinned', link: '/admin/event-map' },
+    { label: 'Entities', icon: 'tags', link: '/admin/entities' },
+    { label: 'Alerts', icon: 'bell-ring', link: '/admin/alerts' },
     { label: 'News Feed', icon: 'newspaper', link: '/admin/news-feed' },
     { label: 'Live Streams', icon: 'tv', link: '/admin/live-streams' },
+    { label: 'Jobs', icon: 'terminal', link: '/admin/jobs' },
+    { label: 'Schedules', icon: 'calendar-clock', link: '/admin/schedules' },
+    { label: 'Pipelines', icon: 'workflow', link: '/admin/pipelines' },
     { label: 'Content Review', icon: 'clipboard-check', link: '/admin/content-review' }
     // add more when you have components:
     // { label: 'Articles', icon: 'file-lines', link: '/admin/articles' },
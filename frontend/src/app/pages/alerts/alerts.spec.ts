@@ -0,0 +1,109 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+
+import { AlertsComponent } from './alerts';
+import { AlertRule } from '../../services/alerts.service';
+
+const RULE: AlertRule = {
+  id: 'r1',
+  ownerUserId: 1,
+  name: 'Ukraine conflict',
+  enabled: true,
+  conditions: [
+    { field: 'category', op: 'eq', value: 'conflict' },
+    { field: 'country', op: 'in', value: ['UA', 'RU'] }
+  ],
+  channels: ['IN_APP', 'WEBHOOK'],
+  webhookUrl: 'https://hooks.example.com/alert',
+  hasWebhookSecret: true,
+  triggerCount: 2,
+  createdAt: '2026-10-19T10:00:00Z',
+  updatedAt: '2026-10-19T10:00:00Z'
+};
+
+describe('AlertsComponent', () => {
+  let component: AlertsComponent;
+  let fixture: ComponentFixture<AlertsComponent>;
+  let http: HttpTestingController;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [AlertsComponent],
+      providers: [provideHttpClient(), provideHttpClientTesting()]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(AlertsComponent);
+    component = fixture.componentInstance;
+    http = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+
+    http.expectOne((r) => r.url.endsWith('/alerts/fields')).flush({ fields: [], channels: [] });
+    http.expectOne((r) => r.url.endsWith('/alerts')).flush([RULE]);
+    http
+      .expectOne((r) => r.url.endsWith('/alerts/notifications'))
+      .flush({ items: [], unread: 0 });
+  });
+
+  afterEach(() => http.verify());
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+    expect(component.rules()).toEqual([RULE]);
+  });
+
+  it('describes a rule by its conditions', () => {
+    expect(component.describe(RULE)).toBe('category eq conflict AND country in UA|RU');
+  });
+
+  it('edits a rule, loading its deliveries and keeping the stored webhook secret', () => {
+    component.editRule(RULE);
+    http
+      .expectOne((r) => r.url.endsWith('/alerts/r1/deliveries'))
+      .flush([
+        {
+          id: 'd1',
+          ruleId: 'r1',
+          channel: 'WEBHOOK',
+          tweetId: 't1',
+          status: 'SENDING',
+          attempts: 1,
+          createdAt: '2026-10-19T10:05:00Z'
+        }
+      ]);
+    expect(component.deliveries().length).toBe(1);
+    expect(component.draft()?.conditions[1].value).toBe('UA, RU');
+
+    component.save();
+    const req = http.expectOne((r) => r.url.endsWith('/alerts/r1'));
+    expect(req.request.method).toBe('PUT');
+    expect(req.request.body.channels).toEqual(['IN_APP', 'WEBHOOK']);
+    expect('webhookSecret' in req.request.body).toBe(false);
+    req.flush({ ...RULE, name: 'Renamed' });
+
+    http.expectOne((r) => r.url.endsWith('/alerts/r1/deliveries')).flush([]);
+    expect(component.rules()[0].name).toBe('Renamed');
+  });
+
+  it('shows the API error when a rule cannot be saved', () => {
+    component.newRule();
+    component.save();
+    http
+      .expectOne((r) => r.url.endsWith('/alerts') && r.method === 'POST')
+      .flush(
+        { error: 'webhookUrl must point to a public address' },
+        { status: 400, statusText: 'Bad Request' }
+      );
+
+    expect(component.formError()).toBe('webhookUrl must point to a public address');
+    expect(component.saving()).toBe(false);
+  });
+
+  it('reloads the inbox with the unread filter', () => {
+    component.setUnreadOnly(true);
+    const req = http.expectOne((r) => r.url.endsWith('/alerts/notifications'));
+    expect(req.request.params.get('unread')).toBe('true');
+    req.flush({ items: [], unread: 0 });
+  });
+});
@@ -0,0 +1,318 @@
+// src/app/pages/alerts/alerts.ts
+import { Component, DestroyRef, OnInit, computed, inject, signal } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import {
+  AlertsService,
+  AlertChannel,
+  AlertDelivery,
+  AlertFields,
+  AlertRule,
+  AlertRuleInput,
+  AlertTestResult,
+  AppNotification
+} from '../../services/alerts.service';
+
+interface ConditionDraft {
+  field: string;
+  op: string;
+  value: string;
+}
+
+interface RuleDraft {
+  id: string | null;
+  name: string;
+  enabled: boolean;
+  conditions: ConditionDraft[];
+  channels: AlertChannel[];
+  webhookUrl: string;
+  webhookSecret: string;
+  hasWebhookSecret: boolean;
+  emailTo: string;
+}
+
+const CHANNEL_LABELS: Record<AlertChannel, string> = {
+  IN_APP: 'In-app inbox',
+  EMAIL: 'Email',
+  WEBHOOK: 'Webhook'
+};
+
+@Component({
+  selector: 'app-alerts',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './alerts.html'
+})
+export class AlertsComponent implements OnInit {
+  readonly channelLabels = CHANNEL_LABELS;
+
+  fields = signal<AlertFields | null>(null);
+  rules = signal<AlertRule[]>([]);
+  loading = signal(false);
+  error = signal<string | null>(null);
+
+  draft = signal<RuleDraft | null>(null);
+  saving = signal(false);
+  formError = signal<string | null>(null);
+  testResults = signal<AlertTestResult[] | null>(null);
+  deliveries = signal<AlertDelivery[]>([]);
+
+  notifications = signal<AppNotification[]>([]);
+  unread = signal(0);
+  unreadOnly = signal(false);
+
+  selectedRule = computed(() => this.rules().find((r) => r.id === this.draft()?.id) ?? null);
+
+  private readonly alertsService = inject(AlertsService);
+  private readonly destroyRef = inject(DestroyRef);
+
+  ngOnInit(): void {
+    this.alertsService
+      .getFields()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (fields) => this.fields.set(fields),
+        error: (err) => console.error('Failed to load alert fields', err)
+      });
+
+    this.loadRules();
+    this.loadNotifications();
+  }
+
+  loadRules(): void {
+    this.loading.set(true);
+    this.error.set(null);
+
+    this.alertsService
+      .listRules()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (rules) => {
+          this.rules.set(rules);
+          this.loading.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load alert rules', err);
+          this.error.set('Failed to load alert rules.');
+          this.loading.set(false);
+        }
+      });
+  }
+
+  loadNotifications(): void {
+    this.alertsService
+      .listNotifications(this.unreadOnly())
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: ({ items, unread }) => {
+          this.notifications.set(items);
+          this.unread.set(unread);
+        },
+        error: (err) => console.error('Failed to load notifications', err)
+      });
+  }
+
+  // ---------- rule editor ----------
+
+  newRule(): void {
+    this.draft.set({
+      id: null,
+      name: '',
+      enabled: true,
+      conditions: [{ field: 'category', op: 'eq', value: '' }],
+      channels: ['IN_APP'],
+      webhookUrl: '',
+      webhookSecret: '',
+      hasWebhookSecret: false,
+      emailTo: ''
+    });
+    this.formError.set(null);
+    this.testResults.set(null);
+    this.deliveries.set([]);
+  }
+
+  editRule(rule: AlertRule): void {
+    this.draft.set({
+      id: rule.id,
+      name: rule.name,
+      enabled: rule.enabled,
+      conditions: rule.conditions.map((c) => ({
+        field: c.field,
+        op: c.op,
+        value: Array.isArray(c.value) ? c.value.join(', ') : String(c.value)
+      })),
+      channels: [...rule.channels],
+      webhookUrl: rule.webhookUrl ?? '',
+      webhookSecret: '',
+      hasWebhookSecret: rule.hasWebhookSecret,
+      emailTo: rule.emailTo ?? ''
+    });
+    this.formError.set(null);
+    this.testResults.set(null);
+    this.loadDeliveries(rule.id);
+  }
+
+  cancelEdit(): void {
+    this.draft.set(null);
+  }
+
+  operatorsFor(field: string): string[] {
+    return this.fields()?.fields.find((f) => f.field === field)?.operators ?? ['eq'];
+  }
+
+  onFieldChange(condition: ConditionDraft): void {
+    const ops = this.operatorsFor(condition.field);
+    if (!ops.includes(condition.op)) condition.op = ops[0];
+  }
+
+  addCondition(draft: RuleDraft): void {
+    draft.conditions.push({ field: 'country', op: 'eq', value: '' });
+  }
+
+  removeCondition(draft: RuleDraft, index: number): void {
+    draft.conditions.splice(index, 1);
+  }
+
+  toggleChannel(draft: RuleDraft, channel: AlertChannel): void {
+    draft.channels = draft.channels.includes(channel)
+      ? draft.channels.filter((c) => c !== channel)
+      : [...draft.channels, channel];
+  }
+
+  save(): void {
+    const draft = this.draft();
+    if (!draft) return;
+
+    const input: AlertRuleInput = {
+      name: draft.name,
+      enabled: draft.enabled,
+      conditions: draft.conditions.map((c) => ({ field: c.field, op: c.op, value: c.value })),
+      channels: draft.channels,
+      webhookUrl: draft.webhookUrl || null,
+      emailTo: draft.emailTo || null
+    };
+    // An empty secret field keeps the stored secret
+    if (draft.webhookSecret) input.webhookSecret = draft.webhookSecret;
+
+    this.saving.set(true);
+    this.formError.set(null);
+
+    const request = draft.id
+      ? this.alertsService.updateRule(draft.id, input)
+      : this.alertsService.createRule(input);
+
+    request.pipe(takeUntilDestroyed(this.destroyRef)).subscribe({
+      next: (rule) => {
+        this.saving.set(false);
+        this.rules.update((rules) =>
+          draft.id ? rules.map((r) => (r.id === rule.id ? rule : r)) : [rule, ...rules]
+        );
+        this.editRule(rule);
+      },
+      error: (err) => {
+        console.error('Failed to save alert rule', err);
+        this.formError.set(err?.error?.error || 'Failed to save alert rule.');
+        this.saving.set(false);
+      }
+    });
+  }
+
+  toggleEnabled(rule: AlertRule): void {
+    this.alertsService
+      .updateRule(rule.id, { enabled: !rule.enabled })
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (updated) =>
+          this.rules.update((rules) => rules.map((r) => (r.id === updated.id ? updated : r))),
+        error: (err) => console.error('Failed to update alert rule', err)
+      });
+  }
+
+  deleteRule(rule: AlertRule): void {
+    if (!confirm(`Delete alert rule "${rule.name}"?`)) return;
+
+    this.alertsService
+      .deleteRule(rule.id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: () => {
+          this.rules.update((rules) => rules.filter((r) => r.id !== rule.id));
+          if (this.draft()?.id === rule.id) this.draft.set(null);
+        },
+        error: (err) => console.error('Failed to delete alert rule', err)
+      });
+  }
+
+  testRule(id: string): void {
+    this.testResults.set(null);
+    this.alertsService
+      .testRule(id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: ({ results }) => {
+          this.testResults.set(results);
+          if (results.some((r) => r.channel === 'IN_APP' && r.ok)) this.loadNotifications();
+        },
+        error: (err) => {
+          console.error('Failed to test alert rule', err);
+          this.formError.set('Failed to send test alert.');
+        }
+      });
+  }
+
+  loadDeliveries(id: string): void {
+    this.alertsService
+      .listDeliveries(id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (deliveries) => this.deliveries.set(deliveries),
+        error: (err) => console.error('Failed to load alert deliveries', err)
+      });
+  }
+
+  // ---------- inbox ----------
+
+  setUnreadOnly(value: boolean): void {
+    this.unreadOnly.set(value);
+    this.loadNotifications();
+  }
+
+  markRead(notification: AppNotification): void {
+    if (notification.readAt) return;
+
+    this.alertsService
+      .markRead(notification.id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: () => {
+          const readAt = new Date().toISOString();
+          this.notifications.update((items) =>
+            items.map((n) => (n.id === notification.id ? { ...n, readAt } : n))
+          );
+          this.unread.update((n) => Math.max(0, n - 1));
+        },
+        error: (err) => console.error('Failed to mark notification read', err)
+      });
+  }
+
+  markAllRead(): void {
+    this.alertsService
+      .markAllRead()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: () => this.loadNotifications(),
+        error: (err) => console.error('Failed to mark notifications read', err)
+      });
+  }
+
+  describe(rule: AlertRule): string {
+    return rule.conditions
+      .map((c) => `${c.field} ${c.op} ${Array.isArray(c.value) ? c.value.join('|') : c.value}`)
+      .join(' AND ');
+  }
+
+  trackById(_index: number, item: { id: string }) {
+    return item.id;
+  }
+}
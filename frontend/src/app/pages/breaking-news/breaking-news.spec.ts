@@ -1,18 +1,18 @@
 import { ComponentFixture, TestBed } from '@angular/core/testing';
 
-import { BreakingNews } from './breaking-news';
+import { BreakingNewsComponent } from './breaking-news';
 
-describe('BreakingNews', () => {
-  let component: BreakingNews;
-  let fixture: ComponentFixture<BreakingNews>;
+describe('BreakingNewsComponent', () => {
+  let component: BreakingNewsComponent;
+  let fixture: ComponentFixture<BreakingNewsComponent>;
 
   beforeEach(async () => {
     await TestBed.configureTestingModule({
-      imports: [BreakingNews]
+      imports: [BreakingNewsComponent]
     })
     .compileComponents();
 
-    fixture = TestBed.createComponent(BreakingNews);
+    fixture = TestBed.createComponent(BreakingNewsComponent);
     component = fixture.componentInstance;
     await fixture.whenStable();
   });
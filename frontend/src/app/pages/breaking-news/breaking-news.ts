@@ -1,26 +1,32 @@
 // src/app/pages/breaking-news/breaking-news.ts (or wherever your component lives)
 import { Component, OnInit, signal, inject, DestroyRef } from '@angular/core';
 import { CommonModule } from '@angular/common';
+import { Router, RouterModule } from '@angular/router';
 import {
   BreakingNewsService,
   BreakingNews,
   BreakingNewsEnrichment,
   BreakingNewsMedia,
   BreakingNewsLiveItem,
+  BreakingNewsFacets,
+  BreakingNewsClaims,
+  Claim,
 } from '../../services/breaking-news.service';
 import { MediaEmbedComponent } from '../../shared/components/media-embed/media-embed.component';
 import { NewContentButtonComponent } from '../../shared/components/new-content-button/new-content-button.component';
 import { NewVideoButtonComponent } from '../../shared/components/new-video-button/new-video-button.component';
 import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
 
-import { JobsService, JobRecord } from '../../services/jobs.service';
-import { timer, of } from 'rxjs';
-import { catchError, switchMap, tap } from 'rxjs/operators';
+import { JobsService, JobRecord, FINISHED_JOB_STATUSES } from '../../services/jobs.service';
+import { StoriesService, Story } from '../../services/stories.service';
+import { TrendsService, TrendSpike } from '../../services/trends.service';
+import { timer, of, Subscription } from 'rxjs';
+import { catchError, switchMap, takeWhile, tap } from 'rxjs/operators';
 
 @Component({
   selector: 'app-breaking-news',
   standalone: true,
-  imports: [CommonModule, MediaEmbedComponent, NewContentButtonComponent, NewVideoButtonComponent],
+  imports: [CommonModule, RouterModule, MediaEmbedComponent, NewContentButtonComponent, NewVideoButtonComponent],
   templateUrl: './breaking-news.html'
 })
 export class BreakingNewsComponent implements OnInit {
@@ -28,10 +34,37 @@ export class BreakingNewsComponent implements OnInit {
   loading = signal(false);
   error = signal<string | null>(null);
 
+  // Search / paging state
+  searchQuery = signal('');
+  total = signal(0);
+  nextCursor = signal<string | null>(null);
+  facets = signal<BreakingNewsFacets | null>(null);
+  loadingMore = signal(false);
+  collapseDuplicates = signal(false);
+
+  // Stories view: one card per developing event instead of the flat tweet list
+  view = signal<'tweets' | 'stories'>('tweets');
+  stories = signal<Story[]>([]);
+  storiesLoading = signal(false);
+  storiesError = signal<string | null>(null);
+  expandedStory = signal<Story | null>(null);
+
+  // "Surging now" rail: active spikes in the last hour, refreshed every minute
+  surging = signal<TrendSpike[]>([]);
+
+  // Selected tweet: original text and its English translation
+  detail = signal<BreakingNews | null>(null);
+
   enrichment = signal<BreakingNewsEnrichment | null>(null);
   enrichmentLoading = signal(false);
   enrichmentError = signal<string | null>(null);
 
+  // Claims with the sources that support or contradict them
+  claims = signal<BreakingNewsClaims | null>(null);
+  claimsLoading = signal(false);
+  claimsError = signal<string | null>(null);
+  expandedClaimId = signal<string | null>(null);
+
   media = signal<BreakingNewsMedia | null>(null);
   mediaLoading = signal(false);
   mediaError = signal<string | null>(null);
@@ -49,12 +82,49 @@ export class BreakingNewsComponent implements OnInit {
   liveItems = signal<BreakingNewsLiveItem[]>([]);
   liveSinceIso = signal<string | null>(null);
 
+  private liveStreamSub: Subscription | null = null;
+  private liveJobSub: Subscription | null = null;
+  liveJob = signal<JobRecord | null>(null);
+  liveJobAction = signal<'cancel' | 'rerun' | null>(null);
+
   private readonly breakingNewsService = inject(BreakingNewsService);
   private readonly jobsService = inject(JobsService);
+  private readonly storiesService = inject(StoriesService);
+  private readonly trendsService = inject(TrendsService);
+  private readonly router = inject(Router);
   private readonly destroyRef = inject(DestroyRef);
 
   ngOnInit(): void {
     this.loadBreakingNews();
+    this.pollSurging();
+  }
+
+  private pollSurging(): void {
+    timer(0, 60000)
+      .pipe(
+        takeUntilDestroyed(this.destroyRef),
+        switchMap(() =>
+          this.trendsService.getSpikes({ status: 'active', window: '1h', limit: 12 }).pipe(
+            catchError((err) => {
+              console.error('Failed to load surging topics', err);
+              return of(null);
+            })
+          )
+        )
+      )
+      .subscribe((spikes) => {
+        if (spikes) this.surging.set(spikes);
+      });
+  }
+
+  // Entities open their page; other terms become the search query
+  openSpike(spike: TrendSpike): void {
+    if (spike.kind === 'entity') {
+      this.router.navigate(['/admin/entities'], { queryParams: { id: spike.label } });
+      return;
+    }
+    this.setView('tweets');
+    this.search(spike.label);
   }
 
   loadBreakingNews(): void {
@@ -62,16 +132,19 @@ export class BreakingNewsComponent implements OnInit {
     this.error.set(null);
 
     this.breakingNewsService
-      .getAll(50, 0)
+      .search({ q: this.searchQuery(), limit: 50, collapse: this.collapseDuplicates() })
       .pipe(takeUntilDestroyed(this.destroyRef))
       .subscribe({
         next: (res) => {
-          this.breakingNews.set(res);
+          this.breakingNews.set(res.items);
+          this.total.set(res.total);
+          this.nextCursor.set(res.nextCursor);
+          this.facets.set(res.facets ?? null);
           this.loading.set(false);
 
           // Auto-select first item if none selected
-          if (!this.selectedId() && res.length > 0 && res[0].tweetId) {
-            this.openBreakingNewsDetail(res[0].tweetId!);
+          if (!this.selectedId() && res.items.length > 0 && res.items[0].tweetId) {
+            this.openBreakingNewsDetail(res.items[0].tweetId!);
           }
         },
         error: (err) => {
@@ -82,18 +155,134 @@ export class BreakingNewsComponent implements OnInit {
       });
   }
 
+  loadMore(): void {
+    const cursor = this.nextCursor();
+    if (!cursor || this.loadingMore()) return;
+
+    this.loadingMore.set(true);
+
+    this.breakingNewsService
+      .search({
+        q: this.searchQuery(),
+        limit: 50,
+        cursor,
+        facets: false,
+        collapse: this.collapseDuplicates()
+      })
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (res) => {
+          this.breakingNews.update((items) => [...items, ...res.items]);
+          this.nextCursor.set(res.nextCursor);
+          this.loadingMore.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load more breaking news', err);
+          this.error.set('Failed to load more breaking news.');
+          this.loadingMore.set(false);
+        }
+      });
+  }
+
+  toggleCollapse(): void {
+    this.collapseDuplicates.update((v) => !v);
+    this.loadBreakingNews();
+  }
+
+  setView(view: 'tweets' | 'stories'): void {
+    this.view.set(view);
+    if (view === 'stories' && this.stories().length === 0) this.loadStories();
+  }
+
+  refresh(): void {
+    if (this.view() === 'stories') this.loadStories();
+    else this.loadBreakingNews();
+  }
+
+  loadStories(): void {
+    this.storiesLoading.set(true);
+    this.storiesError.set(null);
+
+    this.storiesService
+      .list({ status: 'developing', limit: 50 })
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (items) => {
+          this.stories.set(items);
+          this.storiesLoading.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load stories', err);
+          this.storiesError.set('Failed to load stories.');
+          this.storiesLoading.set(false);
+        }
+      });
+  }
+
+  // Expand a story card to list its tweets (collapses it when clicked again)
+  toggleStory(story: Story): void {
+    if (this.expandedStory()?._id === story._id) {
+      this.expandedStory.set(null);
+      return;
+    }
+
+    this.expandedStory.set(story);
+    this.storiesService
+      .getById(story._id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (full) => {
+          if (this.expandedStory()?._id === full._id) this.expandedStory.set(full);
+        },
+        error: (err) => {
+          console.error('Failed to load story', err);
+          this.storiesError.set('Failed to load story.');
+        }
+      });
+  }
+
+  search(query: string): void {
+    this.searchQuery.set(query.trim());
+    this.loadBreakingNews();
+  }
+
+  // Add a facet filter (e.g. source:reuters) to the current query
+  applyFacet(field: 'source' | 'tag' | 'lang', value: string | null): void {
+    if (!value) return;
+    const term = /\s/.test(value) ? `${field}:"${value}"` : `${field}:${value}`;
+    if (this.searchQuery().includes(term)) return;
+    this.search(`${this.searchQuery()} ${term}`);
+  }
+
   openBreakingNewsDetail(tweetId: string) {
     this.selectedId.set(tweetId);
 
+    this.detail.set(this.breakingNews().find((item) => item.tweetId === tweetId) ?? null);
     this.enrichment.set(null);
+    this.claims.set(null);
+    this.expandedClaimId.set(null);
     this.media.set(null);
 
     this.enrichmentLoading.set(true);
     this.enrichmentError.set(null);
 
+    this.claimsLoading.set(true);
+    this.claimsError.set(null);
+
     this.mediaLoading.set(true);
     this.mediaError.set(null);
 
+    // Tweet with its translation (story members are not in the list)
+    this.breakingNewsService
+      .getById(tweetId)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (item) => {
+          if (this.selectedId() === tweetId) this.detail.set(item);
+        },
+        error: (err) => console.error('Failed to load breaking news item', tweetId, err)
+      });
+
     // Enrichment
     this.breakingNewsService
       .getEnrichmentById(tweetId)
@@ -110,6 +299,22 @@ export class BreakingNewsComponent implements OnInit {
         }
       });
 
+    // Claims
+    this.breakingNewsService
+      .getClaims(tweetId)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (claims) => {
+          this.claims.set(claims);
+          this.claimsLoading.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load claims for ID', tweetId, err);
+          this.claimsError.set('Failed to load claims.');
+          this.claimsLoading.set(false);
+        }
+      });
+
     // Media
     this.breakingNewsService
       .getMediaById(tweetId)
@@ -127,12 +332,17 @@ export class BreakingNewsComponent implements OnInit {
       });
   }
 
+  toggleClaim(claim: Claim): void {
+    this.expandedClaimId.update((id) => (id === claim._id ? null : claim._id));
+  }
+
   // ---------- Live feed modal ----------
 
   openLiveFeedModal(): void {
     this.liveModalOpen.set(true);
     this.liveError.set(null);
     this.liveJobId.set(null);
+    this.liveJob.set(null);
     this.liveModalStage.set('idle');
     this.liveModalMessage.set('Ready');
     this.liveItems.set([]);
@@ -141,6 +351,10 @@ export class BreakingNewsComponent implements OnInit {
 
   closeLiveFeedModal(): void {
     this.liveModalOpen.set(false);
+    this.liveStreamSub?.unsubscribe();
+    this.liveStreamSub = null;
+    this.liveJobSub?.unsubscribe();
+    this.liveJobSub = null;
   }
 
   startLiveFeed(): void {
@@ -153,61 +367,135 @@ export class BreakingNewsComponent implements OnInit {
       return;
     }
 
-    // Reset modal state
-    this.liveError.set(null);
+    this.resetLiveJob();
     this.liveJobId.set(null);
-    this.liveItems.set([]);
-
-    this.liveModalStage.set('starting');
     this.liveModalMessage.set('Triggering live feed job…');
 
-    const sinceIso = new Date().toISOString();
-    this.liveSinceIso.set(sinceIso);
-
     this.jobsService
       .createTwitterLiveJob(seedTweetId)
       .pipe(takeUntilDestroyed(this.destroyRef))
       .subscribe({
-        next: ({ jobId }) => {
-          this.liveJobId.set(jobId);
-          this.liveModalStage.set('running');
-          this.liveModalMessage.set('Job started. Streaming live results…');
+        next: ({ jobId }) => this.watchLiveJob(jobId),
+        error: (err) => {
+          console.error('Failed to create job', err);
+          this.liveError.set('Failed to start job.');
+          this.liveModalStage.set('failed');
+        }
+      });
+  }
+
+  // Stop the live job's process group; the poll picks up the final status
+  cancelLiveJob(): void {
+    const jobId = this.liveJobId();
+    if (!jobId || this.liveJobAction()) return;
+
+    this.liveJobAction.set('cancel');
+    this.jobsService
+      .cancelJob(jobId)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (job) => {
+          this.liveJob.set(job);
+          this.liveModalMessage.set('Cancelling…');
+          this.liveJobAction.set(null);
+        },
+        error: (err) => {
+          console.error('Failed to cancel job', err);
+          this.liveError.set(err?.error?.error || 'Failed to cancel job.');
+          this.liveJobAction.set(null);
+        }
+      });
+  }
 
-          // Start polling live items immediately
-          this.startPollingLiveItems(jobId,sinceIso);
+  // Same tweet as the finished job, even if the selection has changed since
+  rerunLiveJob(): void {
+    const jobId = this.liveJobId();
+    if (!jobId) return this.startLiveFeed();
+    if (this.liveJobAction()) return;
 
-          // Poll job to completion/failure
-          this.pollJob(jobId);
+    this.liveJobAction.set('rerun');
+    this.resetLiveJob();
+    this.liveModalMessage.set('Re-running live feed job…');
+
+    this.jobsService
+      .rerunJob(jobId)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: ({ jobId: rerunId }) => {
+          this.liveJobAction.set(null);
+          this.watchLiveJob(rerunId);
         },
         error: (err) => {
-          console.error('Failed to create job', err);
-          this.liveError.set('Failed to start job.');
+          console.error('Failed to re-run job', err);
+          this.liveError.set(err?.error?.error || 'Failed to re-run job.');
           this.liveModalStage.set('failed');
+          this.liveJobAction.set(null);
         }
       });
   }
 
-  private startPollingLiveItems(jobId: string, sinceIso: string): void {
-    timer(0, 1500)
-      .pipe(
-        takeUntilDestroyed(this.destroyRef),
-        switchMap(() =>
-          this.breakingNewsService.getLiveById(jobId,50, 0, sinceIso).pipe(
-            catchError((err) => {
-              console.error('Live poll failed', err);
-              return of([] as BreakingNewsLiveItem[]);
-            })
-          )
-        ),
-        tap((items) => {
-          this.liveItems.set(items);
-        })
-      )
-      .subscribe();
+  isLiveJobActive(): boolean {
+    const job = this.liveJob();
+    return !!this.liveJobId() && (!job || !FINISHED_JOB_STATUSES.includes(job.status));
+  }
+
+  private resetLiveJob(): void {
+    this.liveJobSub?.unsubscribe();
+    this.liveJobSub = null;
+    this.liveError.set(null);
+    this.liveJob.set(null);
+    this.liveItems.set([]);
+    this.liveModalStage.set('starting');
+  }
+
+  private watchLiveJob(jobId: string): void {
+    const sinceIso = new Date().toISOString();
+    this.liveSinceIso.set(sinceIso);
+    this.liveJobId.set(jobId);
+    this.liveModalStage.set('running');
+    this.liveModalMessage.set('Job started. Streaming live results…');
+
+    // Stream live items as the job captures them
+    this.streamLiveItems(jobId, sinceIso);
+
+    // Poll job to completion/failure
+    this.pollJob(jobId);
+  }
+
+  private streamLiveItems(jobId: string, sinceIso: string): void {
+    this.liveStreamSub?.unsubscribe();
+    this.liveStreamSub = this.breakingNewsService
+      .stream({ jobId, since: sinceIso })
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (event) => {
+          if (event.type === 'reset') {
+            this.reloadLiveItems(jobId, sinceIso);
+            return;
+          }
+          if (event.type !== 'breaking_news_live') return;
+          const item = event.item;
+          // Re-captures update an existing item; keep newest first
+          this.liveItems.update((items) => [item, ...items.filter((i) => i._id !== item._id)]);
+        },
+        error: (err) => console.error('Live stream failed', err)
+      });
+  }
+
+  // The stream skipped captures it could not replay; fetch the newest instead
+  private reloadLiveItems(jobId: string, sinceIso: string): void {
+    this.breakingNewsService
+      .getLiveById(jobId, 500, 0, sinceIso)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (items) => this.liveItems.set(items),
+        error: (err) => console.error('Live items reload failed', err)
+      });
   }
 
   private pollJob(jobId: string): void {
-    timer(0, 1500)
+    this.liveJobSub?.unsubscribe();
+    this.liveJobSub = timer(0, 1500)
       .pipe(
         takeUntilDestroyed(this.destroyRef),
         switchMap(() =>
@@ -222,23 +510,32 @@ export class BreakingNewsComponent implements OnInit {
           if (!job) return;
           const msg =
             job.status === 'queued'
-              ? 'Queued…'
+              ? job.attempts
+                ? `Attempt ${job.attempts} of ${job.maxAttempts} failed, retrying…`
+                : 'Queued…'
               : job.status === 'running'
               ? 'Streaming live results…'
               : job.status === 'succeeded'
               ? 'Job finished.'
+              : job.status === 'cancelled'
+              ? 'Job cancelled.'
+              : job.status === 'timed_out'
+              ? 'Job timed out.'
               : 'Job failed.';
+          this.liveJob.set(job);
           this.liveModalMessage.set(`Job status: ${job.status}. ${msg}`);
-        })
+        }),
+        // Stop polling once the job has finished (the final status still arrives)
+        takeWhile((job) => !job || !FINISHED_JOB_STATUSES.includes(job.status), true)
       )
       .subscribe((job) => {
         if (!job) return;
 
-        if (job.status === 'failed') {
+        if (job.status === 'succeeded') {
+          this.liveModalStage.set('done');
+        } else if (FINISHED_JOB_STATUSES.includes(job.status)) {
           this.liveError.set(job.error?.message || 'Job failed.');
           this.liveModalStage.set('failed');
-        } else if (job.status === 'succeeded') {
-          this.liveModalStage.set('done');
         }
       });
   }
@@ -253,6 +550,18 @@ export class BreakingNewsComponent implements OnInit {
     return item._id;
   }
 
+  trackStoryById(_index: number, story: Story) {
+    return story._id;
+  }
+
+  trackSpikeById(_index: number, spike: TrendSpike) {
+    return spike._id;
+  }
+
+  trackClaimById(_index: number, claim: Claim) {
+    return claim._id;
+  }
+
   getDomain(url: string): string {
     try {
       return new URL(url).hostname;
@@ -0,0 +1,88 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { ActivatedRoute, convertToParamMap, provideRouter } from '@angular/router';
+import { of } from 'rxjs';
+
+import { EntitiesComponent } from './entities';
+
+describe('EntitiesComponent', () => {
+  let component: EntitiesComponent;
+  let fixture: ComponentFixture<EntitiesComponent>;
+  let http: HttpTestingController;
+
+  async function create(queryParams: Record<string, string> = {}) {
+    await TestBed.configureTestingModule({
+      imports: [EntitiesComponent],
+      providers: [
+        provideHttpClient(),
+        provideHttpClientTesting(),
+        provideRouter([]),
+        { provide: ActivatedRoute, useValue: { queryParamMap: of(convertToParamMap(queryParams)) } }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(EntitiesComponent);
+    component = fixture.componentInstance;
+    http = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+  }
+
+  afterEach(() => http.verify());
+
+  it('should create', async () => {
+    await create();
+    http.expectOne((r) => r.url.endsWith('/entities')).flush([]);
+    expect(component).toBeTruthy();
+  });
+
+  it('lists entities with the search and type filters', async () => {
+    await create();
+    http.expectOne((r) => r.url.endsWith('/entities')).flush([]);
+
+    component.setType('person');
+    const req = http.expectOne((r) => r.url.endsWith('/entities'));
+    expect(req.request.params.get('type')).toBe('person');
+    expect(req.request.params.get('limit')).toBe('100');
+    expect(req.request.params.has('q')).toBe(false);
+    req.flush([{ _id: 'e1', type: 'person', key: 'x', name: 'X', mentionCount: 3 }]);
+
+    expect(component.entities().length).toBe(1);
+  });
+
+  it('opens the entity named in ?id= and draws its sparkline', async () => {
+    await create({ id: 'Wagner' });
+    http.expectOne((r) => r.url.endsWith('/entities')).flush([]);
+
+    const req = http.expectOne((r) => r.url.endsWith('/entities/Wagner'));
+    expect(req.request.params.get('days')).toBe('30');
+    req.flush({
+      _id: 'e1',
+      type: 'organization',
+      key: 'wagner',
+      name: 'Wagner',
+      mentionCount: 3,
+      tweets: [],
+      related: [],
+      sparkline: { unit: 'day', since: '2026-01-01', points: [{ at: 'a', count: 1 }, { at: 'b', count: 2 }] }
+    });
+
+    expect(component.detail()?.name).toBe('Wagner');
+    expect(component.sparkTotal()).toBe(3);
+    expect(component.sparkline().split(' ').length).toBe(2);
+  });
+
+  it('says so when the entity is not known yet', async () => {
+    await create({ id: 'Nobody' });
+    http.expectOne((r) => r.url.endsWith('/entities')).flush([]);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    http
+      .expectOne((r) => r.url.endsWith('/entities/Nobody'))
+      .flush({ error: 'Entity not found' }, { status: 404, statusText: 'Not Found' });
+
+    expect(component.detail()).toBeNull();
+    expect(component.detailError()).toBe('No entity "Nobody" yet.');
+  });
+});
@@ -0,0 +1,140 @@
+// src/app/pages/entities/entities.ts
+import { Component, DestroyRef, OnInit, computed, inject, signal } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ActivatedRoute, Router } from '@angular/router';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import {
+  EntitiesService,
+  Entity,
+  EntityDetail,
+  EntityType,
+  EntityMention
+} from '../../services/entities.service';
+
+const SPARK_WIDTH = 300;
+const SPARK_HEIGHT = 48;
+
+@Component({
+  selector: 'app-entities',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './entities.html'
+})
+export class EntitiesComponent implements OnInit {
+  readonly types: EntityType[] = ['person', 'organization', 'equipment'];
+  readonly dayOptions = [2, 7, 30, 90];
+  readonly sparkWidth = SPARK_WIDTH;
+  readonly sparkHeight = SPARK_HEIGHT;
+
+  type = signal<EntityType | ''>('');
+  query = signal('');
+  days = signal(30);
+
+  entities = signal<Entity[]>([]);
+  loading = signal(false);
+  error = signal<string | null>(null);
+
+  detail = signal<EntityDetail | null>(null);
+  detailLoading = signal(false);
+  detailError = signal<string | null>(null);
+
+  // SVG polyline points for the mention sparkline
+  sparkline = computed(() => {
+    const points = this.detail()?.sparkline.points ?? [];
+    if (points.length < 2) return '';
+    const max = Math.max(1, ...points.map((p) => p.count));
+    const step = SPARK_WIDTH / (points.length - 1);
+    const y = (count: number) => SPARK_HEIGHT - 1 - (count / max) * (SPARK_HEIGHT - 2);
+    return points.map((p, i) => `${(i * step).toFixed(1)},${y(p.count).toFixed(1)}`).join(' ');
+  });
+  sparkTotal = computed(() =>
+    (this.detail()?.sparkline.points ?? []).reduce((sum, p) => sum + p.count, 0)
+  );
+
+  private readonly entitiesService = inject(EntitiesService);
+  private readonly route = inject(ActivatedRoute);
+  private readonly router = inject(Router);
+  private readonly destroyRef = inject(DestroyRef);
+
+  ngOnInit(): void {
+    this.loadEntities();
+
+    // ?id= is an entity _id or a name, so other pages can link by name
+    this.route.queryParamMap.pipe(takeUntilDestroyed(this.destroyRef)).subscribe((params) => {
+      const id = params.get('id');
+      if (id) this.loadDetail(id);
+      else this.detail.set(null);
+    });
+  }
+
+  loadEntities(): void {
+    this.loading.set(true);
+    this.error.set(null);
+
+    this.entitiesService
+      .list({ type: this.type(), q: this.query() || undefined, limit: 100 })
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (items) => {
+          this.entities.set(items);
+          this.loading.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load entities', err);
+          this.error.set('Failed to load entities.');
+          this.loading.set(false);
+        }
+      });
+  }
+
+  loadDetail(idOrName: string): void {
+    this.detailLoading.set(true);
+    this.detailError.set(null);
+
+    this.entitiesService
+      .getById(idOrName, this.days())
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (detail) => {
+          this.detail.set(detail);
+          this.detailLoading.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load entity', err);
+          this.detail.set(null);
+          this.detailError.set(
+            err?.status === 404 ? `No entity "${idOrName}" yet.` : 'Failed to load entity.'
+          );
+          this.detailLoading.set(false);
+        }
+      });
+  }
+
+  search(value: string): void {
+    this.query.set(value.trim());
+    this.loadEntities();
+  }
+
+  setType(value: string): void {
+    this.type.set(value as EntityType | '');
+    this.loadEntities();
+  }
+
+  setDays(value: string): void {
+    this.days.set(Number(value));
+    const current = this.detail();
+    if (current) this.loadDetail(current._id);
+  }
+
+  select(id: string): void {
+    this.router.navigate([], { relativeTo: this.route, queryParams: { id } });
+  }
+
+  trackById(_index: number, entity: { _id: string }) {
+    return entity._id;
+  }
+
+  trackByTweet(_index: number, mention: EntityMention) {
+    return mention.tweetId;
+  }
+}
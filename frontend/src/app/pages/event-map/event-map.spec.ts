@@ -0,0 +1,62 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+
+import { EventMapComponent } from './event-map';
+import { GeoEventFeature } from '../../services/geo.service';
+
+function feature(id: string, category: string): GeoEventFeature {
+  return {
+    type: 'Feature',
+    id,
+    geometry: { type: 'Point', coordinates: [10, 50] },
+    properties: { tweetId: id, category, time_window: 'ongoing', confidence: 0.9 }
+  } as GeoEventFeature;
+}
+
+describe('EventMapComponent', () => {
+  let component: EventMapComponent;
+  let fixture: ComponentFixture<EventMapComponent>;
+  let http: HttpTestingController;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [EventMapComponent],
+      providers: [provideHttpClient(), provideHttpClientTesting()]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(EventMapComponent);
+    component = fixture.componentInstance;
+    http = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+  });
+
+  afterEach(() => http.verify());
+
+  it('should create', () => {
+    http.expectOne((req) => req.url.endsWith('/geo/bbox')).flush({ type: 'FeatureCollection', features: [] });
+    expect(component).toBeTruthy();
+  });
+
+  it('loads the whole world for the last 24 hours', () => {
+    const req = http.expectOne((r) => r.url.endsWith('/geo/bbox'));
+    expect(req.request.params.get('bbox')).toBe('-180,-90,180,90');
+    expect(req.request.params.get('hours')).toBe('24');
+    req.flush({ type: 'FeatureCollection', features: [feature('1', 'conflict')] });
+
+    expect(component.features().length).toBe(1);
+    expect(component.loading()).toBe(false);
+  });
+
+  it('filters the loaded events by category', () => {
+    http.expectOne((r) => r.url.endsWith('/geo/bbox')).flush({
+      type: 'FeatureCollection',
+      features: [feature('1', 'conflict'), feature('2', 'weather'), feature('3', 'conflict')]
+    });
+
+    expect(component.categories()).toEqual(['conflict', 'weather']);
+    component.setCategory('weather');
+    expect(component.visibleFeatures().map((f) => f.id)).toEqual(['2']);
+  });
+});
@@ -0,0 +1,182 @@
+// src/app/pages/event-map/event-map.ts
+import {
+  AfterViewInit,
+  Component,
+  DestroyRef,
+  ElementRef,
+  OnDestroy,
+  ViewChild,
+  computed,
+  inject,
+  signal
+} from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import * as L from 'leaflet';
+import { GeoService, GeoEventFeature } from '../../services/geo.service';
+
+type BBox = [number, number, number, number];
+
+const WORLD: BBox = [-180, -90, 180, 90];
+
+// Marker colour per enrichment time_window
+const TIME_WINDOW_COLORS: Record<string, string> = {
+  ongoing: '#ef4444',
+  past_event: '#94a3b8',
+  future_risk: '#f59e0b',
+  unknown: '#38bdf8'
+};
+
+@Component({
+  selector: 'app-event-map',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './event-map.html'
+})
+export class EventMapComponent implements AfterViewInit, OnDestroy {
+  @ViewChild('mapContainer', { static: true }) mapContainer!: ElementRef<HTMLDivElement>;
+
+  readonly hourOptions = [1, 6, 12, 24, 48, 72, 168];
+  readonly timeWindowColors = TIME_WINDOW_COLORS;
+
+  hours = signal(24);
+  category = signal('');
+  minConfidence = signal(0);
+  areaOnly = signal(false);
+
+  features = signal<GeoEventFeature[]>([]);
+  loading = signal(false);
+  error = signal<string | null>(null);
+  selected = signal<GeoEventFeature | null>(null);
+
+  categories = computed(() =>
+    [...new Set(this.features().map((f) => f.properties.category))].sort()
+  );
+  visibleFeatures = computed(() => {
+    const category = this.category();
+    return category
+      ? this.features().filter((f) => f.properties.category === category)
+      : this.features();
+  });
+
+  private map: L.Map | null = null;
+  private markers = L.layerGroup();
+
+  private readonly geoService = inject(GeoService);
+  private readonly destroyRef = inject(DestroyRef);
+
+  ngAfterViewInit(): void {
+    this.map = L.map(this.mapContainer.nativeElement, { worldCopyJump: true }).setView([30, 15], 2);
+
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      maxZoom: 18,
+      attribution: '&copy; OpenStreetMap contributors'
+    }).addTo(this.map);
+
+    this.markers.addTo(this.map);
+    this.map.on('moveend', () => {
+      if (this.areaOnly()) this.loadEvents();
+    });
+
+    this.loadEvents();
+  }
+
+  ngOnDestroy(): void {
+    this.map?.remove();
+    this.map = null;
+  }
+
+  loadEvents(): void {
+    this.loading.set(true);
+    this.error.set(null);
+
+    this.geoService
+      .getByBoundingBox(this.areaOnly() ? this.currentBBox() : WORLD, {
+        hours: this.hours(),
+        minConfidence: this.minConfidence() || undefined,
+        limit: 2000
+      })
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (res) => {
+          this.features.set(res.features);
+          this.loading.set(false);
+          this.renderMarkers();
+        },
+        error: (err) => {
+          console.error('Failed to load map events', err);
+          this.error.set('Failed to load map events.');
+          this.loading.set(false);
+        }
+      });
+  }
+
+  setHours(hours: string): void {
+    this.hours.set(Number(hours));
+    this.loadEvents();
+  }
+
+  setMinConfidence(value: string): void {
+    this.minConfidence.set(Number(value));
+    this.loadEvents();
+  }
+
+  setCategory(category: string): void {
+    this.category.set(category);
+    this.renderMarkers();
+  }
+
+  toggleAreaOnly(): void {
+    this.areaOnly.update((v) => !v);
+    this.loadEvents();
+  }
+
+  focus(feature: GeoEventFeature): void {
+    this.selected.set(feature);
+    const [lon, lat] = feature.geometry.coordinates;
+    this.map?.setView([lat, lon], Math.max(this.map.getZoom(), 6));
+  }
+
+  trackByFeatureId(_index: number, feature: GeoEventFeature) {
+    return feature.id;
+  }
+
+  private renderMarkers(): void {
+    this.markers.clearLayers();
+
+    for (const feature of this.visibleFeatures()) {
+      const [lon, lat] = feature.geometry.coordinates;
+      const p = feature.properties;
+
+      // Dashed outline for points inferred from the gazetteer rather than stated
+      L.circleMarker([lat, lon], {
+        radius: 4 + Math.round(p.confidence * 6),
+        color: TIME_WINDOW_COLORS[p.time_window] ?? TIME_WINDOW_COLORS['unknown'],
+        weight: 1,
+        dashArray: p.geo_source === 'geonames' ? '3' : undefined,
+        fillOpacity: p.precision === 'country' ? 0.2 : 0.6
+      })
+        .bindTooltip(`${p.place ?? 'Unknown place'} · ${p.category}`)
+        .on('click', () => this.selected.set(feature))
+        .addTo(this.markers);
+    }
+  }
+
+  // Current viewport as [minLon, minLat, maxLon, maxLat], wrapped to -180..180
+  private currentBBox(): BBox {
+    if (!this.map) return WORLD;
+
+    const b = this.map.getBounds();
+    if (b.getEast() - b.getWest() >= 360) {
+      return [-180, Math.max(b.getSouth(), -90), 180, Math.min(b.getNorth(), 90)];
+    }
+
+    const wrap = (lng: number) => ((((lng + 180) % 360) + 360) % 360) - 180;
+    return [
+      wrap(b.getWest()),
+      Math.max(b.getSouth(), -90),
+      wrap(b.getEast()),
+      Math.min(b.getNorth(), 90)
+    ];
+  }
+}
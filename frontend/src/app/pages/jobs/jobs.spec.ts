@@ -0,0 +1,123 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+
+import { JobsComponent } from './jobs';
+import { JobRecord, JobType } from '../../services/jobs.service';
+import { AuthService } from '../../services/auth.service';
+
+function jobType(overrides: Partial<JobType>): JobType {
+  return {
+    type: 'enrichbreakingnews',
+    title: 'Enrich breaking news',
+    description: 'Enrich stored tweets.',
+    script: 'enrichbreakingnews.mjs',
+    payloadSchema: { type: 'object', properties: {} },
+    argv: [],
+    env: {},
+    requiredRole: null,
+    destructive: false,
+    concurrency: 1,
+    maxAttempts: 1,
+    timeoutMs: 60000,
+    ...overrides
+  };
+}
+
+const ENRICH = jobType({
+  payloadSchema: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string' }, force: { type: 'boolean' } }
+  },
+  argv: [
+    { field: 'id', flag: '--id' },
+    { field: 'force', flag: '--force' }
+  ],
+  env: { ENRICH_MODEL: 'model' }
+});
+const PURGE = jobType({ type: 'purge', title: 'Purge', script: 'purge.mjs', requiredRole: 'EDITOR' });
+
+describe('JobsComponent', () => {
+  let component: JobsComponent;
+  let fixture: ComponentFixture<JobsComponent>;
+  let http: HttpTestingController;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [JobsComponent],
+      providers: [
+        provideHttpClient(),
+        provideHttpClientTesting(),
+        {
+          provide: AuthService,
+          useValue: { hasRole: (role: string) => role === 'READER' || role === 'WRITER' }
+        }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(JobsComponent);
+    component = fixture.componentInstance;
+    http = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+
+    http.expectOne((r) => r.url.endsWith('/jobs/types')).flush([ENRICH, PURGE]);
+    http.expectOne((r) => r.url.endsWith('/jobs')).flush([]);
+  });
+
+  afterEach(() => http.verify());
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+    expect(component.selectedType()?.type).toBe('enrichbreakingnews');
+  });
+
+  it('previews the command the worker will run', () => {
+    component.payloadText.set('{ "id": "X", "force": true, "model": "o3" }');
+    expect(component.commandPreview()).toBe(
+      'ENRICH_MODEL=o3 node enrichbreakingnews.mjs --id=X --force'
+    );
+
+    component.payloadText.set('not json');
+    expect(component.commandPreview()).toBeNull();
+  });
+
+  it('lists the schema violations of a rejected payload', () => {
+    component.payloadText.set('{}');
+    component.launch();
+
+    const req = http.expectOne((r) => r.url.endsWith('/jobs') && r.method === 'POST');
+    expect(req.request.body).toEqual({ type: 'enrichbreakingnews', payload: {} });
+    req.flush(
+      { error: 'Invalid payload', errors: [{ path: '', message: "must have property 'id'" }] },
+      { status: 400, statusText: 'Bad Request' }
+    );
+
+    expect(component.formError()).toBe('Invalid payload');
+    expect(component.fieldErrors()).toEqual(["payload must have property 'id'"]);
+    expect(component.launching()).toBe(false);
+  });
+
+  it('only offers launching and re-running a type to the roles it allows', () => {
+    const job = (type: string) => ({ id: 'j1', type, status: 'failed', payload: {} }) as JobRecord;
+
+    expect(component.canLaunch(ENRICH)).toBe(true);
+    expect(component.canLaunch(PURGE)).toBe(false);
+    expect(component.canRerun(job('enrichbreakingnews'))).toBe(true);
+    expect(component.canRerun(job('purge'))).toBe(false);
+  });
+
+  it('opens the new job after a re-run', () => {
+    component.rerun({ id: 'j1', type: 'enrichbreakingnews', status: 'failed', payload: {} });
+    http.expectOne((r) => r.url.endsWith('/jobs/j1/rerun')).flush({ jobId: 'j2' });
+
+    http.expectOne((r) => r.url.endsWith('/jobs') && r.method === 'GET').flush([]);
+    http
+      .expectOne((r) => r.url.endsWith('/jobs/j2'))
+      .flush({ id: 'j2', type: 'enrichbreakingnews', status: 'queued', payload: {} });
+
+    expect(component.selectedJob()?.id).toBe('j2');
+    expect(component.jobAction()).toBeNull();
+  });
+});
@@ -0,0 +1,293 @@
+// src/app/pages/jobs/jobs.ts
+import { Component, DestroyRef, OnInit, computed, inject, signal } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import { interval } from 'rxjs';
+import {
+  FINISHED_JOB_STATUSES,
+  JobPayloadProperty,
+  JobRecord,
+  JobsService,
+  JobType
+} from '../../services/jobs.service';
+import { AuthService } from '../../services/auth.service';
+
+const REFRESH_MS = 5000;
+
+@Component({
+  selector: 'app-jobs',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './jobs.html'
+})
+export class JobsComponent implements OnInit {
+  types = signal<JobType[]>([]);
+  selectedType = signal<JobType | null>(null);
+  payloadText = signal('{}');
+  launching = signal(false);
+  formError = signal<string | null>(null);
+  fieldErrors = signal<string[]>([]);
+
+  jobs = signal<JobRecord[]>([]);
+  selectedJob = signal<JobRecord | null>(null);
+  loading = signal(false);
+  error = signal<string | null>(null);
+  jobAction = signal<string | null>(null);
+
+  // What the worker will run, from the payload as typed so far
+  commandPreview = computed(() => {
+    const t = this.selectedType();
+    const payload = this.parsePayload(this.payloadText());
+    if (!t || !payload) return null;
+
+    const args: string[] = [];
+    for (const { field, flag } of t.argv) {
+      const value = payload[field];
+      if (value === undefined || value === null || value === false) continue;
+      if (!flag) args.push(String(value));
+      else args.push(value === true ? flag : `${flag}=${value}`);
+    }
+    const env = Object.entries(t.env)
+      .filter(([, field]) => payload[field] !== undefined && payload[field] !== null)
+      .map(([name, field]) => `${name}=${payload[field]}`);
+    return [...env, 'node', t.script, ...args].join(' ');
+  });
+
+  private readonly jobsService = inject(JobsService);
+  private readonly authService = inject(AuthService);
+  private readonly destroyRef = inject(DestroyRef);
+
+  ngOnInit(): void {
+    this.jobsService
+      .getTypes()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (types) => {
+          this.types.set(types);
+          if (!this.selectedType() && types.length) this.selectType(types[0]);
+        },
+        error: (err) => {
+          console.error('Failed to load job types', err);
+          this.error.set('Failed to load job types.');
+        }
+      });
+
+    this.loadJobs();
+
+    // Follow the queue while something is queued or running
+    interval(REFRESH_MS)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe(() => {
+        if (this.jobs().some((j) => this.isActive(j))) this.loadJobs(true);
+        const selected = this.selectedJob();
+        if (selected && this.isActive(selected)) this.openJob(selected);
+      });
+  }
+
+  loadJobs(quiet = false): void {
+    if (!quiet) this.loading.set(true);
+    this.error.set(null);
+
+    this.jobsService
+      .listJobs()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (jobs) => {
+          this.jobs.set(jobs);
+          this.loading.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load jobs', err);
+          this.error.set('Failed to load jobs.');
+          this.loading.set(false);
+        }
+      });
+  }
+
+  // ---------- launcher ----------
+
+  selectType(t: JobType): void {
+    this.selectedType.set(t);
+    this.payloadText.set(JSON.stringify(this.examplePayload(t), null, 2));
+    this.formError.set(null);
+    this.fieldErrors.set([]);
+  }
+
+  // Cancelling, like launching, takes a writer
+  get canManage(): boolean {
+    return this.authService.hasRole('WRITER');
+  }
+
+  canLaunch(t: JobType): boolean {
+    return this.authService.hasRole(t.requiredRole ?? 'WRITER');
+  }
+
+  // A re-run is a new job of the same type
+  canRerun(job: JobRecord): boolean {
+    const t = this.types().find((type) => type.type === job.type);
+    return t ? this.canLaunch(t) : this.canManage;
+  }
+
+  launch(): void {
+    const t = this.selectedType();
+    if (!t || this.launching()) return;
+
+    const payload = this.parsePayload(this.payloadText());
+    if (!payload) {
+      this.formError.set('Payload must be a JSON object.');
+      return;
+    }
+    if (t.destructive && !confirm(`${t.title}: ${t.description}\n\nRun it?`)) return;
+
+    this.launching.set(true);
+    this.formError.set(null);
+    this.fieldErrors.set([]);
+
+    this.jobsService
+      .createJob(t.type, payload)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: ({ jobId }) => {
+          this.launching.set(false);
+          this.loadJobs(true);
+          this.openJob({ id: jobId } as JobRecord);
+        },
+        error: (err) => {
+          console.error('Failed to queue job', err);
+          this.formError.set(err?.error?.error || 'Failed to queue job.');
+          this.fieldErrors.set(
+            (err?.error?.errors || []).map(
+              (e: { path: string; message: string }) => `${e.path || 'payload'} ${e.message}`
+            )
+          );
+          this.launching.set(false);
+        }
+      });
+  }
+
+  properties(t: JobType): { name: string; prop: JobPayloadProperty; required: boolean }[] {
+    const required = t.payloadSchema.required || [];
+    return Object.entries(t.payloadSchema.properties || {}).map(([name, prop]) => ({
+      name,
+      prop,
+      required: required.includes(name)
+    }));
+  }
+
+  describeProperty(prop: JobPayloadProperty): string {
+    const parts: string[] = [prop.type];
+    if (prop.enum) parts.push(prop.enum.join(' | '));
+    if (prop.pattern) parts.push(`/${prop.pattern}/`);
+    if (prop.minimum !== undefined || prop.maximum !== undefined) {
+      parts.push(`${prop.minimum ?? ''}…${prop.maximum ?? ''}`);
+    }
+    return parts.join(' · ');
+  }
+
+  argFor(t: JobType, field: string): string {
+    const arg = t.argv.find((a) => a.field === field);
+    if (arg) return arg.flag ?? 'positional';
+    const env = Object.entries(t.env).find(([, f]) => f === field);
+    return env ? `env ${env[0]}` : '';
+  }
+
+  // ---------- jobs ----------
+
+  openJob(job: JobRecord): void {
+    this.jobsService
+      .getJob(job.id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (full) => {
+          this.selectedJob.set(full);
+          this.jobs.update((list) => list.map((j) => (j.id === full.id ? { ...j, ...full } : j)));
+        },
+        error: (err) => console.error('Failed to load job', err)
+      });
+  }
+
+  cancel(job: JobRecord): void {
+    this.jobAction.set(job.id);
+    this.jobsService
+      .cancelJob(job.id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: () => {
+          this.jobAction.set(null);
+          this.openJob(job);
+        },
+        error: (err) => {
+          console.error('Failed to cancel job', err);
+          this.error.set(err?.error?.error || 'Failed to cancel job.');
+          this.jobAction.set(null);
+        }
+      });
+  }
+
+  rerun(job: JobRecord): void {
+    this.jobAction.set(job.id);
+    this.jobsService
+      .rerunJob(job.id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: ({ jobId }) => {
+          this.jobAction.set(null);
+          this.loadJobs(true);
+          this.openJob({ id: jobId } as JobRecord);
+        },
+        error: (err) => {
+          console.error('Failed to re-run job', err);
+          this.error.set(err?.error?.error || 'Failed to re-run job.');
+          this.jobAction.set(null);
+        }
+      });
+  }
+
+  isActive(job: JobRecord): boolean {
+    return !FINISHED_JOB_STATUSES.includes(job.status);
+  }
+
+  statusClass(job: JobRecord): string {
+    switch (job.status) {
+      case 'succeeded':
+        return 'text-emerald-400';
+      case 'failed':
+      case 'timed_out':
+        return 'text-red-400';
+      case 'cancelled':
+        return 'text-slate-500';
+      case 'running':
+        return 'text-sky-400';
+      default:
+        return 'text-amber-400';
+    }
+  }
+
+  payloadSummary(job: JobRecord): string {
+    const entries = Object.entries(job.payload || {});
+    return entries.length ? entries.map(([k, v]) => `${k}=${v}`).join(' ') : '—';
+  }
+
+  trackById(_: number, item: { id: string }): string {
+    return item.id;
+  }
+
+  private examplePayload(t: JobType): Record<string, unknown> {
+    const example: Record<string, unknown> = {};
+    for (const name of t.payloadSchema.required || []) {
+      const prop = t.payloadSchema.properties[name];
+      example[name] = prop?.enum?.[0] ?? (prop?.type === 'boolean' ? false : '');
+    }
+    return example;
+  }
+
+  private parsePayload(text: string): Record<string, any> | null {
+    try {
+      const value = JSON.parse(text || '{}');
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch {
+      return null;
+    }
+  }
+}
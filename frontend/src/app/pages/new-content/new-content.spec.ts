@@ -1,4 +1,5 @@
 import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideRouter } from '@angular/router';
 import { NewContentComponent } from './new-content';
 
 describe('NewContentComponent', () => {
@@ -7,7 +8,8 @@ describe('NewContentComponent', () => {
 
   beforeEach(async () => {
     await TestBed.configureTestingModule({
-      imports: [NewContentComponent]
+      imports: [NewContentComponent],
+      providers: [provideRouter([])]
     })
     .compileComponents();
 
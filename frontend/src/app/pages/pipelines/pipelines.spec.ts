@@ -0,0 +1,137 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+
+import { PipelinesComponent } from './pipelines';
+import { Pipeline, PipelineRun } from '../../services/pipelines.service';
+import { AuthService } from '../../services/auth.service';
+
+const PIPELINE: Pipeline = {
+  name: 'breaking-news',
+  title: 'Breaking news',
+  description: 'Scrape, then enrich.',
+  steps: [
+    {
+      id: 'scrape',
+      jobType: 'twitterscraper',
+      needs: [],
+      payload: {},
+      inputs: {},
+      trigger: 'all_succeeded',
+      when: [],
+      retry: { maxAttempts: 2, delayMs: 60000 },
+      chunk: null
+    },
+    {
+      id: 'enrich',
+      jobType: 'enrichbreakingnews',
+      needs: ['scrape'],
+      payload: {},
+      inputs: { ids: 'scrape.newTweetIds' },
+      trigger: 'all_succeeded',
+      when: [{ path: 'scrape.newTweetIds', op: 'notEmpty' }],
+      retry: null,
+      chunk: { input: 'ids', size: 500 }
+    }
+  ]
+};
+
+const RUN: PipelineRun = {
+  _id: 'run1',
+  pipeline: 'breaking-news',
+  status: 'running',
+  trigger: 'manual',
+  startedAt: '2026-10-19T10:00:00Z',
+  steps: [
+    {
+      id: 'scrape',
+      jobType: 'twitterscraper',
+      needs: [],
+      status: 'succeeded',
+      attempts: 1,
+      output: { newTweetIds: ['1', '2'], count: 2 }
+    },
+    { id: 'enrich', jobType: 'enrichbreakingnews', needs: ['scrape'], status: 'running', attempts: 1 }
+  ]
+};
+
+describe('PipelinesComponent', () => {
+  let component: PipelinesComponent;
+  let fixture: ComponentFixture<PipelinesComponent>;
+  let http: HttpTestingController;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [PipelinesComponent],
+      providers: [
+        provideHttpClient(),
+        provideHttpClientTesting(),
+        { provide: AuthService, useValue: { hasRole: () => true } }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(PipelinesComponent);
+    component = fixture.componentInstance;
+    http = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+
+    http.expectOne((r) => r.url.endsWith('/pipelines')).flush([PIPELINE]);
+    http.expectOne((r) => r.url.endsWith('/pipelines/runs')).flush({ items: [RUN], total: 1 });
+  });
+
+  afterEach(() => http.verify());
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+    expect(component.total()).toBe(1);
+  });
+
+  it('describes what decides whether a step runs', () => {
+    expect(component.describeStep('breaking-news', 'scrape')).toBe('2 attempts');
+    expect(component.describeStep('breaking-news', 'enrich')).toBe(
+      'after scrape · ids ← scrape.newTweetIds · ids in chunks of 500 · if scrape.newTweetIds notEmpty'
+    );
+    expect(component.outputSummary(RUN.steps[0])).toBe('newTweetIds=[2] count=2');
+  });
+
+  it('filters runs by pipeline and status', () => {
+    component.setPipelineFilter('breaking-news');
+    http.expectOne((r) => r.url.endsWith('/pipelines/runs')).flush({ items: [], total: 0 });
+
+    component.setStatusFilter('failed');
+    const req = http.expectOne((r) => r.url.endsWith('/pipelines/runs'));
+    expect(req.request.params.get('pipeline')).toBe('breaking-news');
+    expect(req.request.params.get('status')).toBe('failed');
+    req.flush({ items: [], total: 0 });
+    expect(component.runs()).toEqual([]);
+  });
+
+  it('starts a run and opens it', () => {
+    component.start(PIPELINE);
+    expect(component.starting()).toBe('breaking-news');
+    http.expectOne((r) => r.url.endsWith('/pipelines/breaking-news/runs')).flush({ runId: 'run2' });
+
+    http.expectOne((r) => r.url.endsWith('/pipelines/runs')).flush({ items: [RUN], total: 1 });
+    http
+      .expectOne((r) => r.url.endsWith('/pipelines/runs/run2'))
+      .flush({ ...RUN, _id: 'run2', steps: [] });
+
+    expect(component.starting()).toBeNull();
+    expect(component.selectedRun()?._id).toBe('run2');
+  });
+
+  it('cancels a run once confirmed', () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    component.cancel(RUN);
+    http
+      .expectOne((r) => r.url.endsWith('/pipelines/runs/run1/cancel'))
+      .flush({ ...RUN, cancelRequestedAt: '2026-10-19T10:01:00Z' });
+    http.expectOne((r) => r.url.endsWith('/pipelines/runs/run1')).flush({ ...RUN, status: 'cancelled' });
+
+    expect(component.cancelling()).toBe(false);
+    expect(component.selectedRun()?.status).toBe('cancelled');
+    expect(component.runs()[0].status).toBe('cancelled');
+  });
+});
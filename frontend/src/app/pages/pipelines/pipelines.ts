@@ -0,0 +1,213 @@
+// src/app/pages/pipelines/pipelines.ts
+import { Component, DestroyRef, OnInit, inject, signal } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import { interval } from 'rxjs';
+import {
+  Pipeline,
+  PipelineRun,
+  PipelineStep,
+  PipelineStepDefinition,
+  PipelinesService
+} from '../../services/pipelines.service';
+import { AuthService } from '../../services/auth.service';
+
+const REFRESH_MS = 5000;
+
+@Component({
+  selector: 'app-pipelines',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './pipelines.html'
+})
+export class PipelinesComponent implements OnInit {
+  pipelines = signal<Pipeline[]>([]);
+  runs = signal<PipelineRun[]>([]);
+  total = signal(0);
+  pipelineFilter = signal('');
+  statusFilter = signal('');
+  loading = signal(false);
+  error = signal<string | null>(null);
+
+  selectedRun = signal<PipelineRun | null>(null);
+  openLogs = signal<string | null>(null);
+  starting = signal<string | null>(null);
+  cancelling = signal(false);
+
+  readonly statuses = ['running', 'succeeded', 'failed', 'cancelled'];
+
+  private readonly pipelinesService = inject(PipelinesService);
+  private readonly authService = inject(AuthService);
+  private readonly destroyRef = inject(DestroyRef);
+
+  get canRun(): boolean {
+    return this.authService.hasRole('WRITER');
+  }
+
+  ngOnInit(): void {
+    this.pipelinesService
+      .list()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (pipelines) => this.pipelines.set(pipelines),
+        error: (err) => {
+          console.error('Failed to load pipelines', err);
+          this.error.set('Failed to load pipelines.');
+        }
+      });
+
+    this.loadRuns();
+
+    // Follow running runs
+    interval(REFRESH_MS)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe(() => {
+        if (this.runs().some((r) => r.status === 'running')) this.loadRuns(true);
+        const selected = this.selectedRun();
+        if (selected?.status === 'running') this.openRun(selected);
+      });
+  }
+
+  loadRuns(quiet = false): void {
+    if (!quiet) this.loading.set(true);
+    this.error.set(null);
+
+    this.pipelinesService
+      .listRuns({ pipeline: this.pipelineFilter(), status: this.statusFilter() })
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: ({ items, total }) => {
+          this.runs.set(items);
+          this.total.set(total);
+          this.loading.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load pipeline runs', err);
+          this.error.set('Failed to load pipeline runs.');
+          this.loading.set(false);
+        }
+      });
+  }
+
+  setPipelineFilter(value: string): void {
+    this.pipelineFilter.set(value);
+    this.loadRuns();
+  }
+
+  setStatusFilter(value: string): void {
+    this.statusFilter.set(value);
+    this.loadRuns();
+  }
+
+  start(p: Pipeline): void {
+    this.starting.set(p.name);
+    this.pipelinesService
+      .startRun(p.name)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: ({ runId }) => {
+          this.starting.set(null);
+          this.loadRuns(true);
+          this.openRun({ _id: runId } as PipelineRun);
+        },
+        error: (err) => {
+          console.error('Failed to start pipeline', err);
+          this.error.set(err?.error?.error || 'Failed to start pipeline.');
+          this.starting.set(null);
+        }
+      });
+  }
+
+  openRun(run: PipelineRun): void {
+    this.pipelinesService
+      .getRun(run._id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (full) => {
+          this.selectedRun.set(full);
+          this.runs.update((list) => list.map((r) => (r._id === full._id ? { ...r, ...full } : r)));
+        },
+        error: (err) => console.error('Failed to load pipeline run', err)
+      });
+  }
+
+  cancel(run: PipelineRun): void {
+    if (!confirm(`Cancel this ${run.pipeline} run? Its queued and running jobs are cancelled.`)) return;
+
+    this.cancelling.set(true);
+    this.pipelinesService
+      .cancelRun(run._id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: () => {
+          this.cancelling.set(false);
+          this.openRun(run);
+        },
+        error: (err) => {
+          console.error('Failed to cancel pipeline run', err);
+          this.error.set(err?.error?.error || 'Failed to cancel pipeline run.');
+          this.cancelling.set(false);
+        }
+      });
+  }
+
+  toggleLogs(step: PipelineStep): void {
+    this.openLogs.set(this.openLogs() === step.id ? null : step.id);
+  }
+
+  // What decides whether a step runs, from the pipeline's definition
+  describeStep(pipelineName: string, stepId: string): string {
+    const step = this.pipelines()
+      .find((p) => p.name === pipelineName)
+      ?.steps.find((s) => s.id === stepId);
+    return step ? this.describeDefinition(step) : '';
+  }
+
+  describeDefinition(step: PipelineStepDefinition): string {
+    const parts: string[] = [];
+    if (step.needs.length) parts.push(`after ${step.needs.join(', ')}`);
+    if (step.trigger !== 'all_succeeded') parts.push(step.trigger.replace('_', ' '));
+    for (const [field, path] of Object.entries(step.inputs)) parts.push(`${field} ← ${path}`);
+    if (step.chunk) parts.push(`${step.chunk.input} in chunks of ${step.chunk.size}`);
+    for (const c of step.when) {
+      parts.push(`if ${c.path} ${c.op}${c.value === undefined ? '' : ' ' + JSON.stringify(c.value)}`);
+    }
+    if (step.retry?.maxAttempts) parts.push(`${step.retry.maxAttempts} attempts`);
+    return parts.join(' · ');
+  }
+
+  duration(from?: string | null, to?: string | null): string {
+    if (!from) return '—';
+    const ms = (to ? new Date(to).getTime() : Date.now()) - new Date(from).getTime();
+    if (ms < 1000) return `${ms} ms`;
+    const s = Math.round(ms / 1000);
+    return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${s % 60}s`;
+  }
+
+  outputSummary(step: PipelineStep): string {
+    return Object.entries(step.output || {})
+      .map(([k, v]) => `${k}=${Array.isArray(v) ? `[${v.length}]` : v}`)
+      .join(' ');
+  }
+
+  statusClass(status: string): string {
+    switch (status) {
+      case 'succeeded':
+        return 'text-emerald-400';
+      case 'failed':
+        return 'text-red-400';
+      case 'cancelled':
+      case 'skipped':
+        return 'text-slate-500';
+      case 'running':
+        return 'text-sky-400';
+      default:
+        return 'text-amber-400';
+    }
+  }
+
+  trackById(_: number, run: PipelineRun): string {
+    return run._id;
+  }
+}
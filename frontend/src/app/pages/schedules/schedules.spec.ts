@@ -0,0 +1,110 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+
+import { SchedulesComponent } from './schedules';
+import { Schedule } from '../../services/schedules.service';
+import { AuthService } from '../../services/auth.service';
+
+const SCHEDULE: Schedule = {
+  _id: 's1',
+  name: 'RSS every hour',
+  cron: '0 * * * *',
+  enabled: true,
+  jobType: 'getrssfeeds',
+  payload: { region: 'US' },
+  pipeline: null,
+  overlap: 'skip',
+  misfire: 'run-once',
+  jitterMs: 30000,
+  fires: [],
+  createdAt: '2026-10-19T10:00:00Z',
+  updatedAt: '2026-10-19T10:00:00Z'
+};
+
+describe('SchedulesComponent', () => {
+  let component: SchedulesComponent;
+  let fixture: ComponentFixture<SchedulesComponent>;
+  let http: HttpTestingController;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [SchedulesComponent],
+      providers: [
+        provideHttpClient(),
+        provideHttpClientTesting(),
+        { provide: AuthService, useValue: { hasRole: () => true } }
+      ]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(SchedulesComponent);
+    component = fixture.componentInstance;
+    http = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+
+    http.expectOne((r) => r.url.endsWith('/jobs/types')).flush([]);
+    http.expectOne((r) => r.url.endsWith('/pipelines')).flush([]);
+    http.expectOne((r) => r.url.endsWith('/schedules')).flush([SCHEDULE]);
+  });
+
+  afterEach(() => http.verify());
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+    expect(component.schedules()).toEqual([SCHEDULE]);
+    expect(component.targetLabel(SCHEDULE)).toBe('getrssfeeds region=US');
+  });
+
+  it('opens a schedule with its upcoming runs', () => {
+    component.editSchedule(SCHEDULE);
+    expect(component.draft()?.jitterSeconds).toBe(30);
+    expect(component.draft()?.target).toBe('job:getrssfeeds');
+
+    const upcoming = ['2026-10-19T11:00:00Z', '2026-10-19T12:00:00Z'];
+    http.expectOne((r) => r.url.endsWith('/schedules/s1')).flush({ ...SCHEDULE, upcoming });
+    expect(component.selected()?.upcoming).toEqual(upcoming);
+  });
+
+  it('saves a pipeline schedule without a payload', () => {
+    component.newSchedule();
+    component.draft.update((d) => d && { ...d, name: 'News', target: 'pipeline:breaking-news' });
+    component.save();
+
+    const req = http.expectOne((r) => r.url.endsWith('/schedules') && r.method === 'POST');
+    expect(req.request.body).toEqual({
+      name: 'News',
+      description: null,
+      cron: '*/15 * * * *',
+      enabled: true,
+      pipeline: 'breaking-news',
+      jobType: null,
+      overlap: 'skip',
+      misfire: 'run-once',
+      jitterMs: 0
+    });
+    req.flush({ ...SCHEDULE, _id: 's2', name: 'News', jobType: null, pipeline: 'breaking-news' });
+
+    expect(component.schedules().map((s) => s.name)).toEqual(['News', 'RSS every hour']);
+    expect(component.draft()?.id).toBe('s2');
+  });
+
+  it('keeps invalid JSON payloads and rejected crons in the form', () => {
+    component.newSchedule();
+    component.draft.update((d) => d && { ...d, target: 'job:getrssfeeds', payloadText: '{' });
+    component.save();
+    expect(component.formError()).toBe('Payload must be valid JSON.');
+
+    component.draft.update((d) => d && { ...d, cron: '61 * * * *', payloadText: '{}' });
+    component.save();
+    http
+      .expectOne((r) => r.url.endsWith('/schedules') && r.method === 'POST')
+      .flush(
+        { error: 'Invalid minute "61" (0-59)' },
+        { status: 400, statusText: 'Bad Request' }
+      );
+
+    expect(component.formError()).toBe('Invalid minute "61" (0-59)');
+    expect(component.saving()).toBe(false);
+  });
+});
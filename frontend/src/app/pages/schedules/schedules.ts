@@ -0,0 +1,288 @@
+// src/app/pages/schedules/schedules.ts
+import { Component, DestroyRef, OnInit, inject, signal } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import {
+  Schedule,
+  ScheduleInput,
+  ScheduleMisfire,
+  ScheduleOverlap,
+  SchedulesService
+} from '../../services/schedules.service';
+import { JobsService, JobType } from '../../services/jobs.service';
+import { Pipeline, PipelinesService } from '../../services/pipelines.service';
+import { AuthService } from '../../services/auth.service';
+
+interface ScheduleDraft {
+  id: string | null;
+  name: string;
+  description: string;
+  cron: string;
+  enabled: boolean;
+  // 'job:<type>' or 'pipeline:<name>'
+  target: string;
+  payloadText: string;
+  overlap: ScheduleOverlap;
+  misfire: ScheduleMisfire;
+  jitterSeconds: number;
+}
+
+const OVERLAP_LABELS: Record<ScheduleOverlap, string> = {
+  skip: 'Skip while the previous job runs',
+  queue: 'Queue behind it (one waiting at most)',
+  'cancel-previous': 'Cancel the previous job'
+};
+
+const MISFIRE_LABELS: Record<ScheduleMisfire, string> = {
+  'run-once': 'Run once when back up',
+  skip: 'Skip missed runs'
+};
+
+@Component({
+  selector: 'app-schedules',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './schedules.html'
+})
+export class SchedulesComponent implements OnInit {
+  readonly overlapLabels = OVERLAP_LABELS;
+  readonly misfireLabels = MISFIRE_LABELS;
+  readonly overlaps = Object.keys(OVERLAP_LABELS) as ScheduleOverlap[];
+  readonly misfires = Object.keys(MISFIRE_LABELS) as ScheduleMisfire[];
+
+  schedules = signal<Schedule[]>([]);
+  jobTypes = signal<JobType[]>([]);
+  pipelines = signal<Pipeline[]>([]);
+  loading = signal(false);
+  error = signal<string | null>(null);
+
+  draft = signal<ScheduleDraft | null>(null);
+  selected = signal<Schedule | null>(null);
+  saving = signal(false);
+  formError = signal<string | null>(null);
+  fieldErrors = signal<string[]>([]);
+
+  private readonly schedulesService = inject(SchedulesService);
+  private readonly jobsService = inject(JobsService);
+  private readonly pipelinesService = inject(PipelinesService);
+  private readonly authService = inject(AuthService);
+  private readonly destroyRef = inject(DestroyRef);
+
+  get canEdit(): boolean {
+    return this.authService.hasRole('EDITOR');
+  }
+
+  ngOnInit(): void {
+    this.jobsService
+      .getTypes()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (types) => this.jobTypes.set(types),
+        error: (err) => console.error('Failed to load job types', err)
+      });
+
+    this.pipelinesService
+      .list()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (pipelines) => this.pipelines.set(pipelines),
+        error: (err) => console.error('Failed to load pipelines', err)
+      });
+
+    this.loadSchedules();
+  }
+
+  loadSchedules(): void {
+    this.loading.set(true);
+    this.error.set(null);
+
+    this.schedulesService
+      .list()
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (schedules) => {
+          this.schedules.set(schedules);
+          this.loading.set(false);
+        },
+        error: (err) => {
+          console.error('Failed to load schedules', err);
+          this.error.set('Failed to load schedules.');
+          this.loading.set(false);
+        }
+      });
+  }
+
+  // ---------- editor ----------
+
+  newSchedule(): void {
+    this.selected.set(null);
+    this.resetErrors();
+    this.draft.set({
+      id: null,
+      name: '',
+      description: '',
+      cron: '*/15 * * * *',
+      enabled: true,
+      target: `job:${this.jobTypes()[0]?.type ?? ''}`,
+      payloadText: '{}',
+      overlap: 'skip',
+      misfire: 'run-once',
+      jitterSeconds: 0
+    });
+  }
+
+  editSchedule(s: Schedule): void {
+    this.resetErrors();
+    this.openDraft(s);
+    // The detail carries the next fire times
+    this.schedulesService
+      .get(s._id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (full) => this.selected.set(full),
+        error: (err) => console.error('Failed to load schedule', err)
+      });
+  }
+
+  save(): void {
+    const d = this.draft();
+    if (!d || this.saving()) return;
+
+    let target: ScheduleInput;
+    const pipeline = this.targetPipeline(d);
+    if (pipeline) {
+      target = { pipeline, jobType: null };
+    } else {
+      try {
+        target = {
+          jobType: d.target.slice('job:'.length),
+          pipeline: null,
+          payload: JSON.parse(d.payloadText || '{}')
+        };
+      } catch {
+        this.formError.set('Payload must be valid JSON.');
+        return;
+      }
+    }
+
+    const input: ScheduleInput = {
+      name: d.name,
+      description: d.description || null,
+      cron: d.cron,
+      enabled: d.enabled,
+      ...target,
+      overlap: d.overlap,
+      misfire: d.misfire,
+      jitterMs: Math.round((Number(d.jitterSeconds) || 0) * 1000)
+    };
+
+    this.saving.set(true);
+    this.resetErrors();
+    const request = d.id
+      ? this.schedulesService.update(d.id, input)
+      : this.schedulesService.create(input);
+
+    request.pipe(takeUntilDestroyed(this.destroyRef)).subscribe({
+      next: (saved) => {
+        this.saving.set(false);
+        this.upsert(saved);
+        this.openDraft(saved);
+      },
+      error: (err) => this.showError(err, 'Failed to save schedule.')
+    });
+  }
+
+  toggleEnabled(s: Schedule): void {
+    this.schedulesService
+      .update(s._id, { enabled: !s.enabled })
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: (saved) => {
+          this.upsert(saved);
+          if (this.draft()?.id === saved._id) this.openDraft(saved);
+        },
+        error: (err) => {
+          console.error('Failed to update schedule', err);
+          this.error.set(err?.error?.error || 'Failed to update schedule.');
+        }
+      });
+  }
+
+  deleteSchedule(): void {
+    const d = this.draft();
+    if (!d?.id || !confirm(`Delete schedule "${d.name}"? Jobs it already queued keep running.`)) return;
+
+    this.schedulesService
+      .delete(d.id)
+      .pipe(takeUntilDestroyed(this.destroyRef))
+      .subscribe({
+        next: () => {
+          this.schedules.update((list) => list.filter((s) => s._id !== d.id));
+          this.draft.set(null);
+          this.selected.set(null);
+        },
+        error: (err) => this.showError(err, 'Failed to delete schedule.')
+      });
+  }
+
+  jobTypeTitle(type: string): string {
+    return this.jobTypes().find((t) => t.type === type)?.title ?? type;
+  }
+
+  targetPipeline(d: ScheduleDraft): string | null {
+    return d.target.startsWith('pipeline:') ? d.target.slice('pipeline:'.length) : null;
+  }
+
+  targetLabel(s: Schedule): string {
+    return s.pipeline ? `pipeline ${s.pipeline}` : `${s.jobType} ${this.payloadSummary(s)}`;
+  }
+
+  payloadSummary(s: Schedule): string {
+    const entries = Object.entries(s.payload || {});
+    return entries.length ? entries.map(([k, v]) => `${k}=${v}`).join(' ') : '';
+  }
+
+  trackById(_: number, s: Schedule): string {
+    return s._id;
+  }
+
+  private openDraft(s: Schedule): void {
+    this.selected.set(s);
+    this.draft.set({
+      id: s._id,
+      name: s.name,
+      description: s.description ?? '',
+      cron: s.cron,
+      enabled: s.enabled,
+      target: s.pipeline ? `pipeline:${s.pipeline}` : `job:${s.jobType}`,
+      payloadText: JSON.stringify(s.payload || {}, null, 2),
+      overlap: s.overlap,
+      misfire: s.misfire,
+      jitterSeconds: Math.round((s.jitterMs || 0) / 1000)
+    });
+  }
+
+  private upsert(saved: Schedule): void {
+    this.schedules.update((list) => {
+      const rest = list.filter((s) => s._id !== saved._id);
+      return [...rest, saved].sort((a, b) => a.name.localeCompare(b.name));
+    });
+  }
+
+  private resetErrors(): void {
+    this.formError.set(null);
+    this.fieldErrors.set([]);
+  }
+
+  private showError(err: any, fallback: string): void {
+    console.error(fallback, err);
+    this.formError.set(err?.error?.error || fallback);
+    this.fieldErrors.set(
+      (err?.error?.errors || []).map(
+        (e: { path: string; message: string }) => `${e.path || 'payload'} ${e.message}`
+      )
+    );
+    this.saving.set(false);
+  }
+}
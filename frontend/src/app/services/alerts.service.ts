@@ -0,0 +1,133 @@
+// src/app/services/alerts.service.ts
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+
+export type AlertChannel = 'WEBHOOK' | 'EMAIL' | 'IN_APP';
+export type AlertFieldType = 'string' | 'number' | 'list' | 'text';
+
+export interface AlertCondition {
+  field: string;
+  op: string;
+  value: string | number | string[];
+}
+
+export interface AlertRule {
+  id: string;
+  ownerUserId: number;
+  name: string;
+  enabled: boolean;
+  conditions: AlertCondition[];
+  channels: AlertChannel[];
+  webhookUrl?: string | null;
+  hasWebhookSecret: boolean;
+  emailTo?: string | null;
+  lastTriggeredAt?: string | null;
+  triggerCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface AlertRuleInput {
+  name?: string;
+  enabled?: boolean;
+  conditions?: AlertCondition[];
+  channels?: AlertChannel[];
+  webhookUrl?: string | null;
+  // Omit to keep the current secret, '' to remove it
+  webhookSecret?: string | null;
+  emailTo?: string | null;
+}
+
+export interface AlertFields {
+  fields: { field: string; type: AlertFieldType; operators: string[] }[];
+  channels: AlertChannel[];
+}
+
+export interface AlertTestResult {
+  channel: AlertChannel;
+  ok: boolean;
+  error?: string;
+}
+
+export interface AlertDelivery {
+  id: string;
+  ruleId: string;
+  channel: AlertChannel;
+  tweetId: string;
+  status: 'PENDING' | 'SENDING' | 'SENT' | 'FAILED';
+  attempts: number;
+  nextAttemptAt?: string | null;
+  lastError?: string | null;
+  deliveredAt?: string | null;
+  createdAt: string;
+}
+
+export interface AppNotification {
+  id: string;
+  ruleId?: string | null;
+  tweetId?: string | null;
+  title: string;
+  body?: string | null;
+  payload?: { url?: string | null; category?: string | null; countries?: string[] } | null;
+  readAt?: string | null;
+  createdAt: string;
+}
+
+@Injectable({ providedIn: 'root' })
+export class AlertsService {
+  private apiUrl = `${environment.apiBaseUrl}/alerts`;
+
+  constructor(private http: HttpClient) {}
+
+  getFields(): Observable<AlertFields> {
+    return this.http.get<AlertFields>(`${this.apiUrl}/fields`);
+  }
+
+  listRules(): Observable<AlertRule[]> {
+    return this.http.get<AlertRule[]>(this.apiUrl);
+  }
+
+  createRule(rule: AlertRuleInput): Observable<AlertRule> {
+    return this.http.post<AlertRule>(this.apiUrl, rule);
+  }
+
+  updateRule(id: string, rule: AlertRuleInput): Observable<AlertRule> {
+    return this.http.put<AlertRule>(`${this.apiUrl}/${id}`, rule);
+  }
+
+  deleteRule(id: string): Observable<void> {
+    return this.http.delete<void>(`${this.apiUrl}/${id}`);
+  }
+
+  /**
+   * Send a sample alert through each channel of the rule
+   */
+  testRule(id: string): Observable<{ results: AlertTestResult[] }> {
+    return this.http.post<{ results: AlertTestResult[] }>(`${this.apiUrl}/${id}/test`, {});
+  }
+
+  listDeliveries(id: string, limit = 20): Observable<AlertDelivery[]> {
+    return this.http.get<AlertDelivery[]>(`${this.apiUrl}/${id}/deliveries`, {
+      params: new HttpParams().set('limit', String(limit))
+    });
+  }
+
+  listNotifications(unreadOnly = false): Observable<{ items: AppNotification[]; unread: number }> {
+    let params = new HttpParams();
+    if (unreadOnly) params = params.set('unread', 'true');
+    return this.http.get<{ items: AppNotification[]; unread: number }>(
+      `${this.apiUrl}/notifications`,
+      { params }
+    );
+  }
+
+  markRead(id: string): Observable<void> {
+    return this.http.post<void>(`${this.apiUrl}/notifications/${id}/read`, {});
+  }
+
+  markAllRead(): Observable<{ updated: number }> {
+    return this.http.post<{ updated: number }>(`${this.apiUrl}/notifications/read-all`, {});
+  }
+}
@@ -1,6 +1,6 @@
 // src/app/services/breaking-news.service.ts
-import { Injectable } from '@angular/core';
-import { HttpClient, HttpHeaders } from '@angular/common/http';
+import { Injectable, NgZone } from '@angular/core';
+import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { environment } from '../../environments/environment';
 
@@ -12,6 +12,50 @@ export interface BreakingNews {
   images?: string[];
   videos?: string[];
   tweetId: string;
+  // Two-letter code, 'und' when undetermined; null until detected
+  lang?: string | null;
+  translation?: BreakingNewsTranslation | null;
+  dupGroup?: string | null;
+  // Other members of the duplicate group, set when searching with collapse
+  duplicateCount?: number;
+}
+
+// English machine translation stored next to the original text
+export interface BreakingNewsTranslation {
+  text: string;
+  lang: string;
+  source_lang?: string | null;
+  model?: string | null;
+  translated_at?: string;
+}
+
+export interface BreakingNewsSearchParams {
+  q?: string;
+  source?: string;
+  tag?: string;
+  since?: string;
+  until?: string;
+  isActive?: boolean;
+  // Comma-separated language codes, e.g. 'ar,uk'
+  lang?: string;
+  limit?: number;
+  cursor?: string | null;
+  facets?: boolean;
+  collapse?: boolean;
+}
+
+export interface BreakingNewsFacets {
+  bySource: { source: string | null; count: number }[];
+  byTag: { tag: string; count: number }[];
+  byLang?: { lang: string; count: number }[];
+  perHour: { hour: string; count: number }[];
+}
+
+export interface BreakingNewsSearchResult {
+  items: BreakingNews[];
+  total: number;
+  nextCursor: string | null;
+  facets?: BreakingNewsFacets;
 }
 
 export interface BreakingNewsLiveItem {
@@ -32,10 +76,25 @@ export interface BreakingNewsLiveItem {
   searchUrl?: string;
   source?: string;
   text?: string;
+  lang?: string | null;
   tweetCreatedAt?: string;
   url?: string | null;
 }
 
+export interface BreakingNewsStreamParams {
+  jobId?: string;
+  source?: string;
+  tag?: string;
+  types?: ('breaking_news' | 'breaking_news_live')[];
+  since?: string;
+}
+
+export type BreakingNewsStreamEvent =
+  | { type: 'breaking_news'; item: BreakingNews }
+  | { type: 'breaking_news_live'; item: BreakingNewsLiveItem }
+  // The server skipped a backlog too long to replay: reload these types in full
+  | { type: 'reset'; types: ('breaking_news' | 'breaking_news_live')[] };
+
 // 👇 new: enrichment interface (only fields we actually use)
 export interface BreakingNewsEnrichment {
   tweetId: string;
@@ -67,6 +126,55 @@ export interface BreakingNewsEnrichment {
   updatedAt?: string;
 }
 
+export interface ClaimSource {
+  kind: 'account' | 'domain' | 'name';
+  key: string;
+  name?: string | null;
+}
+
+// Another source's claim in the same cluster
+export interface ClaimVote {
+  claimId: string;
+  kind: 'breaking_news' | 'breaking_news_live' | 'rss';
+  itemId: string;
+  title?: string | null;
+  url?: string | null;
+  source: ClaimSource;
+  tier?: string | null;
+  prior: number;
+  publishedAt?: string;
+  text: string;
+  reason?: string | null;
+}
+
+export interface Claim {
+  _id: string;
+  text: string;
+  who: string[];
+  what?: string | null;
+  where: string[];
+  when?: string | null;
+  numbers: { value: number; unit: string }[];
+  polarity: 'affirm' | 'deny';
+  corroboration: {
+    score: number;
+    independentSources: number;
+    supporting: ClaimVote[];
+    contradicting: ClaimVote[];
+    summary: string;
+  };
+}
+
+export interface BreakingNewsClaims {
+  kind: string;
+  itemId: string;
+  // null until the tweet is queued for extraction
+  status: 'pending' | 'done' | 'failed' | null;
+  extractedAt?: string | null;
+  error?: string | null;
+  claims: Claim[];
+}
+
 // src/app/services/breaking-news.service.ts
 
 export interface BreakingNewsMediaImage {
@@ -108,7 +216,7 @@ export interface BreakingNewsMedia {
 export class BreakingNewsService {
   private baseUrl = `${environment.apiBaseUrl}/breaking-news`;
 
-  constructor(private http: HttpClient) {}
+  constructor(private http: HttpClient, private zone: NgZone) {}
 
   private getHeaders(): HttpHeaders {
     return new HttpHeaders({
@@ -116,11 +224,63 @@ export class BreakingNewsService {
     });
   }
 
-  getAll(limit = 50, offset = 0): Observable<BreakingNews[]> {
-    return this.http.get<BreakingNews[]>(
-      `${this.baseUrl}?limit=${limit}&offset=${offset}`,
-      { headers: this.getHeaders() }
-    );
+  search(params: BreakingNewsSearchParams = {}): Observable<BreakingNewsSearchResult> {
+    let httpParams = new HttpParams().set('limit', String(params.limit ?? 50));
+    if (params.q) httpParams = httpParams.set('q', params.q);
+    if (params.source) httpParams = httpParams.set('source', params.source);
+    if (params.tag) httpParams = httpParams.set('tag', params.tag);
+    if (params.since) httpParams = httpParams.set('since', params.since);
+    if (params.until) httpParams = httpParams.set('until', params.until);
+    if (params.isActive != null) httpParams = httpParams.set('isActive', String(params.isActive));
+    if (params.lang) httpParams = httpParams.set('lang', params.lang);
+    if (params.cursor) httpParams = httpParams.set('cursor', params.cursor);
+    if (params.facets === false) httpParams = httpParams.set('facets', 'none');
+    if (params.collapse) httpParams = httpParams.set('collapse', 'true');
+
+    return this.http.get<BreakingNewsSearchResult>(this.baseUrl, {
+      headers: this.getHeaders(),
+      params: httpParams
+    });
+  }
+
+  /**
+   * Subscribe to the SSE stream of new breaking news / live captures.
+   * EventSource reconnects on its own and resumes via Last-Event-ID; a
+   * `reset` event means the backlog was too long and the caller must reload.
+   */
+  stream(params: BreakingNewsStreamParams = {}): Observable<BreakingNewsStreamEvent> {
+    const qs = new URLSearchParams({ apiKey: environment.apiKey });
+    if (params.jobId) qs.set('jobId', params.jobId);
+    if (params.source) qs.set('source', params.source);
+    if (params.tag) qs.set('tag', params.tag);
+    if (params.types?.length) qs.set('types', params.types.join(','));
+    if (params.since) qs.set('since', params.since);
+
+    return new Observable<BreakingNewsStreamEvent>((subscriber) => {
+      const source = new EventSource(`${this.baseUrl}/stream?${qs.toString()}`);
+
+      const onNews = (e: MessageEvent) =>
+        this.zone.run(() => subscriber.next({ type: 'breaking_news', item: JSON.parse(e.data) }));
+      const onLive = (e: MessageEvent) =>
+        this.zone.run(() =>
+          subscriber.next({ type: 'breaking_news_live', item: JSON.parse(e.data) })
+        );
+
+      const onReset = (e: MessageEvent) =>
+        this.zone.run(() => subscriber.next({ type: 'reset', types: JSON.parse(e.data).types }));
+
+      source.addEventListener('breaking_news', onNews);
+      source.addEventListener('breaking_news_live', onLive);
+      source.addEventListener('reset', onReset);
+      source.onerror = () => {
+        // CLOSED means the browser gave up reconnecting
+        if (source.readyState === EventSource.CLOSED) {
+          this.zone.run(() => subscriber.error(new Error('Breaking news stream closed')));
+        }
+      };
+
+      return () => source.close();
+    });
   }
 
   getById(id: string): Observable<BreakingNews> {
@@ -138,6 +298,12 @@ export class BreakingNewsService {
     );
   }
 
+  getClaims(tweetId: string): Observable<BreakingNewsClaims> {
+    return this.http.get<BreakingNewsClaims>(`${this.baseUrl}/${tweetId}/claims`, {
+      headers: this.getHeaders()
+    });
+  }
+
  getMediaById(tweetId: string): Observable<BreakingNewsMedia | null> {
     return this.http.get<BreakingNewsMedia | null>(
       `${this.baseUrl}/${tweetId}/media`,
@@ -0,0 +1,89 @@
+// src/app/services/entities.service.ts
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+
+export type EntityType = 'person' | 'organization' | 'equipment';
+
+export interface Entity {
+  _id: string;
+  type: EntityType;
+  key: string;
+  name: string;
+  aliases?: string[];
+  mentionCount: number;
+  firstSeenAt?: string | null;
+  lastSeenAt?: string | null;
+}
+
+export interface EntityMention {
+  tweetId: string;
+  account?: string | null;
+  category?: string | null;
+  mentionedAs?: string;
+  at: string;
+  text?: string | null;
+  url?: string | null;
+  context?: string | null;
+  event_type?: string | null;
+}
+
+export interface RelatedEntity {
+  entity: Pick<Entity, '_id' | 'type' | 'key' | 'name' | 'mentionCount'>;
+  count: number;
+  lastSeenAt?: string | null;
+}
+
+export interface EntityDetail extends Entity {
+  tweets: EntityMention[];
+  sparkline: {
+    unit: 'hour' | 'day';
+    since: string;
+    points: { at: string; count: number }[];
+  };
+  related: RelatedEntity[];
+}
+
+export interface EntityListParams {
+  type?: EntityType | '';
+  q?: string;
+  since?: string;
+  limit?: number;
+  offset?: number;
+}
+
+@Injectable({ providedIn: 'root' })
+export class EntitiesService {
+  private baseUrl = `${environment.apiBaseUrl}/entities`;
+
+  constructor(private http: HttpClient) {}
+
+  private getHeaders(): HttpHeaders {
+    return new HttpHeaders({ 'x-api-key': environment.apiKey });
+  }
+
+  list(params: EntityListParams = {}): Observable<Entity[]> {
+    let httpParams = new HttpParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        httpParams = httpParams.set(key, String(value));
+      }
+    }
+
+    return this.http.get<Entity[]>(this.baseUrl, {
+      headers: this.getHeaders(),
+      params: httpParams
+    });
+  }
+
+  /**
+   * @param idOrName entity _id, or a name such as "Wagner" or "F-16"
+   */
+  getById(idOrName: string, days = 30): Observable<EntityDetail> {
+    return this.http.get<EntityDetail>(`${this.baseUrl}/${encodeURIComponent(idOrName)}`, {
+      headers: this.getHeaders(),
+      params: new HttpParams().set('days', String(days))
+    });
+  }
+}
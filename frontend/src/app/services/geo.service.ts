@@ -0,0 +1,95 @@
+// src/app/services/geo.service.ts
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+
+export interface GeoEventProperties {
+  tweetId: string;
+  enrichmentId: string;
+  account: string | null;
+  place: string | null;
+  country: string | null;
+  country_code: string | null;
+  // How precise the point is when it was inferred from the gazetteer
+  precision: 'city' | 'admin' | 'country' | null;
+  geo_source: 'stated' | 'geonames' | null;
+  category: string;
+  event_type: string;
+  time_window: 'past_event' | 'ongoing' | 'future_risk' | 'unknown';
+  confidence: number;
+  tweet_datetime: string | null;
+  distanceKm?: number;
+}
+
+export interface GeoEventFeature {
+  type: 'Feature';
+  id: string;
+  geometry: { type: 'Point'; coordinates: [number, number] };
+  properties: GeoEventProperties;
+}
+
+export interface GeoEventCollection {
+  type: 'FeatureCollection';
+  features: GeoEventFeature[];
+}
+
+export interface GeoFilters {
+  hours?: number;
+  since?: string;
+  until?: string;
+  category?: string;
+  minConfidence?: number;
+  limit?: number;
+}
+
+@Injectable({ providedIn: 'root' })
+export class GeoService {
+  private baseUrl = `${environment.apiBaseUrl}/geo`;
+
+  constructor(private http: HttpClient) {}
+
+  private getHeaders(): HttpHeaders {
+    return new HttpHeaders({ 'x-api-key': environment.apiKey });
+  }
+
+  private toParams(values: Record<string, unknown>): HttpParams {
+    let params = new HttpParams();
+    for (const [key, value] of Object.entries(values)) {
+      if (value !== undefined && value !== null && value !== '') {
+        params = params.set(key, String(value));
+      }
+    }
+    return params;
+  }
+
+  // bbox = [minLon, minLat, maxLon, maxLat]
+  getByBoundingBox(
+    bbox: [number, number, number, number],
+    filters: GeoFilters = {}
+  ): Observable<GeoEventCollection> {
+    return this.http.get<GeoEventCollection>(`${this.baseUrl}/bbox`, {
+      headers: this.getHeaders(),
+      params: this.toParams({ ...filters, bbox: bbox.join(',') })
+    });
+  }
+
+  getNear(
+    lat: number,
+    lon: number,
+    radiusKm: number,
+    filters: GeoFilters = {}
+  ): Observable<GeoEventCollection> {
+    return this.http.get<GeoEventCollection>(`${this.baseUrl}/near`, {
+      headers: this.getHeaders(),
+      params: this.toParams({ ...filters, lat, lon, radiusKm })
+    });
+  }
+
+  getByCountry(country: string, filters: GeoFilters = {}): Observable<GeoEventCollection> {
+    return this.http.get<GeoEventCollection>(
+      `${this.baseUrl}/countries/${encodeURIComponent(country)}`,
+      { headers: this.getHeaders(), params: this.toParams({ ...filters }) }
+    );
+  }
+}
@@ -7,19 +7,66 @@ export interface JobResponse {
   jobId: string;
 }
 
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled' | 'timed_out';
+
+export const FINISHED_JOB_STATUSES: JobStatus[] = ['succeeded', 'failed', 'cancelled', 'timed_out'];
+
 export interface JobRecord {
   id: string;
   type: string;
   payload: any;
-  status: 'queued' | 'running' | 'succeeded' | 'failed';
+  status: JobStatus;
   createdAt?: string;
   startedAt?: string | null;
   finishedAt?: string | null;
   exitCode?: number | null;
+  // Durable queue: failed attempts are queued again (runAt) until maxAttempts
+  runAt?: string | null;
+  attempts?: number;
+  maxAttempts?: number;
+  cancelRequestedAt?: string | null;
+  rerunOf?: string | null;
+  requestedBy?: string | null;
+  // Set when the job is a step of a pipeline run
+  pipelineRunId?: string | null;
+  pipelineStep?: string | null;
+  // What the script reported (JOB_OUTPUT_PATH), e.g. the tweet ids it stored
+  output?: Record<string, unknown> | null;
   error?: { message?: string | null; stack?: string | null } | null;
   logs?: { at: string; stream: 'system' | 'stdout' | 'stderr'; message: string }[];
 }
 
+export interface JobPayloadProperty {
+  type: 'string' | 'integer' | 'number' | 'boolean' | 'array';
+  items?: JobPayloadProperty;
+  maxItems?: number;
+  enum?: string[];
+  pattern?: string;
+  minLength?: number;
+  minimum?: number;
+  maximum?: number;
+}
+
+// A script the API can run (GET /api/jobs/types)
+export interface JobType {
+  type: string;
+  title: string;
+  description: string;
+  script: string;
+  payloadSchema: {
+    type: 'object';
+    required?: string[];
+    properties: Record<string, JobPayloadProperty>;
+  };
+  argv: { field: string; flag?: string }[];
+  env: Record<string, string>;
+  requiredRole: 'READER' | 'WRITER' | 'EDITOR' | null;
+  destructive: boolean;
+  concurrency: number;
+  maxAttempts: number;
+  timeoutMs: number;
+}
+
 @Injectable({ providedIn: 'root' })
 export class JobsService {
   private baseUrl = `${environment.apiBaseUrl}/jobs`;
@@ -30,6 +77,24 @@ export class JobsService {
     return new HttpHeaders({ 'x-api-key': environment.apiKey });
   }
 
+  getTypes(): Observable<JobType[]> {
+    return this.http.get<JobType[]>(`${this.baseUrl}/types`, { headers: this.getHeaders() });
+  }
+
+  // Any registered type; a 400 carries the payload's schema violations in `errors`
+  createJob(type: string, payload: Record<string, unknown>): Observable<JobResponse> {
+    return this.http.post<JobResponse>(this.baseUrl, { type, payload }, {
+      headers: this.getHeaders()
+    });
+  }
+
+  listJobs(limit = 50, offset = 0): Observable<JobRecord[]> {
+    return this.http.get<JobRecord[]>(this.baseUrl, {
+      headers: this.getHeaders(),
+      params: { limit, offset }
+    });
+  }
+
   createTwitterLiveJob(tweetId: string): Observable<JobResponse> {
     return this.http.post<JobResponse>(
       `${this.baseUrl}/twitter-live`,
@@ -38,6 +103,19 @@ export class JobsService {
     );
   }
 
+  // Queued jobs come back cancelled; running ones once their process is stopped
+  cancelJob(jobId: string): Observable<JobRecord> {
+    return this.http.post<JobRecord>(`${this.baseUrl}/${jobId}/cancel`, {}, {
+      headers: this.getHeaders()
+    });
+  }
+
+  rerunJob(jobId: string): Observable<JobResponse> {
+    return this.http.post<JobResponse>(`${this.baseUrl}/${jobId}/rerun`, {}, {
+      headers: this.getHeaders()
+    });
+  }
+
   getJob(jobId: string): Observable<JobRecord> {
     return this.http.get<JobRecord>(`${this.baseUrl}/${jobId}`, {
       headers: this.getHeaders()
@@ -0,0 +1,125 @@
+// src/app/services/pipelines.service.ts
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpHeaders } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+import { JobStatus } from './jobs.service';
+
+export type PipelineRunStatus = 'running' | 'succeeded' | 'failed' | 'cancelled';
+export type PipelineStepStatus =
+  | 'pending'
+  | 'queued'
+  | 'running'
+  | 'succeeded'
+  | 'failed'
+  | 'skipped'
+  | 'cancelled';
+
+export interface PipelineCondition {
+  path: string;
+  op: string;
+  value?: unknown;
+}
+
+export interface PipelineStepDefinition {
+  id: string;
+  jobType: string;
+  needs: string[];
+  payload: Record<string, unknown>;
+  // Payload field -> 'step.outputField'
+  inputs: Record<string, string>;
+  trigger: 'all_succeeded' | 'all_done' | 'any_failed';
+  when: PipelineCondition[];
+  retry: { maxAttempts?: number; delayMs?: number } | null;
+  // An array input split into one job per `size` items
+  chunk: { input: string; size: number } | null;
+}
+
+// GET /api/pipelines
+export interface Pipeline {
+  name: string;
+  title: string;
+  description: string;
+  steps: PipelineStepDefinition[];
+}
+
+export interface PipelineStep {
+  id: string;
+  jobType: string;
+  needs: string[];
+  status: PipelineStepStatus;
+  jobId?: string | null;
+  payload?: Record<string, unknown> | null;
+  attempts: number;
+  maxAttempts?: number | null;
+  queuedAt?: string | null;
+  startedAt?: string | null;
+  finishedAt?: string | null;
+  output?: Record<string, unknown> | null;
+  // Chunked steps: the chunk whose job is (or was last) queued, of how many
+  chunkIndex?: number | null;
+  chunkCount?: number | null;
+  // Why it was skipped or failed
+  message?: string | null;
+  // GET /api/pipelines/runs/:id only
+  jobStatus?: JobStatus | null;
+  logs?: { at: string; stream: 'system' | 'stdout' | 'stderr'; message: string }[];
+}
+
+export interface PipelineRun {
+  _id: string;
+  pipeline: string;
+  status: PipelineRunStatus;
+  trigger: 'manual' | 'schedule';
+  scheduleId?: string | null;
+  requestedBy?: string | null;
+  startedAt: string;
+  finishedAt?: string | null;
+  cancelRequestedAt?: string | null;
+  steps: PipelineStep[];
+}
+
+@Injectable({ providedIn: 'root' })
+export class PipelinesService {
+  private baseUrl = `${environment.apiBaseUrl}/pipelines`;
+
+  constructor(private http: HttpClient) {}
+
+  private getHeaders(): HttpHeaders {
+    return new HttpHeaders({ 'x-api-key': environment.apiKey });
+  }
+
+  list(): Observable<Pipeline[]> {
+    return this.http.get<Pipeline[]>(this.baseUrl, { headers: this.getHeaders() });
+  }
+
+  listRuns(
+    params: { pipeline?: string; status?: string; limit?: number; offset?: number } = {}
+  ): Observable<{ items: PipelineRun[]; total: number }> {
+    const query: Record<string, string | number> = {};
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== '') query[key] = value;
+    }
+    return this.http.get<{ items: PipelineRun[]; total: number }>(`${this.baseUrl}/runs`, {
+      headers: this.getHeaders(),
+      params: query
+    });
+  }
+
+  getRun(id: string): Observable<PipelineRun> {
+    return this.http.get<PipelineRun>(`${this.baseUrl}/runs/${id}`, { headers: this.getHeaders() });
+  }
+
+  startRun(name: string): Observable<{ runId: string }> {
+    return this.http.post<{ runId: string }>(`${this.baseUrl}/${name}/runs`, {}, {
+      headers: this.getHeaders()
+    });
+  }
+
+  // Pending steps are dropped, queued and running jobs cancelled
+  cancelRun(id: string): Observable<PipelineRun> {
+    return this.http.post<PipelineRun>(`${this.baseUrl}/runs/${id}/cancel`, {}, {
+      headers: this.getHeaders()
+    });
+  }
+}
@@ -0,0 +1,86 @@
+// src/app/services/schedules.service.ts
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpHeaders } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+
+export type ScheduleOverlap = 'skip' | 'queue' | 'cancel-previous';
+export type ScheduleMisfire = 'run-once' | 'skip';
+
+export interface ScheduleFire {
+  scheduledFor: string;
+  firedAt: string;
+  action: 'queued' | 'skipped' | 'missed' | 'failed';
+  jobId?: string | null;
+  // Pipeline schedules
+  runId?: string | null;
+  missed: number;
+  message?: string | null;
+}
+
+export interface Schedule {
+  _id: string;
+  name: string;
+  description?: string | null;
+  // Five fields, UTC
+  cron: string;
+  enabled: boolean;
+  // Either a job type with its payload or a pipeline
+  jobType: string | null;
+  payload: Record<string, unknown>;
+  pipeline: string | null;
+  overlap: ScheduleOverlap;
+  misfire: ScheduleMisfire;
+  jitterMs: number;
+  nextRunAt?: string | null;
+  lastRunAt?: string | null;
+  fires: ScheduleFire[];
+  // GET /api/schedules/:id and writes only
+  upcoming?: string[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ScheduleInput {
+  name?: string;
+  description?: string | null;
+  cron?: string;
+  enabled?: boolean;
+  jobType?: string | null;
+  payload?: Record<string, unknown>;
+  pipeline?: string | null;
+  overlap?: ScheduleOverlap;
+  misfire?: ScheduleMisfire;
+  jitterMs?: number;
+}
+
+@Injectable({ providedIn: 'root' })
+export class SchedulesService {
+  private baseUrl = `${environment.apiBaseUrl}/schedules`;
+
+  constructor(private http: HttpClient) {}
+
+  private getHeaders(): HttpHeaders {
+    return new HttpHeaders({ 'x-api-key': environment.apiKey });
+  }
+
+  list(): Observable<Schedule[]> {
+    return this.http.get<Schedule[]>(this.baseUrl, { headers: this.getHeaders() });
+  }
+
+  get(id: string): Observable<Schedule> {
+    return this.http.get<Schedule>(`${this.baseUrl}/${id}`, { headers: this.getHeaders() });
+  }
+
+  create(input: ScheduleInput): Observable<Schedule> {
+    return this.http.post<Schedule>(this.baseUrl, input, { headers: this.getHeaders() });
+  }
+
+  update(id: string, input: ScheduleInput): Observable<Schedule> {
+    return this.http.patch<Schedule>(`${this.baseUrl}/${id}`, input, { headers: this.getHeaders() });
+  }
+
+  delete(id: string): Observable<void> {
+    return this.http.delete<void>(`${this.baseUrl}/${id}`, { headers: this.getHeaders() });
+  }
+}
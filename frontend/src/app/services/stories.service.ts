@@ -0,0 +1,75 @@
+// src/app/services/stories.service.ts
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+
+export interface StoryMember {
+  tweetId: string;
+  enrichment?: string;
+  account?: string | null;
+  text?: string | null;
+  context?: string | null;
+  tweet_datetime?: string | null;
+  similarity?: number;
+  addedAt?: string;
+}
+
+export interface Story {
+  _id: string;
+  title: string;
+  summary: string;
+  category: string;
+  event_type: string;
+  entities: string[];
+  locations: { place: string; country?: string | null; count: number }[];
+  keywords: string[];
+  memberCount: number;
+  accounts: string[];
+  firstSeenAt?: string;
+  lastSeenAt?: string;
+  status: 'developing' | 'stale';
+  members?: StoryMember[];
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface StoryListParams {
+  since?: string;
+  category?: string;
+  status?: 'developing' | 'stale';
+  minMembers?: number;
+  limit?: number;
+  offset?: number;
+}
+
+@Injectable({ providedIn: 'root' })
+export class StoriesService {
+  private baseUrl = `${environment.apiBaseUrl}/stories`;
+
+  constructor(private http: HttpClient) {}
+
+  private getHeaders(): HttpHeaders {
+    return new HttpHeaders({ 'x-api-key': environment.apiKey });
+  }
+
+  list(params: StoryListParams = {}): Observable<Story[]> {
+    let httpParams = new HttpParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        httpParams = httpParams.set(key, String(value));
+      }
+    }
+
+    return this.http.get<Story[]>(this.baseUrl, {
+      headers: this.getHeaders(),
+      params: httpParams
+    });
+  }
+
+  getById(id: string): Observable<Story> {
+    return this.http.get<Story>(`${this.baseUrl}/${id}`, {
+      headers: this.getHeaders()
+    });
+  }
+}
@@ -0,0 +1,86 @@
+// src/app/services/trends.service.ts
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+
+export type TrendKind = 'entity' | 'hashtag' | 'location' | 'category';
+
+export interface Trend {
+  kind: TrendKind;
+  term: string;
+  label: string;
+  count: number;
+  baselineMean: number;
+  baselineStd: number;
+  zScore: number;
+  ratio: number | null;
+  spike: boolean;
+}
+
+export interface TrendsResponse {
+  window: string;
+  windowStart: string;
+  windowEnd: string;
+  baselineWindows: number;
+  trends: Trend[];
+}
+
+export interface TrendSpike {
+  _id: string;
+  kind: TrendKind;
+  term: string;
+  label: string;
+  window: string;
+  status: 'active' | 'ended';
+  count: number;
+  baselineMean: number;
+  zScore: number;
+  ratio: number | null;
+  peakCount: number;
+  peakZScore: number;
+  firstDetectedAt: string;
+  lastDetectedAt: string;
+  endedAt?: string | null;
+}
+
+export interface TrendSpikeParams {
+  status?: 'active' | 'ended' | 'all';
+  window?: string;
+  kind?: TrendKind | '';
+  since?: string;
+  limit?: number;
+}
+
+@Injectable({ providedIn: 'root' })
+export class TrendsService {
+  private baseUrl = `${environment.apiBaseUrl}/trends`;
+
+  constructor(private http: HttpClient) {}
+
+  private getHeaders(): HttpHeaders {
+    return new HttpHeaders({ 'x-api-key': environment.apiKey });
+  }
+
+  getTrends(window = '1h', kind?: TrendKind, spikesOnly = false): Observable<TrendsResponse> {
+    let params = new HttpParams().set('window', window);
+    if (kind) params = params.set('kind', kind);
+    if (spikesOnly) params = params.set('spikes', 'true');
+
+    return this.http.get<TrendsResponse>(this.baseUrl, { headers: this.getHeaders(), params });
+  }
+
+  getSpikes(params: TrendSpikeParams = {}): Observable<TrendSpike[]> {
+    let httpParams = new HttpParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        httpParams = httpParams.set(key, String(value));
+      }
+    }
+
+    return this.http.get<TrendSpike[]>(`${this.baseUrl}/spikes`, {
+      headers: this.getHeaders(),
+      params: httpParams
+    });
+  }
+}
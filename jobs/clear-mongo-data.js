@@ -1,28 +1,51 @@
-// clear-global-db.mjs
-import { MongoClient } from 'mongodb';
+// clear-mongo-data.js - Empty the API database, the job queue's collections excepted
+//
+// Env:
+//   MONGODB_URI     connection string; the database is the one it names
+//   MONGODB_DB      database name, when the URI has none
+//   CLEAR_CONFIRM   must equal the database name (the job's `confirm` field)
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
 
-const MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017';
-const DB_NAME = 'global';
+const { MONGODB_URI, MONGODB_DB, CLEAR_CONFIRM } = process.env;
 
-const client = new MongoClient(MONGO_URI);
+// What runs this job, and what may queue the next ones
+const KEEP = new Set(['jobs', 'pipeline_runs', 'schedules']);
+
+if (!MONGODB_URI) {
+  throw new Error('MONGODB_URI is not set. Put it in your .env file.');
+}
+
+async function main() {
+  const client = new MongoClient(MONGODB_URI);
 
-(async () => {
   try {
     await client.connect();
-    const db = client.db(DB_NAME);
+    const db = client.db(MONGODB_DB || undefined);
 
-    const collections = await db.listCollections().toArray();
+    if (CLEAR_CONFIRM !== db.databaseName) {
+      throw new Error(
+        `Refusing to clear "${db.databaseName}": CLEAR_CONFIRM must be the database name.`
+      );
+    }
 
-    for (const c of collections) {
-      const result = await db.collection(c.name).deleteMany({});
-      console.log(`Cleared ${result.deletedCount} documents from ${c.name}`);
+    const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+    for (const { name, type } of collections) {
+      if (KEEP.has(name) || name.startsWith('system.') || type === 'view') {
+        console.log(`Kept ${name}`);
+        continue;
+      }
+      const result = await db.collection(name).deleteMany({});
+      console.log(`Cleared ${result.deletedCount} documents from ${name}`);
     }
 
-    console.log("✅ All collections in 'global' have been cleared.");
-  } catch (err) {
-    console.error("Error:", err);
-    process.exitCode = 1;
+    console.log(`✅ All collections in '${db.databaseName}' have been cleared.`);
   } finally {
     await client.close();
   }
-})();
+}
+
+main().catch((err) => {
+  console.error('Error:', err);
+  process.exitCode = 1;
+});
@@ -1,34 +1,85 @@
 
 import 'dotenv/config';
 import { MongoClient, ObjectId } from 'mongodb';
-import OpenAI from 'openai';
 import pLimit from 'p-limit';
 import { XMLParser } from 'fast-xml-parser';
+import llm from '../api/src/services/llm/index.js';
+import {
+  PRIMARY_TASK,
+  ESCALATION_TASK,
+  enrichmentSchema,
+  promptHash,
+  createEnrichmentPipeline
+} from './lib/enrichmentPipeline.mjs';
+import escalationPolicies from '../api/src/services/escalationPolicyService.js';
+import sourceCredibility from '../api/src/services/sourceCredibilityService.js';
+import languages from '../api/src/services/languageService.js';
+import translation from '../api/src/services/translationService.js';
+import jobOutput from './lib/jobOutput.js';
+
+const { loadEscalationPolicy, createEscalationBudget } = escalationPolicies;
+const { buildIndex, findInIndex, tweetCandidates, applySourcePrior } = sourceCredibility;
+const { detectLanguage, needsTranslation } = languages;
+const { translateToEnglish } = translation;
+const { writeJobOutput } = jobOutput;
 
 // ---------- config ----------
 const MONGODB_URI = process.env.MONGODB_URI;
 const DB_NAME = process.env.MONGODB_DB || 'global';
 const TWEETS_COLL = process.env.TWEETS_COLL || 'breaking_news';
 const ENRICH_COLL = process.env.ENRICH_COLL || 'breaking_news_enrichments';
+const REVISIONS_COLL = process.env.ENRICH_REVISIONS_COLL || 'breaking_news_enrichment_revisions';
+const DEAD_LETTER_COLL = process.env.ENRICH_DEAD_LETTER_COLL || 'breaking_news_enrichment_dead_letters';
+const SOURCES_COLL = process.env.SOURCES_COLL || 'source_credibility';
 
 const FETCH_LIMIT = parseInt(getArgValue('--limit') ?? process.env.FETCH_LIMIT ?? '50', 10);
 const CONCURRENCY = parseInt(process.env.CONCURRENCY || '5', 10);
 
-// Reasoning-first cascade: fast/cheap o4-mini, escalate hard cases to o3
-const PRIMARY_MODEL = process.env.PRIMARY_MODEL || 'o4-mini';
-const ESCALATION_MODEL = process.env.ESCALATION_MODEL || 'o3';
+// Prompt, cascade and escalation live in lib/enrichmentPipeline.mjs; the
+// escalation policy comes from ENRICH_ESCALATION_POLICY[_FILE].
+// PRIMARY_MODEL / ESCALATION_MODEL override the model on the openai provider.
+const MODEL_OVERRIDES = {
+  [PRIMARY_TASK]: process.env.PRIMARY_MODEL || undefined,
+  [ESCALATION_TASK]: process.env.ESCALATION_MODEL || undefined
+};
 
 const WRITE_BACK_POINTER = (process.env.WRITE_BACK_POINTER || 'true') === 'true';
 
-if (!MONGODB_URI) { console.error('Missing MONGODB_URI'); process.exit(1); }
-if (!process.env.OPENAI_API_KEY) { console.error('Missing OPENAI_API_KEY'); process.exit(1); }
+// Non-English tweets get an English translation (LLM task translate) that is
+// stored on the tweet and shown to the enrichment model next to the original
+const TRANSLATE = (process.env.ENRICH_TRANSLATE || 'true') === 'true';
+
+// Re-prompts with the validation errors before a model attempt is given up
+const REPAIR_ATTEMPTS = parseInt(process.env.ENRICH_REPAIR_ATTEMPTS || '2', 10);
+
+// Bump when enrichmentSchema changes shape. Records written before versioning
+// count as version 1. Prompt edits are tracked by PROMPT_HASH.
+// 3: schema generated from the BreakingNewsEnrichment model (time_window enum)
+const ENRICHMENT_SCHEMA_VERSION = 3;
+
+const PROMPT_HASH = promptHash();
+let pipeline; // createPipeline(), once connected
+let sourceIndex = new Map(); // credibility registry, loaded once per run
+
+// Backfill: re-enrich stale records in throttled batches
+const BACKFILL_BATCH_SIZE = parseInt(process.env.BACKFILL_BATCH_SIZE || '20', 10);
+const BACKFILL_PAUSE_MS = parseInt(process.env.BACKFILL_PAUSE_MS || '10000', 10);
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+if (!MONGODB_URI) { console.error('Missing MONGODB_URI'); process.exit(1); }
+if (llm.resolveRoute(PRIMARY_TASK).provider === 'openai' && !process.env.OPENAI_API_KEY) {
+  console.error('Missing OPENAI_API_KEY'); process.exit(1);
+}
 
 // ---------- CLI args ----------
 const ARG_FORCE = hasArg('--force');
 const ARG_PEEK  = hasArg('--peek');
 const ARG_ID    = getArgValue('--id'); // tweetId or Mongo _id
+// --ids=a,b,c: these tweets only (e.g. the scraper's new ones, in a pipeline)
+const ARG_IDS   = getArgValue('--ids')?.split(',').map(s => s.trim()).filter(Boolean) || null;
+// --backfill re-enriches records with an older schema version or prompt hash;
+// --below-version=N narrows it to schema versions below N
+const ARG_BACKFILL = hasArg('--backfill');
+const ARG_BELOW_VERSION = getArgValue('--below-version');
 
 function hasArg(flag) { return process.argv.includes(flag); }
 function getArgValue(flag) {
@@ -39,54 +90,6 @@ function getArgValue(flag) {
   return kv ? kv.slice(pref.length) : undefined;
 }
 
-// ---------- prompt (OSINT / political / intel / media analyst) ----------
-const SYS_PROMPT = `
-You are an OSINT / political / intelligence / media analyst.
-Your task: extract structured intelligence from ONE tweet.
-
-SCOPE
-- Use ONLY what is in the tweet text itself. Do NOT assume facts, follow links, or add world knowledge beyond ordinary language understanding.
-- If a field cannot be inferred, use null (for scalars) or [] (for lists). Be conservative.
-
-OUTPUT
-- Return STRICT JSON that matches the provided schema exactly.
-- No extra keys, no comments, no trailing text.
-- Keep writing short and neutral (analyst tone).
-
-FIELD RULES:
-- category: concise high-level label (e.g., conflict, disaster, politics, economy, crime, cyber, social, sports, other). Null if unclear.
-- context: 1–2 neutral sentences summarizing the claim/event. Use “allegedly”, “reportedly” if unconfirmed.
-- locations[]: Only if clearly implied in the TEXT (place, country if stated or strongly implied). Do NOT invent coordinates; set lat/lon = null unless explicitly present. If only a country/sea/strait is mentioned, use that as place; country may be null when unclear.
-- future_scenarios[]: 2–4 plausible developments tied to the tweet, each with likelihood 0..1 (calibrated).
-- knock_on_effects[]: 2–4 second-order impacts (markets, shipping, escalation, protests, sanctions, etc.) with likelihood 0..1.
-- entities.people/organizations/equipment: extract proper nouns & distinct references; deduplicate; prefer canonical forms if stated.
-- event_type: specific taxonomy-friendly label if evident (e.g., "drone_attack","protest","sanctions","cyber_attack"); null if unclear.
-- time_window: past_event | ongoing | next_24h | next_week | unclear.
-- sentiment: toward the EVENT, -1..1. If impossible, 0.
-- risk_score: 0..1 operational significance based on the text; be conservative.
-- credibility: 0..1 from text cues only (hedging, sensationalism, evidence, specificity).
-- sources_to_verify: URLs in text or 2–3 short search queries to verify.
-- confidence: 0..1 overall confidence in extraction.
-- needs_higher_model: true ONLY if sarcasm/irony likely, complex geopolitics/technical nuance, ambiguous actors/locations/date, non-English idioms, or media forensics required.
-- newsworthiness: true if event seems significant enough for wider media coverage; false otherwise.
-
-STYLE & GUARDRAILS
-- Do NOT invent names, places, numbers, dates, or links.
-- If an emoji/flag implies a country but text is ambiguous, you may set country with lower credibility/confidence.
-- Arrays may be empty. Scalars may be null. Numbers are 0..1 (one or two decimals).
-- Keep each scenario/effect to a single concise clause.
-
-Return only the JSON object per schema.
-`;
-
-// Last-resort schema hint for json-only pass
-const SCHEMA_HINT = `
-Output a JSON object with these top-level keys:
-category, context, locations, future_scenarios, knock_on_effects,
-entities, event_type, time_window, sentiment, risk_score, credibility,
-sources_to_verify, confidence, needs_higher_model, notes.
-If unknown: null (for scalars) or [] (for arrays). Do not include extra keys.`;
-
 // ---------- utilities ----------
 function getTweetId(doc) {
   if (doc.tweetId) return String(doc.tweetId);
@@ -99,214 +102,30 @@ function createHash(s) {
   for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h += (h<<1)+(h<<4)+(h<<7)+(h<<8)+(h<<24); }
   return (h >>> 0).toString(16);
 }
-function stripCodeFences(s = '') {
-  return s.replace(/^```(?:json)?\s*/i, '').replace(/```$/i, '').trim();
-}
-
-// JSON snip extractor that ignores braces inside strings
-function extractFirstJsonSnip(text = '') {
-  const OPENERS = ['{', '['];
-  const CLOSERS = { '{': '}', '[': ']' };
-  let start = -1, opener = '', depth = 0;
-  let inStr = false, strQuote = '', escaped = false;
-
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-
-    if (inStr) {
-      if (escaped) { escaped = false; continue; }
-      if (ch === '\\') { escaped = true; continue; }
-      if (ch === strQuote) { inStr = false; strQuote = ''; }
-      continue;
-    }
+// Fields kept in a revision snapshot
+const REVISION_FIELDS = [...enrichmentSchema.schema.required, 'additional_links', 'error', 'raw_snip'];
 
-    if (ch === '"' || ch === "'") { inStr = true; strQuote = ch; continue; }
-
-    if (start < 0 && OPENERS.includes(ch)) { start = i; opener = ch; depth = 1; continue; }
-    if (start >= 0) {
-      if (ch === opener) depth++;
-      else if (ch === CLOSERS[opener]) depth--;
-      if (depth === 0) return text.slice(start, i + 1);
-    }
-  }
-  return '';
-}
-
-function extractJsonFromResponse(resp) {
-  // Prefer a structured json content item
-  const content = resp?.output?.[0]?.content ?? [];
-  const jsonItem =
-    content.find(c => c?.type === 'output_json' && c?.json) ||
-    content.find(c => c?.json);
-  if (jsonItem?.json && typeof jsonItem.json === 'object') return jsonItem.json;
-
-  // Fall back to text fields
-  const textFromItems = content.map(c => c?.text).filter(Boolean).join('').trim();
-  let text = textFromItems || resp?.output_text || '';
-  text = stripCodeFences(text);
-
-  const candidate = extractFirstJsonSnip(text);
-  if (!candidate) {
-    const err = new Error('No JSON found in response text');
-    err.rawText = text.slice(0, 400);
-    throw err;
-  }
-  return JSON.parse(candidate);
+function revisionData(doc) {
+  return Object.fromEntries(REVISION_FIELDS.filter(k => doc[k] !== undefined).map(k => [k, doc[k]]));
 }
 
-// ---------- strict JSON Schema (Responses text.format + strict:true) ----------
-const enrichmentSchema = {
-  name: 'tweet_enrichment',
-  strict: true,
-  schema: {
-    type: 'object',
-    additionalProperties: false,
-    properties: {
-      category:            { type: ['string','null'] },
-      context:             { type: ['string','null'] },
-
-      locations: {
-        type: 'array',
-        items: {
-          type: 'object',
-          additionalProperties: false,
-          properties: {
-            place:   { type: 'string' },
-            country: { type: ['string','null'] },
-            lat:     { type: ['number','null'] },
-            lon:     { type: ['number','null'] }
-          },
-          required: ['place','country','lat','lon']
-        }
-      },
-
-      future_scenarios: {
-        type: 'array',
-        items: {
-          type: 'object',
-          additionalProperties: false,
-          properties: {
-            scenario:   { type: 'string' },
-            likelihood: { type: 'number' } // 0..1
-          },
-          required: ['scenario','likelihood']
-        }
-      },
-
-      knock_on_effects: {
-        type: 'array',
-        items: {
-          type: 'object',
-          additionalProperties: false,
-          properties: {
-            effect:     { type: 'string' },
-            likelihood: { type: 'number' } // 0..1
-          },
-          required: ['effect','likelihood']
-        }
-      },
-
-      entities: {
-        type: 'object',
-        additionalProperties: false,
-        properties: {
-          people:        { type: 'array', items: { type: 'string' } },
-          organizations: { type: 'array', items: { type: 'string' } },
-          equipment:     { type: 'array', items: { type: 'string' } }
-        },
-        required: ['people','organizations','equipment']
-      },
-
-      event_type:  { type: ['string','null'] },
-
-      time_window: {
-        type: ['string','null'],
-        enum: ['past_event','ongoing','next_24h','next_week','unclear', null]
-      },
-
-      sentiment:    { type: ['number','null'] },   // -1..1
-      risk_score:   { type: ['number','null'] },   // 0..1
-      credibility:  { type: ['number','null'] },   // 0..1
-      sources_to_verify: { type: 'array', items: { type: 'string' } },
-      confidence:   { type: 'number' },            // 0..1
-      needs_higher_model: { type: 'boolean' },
-      notes:        { type: ['string','null'] }
-    },
-    required: [
-      'category','context','locations','future_scenarios','knock_on_effects',
-      'entities','event_type','time_window','sentiment','risk_score','credibility',
-      'sources_to_verify','confidence','needs_higher_model','notes'
-    ]
-  }
-};
+// ---------- language ----------
+// Tweets scraped before detection existed have no lang yet; a stored
+// translation is reused on re-enrichment
+async function resolveLanguage(doc, tweetId) {
+  const text = doc.text ?? '';
+  const lang = doc.lang || detectLanguage(text);
+  let translated = doc.translation?.text && doc.translation.source_lang === lang ? doc.translation : null;
 
-// ---------- model call (resilient cascade) ----------
-async function callModel({ tweet, model }) {
-  // 1) PRIMARY strict schema
-  // 2) PRIMARY loose schema
-  // 3) ESCALATION strict schema
-  // 4) ESCALATION plain JSON (no schema), with tight instruction
-  const tries = [
-    { model, variant: 'schema-strict' },
-    { model, variant: 'schema-loose' },
-    { model: ESCALATION_MODEL, variant: 'schema-strict' },
-    { model: ESCALATION_MODEL, variant: 'json-only' }
-  ];
-
-  let lastErr;
-  for (const t of tries) {
+  if (!translated && TRANSLATE && needsTranslation(lang) && text.trim()) {
     try {
-      const out = await callModelOnce({ tweet, model: t.model, variant: t.variant });
-      return out; // success
+      translated = await translateToEnglish(text, { from: lang });
     } catch (e) {
-      lastErr = e;
+      // Enrichment still works from the original
+      console.error(`Translation of ${tweetId} (${lang}) failed:`, e.message);
     }
   }
-  throw lastErr || new Error('Model failed on all attempts');
-}
-
-async function callModelOnce({ tweet, model, variant }) {
-  const isReasoning = /^o3($|-)|^o4-mini($|-)/.test(model);
-
-  // base prompts
-  const sys = SYS_PROMPT;
-  const userBase = `TWEET TEXT:
-${tweet.text || ''}
-
-TWEET META:
-account=${tweet.account || ''} url=${tweet.url || ''} datetime=${tweet.datetime || ''}`;
-
-  // variant tweaks
-  const textFormat =
-    variant === 'json-only'
-      ? { type: 'json' }
-      : {
-          type: 'json_schema',
-          name: enrichmentSchema.name,
-          strict: variant === 'schema-loose' ? false : enrichmentSchema.strict,
-          schema: enrichmentSchema.schema
-        };
-
-  const user =
-    variant === 'json-only'
-      ? `${userBase}
-
-Return ONLY a valid JSON object. ${SCHEMA_HINT}`
-      : userBase;
-
-  const resp = await openai.responses.create({
-    model,
-    ...(isReasoning ? { reasoning: { effort: 'medium' } } : {}),
-    input: [
-      { role: 'system', content: sys },
-      { role: 'user',  content: user }
-    ],
-    ...(isReasoning ? {} : { temperature: 0.2 }), // omit temperature for o3/o4-mini
-    max_output_tokens: 1200,
-    text: { format: textFormat }
-  });
-
-  return extractJsonFromResponse(resp);
+  return { lang, translation: translated };
 }
 
 // ---------- enrichment pipeline ----------
@@ -314,16 +133,17 @@ async function enrichOne(db, doc) {
   const tweetId = getTweetId(doc);
   const text = doc.text ?? '';
   let result;
-  let modelUsed = PRIMARY_MODEL;
+  let modelUsed = null;
+  let escalation;
   let additionalLinks = [];
 
+  const language = await resolveLanguage(doc, tweetId);
+  doc = { ...doc, ...language };
+
   try {
-    result = await callModel({ tweet: doc, model: PRIMARY_MODEL });
-    if (result?.needs_higher_model && (result?.confidence ?? 0) < 0.6) {
-      // escalate on ambiguous/low-confidence
-      result = await callModel({ tweet: doc, model: ESCALATION_MODEL });
-      modelUsed = ESCALATION_MODEL;
-    }
+    ({ enrichment: result, model: modelUsed, escalation } = await pipeline.enrichTweet(doc));
+    // Source prior (SOURCE_PRIOR_WEIGHT) only after escalation judged the model's own confidence
+    result = { source_prior: null, ...applySourcePrior(result, findInIndex(sourceIndex, tweetCandidates(doc))) };
   } catch (e) {
     console.error('Primary+fallbacks failed:', e.message);
     const raw = (e.rawText || e.message || '').toString().slice(0, 400);
@@ -333,6 +153,8 @@ async function enrichOne(db, doc) {
       needs_higher_model: true,
       confidence: 0
     };
+    modelUsed = e.model ?? modelUsed;
+    await recordDeadLetter(db, doc, tweetId, e);
   }
 
   // Try to fetch related links from Google News RSS based on entities/locations
@@ -345,23 +167,43 @@ async function enrichOne(db, doc) {
 
   const now = new Date();
   const success = result && !result.error && typeof result.confidence === 'number';
+  if (success) await resolveDeadLetter(db, tweetId, now);
+
+  const enrichColl = db.collection(ENRICH_COLL);
+  const existing = await enrichColl.findOne({ tweetId });
+
+  // A failed re-enrichment must not replace a good enrichment
+  if (!success && existing && !existing.error) {
+    console.error(`Keeping revision ${existing.revision ?? 1} of ${tweetId}: re-enrichment failed`);
+    return { tweetId, modelUsed, success };
+  }
+
+  // Analyst corrections stay; the new output becomes their machine value
+  const { stored, machineValues } = success
+    ? keepCorrections(result, existing)
+    : { stored: result, machineValues: undefined };
 
   const enrichDoc = {
     tweetId,
     tweet_url: doc.url ?? null,
     tweet_datetime: doc.datetime ?? null,
     account: doc.account ?? null,
-    ...result,
+    ...stored,
+    ...(machineValues ? { machine_values: machineValues } : {}),
     additional_links: additionalLinks,   // <-- NEW FIELD
     model_used: modelUsed,
+    ...(escalation ? { escalation } : {}),
     hash: createHash(JSON.stringify({ text, modelUsed })),
+    schema_version: ENRICHMENT_SCHEMA_VERSION,
+    prompt_hash: PROMPT_HASH,
+    revision: await recordRevision(db, tweetId, existing, { ...result, additional_links: additionalLinks }, modelUsed, now),
     updatedAt: now
   };
 
   // Upsert into enrichment collection
-  await db.collection(ENRICH_COLL).updateOne(
+  await enrichColl.updateOne(
     { tweetId },
-    { $set: enrichDoc },
+    { $set: enrichDoc, ...(success ? { $unset: { error: '', raw_snip: '' } } : {}) },
     { upsert: true }
   );
 
@@ -374,22 +216,124 @@ async function enrichOne(db, doc) {
 
   await db.collection(TWEETS_COLL).updateOne(
     { _id: doc._id },
-    { $set: { ...setOnSuccess, ...pointer } }
+    { $set: { ...setOnSuccess, ...pointer, ...language } }
   );
 
   return { tweetId, modelUsed, success };
 }
 
 
+// Corrected fields (see api enrichmentCorrectionService) are dotted paths
+function getPath(obj, path) {
+  return path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+}
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = obj;
+  for (const key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+function keepCorrections(result, existing) {
+  const fields = existing?.corrected_fields || [];
+  if (!fields.length) return { stored: result, machineValues: undefined };
+
+  const stored = structuredClone(result);
+  const machineValues = structuredClone(existing.machine_values || {});
+  for (const field of fields) {
+    setPath(machineValues, field, getPath(result, field) ?? null);
+    setPath(stored, field, getPath(existing, field) ?? null);
+  }
+  return { stored, machineValues };
+}
+
+// Append the new enrichment to the revision history; a record enriched before
+// versioning is archived first as revision 1. Returns the new revision number.
+async function recordRevision(db, tweetId, existing, data, modelUsed, now) {
+  const revisions = db.collection(REVISIONS_COLL);
+  let previous = existing?.revision ?? 0;
+
+  if (existing && existing.revision == null) {
+    previous = 1;
+    await revisions.updateOne(
+      { tweetId, revision: 1 },
+      {
+        $setOnInsert: {
+          schema_version: existing.schema_version ?? 1,
+          prompt_hash: existing.prompt_hash ?? null,
+          model_used: existing.model_used ?? null,
+          data: revisionData(existing),
+          enriched_at: existing.updatedAt ?? null,
+          createdAt: now
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  const revision = previous + 1;
+  await revisions.insertOne({
+    tweetId,
+    revision,
+    schema_version: ENRICHMENT_SCHEMA_VERSION,
+    prompt_hash: PROMPT_HASH,
+    model_used: modelUsed,
+    data: revisionData(data),
+    enriched_at: now,
+    createdAt: now
+  });
+  return revision;
+}
+
+// Unrecoverable output is queued for review (GET /api/breaking-news/dead-letters)
+async function recordDeadLetter(db, doc, tweetId, err) {
+  const now = new Date();
+  await db.collection(DEAD_LETTER_COLL).updateOne(
+    { tweetId },
+    {
+      $set: {
+        tweet_text: doc.text ?? null,
+        reason: err.validationErrors ? 'validation' : 'model_error',
+        errors: err.validationErrors ?? [],
+        error_message: err.message || null,
+        last_output: err.lastOutput ?? null,
+        model_used: err.model ?? null,
+        status: 'open',
+        resolved_at: null,
+        updatedAt: now
+      },
+      $inc: { failures: 1 },
+      $setOnInsert: { createdAt: now }
+    },
+    { upsert: true }
+  );
+}
+
+async function resolveDeadLetter(db, tweetId, now) {
+  await db.collection(DEAD_LETTER_COLL).updateOne(
+    { tweetId, status: 'open' },
+    { $set: { status: 'resolved', resolved_at: now, updatedAt: now } }
+  );
+}
+
 function makeFilter() {
   if (ARG_ID) {
     const ors = [{ tweetId: ARG_ID }];
     try { ors.push({ _id: new ObjectId(ARG_ID) }); } catch (_) {}
     return { $or: ors };
   }
+  const unenriched = { $or: [ { enriched: { $exists: false } }, { enriched: false } ] };
+  if (ARG_IDS) {
+    const ids = { tweetId: { $in: ARG_IDS } };
+    return ARG_FORCE ? ids : { $and: [ids, unenriched] };
+  }
   if (ARG_FORCE) return {}; // process everything
   // default: only not-yet enriched
-  return { $or: [ { enriched: { $exists: false } }, { enriched: false } ] };
+  return unenriched;
 }
 
 // ---------- RSS helpers ----------
@@ -474,15 +418,98 @@ async function fetchAdditionalLinksFromRss(enrichment) {
 }
 
 
+// Enrichments written by an older schema version (or, without
+// --below-version, an older prompt)
+function makeStaleFilter() {
+  const below = ARG_BELOW_VERSION ? parseInt(ARG_BELOW_VERSION, 10) : ENRICHMENT_SCHEMA_VERSION;
+  const ors = [{ schema_version: { $exists: false } }, { schema_version: { $lt: below } }];
+  if (!ARG_BELOW_VERSION) ors.push({ prompt_hash: { $ne: PROMPT_HASH } });
+  return { $or: ors };
+}
+
+async function backfill(db) {
+  const stale = makeStaleFilter();
+  const enrichColl = db.collection(ENRICH_COLL);
+  const total = await enrichColl.countDocuments(stale);
+  console.log(`Backfill: ${total} stale enrichments (schema v${ENRICHMENT_SCHEMA_VERSION}, prompt ${PROMPT_HASH}), ` +
+    `up to ${FETCH_LIMIT} in batches of ${BACKFILL_BATCH_SIZE}, ${BACKFILL_PAUSE_MS}ms apart`);
+
+  const limit = pLimit(CONCURRENCY);
+  let lastId = null;
+  let processed = 0;
+  let ok = 0;
+
+  while (processed < FETCH_LIMIT) {
+    // Page by _id so records that fail again are not picked up twice
+    const batch = await enrichColl
+      .find(lastId ? { $and: [stale, { _id: { $gt: lastId } }] } : stale)
+      .sort({ _id: 1 })
+      .limit(Math.min(BACKFILL_BATCH_SIZE, FETCH_LIMIT - processed))
+      .project({ _id: 1, tweetId: 1 })
+      .toArray();
+    if (!batch.length) break;
+    lastId = batch[batch.length - 1]._id;
+
+    const tweets = await db.collection(TWEETS_COLL)
+      .find({ tweetId: { $in: batch.map(e => e.tweetId) } })
+      .toArray();
+    const results = await Promise.all(tweets.map(doc => limit(() => enrichOne(db, doc).catch(err => {
+      console.error('Failed to re-enrich tweet', getTweetId(doc), err.message);
+    }))));
+
+    processed += batch.length;
+    ok += results.filter(r => r?.success).length;
+    console.log(`Backfill: ${processed}/${Math.min(total, FETCH_LIMIT)} processed, ${ok} re-enriched`);
+
+    if (processed < FETCH_LIMIT && batch.length === BACKFILL_BATCH_SIZE) {
+      await new Promise(resolve => setTimeout(resolve, BACKFILL_PAUSE_MS));
+    }
+  }
+
+  return { processed, ok };
+}
+
+// The hourly escalation budget is shared with earlier runs through the
+// escalations they recorded
+async function createPipeline(db) {
+  const escalationPolicy = loadEscalationPolicy();
+  const since = new Date(Date.now() - 60 * 60 * 1000);
+  const recent = await db.collection(ENRICH_COLL)
+    .find({ 'escalation.escalated': true, 'escalation.at': { $gte: since } })
+    .project({ 'escalation.at': 1 })
+    .toArray();
+
+  return createEnrichmentPipeline({
+    models: MODEL_OVERRIDES,
+    repairAttempts: REPAIR_ATTEMPTS,
+    escalationPolicy,
+    escalationBudget: createEscalationBudget(escalationPolicy.maxPerHour, recent.map(d => d.escalation.at))
+  });
+}
+
 async function main() {
   const mongo = new MongoClient(MONGODB_URI);
   await mongo.connect();
   const db = mongo.db(DB_NAME);
+  pipeline = await createPipeline(db);
+  sourceIndex = buildIndex(await db.collection(SOURCES_COLL).find({}).project({ corrections: 0 }).toArray());
+  console.log(`Source credibility registry: ${sourceIndex.size} accounts and domains`);
+  const budget = pipeline.escalationPolicy.maxPerHour;
+  console.log(`Escalation policy ${pipeline.escalationPolicy.hash}, budget: ${
+    budget === null ? 'unlimited' : `${pipeline.escalationBudget.used()}/${budget} used this hour`}`);
+
+  if (ARG_BACKFILL) {
+    const { processed, ok } = await backfill(db);
+    await mongo.close();
+    writeJobOutput({ processed, enriched: ok });
+    console.log(`Backfill done. Re-enriched: ${ok}, Failed or kept: ${processed - ok}`);
+    return;
+  }
 
   const filter = makeFilter();
   console.log(`DB: ${DB_NAME}, tweets: ${TWEETS_COLL}, enrichments: ${ENRICH_COLL}`);
   console.log(`Filter: ${JSON.stringify(filter)}`);
-  console.log(`Fetch limit: ${FETCH_LIMIT}, Concurrency: ${CONCURRENCY}, Models: ${PRIMARY_MODEL} -> ${ESCALATION_MODEL}`);
+  console.log(`Fetch limit: ${FETCH_LIMIT}, Concurrency: ${CONCURRENCY}, Models: ${pipeline.describeRoute(PRIMARY_TASK)} -> ${pipeline.describeRoute(ESCALATION_TASK)}`);
 
   const coll = db.collection(TWEETS_COLL);
   const total = await coll.countDocuments(filter);
@@ -500,10 +527,11 @@ async function main() {
   if (total === 0) {
     await mongo.close();
     console.log('Nothing to process.');
+    writeJobOutput({ enrichedTweetIds: [], failedTweetIds: [] });
     return;
   }
 
-  const cursor = coll.find(filter).limit(FETCH_LIMIT);
+  const cursor = coll.find(filter).limit(ARG_IDS ? Math.max(FETCH_LIMIT, ARG_IDS.length) : FETCH_LIMIT);
   const limit = pLimit(CONCURRENCY);
   const tasks = [];
   while (await cursor.hasNext()) {
@@ -514,11 +542,14 @@ async function main() {
   }
 
   const results = await Promise.allSettled(tasks);
-  const ok = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
+  const done = results.filter(r => r.status === 'fulfilled' && r.value?.tweetId).map(r => r.value);
+  const enrichedTweetIds = done.filter(r => r.success).map(r => r.tweetId);
+  const ok = enrichedTweetIds.length;
   const fail = results.length - ok;
 
   await mongo.close();
   console.log(`Enrichment done. Success: ${ok}, Failed (or parse error stored): ${fail}`);
+  writeJobOutput({ enrichedTweetIds, failedTweetIds: done.filter(r => !r.success).map(r => r.tweetId) });
 }
 
 main().catch(err => { console.error(err); process.exit(1); });
\ No newline at end of file
@@ -0,0 +1,280 @@
+// eval/enrichment-eval.mjs
+//
+// Offline evaluation of the enrichment prompt and model cascade. Runs
+// lib/enrichmentPipeline.mjs over labeled tweets and scores category,
+// time_window, entities and locations (see scoring.mjs), plus the escalation
+// and failure rates.
+//
+//   node eval/enrichment-eval.mjs                         replay eval/cassettes/enrichment.json
+//                                                         (the fake answers with the labels while none is recorded)
+//   node eval/enrichment-eval.mjs --record                call the model on cassette misses
+//   node eval/enrichment-eval.mjs --config eval/configs/primary-gpt-4.1-mini.json \
+//     --compare eval/configs/current.json --out report.json
+//
+// Options:
+//   --fixtures FILE   labeled tweets, JSONL (default eval/fixtures/enrichment-labeled.jsonl);
+//                     rows of the corrections export (GET /api/breaking-news/corrections/export)
+//                     are accepted too and grouped per tweet
+//   --config FILE     { name, primaryModel?, escalationModel?, systemPromptFile?, repairAttempts?,
+//                       escalationPolicy? | escalationPolicyFile? }
+//   --compare FILE    second configuration; prints both and the difference (compare - config)
+//   --cassette FILE   recorded responses (default eval/cassettes/enrichment.json); without
+//                     --record or --live and no such file, the fake provider answers each tweet
+//                     with its labels, so the run works offline and should score 100%
+//   --record          replay what is recorded, call the model for the rest and save it
+//   --live            call the model for everything, no cassette (LLM_PROVIDER=fake works too)
+//   --limit N         first N fixtures only
+//   --out FILE        write the full report as JSON
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import llm from '../../api/src/services/llm/index.js';
+import FakeProvider from '../../api/src/services/llm/providers/fakeProvider.js';
+import {
+  PRIMARY_TASK,
+  ESCALATION_TASK,
+  enrichmentSchema,
+  createEnrichmentPipeline
+} from '../lib/enrichmentPipeline.mjs';
+import escalationPolicies from '../../api/src/services/escalationPolicyService.js';
+import { createReplayClient } from './replayClient.mjs';
+import { EVAL_FIELDS, scoreResults, compareReports } from './scoring.mjs';
+
+const { normalizePolicy } = escalationPolicies;
+const { sampleFromSchema } = FakeProvider;
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// ---------- CLI args ----------
+function hasArg(flag) { return process.argv.includes(flag); }
+function getArgValue(flag) {
+  const i = process.argv.indexOf(flag);
+  if (i >= 0 && i < process.argv.length - 1) return process.argv[i + 1];
+  const pref = `${flag}=`;
+  const kv = process.argv.find(a => a.startsWith(pref));
+  return kv ? kv.slice(pref.length) : undefined;
+}
+
+const ARG_FIXTURES = getArgValue('--fixtures') || path.join(EVAL_DIR, 'fixtures', 'enrichment-labeled.jsonl');
+const ARG_CONFIG = getArgValue('--config');
+const ARG_COMPARE = getArgValue('--compare');
+const ARG_CASSETTE = getArgValue('--cassette') || path.join(EVAL_DIR, 'cassettes', 'enrichment.json');
+const ARG_RECORD = hasArg('--record');
+const ARG_LIVE = hasArg('--live');
+const ARG_LIMIT = parseInt(getArgValue('--limit') || '0', 10);
+const ARG_OUT = getArgValue('--out');
+
+// ---------- fixtures ----------
+// Corrections export rows ({ tweetId, text, field, label }) -> labels per tweet
+const EXPORT_FIELDS = new Set([
+  'category',
+  'time_window',
+  'entities.people',
+  'entities.organizations',
+  'entities.equipment'
+]);
+
+function setLabel(labels, field, value) {
+  if (!field.startsWith('entities.')) {
+    labels[field] = value;
+    return;
+  }
+  labels.entities = labels.entities || {};
+  labels.entities[field.slice('entities.'.length)] = value || [];
+}
+
+function loadFixtures(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim());
+  const byTweet = new Map();
+
+  lines.forEach((line, i) => {
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: ${err.message}`);
+    }
+    if (!row.tweetId || typeof row.text !== 'string') {
+      throw new Error(`${file}:${i + 1}: tweetId and text are required`);
+    }
+
+    const fixture = byTweet.get(row.tweetId) || { tweetId: row.tweetId, text: row.text, labels: {} };
+    if (row.labels) {
+      Object.assign(fixture, row, { labels: { ...fixture.labels, ...row.labels } });
+    } else if (EXPORT_FIELDS.has(row.field)) {
+      setLabel(fixture.labels, row.field, row.label);
+    }
+    byTweet.set(row.tweetId, fixture);
+  });
+
+  const fixtures = [...byTweet.values()].filter(f => Object.keys(f.labels).length);
+  return ARG_LIMIT > 0 ? fixtures.slice(0, ARG_LIMIT) : fixtures;
+}
+
+// ---------- configurations ----------
+function loadConfig(file) {
+  if (!file) return { name: 'current' };
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (config.systemPromptFile) {
+    config.systemPrompt = fs.readFileSync(path.resolve(path.dirname(file), config.systemPromptFile), 'utf8');
+  }
+  if (config.escalationPolicyFile) {
+    const policyPath = path.resolve(path.dirname(file), config.escalationPolicyFile);
+    config.escalationPolicy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+  }
+  return { name: path.basename(file, '.json'), ...config };
+}
+
+async function evaluate(config, fixtures, client) {
+  const pipeline = createEnrichmentPipeline({
+    ...(config.systemPrompt ? { systemPrompt: config.systemPrompt } : {}),
+    models: { [PRIMARY_TASK]: config.primaryModel, [ESCALATION_TASK]: config.escalationModel },
+    repairAttempts: config.repairAttempts ?? 2,
+    ...(config.escalationPolicy ? { escalationPolicy: normalizePolicy(config.escalationPolicy) } : {}),
+    client,
+    log: () => {}
+  });
+  const routes = {
+    primary: pipeline.describeRoute(PRIMARY_TASK),
+    escalation: pipeline.describeRoute(ESCALATION_TASK)
+  };
+  console.log(`\n[${config.name}] prompt ${pipeline.promptHash}, ${routes.primary} -> ${routes.escalation}, ` +
+    `escalation policy ${pipeline.escalationPolicy.hash}`);
+
+  const results = [];
+  for (const fixture of fixtures) {
+    try {
+      const { enrichment, model, escalated, escalation } = await pipeline.enrichTweet(fixture);
+      results.push({ fixture, enrichment, model, escalated, escalationRule: escalation.rule });
+    } catch (err) {
+      console.error(`  ${fixture.tweetId}: ${err.message}`);
+      results.push({ fixture, enrichment: null, model: err.model ?? null, escalated: false, error: err.message });
+    }
+  }
+
+  return {
+    config: {
+      name: config.name,
+      description: config.description ?? null,
+      promptHash: pipeline.promptHash,
+      escalationPolicy: pipeline.escalationPolicy,
+      routes
+    },
+    ...scoreResults(results)
+  };
+}
+
+// ---------- offline answers ----------
+// Without a cassette the fake provider answers each tweet with its own labels,
+// so the default run scores the pipeline's coercion, validation and scoring
+// end to end: anything short of 100% is a harness bug, not a model error.
+function answerFromLabels(fixtures) {
+  return (params) => {
+    const prompt = params.messages.find(m => m.role === 'user')?.content || '';
+    const fixture = fixtures.find(f => prompt.startsWith(`TWEET TEXT:\n${f.text}\n`));
+    const answer = { ...sampleFromSchema(enrichmentSchema.schema), confidence: 1 };
+    if (!fixture) return answer;
+
+    const { category, time_window, entities, locations } = fixture.labels;
+    if (category !== undefined) answer.category = category;
+    if (time_window !== undefined) answer.time_window = time_window;
+    if (entities) answer.entities = { ...answer.entities, ...entities };
+    if (locations) {
+      answer.locations = locations.map(l => ({
+        place: typeof l === 'string' ? l : l.place,
+        country: l.country ?? null,
+        lat: null,
+        lon: null
+      }));
+    }
+    return answer;
+  };
+}
+
+// ---------- output ----------
+function pct(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function signedPct(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+}
+
+function printReport(report) {
+  console.log(`Tweets: ${report.tweets}, escalation rate: ${pct(report.escalationRate)}, failure rate: ${pct(report.failureRate)}`);
+  const rules = Object.entries(report.escalationByRule).map(([rule, n]) => `${rule} ${n}`).join(', ');
+  if (rules) console.log(`Escalation rules: ${rules}`);
+  console.log(`${'field'.padEnd(24)}${'n'.padStart(5)}${'accuracy'.padStart(11)}${'precision'.padStart(11)}${'recall'.padStart(11)}${'f1'.padStart(11)}`);
+  for (const field of EVAL_FIELDS) {
+    const s = report.fields[field];
+    console.log(`${field.padEnd(24)}${String(s.n).padStart(5)}${pct(s.accuracy).padStart(11)}${pct(s.precision).padStart(11)}${pct(s.recall).padStart(11)}${pct(s.f1).padStart(11)}`);
+  }
+}
+
+function printComparison(a, b, rows) {
+  console.log(`\nComparison: ${b.config.name} vs ${a.config.name} (points)`);
+  console.log(`${'field'.padEnd(24)}${'metric'.padEnd(16)}${a.config.name.slice(0, 14).padStart(15)}${b.config.name.slice(0, 14).padStart(15)}${'delta'.padStart(9)}`);
+  for (const row of rows) {
+    console.log(`${row.field.padEnd(24)}${row.metric.padEnd(16)}${pct(row.a).padStart(15)}${pct(row.b).padStart(15)}${signedPct(row.delta).padStart(9)}`);
+  }
+}
+
+// ---------- main ----------
+async function main() {
+  const fixtures = loadFixtures(ARG_FIXTURES);
+  if (!fixtures.length) {
+    console.error(`No labeled tweets in ${ARG_FIXTURES}`);
+    process.exit(1);
+  }
+  console.log(`Fixtures: ${ARG_FIXTURES} (${fixtures.length} labeled tweets)`);
+
+  const offline = !ARG_LIVE && !ARG_RECORD && !fs.existsSync(ARG_CASSETTE);
+  if (offline) {
+    process.env.LLM_PROVIDER = 'fake';
+    const fake = llm.getProvider('fake');
+    fake.setFixture(PRIMARY_TASK, answerFromLabels(fixtures));
+    fake.setFixture(ESCALATION_TASK, answerFromLabels(fixtures));
+    console.log(`No cassette at ${ARG_CASSETTE}; the fake provider answers with the labels (record one with --record)`);
+  }
+
+  const replay = ARG_LIVE || offline ? null : createReplayClient({
+    cassettePath: ARG_CASSETTE,
+    mode: ARG_RECORD ? 'record' : 'replay'
+  });
+  const client = replay || llm;
+  console.log(replay ? `Client: ${ARG_RECORD ? 'record' : 'replay'} ${ARG_CASSETTE}` : `Client: live (${process.env.LLM_PROVIDER || 'openai'})`);
+
+  const reports = [];
+  for (const file of [ARG_CONFIG, ARG_COMPARE].filter((f, i) => f || i === 0)) {
+    const report = await evaluate(loadConfig(file), fixtures, client);
+    printReport(report);
+    reports.push(report);
+  }
+
+  const output = { fixtures: ARG_FIXTURES, generatedAt: new Date().toISOString(), reports };
+  if (reports.length === 2) {
+    output.comparison = compareReports(reports[0], reports[1]);
+    printComparison(reports[0], reports[1], output.comparison);
+  }
+
+  if (replay) {
+    if (ARG_RECORD) {
+      fs.mkdirSync(path.dirname(ARG_CASSETTE), { recursive: true });
+      replay.save();
+    }
+    const { hits, misses, recorded } = replay.stats;
+    console.log(`\nCassette: ${hits} replayed, ${recorded} recorded, ${misses - recorded} missing`);
+    if (misses > recorded) {
+      console.error('Some responses were not recorded; failures above include replay misses (run with --record)');
+      process.exitCode = 1;
+    }
+  }
+  if (ARG_OUT) {
+    fs.writeFileSync(ARG_OUT, `${JSON.stringify(output, null, 2)}\n`);
+    console.log(`Report written to ${ARG_OUT}`);
+  }
+}
+
+main().catch(err => { console.error(err); process.exit(1); });
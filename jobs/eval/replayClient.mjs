@@ -0,0 +1,100 @@
+// eval/replayClient.mjs
+//
+// Model client with llm.chat's signature that answers from a cassette file,
+// so an evaluation can be re-run offline and scored deterministically.
+// Responses are keyed by task, resolved model, messages and response format:
+// a prompt or model change is a cassette miss.
+//
+//   mode 'replay'  cassette only; a miss throws an error with code REPLAY_MISS
+//   mode 'record'  replay hits, call the model on misses and store the answer
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import llm from '../../api/src/services/llm/index.js';
+import llmJson from '../../api/src/services/llm/json.js';
+import llmErrors from '../../api/src/services/llm/errors.js';
+
+const { parseModelJson } = llmJson;
+const { LLMError } = llmErrors;
+
+function cassetteKey(task, params) {
+  const { model } = llm.resolveRoute(task, { model: params.model });
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ task, model, messages: params.messages, json: params.json ?? null }))
+    .digest('hex');
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.cassettePath
+ * @param {'replay'|'record'} [opts.mode='replay']
+ * @param {{ chat: Function }} [opts.client=llm] - used on misses when recording
+ */
+export function createReplayClient({ cassettePath, mode = 'replay', client = llm }) {
+  const cassette = fs.existsSync(cassettePath)
+    ? JSON.parse(fs.readFileSync(cassettePath, 'utf8'))
+    : {};
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+
+  function replay(task, params, entry) {
+    if (entry.error) {
+      const err = new LLMError(entry.error.message, { code: entry.error.code, model: entry.model });
+      err.rawText = entry.error.rawText;
+      throw err;
+    }
+    const result = { text: entry.text, model: entry.model, provider: 'replay', task };
+    if (!params.json) return result;
+
+    const json = parseModelJson(entry.text);
+    if (json === undefined) {
+      const err = new LLMError('Model did not return valid JSON', {
+        code: 'INVALID_OUTPUT',
+        model: entry.model
+      });
+      err.rawText = entry.text.slice(0, 400);
+      throw err;
+    }
+    return { ...result, json };
+  }
+
+  return {
+    stats,
+
+    async chat(task, params) {
+      const key = cassetteKey(task, params);
+      if (cassette[key]) {
+        stats.hits++;
+        return replay(task, params, cassette[key]);
+      }
+      stats.misses++;
+      if (mode !== 'record') {
+        const err = new Error(`No recorded response for ${task}; run with --record`);
+        err.code = 'REPLAY_MISS';
+        throw err;
+      }
+
+      try {
+        const resp = await client.chat(task, params);
+        cassette[key] = { task, model: resp.model, text: resp.text };
+        stats.recorded++;
+        return resp;
+      } catch (err) {
+        // Invalid output is part of what is evaluated; transport errors are not
+        if (err.code === 'INVALID_OUTPUT') {
+          cassette[key] = {
+            task,
+            model: err.model ?? null,
+            error: { code: err.code, message: err.message, rawText: err.rawText ?? '' }
+          };
+          stats.recorded++;
+        }
+        throw err;
+      }
+    },
+
+    save() {
+      if (mode !== 'record' || !stats.recorded) return;
+      fs.writeFileSync(cassettePath, `${JSON.stringify(cassette, null, 2)}\n`);
+    }
+  };
+}
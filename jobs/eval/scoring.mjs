@@ -0,0 +1,197 @@
+// eval/scoring.mjs
+//
+// Per-field scores of enrichment output against analyst labels.
+//
+// Single-label fields (category, time_window):
+//   accuracy   correct / labeled tweets (null label vs null prediction is correct)
+//   precision  correct / tweets with a non-null prediction
+//   recall     correct / tweets with a non-null label
+// Set fields (entities, locations by place), micro-averaged over tweets:
+//   precision  matched / predicted items, recall  matched / labeled items
+//   accuracy   share of tweets whose predicted set equals the labeled set
+//
+// Values are compared case- and accent-insensitively. A field missing from a
+// tweet's labels is not scored for that tweet.
+
+const ENTITY_TYPES = ['people', 'organizations', 'equipment'];
+
+export const EVAL_FIELDS = [
+  'category',
+  'time_window',
+  'entities',
+  ...ENTITY_TYPES.map(t => `entities.${t}`),
+  'locations'
+];
+
+export function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  const s = String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, ' ')
+    .replace(/^the /, '')
+    .trim();
+  return s || null;
+}
+
+// Field value as a set of normalized items, or undefined when unlabeled
+function itemsOf(field, source) {
+  if (!source) return undefined;
+  if (field === 'locations') {
+    if (source.locations === undefined) return undefined;
+    return new Set((source.locations || [])
+      .map(l => normalizeValue(typeof l === 'string' ? l : l?.place))
+      .filter(Boolean));
+  }
+  if (source.entities === undefined) return undefined;
+  const types = field === 'entities' ? ENTITY_TYPES : [field.slice('entities.'.length)];
+  const items = new Set();
+  for (const type of types) {
+    const list = source.entities?.[type];
+    if (list === undefined && field !== 'entities') return undefined;
+    for (const name of list || []) {
+      const n = normalizeValue(name);
+      if (n) items.add(field === 'entities' ? `${type}:${n}` : n);
+    }
+  }
+  return items;
+}
+
+function ratio(a, b) {
+  return b ? a / b : null;
+}
+
+function f1(precision, recall) {
+  if (precision === null || recall === null) return null;
+  if (precision + recall === 0) return 0;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+function singleScorer() {
+  const t = { n: 0, correct: 0, predicted: 0, labeled: 0, correctNonNull: 0 };
+  return {
+    add(label, prediction) {
+      const l = normalizeValue(label);
+      const p = normalizeValue(prediction);
+      t.n++;
+      if (p !== null) t.predicted++;
+      if (l !== null) t.labeled++;
+      if (l === p) {
+        t.correct++;
+        if (l !== null) t.correctNonNull++;
+      }
+      return l === p;
+    },
+    result() {
+      const precision = ratio(t.correctNonNull, t.predicted);
+      const recall = ratio(t.correctNonNull, t.labeled);
+      return { n: t.n, accuracy: ratio(t.correct, t.n), precision, recall, f1: f1(precision, recall) };
+    }
+  };
+}
+
+function setScorer() {
+  const t = { n: 0, exact: 0, tp: 0, predicted: 0, labeled: 0 };
+  return {
+    add(label, prediction) {
+      let tp = 0;
+      for (const item of prediction) if (label.has(item)) tp++;
+      const exact = tp === label.size && tp === prediction.size;
+      t.n++;
+      t.tp += tp;
+      t.predicted += prediction.size;
+      t.labeled += label.size;
+      if (exact) t.exact++;
+      return exact;
+    },
+    result() {
+      // An empty prediction for an empty label is perfect, not undefined
+      const precision = t.predicted ? t.tp / t.predicted : t.labeled ? null : 1;
+      const recall = t.labeled ? t.tp / t.labeled : 1;
+      return { n: t.n, accuracy: ratio(t.exact, t.n), precision, recall, f1: f1(precision, recall) };
+    }
+  };
+}
+
+/**
+ * @param {Array<{ fixture: Object, enrichment: Object|null, escalated: boolean,
+ *   escalationRule?: string, error?: string }>} results
+ *   enrichment is null when the pipeline failed; it then counts as an empty answer
+ * @returns {{ tweets: number, escalationRate: number|null, failureRate: number|null,
+ *   escalationByRule: Object<string, number>, fields: Object<string, { n, accuracy, precision,
+ *   recall, f1 }>, items: Array }}
+ */
+export function scoreResults(results) {
+  const scorers = Object.fromEntries(EVAL_FIELDS.map(f => [
+    f,
+    f === 'category' || f === 'time_window' ? singleScorer() : setScorer()
+  ]));
+
+  const items = results.map(({ fixture, enrichment, escalated, escalationRule, error, model }) => {
+    const labels = fixture.labels || {};
+    const predicted = enrichment || {};
+    const mismatches = [];
+
+    for (const field of EVAL_FIELDS) {
+      let ok;
+      if (field === 'category' || field === 'time_window') {
+        if (labels[field] === undefined) continue;
+        ok = scorers[field].add(labels[field], predicted[field]);
+      } else {
+        const label = itemsOf(field, labels);
+        if (label === undefined) continue;
+        ok = scorers[field].add(label, itemsOf(field, predicted) || new Set());
+      }
+      if (!ok && field !== 'entities') mismatches.push(field);
+    }
+    return {
+      tweetId: fixture.tweetId,
+      model: model ?? null,
+      escalated,
+      escalationRule: escalationRule ?? null,
+      error: error ?? null,
+      mismatches
+    };
+  });
+
+  // Which rule decided, for every tweet that got past the primary model
+  const escalationByRule = {};
+  for (const { escalationRule } of results) {
+    if (escalationRule) escalationByRule[escalationRule] = (escalationByRule[escalationRule] || 0) + 1;
+  }
+
+  const tweets = results.length;
+  return {
+    tweets,
+    escalationRate: ratio(results.filter(r => r.escalated).length, tweets),
+    failureRate: ratio(results.filter(r => r.error).length, tweets),
+    escalationByRule,
+    fields: Object.fromEntries(EVAL_FIELDS.map(f => [f, scorers[f].result()])),
+    items
+  };
+}
+
+/**
+ * Metric-by-metric difference of two reports (b - a).
+ * @returns {Array<{ field: string, metric: string, a: number|null, b: number|null, delta: number|null }>}
+ */
+export function compareReports(a, b) {
+  const rows = [];
+  const push = (field, metric, x, y) => rows.push({
+    field,
+    metric,
+    a: x ?? null,
+    b: y ?? null,
+    delta: x === null || x === undefined || y === null || y === undefined ? null : y - x
+  });
+
+  push('pipeline', 'escalationRate', a.escalationRate, b.escalationRate);
+  push('pipeline', 'failureRate', a.failureRate, b.failureRate);
+  for (const field of EVAL_FIELDS) {
+    for (const metric of ['accuracy', 'precision', 'recall', 'f1']) {
+      push(field, metric, a.fields[field]?.[metric], b.fields[field]?.[metric]);
+    }
+  }
+  return rows;
+}
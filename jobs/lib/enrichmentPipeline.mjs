@@ -0,0 +1,244 @@
+// lib/enrichmentPipeline.mjs
+//
+// Model side of tweet enrichment: the analyst prompt, the response schema,
+// the strict -> loose -> escalation cascade with its validation/repair loop,
+// and the escalation decision (api escalationPolicyService). Shared by enrichbreakingnews.mjs and the offline
+// evaluation (eval/enrichment-eval.mjs), which swaps in its own prompt,
+// models and a replaying client.
+import crypto from 'node:crypto';
+import llm from '../../api/src/services/llm/index.js';
+import enrichmentValidation from '../../api/src/services/enrichmentValidationService.js';
+import escalationPolicies from '../../api/src/services/escalationPolicyService.js';
+
+const { buildEnrichmentJsonSchema, coerceEnrichment, validateEnrichment } = enrichmentValidation;
+const { loadEscalationPolicy, createEscalationBudget, decideEscalation } = escalationPolicies;
+
+// Reasoning-first cascade: LLM tasks enrichment.primary (o4-mini) and
+// enrichment.escalation (o3) unless rerouted via LLM_ROUTES.
+export const PRIMARY_TASK = 'enrichment.primary';
+export const ESCALATION_TASK = 'enrichment.escalation';
+
+// ---------- prompt (OSINT / political / intel / media analyst) ----------
+export const SYS_PROMPT = `
+You are an OSINT / political / intelligence / media analyst.
+Your task: extract structured intelligence from ONE tweet.
+
+SCOPE
+- Use ONLY what is in the tweet text itself. Do NOT assume facts, follow links, or add world knowledge beyond ordinary language understanding.
+- If a field cannot be inferred, use null (for scalars) or [] (for lists). Be conservative.
+
+OUTPUT
+- Return STRICT JSON that matches the provided schema exactly.
+- No extra keys, no comments, no trailing text.
+- Keep writing short and neutral (analyst tone).
+- Write every field in English, whatever the language of the tweet.
+
+LANGUAGE
+- The tweet may be in any language (often Arabic, Ukrainian, Russian or Hebrew). An ENGLISH TRANSLATION may follow the original; use it to read the tweet, but the ORIGINAL is authoritative where they differ.
+- Entity and place names: the usual English spelling (e.g., "Kharkiv", "Khan Younis").
+
+FIELD RULES:
+- category: concise high-level label (e.g., conflict, disaster, politics, economy, crime, cyber, social, sports, other). Null if unclear.
+- context: 1–2 neutral sentences summarizing the claim/event. Use “allegedly”, “reportedly” if unconfirmed.
+- locations[]: Only if clearly implied in the TEXT (place, country if stated or strongly implied). Do NOT invent coordinates; set lat/lon = null unless explicitly present. If only a country/sea/strait is mentioned, use that as place; country may be null when unclear.
+- future_scenarios[]: 2–4 plausible developments tied to the tweet, each with likelihood 0..1 (calibrated).
+- knock_on_effects[]: 2–4 second-order impacts (markets, shipping, escalation, protests, sanctions, etc.) with likelihood 0..1.
+- entities.people/organizations/equipment: extract proper nouns & distinct references; deduplicate; prefer canonical forms if stated.
+- event_type: specific taxonomy-friendly label if evident (e.g., "drone_attack","protest","sanctions","cyber_attack"); null if unclear.
+- time_window: past_event | ongoing | future_risk (expected or threatened developments) | unknown.
+- sentiment: toward the EVENT, -1..1. If impossible, 0.
+- risk_score: 0..1 operational significance based on the text; be conservative.
+- credibility: 0..1 from text cues only (hedging, sensationalism, evidence, specificity).
+- sources_to_verify: URLs in text or 2–3 short search queries to verify.
+- confidence: 0..1 overall confidence in extraction.
+- needs_higher_model: true ONLY if sarcasm/irony likely, complex geopolitics/technical nuance, ambiguous actors/locations/date, non-English idioms, or media forensics required.
+- newsworthiness: true if event seems significant enough for wider media coverage; false otherwise.
+
+STYLE & GUARDRAILS
+- Do NOT invent names, places, numbers, dates, or links.
+- If an emoji/flag implies a country but text is ambiguous, you may set country with lower credibility/confidence.
+- Arrays may be empty. Scalars may be null. Numbers are 0..1 (one or two decimals).
+- Keep each scenario/effect to a single concise clause.
+
+Return only the JSON object per schema.
+`;
+
+// Last-resort schema hint for json-only pass
+export const SCHEMA_HINT = `
+Output a JSON object with these top-level keys:
+category, context, locations, future_scenarios, knock_on_effects,
+entities, event_type, time_window, sentiment, risk_score, credibility,
+sources_to_verify, confidence, needs_higher_model, notes.
+If unknown: null (for scalars) or [] (for arrays). Do not include extra keys.`;
+
+// Tracks prompt edits across enrichment revisions
+export function promptHash(systemPrompt = SYS_PROMPT) {
+  return crypto.createHash('sha256').update(systemPrompt).update(SCHEMA_HINT).digest('hex').slice(0, 12);
+}
+
+// ---------- strict JSON Schema (response_format json_schema + strict:true) ----------
+// Generated from the BreakingNewsEnrichment model so enums and ranges match
+// what the API stores; the loose variant keeps the min/max keywords.
+export const enrichmentSchema = {
+  name: 'tweet_enrichment',
+  strict: true,
+  schema: buildEnrichmentJsonSchema({ strict: true })
+};
+
+async function callModel(ctx, { tweet, task }) {
+  // 1) task strict schema
+  // 2) task loose schema
+  // 3) ESCALATION strict schema
+  // 4) ESCALATION plain JSON (no schema), with tight instruction
+  const tries = [
+    { task, variant: 'schema-strict' },
+    { task, variant: 'schema-loose' },
+    { task: ESCALATION_TASK, variant: 'schema-strict' },
+    { task: ESCALATION_TASK, variant: 'json-only' }
+  ];
+
+  let lastErr;
+  for (const t of tries) {
+    try {
+      const out = await callModelOnce(ctx, { tweet, task: t.task, variant: t.variant });
+      return out; // success
+    } catch (e) {
+      lastErr = e;
+    }
+  }
+  throw lastErr || new Error('Model failed on all attempts');
+}
+
+async function callModelOnce(ctx, { tweet, task, variant }) {
+  // base prompts
+  const sys = ctx.systemPrompt;
+  const translation = tweet.translation?.text
+    ? `
+
+ENGLISH TRANSLATION (machine):
+${tweet.translation.text}`
+    : '';
+  const userBase = `TWEET TEXT:
+${tweet.text || ''}${translation}
+
+TWEET META:
+account=${tweet.account || ''} url=${tweet.url || ''} datetime=${tweet.datetime || ''} lang=${tweet.lang || ''}`;
+
+  // variant tweaks
+  const json =
+    variant === 'json-only'
+      ? true
+      : {
+          name: enrichmentSchema.name,
+          strict: variant === 'schema-loose' ? false : enrichmentSchema.strict,
+          schema: variant === 'schema-loose' ? buildEnrichmentJsonSchema() : enrichmentSchema.schema
+        };
+
+  const user =
+    variant === 'json-only'
+      ? `${userBase}
+
+Return ONLY a valid JSON object. ${SCHEMA_HINT}`
+      : userBase;
+
+  const messages = [
+    { role: 'system', content: sys },
+    { role: 'user',  content: user }
+  ];
+
+  // Coerce what can be fixed locally; re-prompt with whatever is still invalid
+  for (let attempt = 0; ; attempt++) {
+    // temperature only reaches non-reasoning models
+    const resp = await ctx.client.chat(task, {
+      model: ctx.models[task],
+      messages,
+      temperature: 0.2,
+      json
+    });
+
+    const { value, fixes } = coerceEnrichment(resp.json);
+    const { valid, errors } = validateEnrichment(value);
+    if (fixes.length) {
+      ctx.log(`Coerced ${fixes.length} field(s) of ${variant} output: ${fixes.map(f => f.path).join(', ')}`);
+    }
+    if (valid) return { enrichment: value, model: resp.model };
+
+    if (attempt >= ctx.repairAttempts) {
+      const err = new Error(`Output failed validation after ${attempt + 1} attempt(s): ${formatErrors(errors)}`);
+      err.validationErrors = errors;
+      err.lastOutput = resp.json;
+      err.rawText = resp.text.slice(0, 400);
+      err.model = resp.model;
+      throw err;
+    }
+    messages.push(
+      { role: 'assistant', content: resp.text },
+      {
+        role: 'user',
+        content: `The JSON above does not match the schema:
+${errors.map(e => `- ${e.path || '(root)'}: ${e.message}`).join('\n')}
+
+Return the corrected JSON object only.`
+      }
+    );
+  }
+}
+
+function formatErrors(errors, max = 5) {
+  const shown = errors.slice(0, max).map(e => `${e.path || '(root)'} ${e.message}`);
+  if (errors.length > max) shown.push(`+${errors.length - max} more`);
+  return shown.join('; ');
+}
+
+// ---------- pipeline ----------
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.systemPrompt=SYS_PROMPT]
+ * @param {Object} [opts.models] - model per task; only applies on the openai provider
+ * @param {number} [opts.repairAttempts=2] - re-prompts with validation errors per attempt
+ * @param {{ chat: Function }} [opts.client=llm] - anything with llm.chat's signature
+ * @param {Object} [opts.escalationPolicy] - normalized policy; ENRICH_ESCALATION_POLICY[_FILE] by default
+ * @param {Object} [opts.escalationBudget] - from createEscalationBudget(); fresh window by default
+ * @param {Function} [opts.log=console.log]
+ */
+export function createEnrichmentPipeline({
+  systemPrompt = SYS_PROMPT,
+  models = {},
+  repairAttempts = 2,
+  client = llm,
+  escalationPolicy = loadEscalationPolicy(),
+  escalationBudget = createEscalationBudget(escalationPolicy.maxPerHour),
+  log = console.log
+} = {}) {
+  const ctx = { systemPrompt, models, repairAttempts, client, log };
+
+  return {
+    promptHash: promptHash(systemPrompt),
+
+    callModel: (params) => callModel(ctx, params),
+
+    escalationPolicy,
+    escalationBudget,
+
+    /**
+     * Primary pass, escalated when the policy says so and the hourly budget
+     * allows. Throws when every attempt of the cascade failed.
+     * @returns {Promise<{ enrichment: Object, model: string, escalated: boolean,
+     *   escalation: { escalated: boolean, rule: string, reason: string, policy_hash: string, at: Date } }>}
+     */
+    async enrichTweet(tweet) {
+      const primary = await callModel(ctx, { tweet, task: PRIMARY_TASK });
+      const escalation = decideEscalation(escalationPolicy, escalationBudget, tweet, primary.enrichment);
+      if (!escalation.escalated) return { ...primary, escalated: false, escalation };
+
+      log(`Escalating ${tweet.tweetId ?? ''}: ${escalation.rule} (${escalation.reason})`);
+      const escalated = await callModel(ctx, { tweet, task: ESCALATION_TASK });
+      return { ...escalated, escalated: true, escalation };
+    },
+
+    describeRoute(task) {
+      const { provider, model } = llm.resolveRoute(task, { model: models[task] });
+      return `${provider}:${model}`;
+    }
+  };
+}
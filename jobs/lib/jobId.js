@@ -0,0 +1,16 @@
+// jobId.js - Which queued job a script is running for
+//
+// The API's job queue passes JOB_ID; run by hand, a script takes the id as an
+// argument instead, or runs without one.
+
+/**
+ * Resolve the job id, preferring JOB_ID over the argument.
+ * @param {string} [arg] - the job id argument, e.g. process.argv[3]
+ * @param {object} [env=process.env]
+ * @returns {string|null}
+ */
+function resolveJobId(arg, env = process.env) {
+  return env.JOB_ID?.trim() || arg?.trim() || null;
+}
+
+module.exports = { resolveJobId };
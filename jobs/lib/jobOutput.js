@@ -0,0 +1,21 @@
+// jobOutput.js - Outputs of a job for the steps after it
+//
+// The API's job queue passes JOB_OUTPUT_PATH; what a script writes there is
+// stored on its job (job.output) and handed to the pipeline steps that depend
+// on it (see api/src/services/pipelineRegistry.js). Run by hand, there is no
+// path and nothing is written.
+const fs = require('fs');
+
+/**
+ * Write the job's output, a JSON object. Later calls replace earlier ones.
+ * @param {object} output
+ * @returns {boolean} whether it was written
+ */
+function writeJobOutput(output) {
+  const file = process.env.JOB_OUTPUT_PATH;
+  if (!file) return false;
+  fs.writeFileSync(file, JSON.stringify(output));
+  return true;
+}
+
+module.exports = { writeJobOutput };
@@ -1,5 +1,10 @@
 #!/usr/bin/env node
 // projectJobs.js - Main job orchestrator for ProjectNews
+//
+// Recurring runs are scheduled by the API (schedulerService, /api/schedules),
+// which runs the sequence as the breaking-news pipeline (/api/pipelines);
+// this script prepares Chrome for the scraper and runs the sequence by hand
+// with --once.
 require('dotenv').config();
 const path = require('path');
 const {
@@ -15,9 +20,11 @@ const {
 const CONFIG = {
   chromeDebugPort: 9222,
   chromeWaitSeconds: 30,
-  scheduleIntervalMinutes: 15,
 };
 
+// API schedules that replace the old 15-minute loop (seeded enabled)
+const API_SCHEDULES = ['breaking-news'];
+
 // Script paths
 const SCRIPTS = {
   twitterScraper: path.join(__dirname, 'twitterscraper.mjs'),
@@ -97,7 +104,6 @@ async function main() {
   console.log('║           ProjectNews Job Runner                           ║');
   console.log('╚════════════════════════════════════════════════════════════╝');
   console.log();
-  console.log(`Schedule: Every ${CONFIG.scheduleIntervalMinutes} minutes`);
   console.log(`Scripts:`);
   console.log(`  - ${path.basename(SCRIPTS.twitterScraper)}`);
   console.log(`  - ${path.basename(SCRIPTS.enrichBreakingNews)} (parallel)`);
@@ -116,34 +122,17 @@ async function main() {
     console.log('[ProjectJobs] Skipping Chrome initialization (--skip-chrome)');
   }
 
-  // Step 2: Run immediately
-  await runJobSequence();
-
-  // Step 3: Schedule recurring runs (unless --once)
+  // Step 2: Run the sequence here (--once); otherwise the API's schedules run it
   if (runOnce) {
+    await runJobSequence();
     console.log('\n[ProjectJobs] Single run complete (--once flag). Exiting.');
     process.exit(0);
   }
 
-  const intervalMs = CONFIG.scheduleIntervalMinutes * 60 * 1000;
-  console.log(`\n[ProjectJobs] Scheduling next run in ${CONFIG.scheduleIntervalMinutes} minutes...`);
-  console.log('[ProjectJobs] Press Ctrl+C to stop.\n');
-
-  setInterval(() => {
-    console.log(`\n[ProjectJobs] Scheduled run triggered at ${new Date().toLocaleString()}`);
-    runJobSequence();
-  }, intervalMs);
-
-  // Handle graceful shutdown
-  process.on('SIGINT', () => {
-    console.log('\n[ProjectJobs] Shutting down...');
-    process.exit(0);
-  });
-
-  process.on('SIGTERM', () => {
-    console.log('\n[ProjectJobs] Terminated.');
-    process.exit(0);
-  });
+  console.log('\n[ProjectJobs] Chrome is ready. Recurring runs are scheduled by the API:');
+  for (const name of API_SCHEDULES) console.log(`  - ${name}`);
+  console.log('[ProjectJobs] See GET /api/schedules; pause one with PATCH /api/schedules/:id {"enabled": false}.');
+  console.log('[ProjectJobs] Use --once to run the sequence here.');
 }
 
 // Run
@@ -3,9 +3,10 @@
 // Saves results into MongoDB.
 //
 // Usage:
-//   node twitterlivescraper.mjs <tweetId>
+//   node twitterlivescraper.mjs <tweetId> [jobId]
 //
 // Env (optional):
+//   JOB_ID=...  set by the API's job queue; captures are tagged with it
 //   CDP=http://127.0.0.1:9222
 //   MONGO_URI=mongodb://127.0.0.1:27017
 //   NAV_TIMEOUT_MS=45000
@@ -22,6 +23,11 @@
 
 import { chromium } from "playwright";
 import { MongoClient, ObjectId } from "mongodb";
+import languages from "../api/src/services/languageService.js";
+import jobIds from "./lib/jobId.js";
+
+const { detectLanguage } = languages;
+const { resolveJobId } = jobIds;
 
 const CDP_ENDPOINT = process.env.CDP || "http://127.0.0.1:9222";
 const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017";
@@ -159,6 +165,7 @@ function normalizeTweetResult(tweetResult) {
     authorName,
     tweetCreatedAt,
     text,
+    lang: detectLanguage(text, { hint: legacy?.lang }),
     images,
     videos,
   };
@@ -241,7 +248,7 @@ async function cdpPreflight() {
 
 async function main() {
   const tweetId = process.argv[2]?.trim();
-  const jobId = process.argv[3]?.trim() || null;
+  const jobId = resolveJobId(process.argv[3]);
   if (!tweetId) {
     console.error("Usage: node twitterlivescraper.mjs <tweetId>");
     process.exit(1);
@@ -365,6 +372,7 @@ async function main() {
         tweetCreatedAt: t.tweetCreatedAt || null,
 
         text: t.text || "",
+        lang: t.lang || null,
         images: t.images || [],
         videos: t.videos || [],
 
@@ -1,6 +1,11 @@
 // twitter-home-scraper.mjs
 import { chromium } from 'playwright';
 import { MongoClient } from 'mongodb';
+import languages from '../api/src/services/languageService.js';
+import jobOutput from './lib/jobOutput.js';
+
+const { detectLanguage } = languages;
+const { writeJobOutput } = jobOutput;
 
 const CDP_ENDPOINT = process.env.CDP || 'http://127.0.0.1:9222';
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017';
@@ -185,6 +190,7 @@ function extractTweetsFromHomeLatest(json) {
       author: { id: author_id, screen_name: author_screen_name, name: author_name },
       created_at,
       text,
+      lang: legacy.lang || null, // X's own label; "qme"/"zxx" etc. for non-text
       images,
       videos,
     });
@@ -204,6 +210,7 @@ function toMongoTweetDoc(extracted) {
     images: extracted.images || [],
     lastSeenAt: new Date(),
     text: extracted.text || '',
+    lang: detectLanguage(extracted.text, { hint: extracted.lang }),
     tweetId: extracted.id || null,
     videos: bestVideoUrls,
     enriched: false,
@@ -312,6 +319,7 @@ function pickLatestN(tweets, n = 20) {
               images: doc.images,
               lastSeenAt: new Date(),
               text: doc.text,
+              lang: doc.lang,
               videos: doc.videos,
             },
           },
@@ -321,6 +329,7 @@ function pickLatestN(tweets, n = 20) {
 
     if (!ops.length) {
       console.log('No docs to upsert.');
+      writeJobOutput({ newTweetIds: [], seen: 0 });
       return;
     }
 
@@ -328,6 +337,11 @@ function pickLatestN(tweets, n = 20) {
     console.log(
       `Mongo: upserted=${r.upsertedCount}, modified=${r.modifiedCount}, matched=${r.matchedCount}`
     );
+    // Tweets stored for the first time, for the pipeline steps after this one
+    const newTweetIds = Object.keys(r.upsertedIds || {}).map(
+      (i) => ops[i].updateOne.filter.tweetId
+    );
+    writeJobOutput({ newTweetIds, seen: ops.length });
   } catch (err) {
     console.error(`Error: ${err?.message || err}`);
     process.exitCode = 1;